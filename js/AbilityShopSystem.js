@@ -6,10 +6,16 @@ class AbilityShopSystem {
         this.scene = scene;
         this.eventBus = eventBus;
         this.gameState = gameState;
+        this.rng = null; // Seeded stream set by GameInitializer
+        this.clock = null; // Simulation clock set by GameInitializer
         this.shopOpen = false;
         this.selectedSlot = null;
         this.availableAbilities = [];
-        this.playerAbilitySlots = [null, null, null, null]; // 4 slots for abilities
+        this.draft = false;     // Draft shops give each player one free pick, then close
+        this.draftPicks = [];   // Players who have picked in the current draft
+        this.bannedAbilities = []; // Never offered or granted (set by run mutators)
+        this.hangarUnlocks = [];   // Hangar abilities this run may offer (set by HangarSystem)
+        this.playerAbilitySlots = [this.createSlots()]; // 4 ability slots per player, plus any from the hangar
         
         // Define all possible abilities
         this.defineAbilities();
@@ -42,8 +48,8 @@ class AbilityShopSystem {
                 duration: 8000,
                 icon: 'fa-crosshairs',
                 type: 'offensive',
-                effect: 'penetrating',
-                value: true
+                effect: 'weaponMod',
+                mod: 'pierce'
             },
             
             spreadShot: {
@@ -55,8 +61,9 @@ class AbilityShopSystem {
                 cooldown: 8000,
                 icon: 'fa-expand',
                 type: 'offensive',
-                effect: 'multiShot',
-                value: 5
+                effect: 'volley',
+                value: 5,
+                spread: 0.8
             },
             
             homingMissiles: {
@@ -68,8 +75,11 @@ class AbilityShopSystem {
                 cooldown: 12000,
                 icon: 'fa-rocket',
                 type: 'offensive',
-                effect: 'homingMissiles',
-                value: 3
+                effect: 'volley',
+                value: 3,
+                spread: 0.6,
+                mod: 'homing',
+                variant: 'missile'
             },
             
             // Defensive abilities
@@ -235,21 +245,75 @@ class AbilityShopSystem {
                 type: 'ultimate',
                 effect: 'droneSwarm',
                 value: 6
+            },
+            
+            // Hangar abilities - only offered once unlocked in the hangar
+            missileBarrage: {
+                id: 'missileBarrage',
+                name: 'Missile Barrage',
+                description: 'Launch 6 homing missiles that track enemies',
+                cost: 1300,
+                energyCost: 55,
+                cooldown: 15000,
+                icon: 'fa-rocket',
+                type: 'offensive',
+                effect: 'volley',
+                value: 6,
+                spread: 1.2,
+                mod: 'homing',
+                variant: 'missile',
+                hangar: true
+            },
+            
+            aegis: {
+                id: 'aegis',
+                name: 'Aegis Shield',
+                description: 'Create a shield that absorbs 500 damage',
+                cost: 1400,
+                energyCost: 60,
+                cooldown: 30000,
+                icon: 'fa-shield-virus',
+                type: 'defensive',
+                effect: 'shield',
+                value: 500,
+                hangar: true
+            },
+            
+            singularity: {
+                id: 'singularity',
+                name: 'Singularity',
+                description: 'Create a huge black hole that pulls enemies for 8 seconds',
+                cost: 1800,
+                energyCost: 80,
+                cooldown: 45000,
+                duration: 8000,
+                icon: 'fa-dot-circle',
+                type: 'ultimate',
+                effect: 'blackHole',
+                value: 1600,
+                hangar: true
             }
         };
     }
     
     init() {
         // Listen for boss defeat to show shop
+        this.clock.registerTimer('shop.open', (data) => this.openShop(data));
         this.eventBus.on('BOSS_DEFEATED', () => {
-            this.scene.time.delayedCall(2000, () => {
-                this.openShop();
-            });
+            // Endless runs never stop for the shop, and boss rush opens its own drafts
+            const runConfig = this.scene.runConfig || {};
+            if (runConfig.endless || runConfig.bossRush) return;
+            this.clock.schedule(2000, 'shop.open');
         });
         
         // Listen for ability purchase
         this.eventBus.on('PURCHASE_ABILITY', (data) => {
-            this.purchaseAbility(data.abilityId, data.slot);
+            this.purchaseAbility(data.abilityId, data.slot, data.player || 0);
+        });
+        
+        // Campaign unlocks arrive free of charge
+        this.eventBus.on('GRANT_ABILITY', (data) => {
+            this.grantAbility(data.abilityId, data.player || 0);
         });
         
         // Listen for shop close
@@ -259,40 +323,90 @@ class AbilityShopSystem {
         
         // Listen for ability use
         this.eventBus.on('USE_ABILITY', (data) => {
-            this.useAbility(data.slot);
+            this.useAbility(data.slot, data.player || 0);
         });
     }
     
-    openShop() {
-        this.shopOpen = true;
-        this.gameState.update('game.paused', true);
-        
-        // Generate 4 random abilities
-        this.availableAbilities = this.generateRandomAbilities(4);
-        
-        // Send shop data to UI
+    createSlots() {
+        return [null, null, null, null];
+    }
+    
+    // Hangar slots beyond the first four
+    addSlots(count, player = 0) {
+        const slots = this.getSlots(player);
+        for (let i = 0; i < count; i++) {
+            slots.push(null);
+        }
+        this.updateAbilityUI();
+    }
+    
+    // Slots for one player; a co-op partner's are created on first use
+    getSlots(player = 0) {
+        if (!this.playerAbilitySlots[player]) {
+            this.playerAbilitySlots[player] = this.createSlots();
+        }
+        return this.playerAbilitySlots[player];
+    }
+    
+    // Couch co-op shares one screen, so both players' slots show; online players each see their own
+    isCoop() {
+        return !!this.scene.runConfig.coop;
+    }
+    
+    dispatchShopOpened() {
         window.dispatchEvent(new CustomEvent('uiEvent', {
             detail: {
                 type: 'abilityShopOpened',
-                abilities: this.availableAbilities,
-                playerSlots: this.playerAbilitySlots,
+                abilities: this.draft
+                    ? this.availableAbilities.map(ability => ({ ...ability, cost: 0 }))
+                    : this.availableAbilities,
+                draft: this.draft,
+                playerSlots: this.getSlots(0),
+                partnerSlots: this.isCoop() ? this.getSlots(1) : null,
                 credits: this.gameState.get('game.credits')
             }
         }));
     }
     
+    openShop(options = {}) {
+        this.shopOpen = true;
+        this.draft = !!options.draft;
+        this.draftPicks = [];
+        this.gameState.update('game.paused', true);
+        
+        // Generate 4 random abilities (or as many as the draft offers)
+        this.availableAbilities = this.generateRandomAbilities(options.count || 4);
+        
+        // Send shop data to UI
+        this.dispatchShopOpened();
+        this.eventBus.emit('ABILITY_SHOP_OPENED', { abilities: this.availableAbilities });
+    }
+    
+    // Abilities this run may hand out, in the shop or as rewards: nothing a mutator bans,
+    // and hangar ones only once the pilot owns them
+    getOfferableAbilityIds() {
+        return Object.keys(this.allAbilities)
+            .filter(abilityId => !this.bannedAbilities.includes(abilityId))
+            .filter(abilityId => !this.allAbilities[abilityId].hangar || this.hangarUnlocks.includes(abilityId));
+    }
+    
     generateRandomAbilities(count) {
-        const allAbilityKeys = Object.keys(this.allAbilities);
+        const allAbilityKeys = this.getOfferableAbilityIds();
         const selected = [];
         const used = new Set();
         
-        // Don't offer abilities the player already has
-        this.playerAbilitySlots.forEach(slot => {
-            if (slot) used.add(slot.id);
+        // Don't offer abilities every player already has
+        const teamSlots = [];
+        for (let player = 0; player < Math.max(1, this.gameState.getPlayerCount()); player++) {
+            teamSlots.push(this.getSlots(player));
+        }
+        allAbilityKeys.forEach(abilityId => {
+            const ownedByAll = teamSlots.every(slots => slots.some(slot => slot && slot.id === abilityId));
+            if (ownedByAll) used.add(abilityId);
         });
         
         while (selected.length < count && selected.length < allAbilityKeys.length - used.size) {
-            const randomKey = allAbilityKeys[Math.floor(Math.random() * allAbilityKeys.length)];
+            const randomKey = this.rng.pick(allAbilityKeys);
             if (!used.has(randomKey)) {
                 used.add(randomKey);
                 selected.push(this.allAbilities[randomKey]);
@@ -302,22 +416,29 @@ class AbilityShopSystem {
         return selected;
     }
     
-    purchaseAbility(abilityId, slot) {
+    purchaseAbility(abilityId, slot, player = 0) {
         const ability = this.allAbilities[abilityId];
         const credits = this.gameState.get('game.credits');
+        const cost = ability && !this.draft ? ability.cost : 0;
         
-        if (!ability || credits < ability.cost) {
+        if (!ability || credits < cost) {
             this.eventBus.emit('ABILITY_PURCHASE_FAILED', {
-                reason: credits < ability.cost ? 'insufficient_credits' : 'invalid_ability'
+                reason: credits < cost ? 'insufficient_credits' : 'invalid_ability'
             });
             return;
         }
         
+        // One free pick per player in a draft
+        if (this.draft && this.draftPicks.includes(player)) {
+            this.eventBus.emit('ABILITY_PURCHASE_FAILED', { reason: 'already_drafted' });
+            return;
+        }
+        
         // Deduct cost
-        this.gameState.addCredits(-ability.cost);
+        this.gameState.addCredits(-cost);
         
         // Assign to slot
-        this.playerAbilitySlots[slot] = {
+        this.getSlots(player)[slot] = {
             ...ability,
             currentCooldown: 0,
             energyCost: ability.energyCost || 20
@@ -325,18 +446,61 @@ class AbilityShopSystem {
         
         // Update UI
         this.updateAbilityUI();
+        window.dispatchEvent(new CustomEvent('uiEvent', {
+            detail: { type: 'abilityPurchased', ability, slot, player }
+        }));
         
         // Emit success
         this.eventBus.emit('ABILITY_PURCHASED', {
             ability: ability,
-            slot: slot
+            slot: slot,
+            player: player
+        });
+        
+        // A draft ends once everyone has their pick
+        if (this.draft) {
+            this.draftPicks.push(player);
+            if (this.draftPicks.length >= Math.max(1, this.gameState.getPlayerCount())) {
+                this.closeShop();
+            }
+        }
+    }
+    
+    // Put an ability in the first free slot without charging for it
+    grantAbility(abilityId, player = 0) {
+        const ability = this.allAbilities[abilityId];
+        const slots = this.getSlots(player);
+        if (!ability || slots.some(owned => owned && owned.id === abilityId)) return;
+        
+        const slot = slots.indexOf(null);
+        if (slot === -1) return;
+        
+        slots[slot] = {
+            ...ability,
+            currentCooldown: 0,
+            energyCost: ability.energyCost || 20
+        };
+        
+        this.updateAbilityUI();
+        this.eventBus.emit('ABILITY_PURCHASED', {
+            ability: ability,
+            slot: slot,
+            player: player
         });
     }
     
     closeShop() {
+        // A draft closes itself after the last pick, and the player may still press continue
+        if (!this.shopOpen) return;
         this.shopOpen = false;
+        this.draft = false;
         this.gameState.update('game.paused', false);
         
+        // Hide the shop UI (needed when a replay closes it rather than the player)
+        window.dispatchEvent(new CustomEvent('uiEvent', {
+            detail: { type: 'abilityShopClosed' }
+        }));
+        
         // Emit shop closed event for WaveSystem
         this.eventBus.emit('ABILITY_SHOP_CLOSED');
         
@@ -344,11 +508,15 @@ class AbilityShopSystem {
         this.eventBus.emit('CONTINUE_TO_NEXT_WAVE');
     }
     
-    useAbility(slot) {
-        const ability = this.playerAbilitySlots[slot];
+    useAbility(slot, player = 0) {
+        // Downed players can't use abilities until they are back
+        if (!this.gameState.getPlayerId(player)) return;
+        
+        const ability = this.getSlots(player)[slot];
         if (!ability || ability.currentCooldown > 0) return;
         
-        const energy = this.gameState.get('player.energy');
+        const energyPath = `${this.gameState.playerKey(player)}.energy`;
+        const energy = this.gameState.get(energyPath);
         const energyCost = ability.energyCost || 20; // Use defined energy cost
         
         if (energy < energyCost) {
@@ -359,20 +527,21 @@ class AbilityShopSystem {
         }
         
         // Deduct energy
-        this.gameState.update('player.energy', energy - energyCost);
+        this.gameState.update(energyPath, energy - energyCost);
         
         // Start cooldown
         ability.currentCooldown = ability.cooldown;
         
         // Apply ability effect
-        this.applyAbilityEffect(ability);
+        this.applyAbilityEffect(ability, player);
+        this.eventBus.emit('ABILITY_USED', { abilityId: ability.id, slot, player });
         
         // Update UI
         this.updateAbilityUI();
     }
     
-    applyAbilityEffect(ability) {
-        const playerId = this.gameState.getPlayerId();
+    applyAbilityEffect(ability, player = 0) {
+        const playerId = this.gameState.getPlayerId(player);
         
         switch (ability.effect) {
             case 'fireRateMultiplier':
@@ -382,21 +551,23 @@ class AbilityShopSystem {
                 });
                 break;
                 
-            case 'penetrating':
-                this.eventBus.emit('ENABLE_PENETRATING_SHOTS', {
+            // Lends the gun a weapon mod (WeaponModSystem) for the ability's duration
+            case 'weaponMod':
+                this.eventBus.emit('WEAPON_MOD_LENT', {
+                    player: player,
+                    mod: ability.mod,
                     duration: ability.duration
                 });
                 break;
                 
-            case 'multiShot':
-                this.eventBus.emit('FIRE_SPREAD_SHOT', {
-                    count: ability.value
-                });
-                break;
-                
-            case 'homingMissiles':
-                this.eventBus.emit('LAUNCH_HOMING_MISSILES', {
-                    count: ability.value
+            // A fan of extra shots through the same mod pipeline, plus the ability's own mod
+            case 'volley':
+                this.eventBus.emit('FIRE_VOLLEY', {
+                    playerId: playerId,
+                    count: ability.value,
+                    spread: ability.spread,
+                    variant: ability.variant,
+                    mods: ability.mod ? { [ability.mod]: 1 } : null
                 });
                 break;
                 
@@ -420,8 +591,8 @@ class AbilityShopSystem {
                 break;
                 
             case 'heal':
-                const maxHealth = this.gameState.get('player.maxHealth');
-                this.gameState.healPlayer(maxHealth * ability.value);
+                const maxHealth = this.gameState.get(`${this.gameState.playerKey(player)}.maxHealth`);
+                this.gameState.healPlayer(maxHealth * ability.value, player);
                 break;
                 
             case 'teleport':
@@ -481,13 +652,15 @@ class AbilityShopSystem {
     
     update(deltaTime) {
         // Update cooldowns
-        this.playerAbilitySlots.forEach((ability, index) => {
-            if (ability && ability.currentCooldown > 0) {
-                ability.currentCooldown -= deltaTime * 1000;
-                if (ability.currentCooldown <= 0) {
-                    ability.currentCooldown = 0;
+        this.playerAbilitySlots.forEach(slots => {
+            slots.forEach(ability => {
+                if (ability && ability.currentCooldown > 0) {
+                    ability.currentCooldown -= deltaTime * 1000;
+                    if (ability.currentCooldown <= 0) {
+                        ability.currentCooldown = 0;
+                    }
                 }
-            }
+            });
         });
         
         // Update UI periodically
@@ -496,8 +669,8 @@ class AbilityShopSystem {
         }
     }
     
-    updateAbilityUI() {
-        const abilities = this.playerAbilitySlots.map((ability, index) => {
+    getAbilityUI(player = 0) {
+        return this.getSlots(player).map((ability, index) => {
             if (!ability) return null;
             
             return {
@@ -510,17 +683,56 @@ class AbilityShopSystem {
                 slot: index
             };
         }).filter(a => a !== null);
-        
+    }
+    
+    updateAbilityUI() {
         // Send to UI
         window.dispatchEvent(new CustomEvent('gameStateUpdate', {
             detail: {
-                abilities: abilities
+                abilities: this.getAbilityUI(0),
+                partnerAbilities: this.isCoop() ? this.getAbilityUI(1) : null
             }
         }));
     }
     
-    getPlayerAbilities() {
-        return this.playerAbilitySlots;
+    getPlayerAbilities(player = 0) {
+        return this.getSlots(player);
+    }
+    
+    getSnapshot() {
+        return {
+            shopOpen: this.shopOpen,
+            draft: this.draft,
+            draftPicks: this.draftPicks.slice(),
+            availableAbilities: this.availableAbilities.map(ability => ability.id),
+            playerAbilitySlots: JSON.parse(JSON.stringify(this.playerAbilitySlots))
+        };
+    }
+    
+    restoreSnapshot(snapshot) {
+        // Saves from before co-op stored player 1's slots as a flat list
+        const slots = snapshot.playerAbilitySlots || [this.createSlots()];
+        const playerSlots = Array.isArray(slots[0]) ? slots : [slots];
+        
+        // Owned abilities keep their cooldowns but act as they're defined now (older saves had other effects)
+        this.playerAbilitySlots = playerSlots.map(owned => owned.map(slot => slot && {
+            ...slot,
+            ...this.allAbilities[slot.id],
+            currentCooldown: slot.currentCooldown
+        }));
+        this.availableAbilities = (snapshot.availableAbilities || [])
+            .map(id => this.allAbilities[id])
+            .filter(Boolean);
+        this.updateAbilityUI();
+        
+        // Reopen with the same offer rather than rolling a new one
+        if (snapshot.shopOpen) {
+            this.shopOpen = true;
+            this.draft = !!snapshot.draft;
+            this.draftPicks = snapshot.draftPicks || [];
+            this.gameState.update('game.paused', true);
+            this.dispatchShopOpened();
+        }
     }
 }
 
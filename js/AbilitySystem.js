@@ -8,6 +8,7 @@ class AbilitySystem {
         this.entityManager = entityManager;
         this.gameState = gameState;
         this.playerId = null;
+        this.clock = null; // Simulation clock set by GameInitializer
         
         // Ability configurations
         this.abilities = {
@@ -84,8 +85,8 @@ class AbilitySystem {
             }
         };
         
-        // Cooldown tracking
-        this.cooldowns = new Map();
+        // Cooldown tracking - one map per player (ability key -> remaining ms)
+        this.cooldowns = [];
         
         // Active effects
         this.activeEffects = new Map();
@@ -97,16 +98,21 @@ class AbilitySystem {
     
     init() {
         // Initialize ability cooldowns
-        Object.keys(this.abilities).forEach(abilityKey => {
-            this.cooldowns.set(abilityKey, 0);
-        });
+        this.getCooldowns(0);
         
         // Get player ID from game state
         this.playerId = this.gameState.getPlayerId();
         
+        this.clock.registerTimer('ability.dashEnd', () => {
+            const currentHealth = this.entityManager.getComponent(this.playerId, 'health');
+            if (currentHealth) {
+                currentHealth.invulnerable = false;
+            }
+        });
+        
         // Listen for ability activation requests
         this.eventBus.on('PLAYER_ABILITY', (data) => {
-            this.activateAbility(data.ability);
+            this.activateAbility(data.ability, Math.max(0, this.gameState.getPlayerIndex(data.playerId)));
         });
         
         // Listen for upgrade requests
@@ -142,12 +148,22 @@ class AbilitySystem {
         callback(component);
     }
     
+    // Created on first use so a co-op partner gets fresh cooldowns
+    getCooldowns(index) {
+        if (!this.cooldowns[index]) {
+            this.cooldowns[index] = new Map(Object.keys(this.abilities).map(abilityKey => [abilityKey, 0]));
+        }
+        return this.cooldowns[index];
+    }
+    
     update(deltaTime) {
         // Update cooldowns
-        this.cooldowns.forEach((cooldown, abilityKey) => {
-            if (cooldown > 0) {
-                this.cooldowns.set(abilityKey, Math.max(0, cooldown - deltaTime * 1000));
-            }
+        this.cooldowns.forEach(cooldowns => {
+            cooldowns.forEach((cooldown, abilityKey) => {
+                if (cooldown > 0) {
+                    cooldowns.set(abilityKey, Math.max(0, cooldown - deltaTime * 1000));
+                }
+            });
         });
         
         // Update active effects
@@ -166,7 +182,7 @@ class AbilitySystem {
     
     // ===== ABILITY METHODS =====
     
-    canActivateAbility(abilityKey, callback) {
+    canActivateAbility(abilityKey, index, callback) {
         const ability = this.abilities[abilityKey];
         if (!ability) {
             callback(false);
@@ -174,30 +190,31 @@ class AbilitySystem {
         }
         
         // Check cooldown
-        if (this.cooldowns.get(abilityKey) > 0) {
+        if (this.getCooldowns(index).get(abilityKey) > 0) {
             callback(false);
             return;
         }
         
         // Check energy and alive status
-        this.getStateValue('player.energy', (currentEnergy) => {
+        const key = this.gameState.playerKey(index);
+        this.getStateValue(`${key}.energy`, (currentEnergy) => {
             if (currentEnergy < ability.energyCost) {
                 callback(false);
                 return;
             }
             
-            this.getStateValue('player.alive', (alive) => {
+            this.getStateValue(`${key}.alive`, (alive) => {
                 callback(alive);
             });
         });
     }
     
-    activateAbility(abilityKey) {
-        this.canActivateAbility(abilityKey, (canActivate) => {
+    activateAbility(abilityKey, index = 0) {
+        this.canActivateAbility(abilityKey, index, (canActivate) => {
             if (!canActivate) {
                 // Show feedback
                 const ability = this.abilities[abilityKey];
-                const cooldown = this.cooldowns.get(abilityKey);
+                const cooldown = this.getCooldowns(index).get(abilityKey);
                 
                 if (cooldown > 0) {
                     this.eventBus.emit('UI_NOTIFICATION', {
@@ -218,15 +235,16 @@ class AbilitySystem {
             const ability = this.abilities[abilityKey];
             
             // Consume energy
-            this.getStateValue('player.energy', (currentEnergy) => {
+            const energyPath = `${this.gameState.playerKey(index)}.energy`;
+            this.getStateValue(energyPath, (currentEnergy) => {
                 this.eventBus.emit('STATE_UPDATE', {
-                    path: 'player.energy',
+                    path: energyPath,
                     value: currentEnergy - ability.energyCost
                 });
             });
             
             // Set cooldown
-            this.cooldowns.set(abilityKey, ability.cooldown);
+            this.getCooldowns(index).set(abilityKey, ability.cooldown);
             
             // Execute ability
             ability.execute();
@@ -453,19 +471,14 @@ class AbilitySystem {
             health.invulnerabilityTime = this.abilities.dash.duration;
             
             // Reset invulnerability after dash
-            this.scene.time.delayedCall(this.abilities.dash.duration, () => {
-                const currentHealth = this.entityManager.getComponent(this.playerId, 'health');
-                if (currentHealth) {
-                    currentHealth.invulnerable = false;
-                }
-            });
+            this.clock.schedule(this.abilities.dash.duration, 'ability.dashEnd');
         }
         
         this.eventBus.emit('AUDIO_PLAY', { sound: 'dash' });
     }
     
-    getAbilityCooldown(abilityKey) {
-        return this.cooldowns.get(abilityKey) || 0;
+    getAbilityCooldown(abilityKey, index = 0) {
+        return this.getCooldowns(index).get(abilityKey) || 0;
     }
     
     getAbilityInfo(abilityKey) {
@@ -476,7 +489,7 @@ class AbilitySystem {
             name: ability.name,
             energyCost: ability.energyCost,
             cooldown: ability.cooldown,
-            currentCooldown: this.cooldowns.get(abilityKey) || 0,
+            currentCooldown: this.getAbilityCooldown(abilityKey),
             icon: ability.icon,
             canActivate: false // Will be updated asynchronously
         };
@@ -492,6 +505,9 @@ class AbilitySystem {
     // ===== UPGRADE METHODS =====
     
     handleUpgrade(upgradeType) {
+        // Planet defense's home world upgrades are UpgradeSystem's alone
+        if (upgradeType === 'turrets' || upgradeType === 'shieldRegen') return;
+        
         const config = this.upgradeConfigs[upgradeType];
         if (!config) {
             console.error(`Unknown upgrade type: ${upgradeType}`);
@@ -759,6 +775,22 @@ class AbilitySystem {
             value: GameConfig.player.initialEnergy
         });
     }
+    
+    // ===== SAVE / LOAD =====
+    
+    getSnapshot() {
+        return { cooldowns: this.cooldowns.map(cooldowns => Object.fromEntries(cooldowns)) };
+    }
+    
+    restoreSnapshot(snapshot) {
+        // Saves from before co-op only had player 1's cooldowns
+        const saved = Array.isArray(snapshot.cooldowns) ? snapshot.cooldowns : [snapshot.cooldowns || {}];
+        saved.forEach((cooldowns, index) => {
+            Object.entries(cooldowns).forEach(([abilityKey, cooldown]) => {
+                this.getCooldowns(index).set(abilityKey, cooldown);
+            });
+        });
+    }
 }
 
 window.AbilitySystem = AbilitySystem;
\ No newline at end of file
@@ -6,6 +6,8 @@ class AISystem {
         this.scene = scene;
         this.eventBus = eventBus;
         this.playerId = null;
+        this.rng = null; // Seeded stream set by GameInitializer
+        this.clock = null; // Simulation clock set by GameInitializer
         
         // AI behavior parameters
         this.config = {
@@ -31,6 +33,7 @@ class AISystem {
             flocking: new FlockingTrait(this.entityManager),
             formation: new FormationTrait(this.entityManager)
         };
+        this.traits.capture = new CaptureTrait(this.entityManager, this.traits.movement);
         
         // Configure faction-specific behavior compositions
         this.factionBehaviors = {
@@ -41,6 +44,13 @@ class AISystem {
             boss: new BossBehavior(this.eventBus, this.entityManager, this.scene, this.traits, this.config)
         };
         
+        // Share the seeded AI stream and simulation clock with shooting and behaviors
+        this.traits.shooting.rng = this.rng;
+        Object.values(this.factionBehaviors).forEach(behavior => {
+            behavior.rng = this.rng;
+            behavior.clock = this.clock;
+        });
+        
         // Listen for player creation
         this.eventBus.on('ENTITY_CREATED', (data) => {
             if (data.type === 'player') {
@@ -48,6 +58,16 @@ class AISystem {
                 //console.log('[AISystem] Player ID set:', this.playerId);
             }
         });
+        
+        // Planet defense: every faction can go after the home world
+        this.eventBus.on('HOME_WORLD_CREATED', (data) => {
+            this.traits.targeting.homeWorldId = data.id;
+        });
+        
+        // Territory control: every faction also goes after the capturable planets
+        this.eventBus.on('CAPTURE_POINTS_CREATED', (data) => {
+            this.traits.capture.planetIds = data.planetIds;
+        });
     }
     
     update(deltaTime, entityManager) {
@@ -72,9 +92,48 @@ class AISystem {
                 if (entities.length > 0 && Math.random() < 0.01) {
                     //console.log(`[AISystem] Updating ${faction} behavior for ${entities.length} entities`);
                 }
-                this.factionBehaviors[faction].updateGroup(entities, deltaTime, this.playerId);
+                
+                // In territory control some ships break off to take planets; the rest fight as usual
+                const fighters = this.traits.capture.planetIds.length > 0 && faction !== 'boss'
+                    ? this.updateCapturers(entities, faction)
+                    : entities;
+                this.factionBehaviors[faction].updateGroup(fighters, deltaTime, this.playerId);
+            }
+        });
+    }
+    
+    // Returns the ships left for the faction behaviour once the capturers have their orders
+    updateCapturers(entities, faction) {
+        const fighters = [];
+        
+        entities.forEach(entityId => {
+            const ai = this.entityManager.getComponent(entityId, 'ai');
+            const transform = this.entityManager.getComponent(entityId, 'transform');
+            const physics = this.entityManager.getComponent(entityId, 'physics');
+            if (!ai || !transform || !physics) return;
+            
+            // Each ship is picked (or not) once, when it first shows up
+            if (ai.memory.capturer === undefined) {
+                ai.memory.capturer = !ai.isNecromancerMinion && this.rng.chance(GameConstants.CAPTURE.AI_SHARE);
+            }
+            
+            const planetId = ai.memory.capturer ? this.traits.capture.findObjective(transform, faction) : null;
+            if (planetId === null) {
+                fighters.push(entityId);
+                return;
+            }
+            
+            const force = this.traits.capture.calculateHoldForce(transform, physics, planetId);
+            this.traits.movement.applyForce(entityId, force.x, force.y);
+            
+            // Capturers still shoot at whatever comes into range
+            const target = this.traits.targeting.getNearestTarget(entityId, transform, faction, this.config.shootingRange);
+            if (target && this.traits.shooting.canShoot(entityId, target.distance)) {
+                this.traits.shooting.aimAndShoot(entityId, target, 0.8);
             }
         });
+        
+        return fighters;
     }
 }
 
@@ -85,6 +144,7 @@ class TargetingTrait {
     constructor(entityManager, config) {
         this.entityManager = entityManager;
         this.config = config;
+        this.homeWorldId = null; // Planet defense home world, set by AISystem
     }
     
     getDistance(transformA, transformB) {
@@ -97,10 +157,9 @@ class TargetingTrait {
         const range = maxRange || this.config.detectionRange;
         const targets = [];
         
-        // Check player
+        // Check players - in co-op either ship can be picked, the nearest usually wins
         const playerEntities = this.entityManager.getEntitiesByType('player');
-        if (playerEntities.length > 0) {
-            const playerId = playerEntities[0];
+        playerEntities.forEach(playerId => {
             const playerTransform = this.entityManager.getComponent(playerId, 'transform');
             if (playerTransform) {
                 const dist = this.getDistance(transform, playerTransform);
@@ -114,7 +173,7 @@ class TargetingTrait {
                     });
                 }
             }
-        }
+        });
         
         // Check enemy factions - ALL enemies shoot at other factions
         const enemies = this.entityManager.getEntitiesByType('enemy');
@@ -160,6 +219,34 @@ class TargetingTrait {
             });
         }
         
+        // Check the home world in planet defense - necromancer minions fight for the player
+        if (this.homeWorldId !== null && !isNecromancerMinion) {
+            const homeWorld = this.getHomeWorldTarget(entityId, transform, faction, range);
+            if (homeWorld) {
+                targets.push(homeWorld);
+            }
+        }
+        
+        // Check friendly ships (a campaign escort's freighter) - enemies go for them before anything else
+        if (!isNecromancerMinion) {
+            const freighters = this.entityManager.getEntitiesByType('freighter');
+            freighters.forEach(freighterId => {
+                const freighterTransform = this.entityManager.getComponent(freighterId, 'transform');
+                if (!freighterTransform) return;
+                
+                const dist = this.getDistance(transform, freighterTransform);
+                if (dist <= range) {
+                    targets.push({
+                        id: freighterId,
+                        transform: freighterTransform,
+                        distance: dist,
+                        type: 'freighter',
+                        priority: GameConstants.CAMPAIGN.FREIGHTER_PRIORITY
+                    });
+                }
+            });
+        }
+        
         // Sort by priority then distance
         targets.sort((a, b) => {
             if (a.priority !== b.priority) return b.priority - a.priority;
@@ -169,6 +256,36 @@ class TargetingTrait {
         return targets;
     }
     
+    getHomeWorldTarget(entityId, transform, faction, range) {
+        const homeTransform = this.entityManager.getComponent(this.homeWorldId, 'transform');
+        const homePhysics = this.entityManager.getComponent(this.homeWorldId, 'physics');
+        if (!homeTransform || !homePhysics) return null;
+        
+        // Measured to the surface so attackers engage from the same range as against a ship
+        const dist = Math.max(0, this.getDistance(transform, homeTransform) - homePhysics.radius);
+        
+        // Siege attackers sense the home world from anywhere and go for it before any ship;
+        // close-range checks (a titan's slam) still need it within reach
+        const siege = this.isSiegeAttacker(entityId, faction);
+        const scanning = range >= this.config.detectionRange;
+        if (dist > range && !(siege && scanning)) return null;
+        
+        return {
+            id: this.homeWorldId,
+            transform: homeTransform,
+            distance: dist,
+            type: 'homeWorld',
+            priority: siege ? GameConstants.DEFENSE.SIEGE_PRIORITY : 1 // Same as a player otherwise
+        };
+    }
+    
+    isSiegeAttacker(entityId, faction) {
+        if (GameConstants.DEFENSE.SIEGE_FACTIONS.includes(faction)) return true;
+        
+        const boss = this.entityManager.getComponent(entityId, 'boss');
+        return !!boss && GameConstants.DEFENSE.SIEGE_BOSSES.includes(boss.name);
+    }
+    
     getNearestTarget(entityId, transform, faction, maxRange = null) {
         const targets = this.findTargets(entityId, transform, faction, maxRange);
         return targets.length > 0 ? targets[0] : null;
@@ -212,7 +329,7 @@ class ShootingTrait {
         
         // Add inaccuracy for some factions
         const spread = (1 - accuracy) * 0.3;
-        const angle = Math.atan2(aimY - shooterTransform.y, aimX - shooterTransform.x) + (Math.random() - 0.5) * spread;
+        const angle = Math.atan2(aimY - shooterTransform.y, aimX - shooterTransform.x) + this.rng.spread(spread);
         
         this.eventBus.emit('ENEMY_SHOOT_REQUEST', {
             shooterId: shooterId,
@@ -499,6 +616,62 @@ class FormationTrait {
     }
 }
 
+// Capture trait - takes and holds planets for a faction in territory control
+class CaptureTrait {
+    constructor(entityManager, movement) {
+        this.entityManager = entityManager;
+        this.movement = movement;
+        this.planetIds = []; // Capturable planets, set by AISystem
+    }
+    
+    // Nearest planet the faction doesn't hold outright - a held planet being taken back counts
+    findObjective(transform, faction) {
+        let objective = null;
+        let objectiveDistance = Infinity;
+        
+        this.planetIds.forEach(planetId => {
+            const capturePoint = this.entityManager.getComponent(planetId, 'capturePoint');
+            const planetTransform = this.entityManager.getComponent(planetId, 'transform');
+            if (!capturePoint || !planetTransform) return;
+            if (capturePoint.owner === faction && capturePoint.progress >= 1) return;
+            
+            const dist = Math.hypot(planetTransform.x - transform.x, planetTransform.y - transform.y);
+            if (dist < objectiveDistance) {
+                objective = planetId;
+                objectiveDistance = dist;
+            }
+        });
+        
+        return objective;
+    }
+    
+    // Head for the middle of the zone, then ride along with the planet
+    calculateHoldForce(transform, physics, planetId) {
+        const planetTransform = this.entityManager.getComponent(planetId, 'transform');
+        const planetPhysics = this.entityManager.getComponent(planetId, 'physics');
+        const planet = this.entityManager.getComponent(planetId, 'planet');
+        
+        const dx = transform.x - planetTransform.x;
+        const dy = transform.y - planetTransform.y;
+        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+        const holdRadius = (planetPhysics.radius + planet.atmosphereRadius) / 2;
+        
+        if (dist > planet.atmosphereRadius * 0.9 || dist < planetPhysics.radius + 40) {
+            return this.movement.moveToward(
+                transform,
+                planetTransform.x + (dx / dist) * holdRadius,
+                planetTransform.y + (dy / dist) * holdRadius,
+                GameConstants.CAPTURE.AI_SPEED
+            );
+        }
+        
+        return {
+            x: (planetPhysics.velocity.x - physics.velocity.x) * 0.01,
+            y: (planetPhysics.velocity.y - physics.velocity.y) * 0.01
+        };
+    }
+}
+
 // Base behavior class
 class BaseBehavior {
     constructor(eventBus, entityManager, scene, traits, config) {
@@ -565,11 +738,11 @@ class SwarmBehavior extends BaseBehavior {
         // Initialize swarm memory
         if (!ai.memory.swarmPhase) {
             ai.memory.swarmPhase = 'circling';
-            ai.memory.diveTimer = Math.random() * 2000;
-            ai.memory.chaosAngle = Math.random() * Math.PI * 2;
-            ai.memory.chaosSpeed = 0.002 + Math.random() * 0.004;
-            ai.memory.orbitAngle = Math.random() * Math.PI * 2;
-            ai.memory.orbitDirection = Math.random() > 0.5 ? 1 : -1;
+            ai.memory.diveTimer = this.rng.range(0, 2000);
+            ai.memory.chaosAngle = this.rng.angle();
+            ai.memory.chaosSpeed = this.rng.range(0.002, 0.006);
+            ai.memory.orbitAngle = this.rng.angle();
+            ai.memory.orbitDirection = this.rng.sign();
         }
         
         // Update timers
@@ -583,17 +756,17 @@ class SwarmBehavior extends BaseBehavior {
         if (target) {
             if (ai.memory.swarmPhase === 'circling' && ai.memory.diveTimer <= 0) {
                 ai.memory.swarmPhase = 'diving';
-                ai.memory.diveTimer = 1500 + Math.random() * 1000;
+                ai.memory.diveTimer = this.rng.range(1500, 2500);
                 ai.memory.diveTarget = { 
-                    x: target.transform.x + (Math.random() - 0.5) * 100,
-                    y: target.transform.y + (Math.random() - 0.5) * 100
+                    x: target.transform.x + this.rng.spread(100),
+                    y: target.transform.y + this.rng.spread(100)
                 };
             } else if (ai.memory.swarmPhase === 'diving' && (ai.memory.diveTimer <= 0 || target.distance < 100)) {
                 ai.memory.swarmPhase = 'buzzing';
-                ai.memory.diveTimer = 2000 + Math.random() * 1000;
+                ai.memory.diveTimer = this.rng.range(2000, 3000);
             } else if (ai.memory.swarmPhase === 'buzzing' && ai.memory.diveTimer <= 0) {
                 ai.memory.swarmPhase = 'circling';
-                ai.memory.diveTimer = 1000 + Math.random() * 2000;
+                ai.memory.diveTimer = this.rng.range(1000, 3000);
                 ai.memory.orbitDirection *= -1;
             }
         }
@@ -656,7 +829,7 @@ class SwarmBehavior extends BaseBehavior {
             // Shooting - swarm shoots frantically with low accuracy
             if (this.traits.shooting.canShoot(entityId, target.distance) && 
                 (ai.memory.swarmPhase === 'diving' || ai.memory.swarmPhase === 'buzzing') && 
-                Math.random() < 0.1) {
+                this.rng.chance(0.1)) {
                 this.traits.shooting.aimAndShoot(entityId, target, 0.7); // 70% accuracy
             }
         } else {
@@ -767,9 +940,9 @@ class SentinelBehavior extends BaseBehavior {
         if (!ai.memory.guardPoint) {
             ai.memory.guardPoint = { x: transform.x, y: transform.y };
             ai.memory.orbitRadius = 400;
-            ai.memory.orbitAngle = Math.random() * Math.PI * 2;
-            ai.memory.orbitSpeed = 0.001 + Math.random() * 0.001;
-            ai.memory.preferredDistance = 350 + Math.random() * 100;
+            ai.memory.orbitAngle = this.rng.angle();
+            ai.memory.orbitSpeed = this.rng.range(0.001, 0.002);
+            ai.memory.preferredDistance = this.rng.range(350, 450);
             ai.memory.lastShotTime = 0;
             ai.memory.shotCooldown = 1500; // 1.5 seconds between shots
         }
@@ -977,7 +1150,7 @@ class PhantomBehavior extends BaseBehavior {
             if (target.distance < 400 && target.distance > 150) {
                 // Flank dash
                 const angle = Math.atan2(target.transform.y - transform.y, target.transform.x - transform.x);
-                const flankAngle = angle + (Math.random() > 0.5 ? Math.PI/2 : -Math.PI/2);
+                const flankAngle = angle + this.rng.sign() * Math.PI/2;
                 dashX = Math.cos(flankAngle);
                 dashY = Math.sin(flankAngle);
             } else if (target.distance < 150) {
@@ -1023,7 +1196,7 @@ class PhantomBehavior extends BaseBehavior {
                     0.015
                 );
                 
-                const weaveAngle = Date.now() * 0.003;
+                const weaveAngle = this.clock.now * 0.003;
                 const perpX = -approachForce.y;
                 const perpY = approachForce.x;
                 
@@ -1046,7 +1219,7 @@ class PhantomBehavior extends BaseBehavior {
                 const dist = Math.sqrt(dx * dx + dy * dy);
                 
                 if (dist > 0) {
-                    const zigzagAngle = Date.now() * 0.004;
+                    const zigzagAngle = this.clock.now * 0.004;
                     const perpX = -dy / dist;
                     const perpY = dx / dist;
                     
@@ -1061,9 +1234,9 @@ class PhantomBehavior extends BaseBehavior {
         } else {
             // Hunt with erratic movement
             if (!ai.memory.huntAngle) {
-                ai.memory.huntAngle = Math.random() * Math.PI * 2;
+                ai.memory.huntAngle = this.rng.angle();
             }
-            ai.memory.huntAngle += (Math.random() - 0.5) * 0.3;
+            ai.memory.huntAngle += this.rng.spread(0.3);
             
             forceX = Math.cos(ai.memory.huntAngle) * 0.008;
             forceY = Math.sin(ai.memory.huntAngle) * 0.008;
@@ -1139,7 +1312,7 @@ class TitanBehavior extends BaseBehavior {
             ai.memory.chargeTarget = null;
             ai.memory.chargeCooldown = 0;
             ai.memory.slamCooldown = 0;
-            ai.memory.wanderAngle = Math.random() * Math.PI * 2;
+            ai.memory.wanderAngle = this.rng.angle();
             ai.memory.roarTimer = 0;
             //console.log(`[Titan ${entityId}] Initialized`);
         }
@@ -1196,13 +1369,13 @@ class TitanBehavior extends BaseBehavior {
                     }
                 } else {
                     // No target - wander aggressively
-                    ai.memory.wanderAngle += (Math.random() - 0.5) * 0.2;
+                    ai.memory.wanderAngle += this.rng.spread(0.2);
                     forceX = Math.cos(ai.memory.wanderAngle) * 0.02;
                     forceY = Math.sin(ai.memory.wanderAngle) * 0.02;
                     
                     // Occasional roar
                     if (ai.memory.roarTimer <= 0) {
-                        ai.memory.roarTimer = 5 + Math.random() * 5;
+                        ai.memory.roarTimer = this.rng.range(5, 10);
                         //console.log(`[Titan ${entityId}] *ROAR* (wandering)`);
                     }
                 }
@@ -1433,7 +1606,7 @@ class BossBehavior extends BaseBehavior {
         if (ai.memory.abilityTimer >= ai.memory.nextAbilityTime && boss.abilities && boss.abilities.length > 0) {
             this.useAbility(entityId, transform, boss, ai);
             ai.memory.abilityTimer = 0;
-            ai.memory.nextAbilityTime = 3000 + Math.random() * 2000;
+            ai.memory.nextAbilityTime = this.rng.range(3000, 5000);
         }
         
         // Movement based on behavior type
@@ -1465,7 +1638,7 @@ class BossBehavior extends BaseBehavior {
                     forceY = tacticalDistance.y;
                     
                     // Strafe
-                    const strafeAngle = Date.now() * 0.001;
+                    const strafeAngle = this.clock.now * 0.001;
                     const perpX = -tacticalDistance.y;
                     const perpY = tacticalDistance.x;
                     forceX += perpX * Math.sin(strafeAngle) * 0.005;
@@ -1493,13 +1666,13 @@ class BossBehavior extends BaseBehavior {
             }
             
             // Shoot at target occasionally
-            if (this.traits.shooting.canShoot(entityId, target.distance) && Math.random() < 0.02) {
+            if (this.traits.shooting.canShoot(entityId, target.distance) && this.rng.chance(0.02)) {
                 this.traits.shooting.aimAndShoot(entityId, target, 0.95);
             }
         } else {
             // Patrol center area
             if (!ai.memory.patrolAngle) {
-                ai.memory.patrolAngle = Math.random() * Math.PI * 2;
+                ai.memory.patrolAngle = this.rng.angle();
             }
             ai.memory.patrolAngle += 0.001;
             
@@ -1555,9 +1728,9 @@ class BossBehavior extends BaseBehavior {
         });
         
         if (availableAbilities.length > 0) {
-            selectedAbility = availableAbilities[Math.floor(Math.random() * availableAbilities.length)];
+            selectedAbility = this.rng.pick(availableAbilities);
         } else if (boss.abilities.length > 0) {
-            selectedAbility = boss.abilities[Math.floor(Math.random() * boss.abilities.length)];
+            selectedAbility = this.rng.pick(boss.abilities);
         }
         
         if (selectedAbility && this.abilityExecutors[selectedAbility]) {
@@ -1586,7 +1759,7 @@ class BossBehavior extends BaseBehavior {
     
     executeSummon(bossId, transform) {
         const params = GameConstants.BOSSES.ABILITIES.summon;
-        const count = params.count.min + Math.floor(Math.random() * (params.count.max - params.count.min + 1));
+        const count = this.rng.int(params.count.min, params.count.max);
         
         for (let i = 0; i < count; i++) {
             const angle = (i / count) * Math.PI * 2;
@@ -1605,7 +1778,7 @@ class BossBehavior extends BaseBehavior {
     
     executeTeleport(bossId, transform) {
         const params = GameConstants.BOSSES.ABILITIES.teleport;
-        const angle = Math.random() * Math.PI * 2;
+        const angle = this.rng.angle();
         const distance = params.range;
         
         const newX = transform.x + Math.cos(angle) * distance;
@@ -49,12 +49,14 @@ class AudioManager {
         // In a real implementation, these would be actual audio files or procedural audio
         this.sounds = {
             shoot: { duration: 0.1, frequency: 800, type: 'sawtooth' },
+            beam: { duration: 0.1, frequency: 1600, type: 'sine' },
             explosion: { duration: 0.5, frequency: 150, type: 'noise' },
             powerup: { duration: 0.3, frequency: 1200, type: 'sine' },
             hit: { duration: 0.1, frequency: 400, type: 'square' },
             boost: { duration: 0.2, frequency: 600, type: 'triangle' },
             shield: { duration: 0.4, frequency: 500, type: 'sine' },
-            wave: { duration: 1.0, frequency: 300, type: 'sine' }
+            wave: { duration: 1.0, frequency: 300, type: 'sine' },
+            vent: { duration: 0.6, frequency: 250, type: 'noise' }
         };
     }
     
@@ -0,0 +1,188 @@
+// BossRushSystem.js - Every boss type back to back with split timers
+// A free ability draft follows each fight, and the best time for each boss is kept between runs
+
+// Best boss rush times kept between sessions
+const BossRushRecords = {
+    KEY: 'gravityWars_bossRush',
+
+    load() {
+        try {
+            const records = JSON.parse(localStorage.getItem(this.KEY));
+            return {
+                bosses: (records && records.bosses) || {},
+                total: (records && records.total) || 0
+            };
+        } catch (e) {
+            return { bosses: {}, total: 0 };
+        }
+    },
+
+    // Keeps the faster of each time; total is only set by a finished rush
+    record(splits, total = 0) {
+        const records = this.load();
+        splits.forEach(split => {
+            const best = records.bosses[split.name];
+            if (!best || split.time < best) {
+                records.bosses[split.name] = split.time;
+            }
+        });
+        if (total && (!records.total || total < records.total)) {
+            records.total = total;
+        }
+
+        try {
+            localStorage.setItem(this.KEY, JSON.stringify(records));
+        } catch (e) {
+            console.error('[BossRushRecords] Failed to save records:', e);
+        }
+    }
+};
+
+class BossRushSystem {
+    constructor(scene, eventBus, gameState) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        this.gameState = gameState;
+        this.abilityShopSystem = null; // Set by GameInitializer
+        this.disasterSystem = null; // Set by GameInitializer
+        this.clock = null; // Simulation clock set by GameInitializer
+
+        this.active = false;
+        this.fightIndex = -1;
+        this.fighting = false;
+        this.fightTime = 0;
+        this.splits = [];           // { name, time } per boss beaten this run
+        this.records = null;        // Best times from earlier runs, for the HUD comparison
+        this.recordRuns = true;
+    }
+
+    init(runConfig) {
+        if (!runConfig.bossRush) return;
+        this.active = true;
+        this.recordRuns = !runConfig.replay;
+        this.records = BossRushRecords.load();
+
+        // Split times should measure the fights, not the dice
+        this.disasterSystem.autoSchedule = false;
+
+        this.clock.registerTimer('bossRush.nextBoss', () => this.startFight(this.fightIndex + 1));
+        this.clock.registerTimer('bossRush.draft', () => {
+            this.abilityShopSystem.openShop({ draft: true, count: GameConstants.BOSS_RUSH.DRAFT_OFFERS });
+        });
+
+        this.eventBus.on('BOSS_SPAWNED', () => {
+            this.fighting = true;
+            this.fightTime = 0;
+        });
+
+        this.eventBus.on('BOSS_DEFEATED', () => {
+            if (this.fighting) this.finishFight();
+        });
+
+        this.eventBus.on('ABILITY_SHOP_CLOSED', () => {
+            this.clock.schedule(GameConstants.BOSS_RUSH.NEXT_BOSS_DELAY, 'bossRush.nextBoss');
+        });
+    }
+
+    start() {
+        this.eventBus.emit('UI_NOTIFICATION', {
+            message: `Boss rush - ${GameConstants.BOSSES.TYPES.length} bosses, no waves`,
+            type: 'info',
+            icon: 'fa-skull-crossbones'
+        });
+        this.clock.schedule(GameConstants.BOSS_RUSH.FIRST_BOSS_DELAY, 'bossRush.nextBoss');
+    }
+
+    startFight(index) {
+        this.fightIndex = index;
+        this.eventBus.emit('START_BOSS_PHASE', {
+            waveNumber: index + 1,
+            typeIndex: index,
+            multiplier: GameConstants.BOSS_RUSH.MULTIPLIERS[index] || 1
+        });
+    }
+
+    update(deltaTime) {
+        // The shop pauses the simulation, so drafts never count towards a split
+        if (this.fighting && !this.gameState.get('game.gameOver')) {
+            this.fightTime += deltaTime * 1000;
+        }
+    }
+
+    finishFight() {
+        const name = GameConstants.BOSSES.TYPES[this.fightIndex].name;
+        const best = this.records.bosses[name];
+        const split = { name, time: this.fightTime };
+        this.fighting = false;
+        this.splits.push(split);
+
+        if (this.recordRuns) {
+            BossRushRecords.record([split]);
+            this.records = BossRushRecords.load();
+        }
+
+        this.eventBus.emit('UI_NOTIFICATION', {
+            message: `${name} down in ${(split.time / 1000).toFixed(1)}s` + (best && split.time < best ? ' - new best!' : ''),
+            type: 'success',
+            icon: 'fa-stopwatch'
+        });
+
+        if (this.fightIndex + 1 < GameConstants.BOSSES.TYPES.length) {
+            this.clock.schedule(GameConstants.BOSS_RUSH.DRAFT_DELAY, 'bossRush.draft');
+            return;
+        }
+
+        if (this.recordRuns) {
+            BossRushRecords.record([], this.getTotalTime());
+            this.records = BossRushRecords.load();
+        }
+        this.eventBus.emit('GAME_OVER', { victory: true, bossRush: true });
+    }
+
+    getTotalTime() {
+        return this.splits.reduce((sum, split) => sum + split.time, 0);
+    }
+
+    // Current fight and every split so far next to the best times
+    getUIState() {
+        if (!this.active) return null;
+
+        const toSeconds = (ms) => (ms ? Math.round(ms / 100) / 10 : null);
+        const types = GameConstants.BOSSES.TYPES;
+        const current = types[this.fightIndex];
+
+        return {
+            fight: this.fightIndex + 1,
+            fights: types.length,
+            name: current ? current.name : null,
+            time: toSeconds(this.fighting ? this.fightTime : 0),
+            fighting: this.fighting,
+            total: toSeconds(this.getTotalTime() + (this.fighting ? this.fightTime : 0)),
+            bestTotal: toSeconds(this.records.total),
+            splits: types.map((type, index) => ({
+                name: type.name,
+                time: this.splits[index] ? toSeconds(this.splits[index].time) : null,
+                best: toSeconds(this.records.bosses[type.name])
+            }))
+        };
+    }
+
+    getSnapshot() {
+        return {
+            fightIndex: this.fightIndex,
+            fighting: this.fighting,
+            fightTime: this.fightTime,
+            splits: this.splits.map(split => ({ ...split }))
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.fightIndex = snapshot.fightIndex;
+        this.fighting = snapshot.fighting;
+        this.fightTime = snapshot.fightTime;
+        this.splits = snapshot.splits;
+    }
+}
+
+window.BossRushRecords = BossRushRecords;
+window.BossRushSystem = BossRushSystem;
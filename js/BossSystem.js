@@ -8,6 +8,8 @@ class BossSystem {
         this.entityManager = entityManager;
         this.entityFactory = entityFactory;
         this.gameState = null; // Will be set by GameInitializer
+        this.rng = null; // Seeded stream set by GameInitializer
+        this.clock = null; // Simulation clock set by GameInitializer
     }
     
     init() {
@@ -18,12 +20,17 @@ class BossSystem {
         
         // Debug commands
         this.eventBus.on('SPAWN_DEBUG_BOSS', () => this.spawnDebugBoss());
+        
+        // Named so a saved world can re-arm them
+        this.clock.registerTimer('boss.spawn', (data) => this.spawnBoss(data));
+        this.clock.registerTimer('boss.openShop', () => this.eventBus.emit('OPEN_ABILITY_SHOP'));
     }
     
     getBossTypes() {
         return GameConstants.BOSSES.TYPES;
     }
     
+    // Boss rush passes typeIndex and multiplier to pick the boss and toughen it; waves leave both out
     startBossPhase(data) {
         console.log('[BossSystem] Starting boss phase after wave', data.waveNumber);
         
@@ -39,20 +46,21 @@ class BossSystem {
         });
         
         // Spawn boss after delay
-        this.scene.time.delayedCall(GameConstants.BOSSES.SPAWN_DELAY, () => {
-            this.spawnBoss();
+        this.clock.schedule(GameConstants.BOSSES.SPAWN_DELAY, 'boss.spawn', {
+            typeIndex: data.typeIndex,
+            multiplier: data.multiplier
         });
     }
     
-    spawnBoss() {
+    spawnBoss(options = {}) {
         // Select boss type based on sequential boss number
         const bossTypes = this.getBossTypes();
         const bossNumber = this.gameState.get('boss.bossNumber');
-        const bossTypeIndex = (bossNumber - 1) % bossTypes.length;
+        const bossTypeIndex = options.typeIndex !== undefined ? options.typeIndex : (bossNumber - 1) % bossTypes.length;
         const bossType = bossTypes[bossTypeIndex];
         
         // Calculate boss stats using boss number for scaling
-        const stats = this.calculateBossStats(bossType, bossNumber);
+        const stats = this.calculateBossStats(bossType, bossNumber, options.multiplier || 1);
         
         // Spawn position (random edge)
         const spawnPos = this.getRandomEdgePosition();
@@ -93,9 +101,9 @@ class BossSystem {
         this.eventBus.emit('PLAY_BOSS_MUSIC');
     }
     
-    calculateBossStats(bossType, bossNumber) {
-        const baseHealth = GameConstants.BOSSES.BASE_HEALTH + (bossNumber * GameConstants.BOSSES.HEALTH_PER_WAVE);
-        const baseDamage = GameConstants.BOSSES.BASE_DAMAGE + (bossNumber * GameConstants.BOSSES.DAMAGE_PER_WAVE);
+    calculateBossStats(bossType, bossNumber, multiplier = 1) {
+        const baseHealth = (GameConstants.BOSSES.BASE_HEALTH + (bossNumber * GameConstants.BOSSES.HEALTH_PER_WAVE)) * multiplier;
+        const baseDamage = (GameConstants.BOSSES.BASE_DAMAGE + (bossNumber * GameConstants.BOSSES.DAMAGE_PER_WAVE)) * multiplier;
         
         return {
             name: bossType.name,
@@ -180,9 +188,21 @@ class BossSystem {
         this.eventBus.emit('PLAY_NORMAL_MUSIC');
         
         // Open ability shop after delay
-        this.scene.time.delayedCall(2000, () => {
-            this.eventBus.emit('OPEN_ABILITY_SHOP');
-        });
+        this.clock.schedule(2000, 'boss.openShop');
+    }
+    
+    // Boss progress lives in GameState and the boss entity; only the UI needs rebuilding after a load
+    restoreBossPhase() {
+        const bossId = this.gameState.get('boss.currentBossId');
+        if (!this.gameState.get('boss.active') || !bossId) return;
+        
+        const boss = this.entityManager.getComponent(bossId, 'boss');
+        const health = this.entityManager.getComponent(bossId, 'health');
+        if (!boss || !health) return;
+        
+        this.createBossHealthBar(boss.name, health.max);
+        this.updateBossHealthBar(health.current / health.max);
+        this.eventBus.emit('PLAY_BOSS_MUSIC');
     }
     
     // UI methods
@@ -205,20 +225,20 @@ class BossSystem {
     
     // Helper methods
     getRandomEdgePosition() {
-        const edge = Math.floor(Math.random() * 4);
+        const edge = this.rng.int(0, 3);
         const margin = 200;
         const width = GameConstants.WORLD.WIDTH;
         const height = GameConstants.WORLD.HEIGHT;
         
         switch (edge) {
             case 0: // Top
-                return { x: Math.random() * width, y: margin };
+                return { x: this.rng.range(0, width), y: margin };
             case 1: // Right
-                return { x: width - margin, y: Math.random() * height };
+                return { x: width - margin, y: this.rng.range(0, height) };
             case 2: // Bottom
-                return { x: Math.random() * width, y: height - margin };
+                return { x: this.rng.range(0, width), y: height - margin };
             case 3: // Left
-                return { x: margin, y: Math.random() * height };
+                return { x: margin, y: this.rng.range(0, height) };
         }
     }
     
@@ -0,0 +1,398 @@
+// CaptureSystem.js - Territory control: the central planet of each orbital system can be captured and held
+// Ships inside a planet's atmosphere take it for their side unless another side contests it; held planets pay credits and launch defense drones
+
+class CaptureSystem {
+    constructor(scene, eventBus, entityManager, gameState, entityFactory) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+        this.gameState = gameState;
+        this.entityFactory = entityFactory;
+
+        this.active = false;
+        this.planetIds = [];
+        this.income = 0;                // Credits earned but not paid yet (paid out whole)
+        this.zoneMarkers = new Map();   // planetId -> circle drawn around its capture zone
+    }
+
+    init(runConfig) {
+        if (!runConfig.capture) return;
+        this.active = true;
+
+        this.eventBus.on('DRONE_HIT', (data) => this.damageDrone(data.droneId, data.damage));
+    }
+
+    // Every orbital system's central planet starts out neutral
+    start(orbitalSystems) {
+        this.planetIds = orbitalSystems.map(system => system.centralId);
+
+        this.planetIds.forEach(planetId => {
+            const physics = this.entityManager.getComponent(planetId, 'physics');
+            const planet = Components.planet(physics.radius, physics.mass);
+            planet.atmosphereRadius = physics.radius * GameConstants.CAPTURE.ATMOSPHERE_SCALE;
+
+            this.entityManager.addComponent(planetId, 'planet', planet);
+            this.entityManager.addComponent(planetId, 'capturePoint', Components.capturePoint());
+        });
+
+        this.eventBus.emit('CAPTURE_POINTS_CREATED', { planetIds: this.planetIds });
+        this.eventBus.emit('UI_NOTIFICATION', {
+            message: 'Territory control - hold a planet\'s atmosphere to capture it',
+            type: 'info',
+            icon: 'fa-flag'
+        });
+    }
+
+    update(deltaTime) {
+        if (!this.active) return;
+
+        const ships = this.findShips();
+        let held = 0;
+
+        this.planetIds.forEach(planetId => {
+            const transform = this.entityManager.getComponent(planetId, 'transform');
+            const planet = this.entityManager.getComponent(planetId, 'planet');
+            const capturePoint = this.entityManager.getComponent(planetId, 'capturePoint');
+            if (!transform || !planet || !capturePoint) return;
+
+            const present = this.countShipsInZone(ships, transform, planet.atmosphereRadius);
+            this.updateProgress(planetId, capturePoint, present, deltaTime);
+
+            if (capturePoint.owner) {
+                this.updateDroneLaunch(planetId, capturePoint, planet, transform, deltaTime);
+            }
+            if (capturePoint.owner === 'player') {
+                held++;
+            }
+
+            this.updateZoneMarker(planetId, transform, planet, capturePoint);
+        });
+
+        this.updateDrones(deltaTime);
+        this.payIncome(held, deltaTime);
+    }
+
+    // Player ships and every faction's ships, tagged with the side they capture for
+    findShips() {
+        const ships = [];
+
+        this.entityManager.getEntitiesByType('player').forEach(playerId => {
+            const transform = this.entityManager.getComponent(playerId, 'transform');
+            if (transform) {
+                ships.push({ side: 'player', transform });
+            }
+        });
+
+        this.entityManager.getEntitiesByType('enemy').forEach(enemyId => {
+            const ai = this.entityManager.getComponent(enemyId, 'ai');
+            const transform = this.entityManager.getComponent(enemyId, 'transform');
+            if (ai && transform && !ai.isNecromancerMinion) {
+                ships.push({ side: ai.faction, transform });
+            }
+        });
+
+        return ships;
+    }
+
+    countShipsInZone(ships, transform, radius) {
+        const present = new Map();
+
+        ships.forEach(ship => {
+            if (Math.hypot(ship.transform.x - transform.x, ship.transform.y - transform.y) <= radius) {
+                present.set(ship.side, (present.get(ship.side) || 0) + 1);
+            }
+        });
+
+        return present;
+    }
+
+    // A rival's progress has to be worn back to zero before a side can start its own
+    updateProgress(planetId, capturePoint, present, deltaTime) {
+        const { CAPTURE_TIME, MAX_CAPTURERS, DECAY_TIME } = GameConstants.CAPTURE;
+        const sides = Array.from(present.keys());
+
+        // Nobody gains ground while two sides share the zone
+        capturePoint.contested = sides.length > 1;
+        if (capturePoint.contested) return;
+
+        // Unattended, a held planet recovers and a half-taken one slips back to neutral
+        if (sides.length === 0) {
+            const decay = deltaTime * 1000 / DECAY_TIME;
+            if (capturePoint.owner) {
+                capturePoint.progress = Math.min(1, capturePoint.progress + decay);
+            } else if (capturePoint.capturer) {
+                capturePoint.progress = Math.max(0, capturePoint.progress - decay);
+                if (capturePoint.progress === 0) {
+                    capturePoint.capturer = null;
+                }
+            }
+            return;
+        }
+
+        const side = sides[0];
+        const rate = Math.min(present.get(side), MAX_CAPTURERS) * deltaTime * 1000 / CAPTURE_TIME;
+
+        if (capturePoint.capturer !== null && capturePoint.capturer !== side) {
+            capturePoint.progress = Math.max(0, capturePoint.progress - rate);
+            if (capturePoint.progress > 0) return;
+
+            if (capturePoint.owner) {
+                this.losePlanet(planetId, capturePoint);
+            }
+            capturePoint.capturer = null;
+            return;
+        }
+
+        capturePoint.capturer = side;
+        capturePoint.progress = Math.min(1, capturePoint.progress + rate);
+        if (capturePoint.progress >= 1 && capturePoint.owner !== side) {
+            this.capturePlanet(planetId, capturePoint, side);
+        }
+    }
+
+    capturePlanet(planetId, capturePoint, side) {
+        capturePoint.owner = side;
+        capturePoint.droneTimer = 0;
+
+        const transform = this.entityManager.getComponent(planetId, 'transform');
+        this.eventBus.emit('PLANET_CAPTURED', {
+            planetId,
+            owner: side,
+            position: transform ? { x: transform.x, y: transform.y } : null
+        });
+
+        const name = this.getPlanetName(planetId);
+        if (side === 'player') {
+            this.eventBus.emit('UI_NOTIFICATION', {
+                message: `${name} captured (+${GameConstants.CAPTURE.CREDITS_PER_SECOND} credits/s)`,
+                type: 'success',
+                icon: 'fa-flag'
+            });
+            this.eventBus.emit('AUDIO_PLAY', { sound: 'powerup' });
+        } else {
+            this.eventBus.emit('UI_NOTIFICATION', {
+                message: `The ${side} faction took ${name}`,
+                type: 'warning',
+                icon: 'fa-flag'
+            });
+        }
+    }
+
+    // Its drones go down with it
+    losePlanet(planetId, capturePoint) {
+        const owner = capturePoint.owner;
+        capturePoint.owner = null;
+
+        this.getDrones(planetId).forEach(droneId => this.destroyDrone(droneId));
+        this.eventBus.emit('PLANET_LOST', { planetId, owner });
+
+        if (owner === 'player') {
+            this.eventBus.emit('UI_NOTIFICATION', {
+                message: `${this.getPlanetName(planetId)} was lost`,
+                type: 'error',
+                icon: 'fa-flag'
+            });
+        }
+    }
+
+    getPlanetName(planetId) {
+        const profile = this.entityManager.getComponent(planetId, 'planetProfile');
+        return profile && profile.name ? profile.name : 'A planet';
+    }
+
+    // Held planets keep launching drones until they have a full escort
+    updateDroneLaunch(planetId, capturePoint, planet, transform, deltaTime) {
+        const { DRONES_PER_PLANET, DRONE_INTERVAL } = GameConstants.CAPTURE;
+        const drones = this.getDrones(planetId).length;
+        if (drones >= DRONES_PER_PLANET) return;
+
+        capturePoint.droneTimer -= deltaTime * 1000;
+        if (capturePoint.droneTimer > 0) return;
+        capturePoint.droneTimer = DRONE_INTERVAL;
+
+        // Spread out around the zone edge
+        const angle = (drones / DRONES_PER_PLANET) * Math.PI * 2;
+        this.entityFactory.createDrone(
+            planetId,
+            capturePoint.owner,
+            transform.x + Math.cos(angle) * planet.atmosphereRadius,
+            transform.y + Math.sin(angle) * planet.atmosphereRadius,
+            angle
+        );
+    }
+
+    getDrones(planetId) {
+        return this.entityManager.query('drone').filter(droneId => {
+            return this.entityManager.getComponent(droneId, 'drone').planetId === planetId;
+        });
+    }
+
+    // Drones circle the zone edge with their planet and shoot at anything hostile in range
+    updateDrones(deltaTime) {
+        const { DRONE_ORBIT_SPEED, DRONE_FIRE_INTERVAL } = GameConstants.CAPTURE;
+
+        this.entityManager.query('drone', 'transform').forEach(droneId => {
+            const drone = this.entityManager.getComponent(droneId, 'drone');
+            const transform = this.entityManager.getComponent(droneId, 'transform');
+            const planetTransform = this.entityManager.getComponent(drone.planetId, 'transform');
+            const planet = this.entityManager.getComponent(drone.planetId, 'planet');
+            const sprite = this.scene.sprites.get(droneId);
+            if (!planetTransform || !planet) {
+                this.destroyDrone(droneId);
+                return;
+            }
+
+            drone.angle += DRONE_ORBIT_SPEED * deltaTime;
+            const slotX = planetTransform.x + Math.cos(drone.angle) * planet.atmosphereRadius;
+            const slotY = planetTransform.y + Math.sin(drone.angle) * planet.atmosphereRadius;
+            if (sprite) {
+                sprite.setVelocity((slotX - transform.x) * 0.2, (slotY - transform.y) * 0.2);
+            }
+
+            drone.fireCooldown = Math.max(0, drone.fireCooldown - deltaTime * 1000);
+            if (drone.fireCooldown > 0) return;
+
+            const target = this.findDroneTarget(transform, drone.owner);
+            if (target) {
+                this.fireDrone(droneId, transform, target);
+                drone.fireCooldown = DRONE_FIRE_INTERVAL;
+            }
+        });
+    }
+
+    // Nearest ship of another side; bosses are everyone's enemy
+    findDroneTarget(transform, owner) {
+        const candidates = [...this.entityManager.getEntitiesByType('enemy'), ...this.entityManager.getEntitiesByType('boss')];
+        if (owner !== 'player') {
+            candidates.push(...this.entityManager.getEntitiesByType('player'));
+        }
+
+        let nearest = null;
+        let nearestDistance = GameConstants.CAPTURE.DRONE_RANGE;
+        candidates.forEach(entityId => {
+            const ai = this.entityManager.getComponent(entityId, 'ai');
+            if (ai && ai.faction === owner) return;
+
+            const target = this.entityManager.getComponent(entityId, 'transform');
+            if (!target) return;
+
+            const distance = Math.hypot(target.x - transform.x, target.y - transform.y);
+            if (distance < nearestDistance) {
+                nearest = target;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
+    }
+
+    fireDrone(droneId, transform, target) {
+        const { DRONE_DAMAGE, DRONE_SPEED } = GameConstants.CAPTURE;
+        const angle = Math.atan2(target.y - transform.y, target.x - transform.x);
+
+        this.entityFactory.createProjectile(
+            droneId,
+            transform.x + Math.cos(angle) * 20,
+            transform.y + Math.sin(angle) * 20,
+            angle,
+            DRONE_SPEED,
+            DRONE_DAMAGE,
+            4
+        );
+    }
+
+    damageDrone(droneId, damage) {
+        const health = this.entityManager.getComponent(droneId, 'health');
+        if (!health) return;
+
+        health.current -= damage;
+        if (health.current <= 0) {
+            this.destroyDrone(droneId);
+        }
+    }
+
+    destroyDrone(droneId) {
+        const transform = this.entityManager.getComponent(droneId, 'transform');
+        const drone = this.entityManager.getComponent(droneId, 'drone');
+
+        this.eventBus.emit('DRONE_DESTROYED', {
+            droneId,
+            owner: drone ? drone.owner : null,
+            position: transform ? { x: transform.x, y: transform.y } : null
+        });
+        this.eventBus.emit('DESTROY_ENTITY', { entityId: droneId });
+    }
+
+    payIncome(held, deltaTime) {
+        this.income += held * GameConstants.CAPTURE.CREDITS_PER_SECOND * deltaTime;
+
+        const credits = Math.floor(this.income);
+        if (credits > 0) {
+            this.gameState.addCredits(credits);
+            this.income -= credits;
+        }
+    }
+
+    // Zone ring in the owner's colour, filling with the capturer's as progress builds
+    updateZoneMarker(planetId, transform, planet, capturePoint) {
+        let marker = this.zoneMarkers.get(planetId);
+        if (!marker) {
+            marker = this.scene.add.circle(0, 0, planet.atmosphereRadius);
+            marker.setDepth(1);
+            this.zoneMarkers.set(planetId, marker);
+        }
+
+        marker.setPosition(transform.x, transform.y);
+        marker.setStrokeStyle(4, this.getSideColor(capturePoint.owner), capturePoint.contested ? 0.9 : 0.5);
+        marker.setFillStyle(this.getSideColor(capturePoint.capturer), capturePoint.progress * 0.15);
+    }
+
+    getSideColor(side) {
+        if (side === 'player') return GameConstants.COOP.PLAYER_COLORS[0];
+        if (side && GameConfig.factions[side]) return GameConfig.factions[side].color;
+        return 0xaaaaaa;
+    }
+
+    // Owner and progress of every planet for the HUD
+    getUIState() {
+        if (!this.active) return null;
+
+        const planets = this.planetIds.map(planetId => {
+            const capturePoint = this.entityManager.getComponent(planetId, 'capturePoint');
+            return {
+                name: this.getPlanetName(planetId),
+                owner: capturePoint ? capturePoint.owner : null,
+                capturer: capturePoint ? capturePoint.capturer : null,
+                progress: capturePoint ? capturePoint.progress : 0,
+                contested: capturePoint ? capturePoint.contested : false
+            };
+        });
+        const held = planets.filter(planet => planet.owner === 'player').length;
+
+        return {
+            planets,
+            held,
+            total: planets.length,
+            income: held * GameConstants.CAPTURE.CREDITS_PER_SECOND
+        };
+    }
+
+    getSnapshot() {
+        return {
+            planetIds: this.planetIds,
+            income: this.income
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.planetIds = snapshot.planetIds;
+        this.income = snapshot.income;
+
+        // Point the AI back at the restored planets
+        if (this.active) {
+            this.eventBus.emit('CAPTURE_POINTS_CREATED', { planetIds: this.planetIds });
+        }
+    }
+}
+
+window.CaptureSystem = CaptureSystem;
@@ -0,0 +1,132 @@
+// ChallengeSystem.js - Daily and weekly challenge runs and their local leaderboards
+// The date picks the seed and the mutators, so everyone who plays the same day (or week) gets the identical run
+
+const Challenges = {
+    // Dates are read in UTC so every timezone shares the same challenge
+    create(kind, date = new Date()) {
+        const weekly = kind === 'weekly';
+        const id = weekly ? `weekly-${this.getWeekKey(date)}` : `daily-${date.toISOString().slice(0, 10)}`;
+        const count = weekly ? GameConstants.CHALLENGES.WEEKLY_MUTATORS : GameConstants.CHALLENGES.DAILY_MUTATORS;
+
+        // Mutators roll on their own generator, apart from the run's streams
+        const rng = new SeededRandom(RandomService.hashString(`${id}-mutators`));
+        // Only mutators that make the run harder, so a challenge always pays a bonus
+        const mutators = rng.shuffle(GameConstants.CHALLENGES.MUTATOR_POOL.slice()).slice(0, count);
+
+        return { id, kind: weekly ? 'weekly' : 'daily', seed: id, mutators };
+    },
+
+    createRunConfig(kind, date) {
+        const { id, seed, mutators, ...challenge } = this.create(kind, date);
+        return { challenge: { id, kind: challenge.kind }, seed, mutators };
+    },
+
+    // ISO week, e.g. '2024-W18'; the week's Thursday decides the year
+    getWeekKey(date) {
+        const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+        const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+        const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+        return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+    },
+
+    // 'daily-2024-05-01' -> 'Daily Challenge 2024-05-01'
+    getLabel(challenge) {
+        const name = challenge.kind === 'weekly' ? 'Weekly Challenge' : 'Daily Challenge';
+        return `${name} ${challenge.id.slice(challenge.kind.length + 1)}`;
+    }
+};
+
+// Best scores per challenge, kept on this machine
+const ChallengeLeaderboard = {
+    KEY: 'gravityWars_challenges',
+    MAX_BOARDS: 14, // Older challenges drop off once this many have boards
+
+    loadAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    load(id) {
+        return this.loadAll()[id] || [];
+    },
+
+    // Returns the run's place on the board, or 0 when it didn't make the cut
+    record(id, entry) {
+        const boards = this.loadAll();
+        const board = (boards[id] || [])
+            .concat(entry)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, GameConstants.CHALLENGES.LEADERBOARD_SIZE);
+
+        // Re-inserted so the newest challenge is last and the oldest is pruned first
+        delete boards[id];
+        boards[id] = board;
+        Object.keys(boards).slice(0, -this.MAX_BOARDS).forEach(oldId => delete boards[oldId]);
+
+        try {
+            localStorage.setItem(this.KEY, JSON.stringify(boards));
+        } catch (e) {
+            console.error('[ChallengeLeaderboard] Failed to save leaderboard:', e);
+        }
+        return board.indexOf(entry) + 1;
+    }
+};
+
+class ChallengeSystem {
+    constructor(scene, eventBus, gameState) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        this.gameState = gameState;
+        this.mutatorSystem = null; // Set by GameInitializer
+
+        this.challenge = null; // { id, kind } while playing a challenge
+        this.board = [];
+        this.rank = 0;
+        this.recordRuns = true;
+    }
+
+    init(runConfig) {
+        if (!runConfig.challenge) return;
+        this.challenge = runConfig.challenge;
+        this.board = ChallengeLeaderboard.load(this.challenge.id);
+        this.recordRuns = !runConfig.replay;
+
+        this.eventBus.on('GAME_START', () => {
+            this.eventBus.emit('UI_NOTIFICATION', {
+                message: `${Challenges.getLabel(this.challenge)}: ${this.mutatorSystem.getNames().join(', ')}`,
+                type: 'info',
+                icon: 'fa-calendar-day'
+            });
+        });
+
+        this.eventBus.on('GAME_OVER', () => {
+            if (!this.recordRuns) return;
+            this.rank = ChallengeLeaderboard.record(this.challenge.id, {
+                score: this.gameState.get('game.score'),
+                wave: this.gameState.get('waves.current'),
+                kills: this.gameState.get('game.totalKills'),
+                recordedAt: Date.now()
+            });
+            this.board = ChallengeLeaderboard.load(this.challenge.id);
+        });
+    }
+
+    // Label and leaderboard standing for the score screen
+    getUIState() {
+        if (!this.challenge) return null;
+
+        return {
+            label: Challenges.getLabel(this.challenge),
+            rank: this.rank,
+            best: this.board.length > 0 ? this.board[0].score : 0
+        };
+    }
+}
+
+window.Challenges = Challenges;
+window.ChallengeLeaderboard = ChallengeLeaderboard;
+window.ChallengeSystem = ChallengeSystem;
@@ -7,9 +7,24 @@ class CombatSystem {
         this.eventBus = eventBus;
         this.entityManager = entityManager;
         this.gameState = gameState;
+        this.rng = null; // Seeded stream set by GameInitializer
+        this.clock = null; // Simulation clock set by GameInitializer
+        
+        // Scaled by run mutators
+        this.damageToEnemies = 1;
+        this.damageToPlayers = 1;
+        
+        // Gravity Lab's invincible toggle
+        this.playersInvulnerable = false;
     }
     
     init() {
+        this.clock.registerTimer('combat.gameOver', () => {
+            this.eventBus.emit('GAME_OVER', {
+                victory: false
+            });
+        });
+        
         // Register collision handlers
         this.eventBus.on('COLLISION_DETECTED', (data) => {
             this.handleCollision(data);
@@ -87,6 +102,9 @@ class CombatSystem {
             const projectileData = this.entityManager.getComponent(entityA, 'projectile');
             if (!projectileData) return;
             
+            // Gravity bombs go off on their own (WeaponSystem.detonateBomb)
+            if (projectileData.bomb) return;
+            
             // Validate damage eligibility
             if (this.canDamageTarget(entityA, entityB)) {
                 // Track penetrating projectile hits
@@ -97,6 +115,14 @@ class CombatSystem {
                     //console.log(`[CombatSystem] Projectile hit: ${projectileData.damage} damage from ${projectileData.ownerId}`);
                     this.applyDamage(entityB, projectileData.damage, projectileData.ownerId);
                     
+                    // Weapon mods act on the hit while the projectile still exists (WeaponModSystem)
+                    if (projectileData.mods) {
+                        this.eventBus.emit('PROJECTILE_MOD_HIT', {
+                            projectileId: entityA,
+                            targetId: entityB
+                        });
+                    }
+                    
                     // Destroy projectile if not penetrating
                     if (!projectileData.penetrating) {
                         this.eventBus.emit('DESTROY_ENTITY', {
@@ -108,6 +134,15 @@ class CombatSystem {
                 // Check if target is a planet - planets block projectiles
                 const targetEntity = this.entityManager.getEntity(entityB);
                 if (targetEntity && targetEntity.type === 'planet') {
+                    // Ricochet rounds bounce off instead (WeaponModSystem)
+                    if (projectileData.bounces > 0) {
+                        this.eventBus.emit('PROJECTILE_RICOCHET', {
+                            projectileId: entityA,
+                            planetId: entityB
+                        });
+                        return;
+                    }
+                    
                     // Destroy projectile when it hits a planet
                     this.eventBus.emit('DESTROY_ENTITY', {
                         entityId: entityA
@@ -157,7 +192,7 @@ class CombatSystem {
         if (ai) {
             const accuracy = 1 - (ai.fearLevel * 0.3);
             const spread = (1 - accuracy) * 0.3;
-            data.angle += (Math.random() - 0.5) * spread;
+            data.angle += this.rng.spread(spread);
         }
         
         // Forward to weapon system
@@ -174,13 +209,16 @@ class CombatSystem {
         // Can't damage self
         if (projectileData.ownerId === targetId) return false;
         
+        // In versus every player ship is fair game for the others
+        if (this.isVersus() && targetEntity.type === 'player' && projectileData.ownerFaction === 'player') return true;
+        
         // Can't damage other projectiles or powerups
         if (targetEntity.type === 'projectile' || targetEntity.type === 'powerup') return false;
         
-        // Can't damage planets
-        if (targetEntity.type === 'planet') return false;
+        // Can't damage planets, unless it's a defended home world
+        if (targetEntity.type === 'planet' && !this.entityManager.getComponent(targetId, 'homeWorld')) return false;
         
-        // Check factions
+        // Check factions - the friendly side (an escorted freighter) is friendlyWith the players
         const targetFaction = this.entityManager.getComponent(targetId, 'faction');
         if (targetFaction && projectileData.ownerFaction) {
             if (targetFaction.name === projectileData.ownerFaction) return false;
@@ -195,34 +233,63 @@ class CombatSystem {
         if (!targetEntity) return;
         
         if (targetEntity.type === 'player') {
-            this.damagePlayer(damage);
+            this.damagePlayer(targetId, damage, sourceId);
         } else if (targetEntity.type === 'enemy' || targetEntity.type === 'boss') {
             this.damageEnemy(targetId, damage, sourceId);
+        } else if (targetEntity.type === 'planet') {
+            // Only a home world gets this far; DefenseSystem soaks the hit with its shield first
+            this.eventBus.emit('HOME_WORLD_HIT', {
+                planetId: targetId,
+                damage: damage * this.damageToPlayers,
+                sourceId: sourceId
+            });
+        } else if (targetEntity.type === 'drone') {
+            // Territory control drones belong to CaptureSystem
+            this.eventBus.emit('DRONE_HIT', {
+                droneId: targetId,
+                damage: damage,
+                sourceId: sourceId
+            });
+        } else if (targetEntity.type === 'freighter') {
+            // Escorted freighters belong to MissionSystem; they're on the players' side
+            this.eventBus.emit('FREIGHTER_HIT', {
+                freighterId: targetId,
+                damage: damage * this.damageToPlayers,
+                sourceId: sourceId
+            });
         }
     }
     
-    damagePlayer(damage) {
-        const playerId = this.gameState.getPlayerId();
+    damagePlayer(playerId, damage, sourceId = null) {
+        const index = this.gameState.getPlayerIndex(playerId);
         const health = this.entityManager.getComponent(playerId, 'health');
-        if (!health || health.invulnerable) return;
+        if (index === -1 || !health || health.invulnerable || this.playersInvulnerable) return;
         
-        // Calculate damage with defense
+        // Calculate damage with the hull's plating and defense
         const defense = this.gameState.get('player.stats.defense');
-        const actualDamage = Math.max(1, damage - defense * 0.5);
+        const actualDamage = Math.max(1, damage * this.damageToPlayers * (1 - (health.armor || 0)) - defense * 0.5);
         
         // Update health through GameState
-        const currentHealth = this.gameState.get('player.health');
+        const key = this.gameState.playerKey(index);
+        const currentHealth = this.gameState.get(`${key}.health`);
         const newHealth = Math.max(0, currentHealth - actualDamage);
-        this.gameState.update('player.health', newHealth);
+        this.gameState.update(`${key}.health`, newHealth);
         this.gameState.update('game.totalDamageTaken', this.gameState.get('game.totalDamageTaken') + actualDamage);
         
         if (newHealth <= 0) {
-            this.gameState.update('player.alive', false);
-            this.gameState.update('game.gameOver', true);
-            this.handlePlayerDeath();
+            this.gameState.update(`${key}.alive`, false);
+            
+            // In co-op the run only ends when nobody is left flying; versus ships always respawn
+            if (this.isVersus() || this.gameState.getPlayerIds().some(id => id !== playerId)) {
+                this.handlePlayerDowned(playerId, index, sourceId);
+            } else {
+                this.gameState.update('game.gameOver', true);
+                this.handlePlayerDeath(playerId);
+            }
         } else if (actualDamage > 0) {
             // Only emit event for other systems to handle
             this.eventBus.emit('PLAYER_DAMAGED', { 
+                playerId: playerId,
                 damage: actualDamage 
             });
             
@@ -240,6 +307,7 @@ class CombatSystem {
         if (!health) return;
         
         // Check for boss special properties
+        damage *= this.damageToEnemies;
         let actualDamage = damage;
         if (entity && entity.type === 'boss') {
             const bossComponent = this.entityManager.getComponent(enemyId, 'boss');
@@ -289,9 +357,9 @@ class CombatSystem {
         // Always add score for any kill
         this.gameState.addScore(points);
         
-        // Only give credits if the player killed the enemy
-        const playerId = this.gameState.getPlayerId();
-        if (sourceId === playerId) {
+        // Only give credits if a player killed the enemy - credits go to the shared team pool
+        const killedByPlayer = sourceId !== null && this.gameState.getPlayerIds().includes(sourceId);
+        if (killedByPlayer) {
             // Different credit rewards based on enemy type
             const entity = this.entityManager.getEntity(enemyId);
             let creditReward = 5; // Default for basic enemies
@@ -335,13 +403,13 @@ class CombatSystem {
             position: transform ? { x: transform.x, y: transform.y } : null,
             points: points,
             combo: combo + 1,
-            killedByPlayer: sourceId === playerId
+            killedByPlayer: killedByPlayer
         });
         
         // Spawn powerup chance - only if player killed it
-        if (sourceId === playerId && Math.random() < 0.3 && transform) {
+        if (killedByPlayer && this.rng.chance(0.3) && transform) {
             const types = ['health', 'energy', 'credits'];
-            const type = types[Math.floor(Math.random() * types.length)];
+            const type = this.rng.pick(types);
             this.eventBus.emit('SPAWN_POWERUP', {
                 x: transform.x,
                 y: transform.y,
@@ -361,22 +429,26 @@ class CombatSystem {
     collectPowerup(playerId, powerupId, powerupData) {
         const transform = this.entityManager.getComponent(powerupId, 'transform');
         
+        // Health and energy go to whoever picked it up
+        const key = this.gameState.playerKey(Math.max(0, this.gameState.getPlayerIndex(playerId)));
+        
         // Apply powerup effect by type
         switch (powerupData.type) {
             case 'health':
-                const currentHealth = this.gameState.get('player.health');
-                const maxHealth = this.gameState.get('player.maxHealth');
+                const currentHealth = this.gameState.get(`${key}.health`);
+                const maxHealth = this.gameState.get(`${key}.maxHealth`);
                 const actualHeal = Math.min(powerupData.value, maxHealth - currentHealth);
-                this.gameState.update('player.health', currentHealth + actualHeal);
+                this.gameState.update(`${key}.health`, currentHealth + actualHeal);
                 this.eventBus.emit('PLAYER_HEAL', { 
+                    playerId: playerId,
                     amount: actualHeal 
                 });
                 break;
                 
             case 'energy':
-                const currentEnergy = this.gameState.get('player.energy');
-                const maxEnergy = this.gameState.get('player.maxEnergy');
-                this.gameState.update('player.energy', 
+                const currentEnergy = this.gameState.get(`${key}.energy`);
+                const maxEnergy = this.gameState.get(`${key}.maxEnergy`);
+                this.gameState.update(`${key}.energy`, 
                     Math.min(maxEnergy, currentEnergy + powerupData.value)
                 );
                 break;
@@ -403,12 +475,12 @@ class CombatSystem {
         });
     }
     
-    handlePlayerDeath() {
-        const playerId = this.gameState.getPlayerId();
+    handlePlayerDeath(playerId) {
         const transform = this.entityManager.getComponent(playerId, 'transform');
         
         // Emit death event
         this.eventBus.emit('PLAYER_DIED', {
+            playerId: playerId,
             position: transform ? { x: transform.x, y: transform.y } : null
         });
         
@@ -416,13 +488,40 @@ class CombatSystem {
         this.gameState.update('game.gameOver', true);
         
         // Delay before game over
-        this.scene.time.delayedCall(2000, () => {
-            this.eventBus.emit('GAME_OVER', {
-                victory: false
+        this.clock.schedule(2000, 'combat.gameOver');
+    }
+    
+    // A co-op player out of health leaves the field until the next wave starts (VersusSystem respawns them sooner)
+    handlePlayerDowned(playerId, index, killerId = null) {
+        const transform = this.entityManager.getComponent(playerId, 'transform');
+        
+        this.gameState.setPlayerId(null, index);
+        
+        this.eventBus.emit('PLAYER_DIED', {
+            playerId: playerId,
+            index: index,
+            downed: true,
+            killerId: killerId,
+            position: transform ? { x: transform.x, y: transform.y } : null
+        });
+        
+        if (!this.isVersus()) {
+            this.eventBus.emit('UI_NOTIFICATION', {
+                message: `Player ${index + 1} is down - survive until the next wave!`,
+                type: 'warning',
+                icon: 'fa-user-injured'
             });
+        }
+        
+        this.eventBus.emit('DESTROY_ENTITY', {
+            entityId: playerId
         });
     }
     
+    isVersus() {
+        return !!(this.scene.runConfig && this.scene.runConfig.versus);
+    }
+    
     processWaveRewards(waveNumber) {
         // Award wave completion bonuses - significantly reduced
         const waveBonus = 1000 * waveNumber; // Score stays the same
@@ -476,7 +575,7 @@ class CombatSystem {
         if (!bossData || !bossData.specialProperties) return false;
         
         const dodgeChance = bossData.specialProperties.dodgeChance || 0;
-        return Math.random() < dodgeChance;
+        return this.rng.chance(dodgeChance);
     }
     
     getBossData(bossId) {
@@ -512,20 +611,23 @@ class CombatSystem {
             
             if (!transform || !entity) return;
             
-            // Skip non-damageable entities
-            if (entity.type === 'planet' || entity.type === 'catastrophe' || entity.type === 'projectile') return;
+            // Skip non-damageable entities (a planet with health is a defended home world)
+            if (entity.type === 'catastrophe' || entity.type === 'projectile') return;
             
-            // Calculate distance
+            // Calculate distance - a home world is hit anywhere on its surface
             const dx = transform.x - x;
             const dy = transform.y - y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
+            let dist = Math.sqrt(dx * dx + dy * dy);
+            if (entity.type === 'planet') {
+                dist = Math.max(0, dist - this.entityManager.getComponent(entityId, 'physics').radius);
+            }
             
             if (dist > radius) return;
             
             // Check friendly fire
             if (!friendlyFire && sourceFaction) {
                 const targetFaction = this.entityManager.getComponent(entityId, 'faction');
-                if (targetFaction && targetFaction.name === sourceFaction.name) return;
+                if (targetFaction && (targetFaction.name === sourceFaction.name || targetFaction.friendlyWith.has(sourceFaction.name))) return;
             }
             
             // Calculate damage with falloff
@@ -538,8 +640,8 @@ class CombatSystem {
             if (finalDamage > 0) {
                 this.applyDamage(entityId, finalDamage, sourceId);
                 
-                // Apply knockback
-                if (knockback > 0 && dist > 0) {
+                // Apply knockback (planets don't budge)
+                if (knockback > 0 && dist > 0 && entity.type !== 'planet') {
                     const physics = this.entityManager.getComponent(entityId, 'physics');
                     if (physics) {
                         const knockbackForce = knockback * (falloff ? (1 - dist / radius) : 1);
@@ -65,6 +65,12 @@ const Components = {
         friendlyWith: new Set()
     }),
     
+    // Which local player flies this ship (0 = player 1), and its class from GameConstants.SHIPS
+    pilot: (index = 0, ship = 'striker') => ({
+        index,
+        ship
+    }),
+    
     // Enemy-specific data
     enemy: (value = 100, difficulty = 1) => ({
         value,
@@ -103,6 +109,30 @@ const Components = {
         type: 'terrestrial'
     }),
     
+    // Planet defense home world shield (its hull is a regular health component)
+    homeWorld: (shield = 500) => ({
+        shield,
+        maxShield: shield,
+        rechargeDelay: 0 // ms until the shield recharges after a hit
+    }),
+    
+    // Territory control state of a capturable planet (its zone is the planet's atmosphereRadius)
+    capturePoint: () => ({
+        owner: null,     // 'player', an enemy faction, or null while neutral
+        capturer: null,  // Side the progress belongs to
+        progress: 0,     // 0-1; the capturer holds the planet at 1
+        contested: false,
+        droneTimer: 0    // ms until the next drone launch
+    }),
+    
+    // Defense drone circling the captured planet that launched it
+    drone: (planetId, owner, angle = 0) => ({
+        planetId,
+        owner,
+        angle,
+        fireCooldown: 0
+    }),
+    
     // Physics properties for n-body simulation
     physics: (vx = 0, vy = 0, mass = 1, radius = 20) => ({
         mass,
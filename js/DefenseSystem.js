@@ -0,0 +1,206 @@
+// DefenseSystem.js - Planet defense: the regular waves besiege a home world that has to survive them
+// The home world has a hull and a recharging shield, upgrades buy it turrets and faster shield regen, and the run ends when it falls
+
+class DefenseSystem {
+    constructor(scene, eventBus, entityManager, gameState, entityFactory) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+        this.gameState = gameState;
+        this.entityFactory = entityFactory;
+        this.upgradeSystem = null; // Set by GameInitializer
+        this.clock = null; // Simulation clock set by GameInitializer
+
+        this.active = false;
+        this.homeWorldId = null;
+        this.turretCooldown = 0;    // ms until the next turret volley
+        this.fallen = false;
+    }
+
+    init(runConfig) {
+        if (!runConfig.defense) return;
+        this.active = true;
+
+        // Turrets and shield regen join the upgrade bar
+        this.upgradeSystem.planetUpgrades = true;
+        this.upgradeSystem.updateUpgradeCosts();
+
+        this.clock.registerTimer('defense.gameOver', () => {
+            this.eventBus.emit('GAME_OVER', { victory: false, homeWorldLost: true });
+        });
+
+        this.eventBus.on('HOME_WORLD_HIT', (data) => this.damageHomeWorld(data.damage));
+
+        this.eventBus.on('UPGRADE_SUCCESS', (data) => {
+            if (data.upgradeType === 'turrets') {
+                this.eventBus.emit('UI_NOTIFICATION', {
+                    message: `Turret ${data.level} is online`,
+                    type: 'success',
+                    icon: 'fa-crosshairs'
+                });
+            }
+        });
+    }
+
+    // The home world sits next to the player start so the first waves find both
+    start() {
+        const { HOME_WORLD, HOME_WORLD_OFFSET, HEALTH, SHIELD } = GameConstants.DEFENSE;
+        const x = GameConfig.world.width * 0.2 + HOME_WORLD_OFFSET;
+        const y = GameConfig.world.height * 0.5;
+
+        this.homeWorldId = this.entityFactory.createPlanet(x, y, HOME_WORLD);
+        this.entityManager.addComponent(this.homeWorldId, 'health', Components.health(HEALTH));
+        this.entityManager.addComponent(this.homeWorldId, 'homeWorld', Components.homeWorld(SHIELD));
+
+        // On the players' side, so their own shots fly past it
+        this.entityManager.addComponent(this.homeWorldId, 'faction', Components.faction('player'));
+
+        this.eventBus.emit('HOME_WORLD_CREATED', { id: this.homeWorldId });
+        this.eventBus.emit('UI_NOTIFICATION', {
+            message: 'Planet defense - keep the home world alive!',
+            type: 'info',
+            icon: 'fa-globe'
+        });
+    }
+
+    // The shield takes the hit first; whatever gets through wears down the hull
+    damageHomeWorld(damage) {
+        if (!this.active || this.fallen || this.gameState.get('game.gameOver')) return;
+
+        const homeWorld = this.entityManager.getComponent(this.homeWorldId, 'homeWorld');
+        const health = this.entityManager.getComponent(this.homeWorldId, 'health');
+        if (!homeWorld || !health) return;
+
+        const absorbed = Math.min(homeWorld.shield, damage);
+        homeWorld.shield -= absorbed;
+        homeWorld.rechargeDelay = GameConstants.DEFENSE.SHIELD_RECHARGE_DELAY;
+
+        const hullDamage = damage - absorbed;
+        if (hullDamage <= 0) return;
+
+        health.current = Math.max(0, health.current - hullDamage);
+        if (health.current <= 0) {
+            this.destroyHomeWorld();
+        }
+    }
+
+    destroyHomeWorld() {
+        this.fallen = true;
+        const transform = this.entityManager.getComponent(this.homeWorldId, 'transform');
+
+        this.eventBus.emit('HOME_WORLD_DESTROYED', {
+            planetId: this.homeWorldId,
+            position: transform ? { x: transform.x, y: transform.y } : null
+        });
+        this.eventBus.emit('UI_NOTIFICATION', {
+            message: 'The home world has fallen!',
+            type: 'error',
+            icon: 'fa-globe'
+        });
+        this.eventBus.emit('DESTROY_ENTITY', { entityId: this.homeWorldId });
+
+        // Same pause before the score screen as when the last ship goes down
+        this.gameState.update('game.gameOver', true);
+        this.clock.schedule(2000, 'defense.gameOver');
+    }
+
+    update(deltaTime) {
+        if (!this.active || this.fallen) return;
+
+        const homeWorld = this.entityManager.getComponent(this.homeWorldId, 'homeWorld');
+        if (!homeWorld) return;
+
+        // Shield recharge, paused for a moment after each hit
+        if (homeWorld.rechargeDelay > 0) {
+            homeWorld.rechargeDelay = Math.max(0, homeWorld.rechargeDelay - deltaTime * 1000);
+        } else if (homeWorld.shield < homeWorld.maxShield) {
+            homeWorld.shield = Math.min(homeWorld.maxShield, homeWorld.shield + this.getShieldRegen() * deltaTime);
+        }
+
+        this.turretCooldown -= deltaTime * 1000;
+        if (this.turretCooldown <= 0 && this.upgradeSystem.upgradeLevels.turrets > 0) {
+            this.turretCooldown = GameConstants.DEFENSE.TURRET_INTERVAL;
+            this.fireTurrets();
+        }
+    }
+
+    getShieldRegen() {
+        const { SHIELD_REGEN, SHIELD_REGEN_PER_LEVEL } = GameConstants.DEFENSE;
+        return SHIELD_REGEN + SHIELD_REGEN_PER_LEVEL * this.upgradeSystem.upgradeLevels.shieldRegen;
+    }
+
+    // Each turret takes the next nearest attacker in range, so a volley spreads over the closest threats
+    fireTurrets() {
+        const transform = this.entityManager.getComponent(this.homeWorldId, 'transform');
+        const physics = this.entityManager.getComponent(this.homeWorldId, 'physics');
+        if (!transform || !physics) return;
+
+        const { TURRET_RANGE, TURRET_DAMAGE, TURRET_SPEED, TURRET_SIZE } = GameConstants.DEFENSE;
+        const targets = [...this.entityManager.getEntitiesByType('enemy'), ...this.entityManager.getEntitiesByType('boss')]
+            .map(id => this.entityManager.getComponent(id, 'transform'))
+            .filter(target => target)
+            .map(target => ({ target, distance: Math.hypot(target.x - transform.x, target.y - transform.y) }))
+            .filter(({ distance }) => distance - physics.radius <= TURRET_RANGE)
+            .sort((a, b) => a.distance - b.distance);
+        if (targets.length === 0) return;
+
+        const turrets = this.upgradeSystem.upgradeLevels.turrets;
+        for (let i = 0; i < turrets; i++) {
+            const { target } = targets[i % targets.length];
+            const angle = Math.atan2(target.y - transform.y, target.x - transform.x);
+
+            // Fired from just above the surface so the shot clears its own planet
+            const muzzle = physics.radius + TURRET_SIZE * 4;
+            this.entityFactory.createProjectile(
+                this.homeWorldId,
+                transform.x + Math.cos(angle) * muzzle,
+                transform.y + Math.sin(angle) * muzzle,
+                angle,
+                TURRET_SPEED,
+                TURRET_DAMAGE,
+                TURRET_SIZE
+            );
+        }
+
+        this.eventBus.emit('AUDIO_PLAY', { sound: 'shoot' });
+    }
+
+    // Hull, shield and turret readout for the HUD bar
+    getUIState() {
+        if (!this.active) return null;
+
+        const health = this.entityManager.getComponent(this.homeWorldId, 'health');
+        const homeWorld = this.entityManager.getComponent(this.homeWorldId, 'homeWorld');
+
+        return {
+            health: health ? health.current : 0,
+            maxHealth: GameConstants.DEFENSE.HEALTH,
+            shield: homeWorld ? homeWorld.shield : 0,
+            maxShield: GameConstants.DEFENSE.SHIELD,
+            turrets: this.upgradeSystem.upgradeLevels.turrets,
+            shieldRegen: this.getShieldRegen(),
+            fallen: this.fallen
+        };
+    }
+
+    getSnapshot() {
+        return {
+            homeWorldId: this.homeWorldId,
+            turretCooldown: this.turretCooldown,
+            fallen: this.fallen
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.homeWorldId = snapshot.homeWorldId;
+        this.turretCooldown = snapshot.turretCooldown;
+        this.fallen = snapshot.fallen;
+
+        // Point the AI back at the restored planet
+        if (this.active && !this.fallen) {
+            this.eventBus.emit('HOME_WORLD_CREATED', { id: this.homeWorldId });
+        }
+    }
+}
+
+window.DefenseSystem = DefenseSystem;
@@ -6,7 +6,8 @@ class DisasterSystem {
         this.renderSystem = null;
         this.currentDisaster = null;
         this.disasterTimer = 0;
-        this.nextDisasterTime = GameConstants.DISASTERS.MIN_INTERVAL + Math.random() * (GameConstants.DISASTERS.MAX_INTERVAL - GameConstants.DISASTERS.MIN_INTERVAL);
+        this.nextDisasterTime = GameConstants.DISASTERS.MAX_INTERVAL;
+        this.rng = null;
         this.disasters = [
             'meteorShower',
             'blackHole', 
@@ -19,13 +20,21 @@ class DisasterSystem {
         ];
         this.warningTime = 3000; // 3 second warning
         this.warningActive = false;
+        this.autoSchedule = true; // Off when a director picks the moments instead (endless mode)
+        this.fixedInterval = null; // Set by run mutators to strike on a steady beat instead of a random one
         
         // Disaster-specific entities
         this.disasterEntities = [];
+        
+        // Meteor id -> { body, glow } circles drawn over the simulated meteors
+        this.meteorVisuals = new Map();
     }
     
     init() {
         //console.log('[DisasterSystem] Initializing...');
+        // Roll first disaster time from the seeded stream
+        this.nextDisasterTime = this.fixedInterval || this.rng.range(GameConstants.DISASTERS.MIN_INTERVAL, GameConstants.DISASTERS.MAX_INTERVAL);
+        
         // Get references to other systems
         this.entityManager = this.scene.gameInitializer?.entityManager;
         this.renderSystem = this.scene.gameInitializer?.renderSystem;
@@ -55,7 +64,7 @@ class DisasterSystem {
         //}
         
         // Check if it's time for a new disaster
-        if (!this.currentDisaster && this.disasterTimer >= this.nextDisasterTime) {
+        if (this.autoSchedule && !this.currentDisaster && this.disasterTimer >= this.nextDisasterTime) {
             //console.log('[DisasterSystem] Starting random disaster!');
             //console.log('[DisasterSystem] Timer:', this.disasterTimer, 'NextTime:', this.nextDisasterTime);
             this.startRandomDisaster();
@@ -72,7 +81,7 @@ class DisasterSystem {
         }
         
         // Show warning when disaster is approaching
-        if (!this.warningActive && !this.currentDisaster && 
+        if (this.autoSchedule && !this.warningActive && !this.currentDisaster && 
             this.disasterTimer >= this.nextDisasterTime - this.warningTime) {
             this.showWarning();
             this.warningActive = true;
@@ -80,7 +89,7 @@ class DisasterSystem {
     }
     
     startRandomDisaster() {
-        const disasterType = this.disasters[Math.floor(Math.random() * this.disasters.length)];
+        const disasterType = this.rng.pick(this.disasters);
         //console.log('[DisasterSystem] Selected disaster type:', disasterType);
         this.startDisaster(disasterType);
     }
@@ -208,11 +217,9 @@ class DisasterSystem {
         }
         
         // Clean up all disaster entities
+        this.drawMeteors([]);
         this.disasterEntities.forEach(entity => {
-            if (entity.type === 'meteor') {
-                if (entity.meteor && entity.meteor.active) entity.meteor.destroy();
-                if (entity.glow && entity.glow.active) entity.glow.destroy();
-            } else if (entity.type === 'blackHole') {
+            if (entity.type === 'blackHole') {
                 if (entity.blackHole && entity.blackHole.active) entity.blackHole.destroy();
                 if (entity.rings) {
                     entity.rings.forEach(ring => {
@@ -239,7 +246,7 @@ class DisasterSystem {
         // Reset for next disaster
         this.currentDisaster = null;
         this.disasterTimer = 0;
-        this.nextDisasterTime = 120000 + Math.random() * 60000; // 2-3 minutes (normal)
+        this.nextDisasterTime = this.fixedInterval || this.rng.range(120000, 180000); // 2-3 minutes (normal)
         this.warningActive = false;
     }
     
@@ -264,87 +271,115 @@ class DisasterSystem {
             this.spawnMeteor();
             this.currentDisaster.data.nextMeteor = this.currentDisaster.data.meteorInterval;
         }
+        
+        this.updateMeteors(delta);
     }
     
+    // Meteors are plain records in the disaster data so they fly on the fixed step and save with it;
+    // their circles only follow along
     spawnMeteor() {
-        this.currentDisaster.data.meteorCount++;
-        //console.log('[DisasterSystem] Spawning meteor #', this.currentDisaster.data.meteorCount);
+        const data = this.currentDisaster.data;
+        data.meteorCount++;
+        //console.log('[DisasterSystem] Spawning meteor #', data.meteorCount);
         
-        const startX = Math.random() * this.scene.sys.game.config.width;
+        const startX = this.rng.range(0, this.scene.sys.game.config.width);
         const startY = -50;
-        const targetX = startX + (Math.random() - 0.5) * 400;
+        const targetX = startX + this.rng.spread(400);
         const targetY = this.scene.sys.game.config.height + 50;
         
-        const angle = Math.atan2(targetY - startY, targetX - startX);
-        const speed = 3 + Math.random() * 2; // Reduced speed for visibility
-        
-        const scale = 2 + Math.random(); // Larger scale
-        
-        // Create visual meteor using simple graphics
-        const meteor = this.scene.add.circle(startX, startY, 15 * scale, 0xff6600);
-        meteor.setDepth(30);
-        
-        // Add glow effect
-        const glow = this.scene.add.circle(startX, startY, 20 * scale, 0xff6600, 0.3);
-        glow.setDepth(29);
-        
-        // Store for cleanup
-        this.disasterEntities.push({ meteor, glow, type: 'meteor' });
-        
-        // Simple movement
-        this.scene.tweens.add({
-            targets: [meteor, glow],
-            x: targetX,
-            y: targetY,
-            duration: 3000,
-            onComplete: () => {
-                meteor.destroy();
-                glow.destroy();
-            }
+        // Still rolled so the disaster stream stays where it was; meteors cross the screen in a fixed time
+        this.rng.range(3, 5);
+        const flightTime = 3000;
+        
+        const scale = this.rng.range(2, 3); // Larger scale
+        
+        data.meteors = data.meteors || [];
+        data.meteors.push({
+            id: data.meteorCount,
+            x: startX,
+            y: startY,
+            vx: (targetX - startX) / flightTime,
+            vy: (targetY - startY) / flightTime,
+            life: flightTime,
+            scale: scale
         });
-        
-        // Check collision with player manually
-        const checkCollision = () => {
-            if (!meteor.active) return;
+    }
+    
+    // Move every meteor one step and check it against the player ships
+    updateMeteors(delta) {
+        const data = this.currentDisaster.data;
+        const playerIds = this.entityManager.getEntitiesByType('player');
+        
+        data.meteors = (data.meteors || []).filter(meteor => {
+            meteor.x += meteor.vx * delta;
+            meteor.y += meteor.vy * delta;
+            meteor.life -= delta;
+            if (meteor.life <= 0) return false;
             
-            const playerSprite = this.scene.sprites.get(this.scene.player);
-            if (playerSprite) {
-                const dx = meteor.x - playerSprite.x;
-                const dy = meteor.y - playerSprite.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
+            // One impact per meteor - the area damage reaches anyone else nearby
+            const hitPlayer = playerIds.some(playerId => {
+                const transform = this.entityManager.getComponent(playerId, 'transform');
+                if (!transform) return false;
                 
-                if (distance < 30 * scale) {
-                    // Use area damage for meteor impact
-                    this.eventBus.emit('AREA_DAMAGE', {
-                        x: meteor.x,
-                        y: meteor.y,
-                        radius: 60 * scale,
-                        damage: GameConstants.DISASTERS.METEOR_SHOWER.DAMAGE,
-                        sourceId: null,
-                        options: {
-                            falloff: true,
-                            knockback: 200,
-                            damageType: 'meteor'
-                        }
-                    });
-                    
-                    // Create explosion effect
-                    this.createExplosionEffect(meteor.x, meteor.y, 0xff6600, scale);
-                    
-                    // Destroy meteor
-                    meteor.destroy();
-                    glow.destroy();
-                    return;
-                }
+                const dx = meteor.x - transform.x;
+                const dy = meteor.y - transform.y;
+                return Math.sqrt(dx * dx + dy * dy) < 30 * meteor.scale;
+            });
+            
+            if (hitPlayer) {
+                // Use area damage for meteor impact
+                this.eventBus.emit('AREA_DAMAGE', {
+                    x: meteor.x,
+                    y: meteor.y,
+                    radius: 60 * meteor.scale,
+                    damage: GameConstants.DISASTERS.METEOR_SHOWER.DAMAGE,
+                    sourceId: null,
+                    options: {
+                        falloff: true,
+                        knockback: 200,
+                        damageType: 'meteor'
+                    }
+                });
+                
+                // Create explosion effect
+                this.createExplosionEffect(meteor.x, meteor.y, 0xff6600, meteor.scale);
+                return false;
             }
+            return true;
+        });
+        
+        this.drawMeteors(data.meteors);
+    }
+    
+    // Visuals only: a circle and glow per live meteor, made on demand so restored meteors get theirs too
+    drawMeteors(meteors) {
+        const live = new Set();
+        meteors.forEach(meteor => {
+            live.add(meteor.id);
             
-            // Continue checking
-            if (meteor.active) {
-                this.scene.time.delayedCall(50, checkCollision);
+            let visual = this.meteorVisuals.get(meteor.id);
+            if (!visual) {
+                const body = this.scene.add.circle(meteor.x, meteor.y, 15 * meteor.scale, 0xff6600);
+                body.setDepth(30);
+                
+                // Add glow effect
+                const glow = this.scene.add.circle(meteor.x, meteor.y, 20 * meteor.scale, 0xff6600, 0.3);
+                glow.setDepth(29);
+                
+                visual = { body, glow };
+                this.meteorVisuals.set(meteor.id, visual);
             }
-        };
+            visual.body.setPosition(meteor.x, meteor.y);
+            visual.glow.setPosition(meteor.x, meteor.y);
+        });
         
-        checkCollision();
+        this.meteorVisuals.forEach((visual, id) => {
+            if (!live.has(id)) {
+                visual.body.destroy();
+                visual.glow.destroy();
+                this.meteorVisuals.delete(id);
+            }
+        });
     }
     
     // Black Hole - pulls everything toward center
@@ -352,6 +387,17 @@ class DisasterSystem {
         const centerX = this.scene.sys.game.config.width / 2;
         const centerY = this.scene.sys.game.config.height / 2;
         
+        this.createBlackHoleVisuals(centerX, centerY);
+        
+        // Store for effects
+        this.currentDisaster.data.centerX = centerX;
+        this.currentDisaster.data.centerY = centerY;
+        this.currentDisaster.data.force = 200;
+        this.currentDisaster.data.damageRadius = 80;
+        this.currentDisaster.data.damage = 10;
+    }
+    
+    createBlackHoleVisuals(centerX, centerY) {
         // Create visual black hole using graphics
         const blackHole = this.scene.add.circle(centerX, centerY, 50, 0x000000);
         blackHole.setDepth(5);
@@ -383,14 +429,9 @@ class DisasterSystem {
             repeat: -1
         });
         
-        // Store for cleanup and effects
+        // Store for cleanup
         this.currentDisaster.data.blackHole = blackHole;
         this.currentDisaster.data.rings = rings;
-        this.currentDisaster.data.centerX = centerX;
-        this.currentDisaster.data.centerY = centerY;
-        this.currentDisaster.data.force = 200;
-        this.currentDisaster.data.damageRadius = 80;
-        this.currentDisaster.data.damage = 10;
         
         this.disasterEntities.push({ blackHole, rings, type: 'blackHole' });
     }
@@ -404,9 +445,11 @@ class DisasterSystem {
         const damageRadius = this.currentDisaster.data.damageRadius;
         const damage = this.currentDisaster.data.damage;
         
-        // Apply pull to player
-        const playerSprite = this.scene.sprites.get(this.scene.player);
-        if (playerSprite && playerSprite.body) {
+        // Apply pull to players
+        this.entityManager.getEntitiesByType('player').forEach(playerId => {
+            const playerSprite = this.scene.sprites.get(playerId);
+            if (!playerSprite || !playerSprite.body) return;
+            
             const dx = centerX - playerSprite.x;
             const dy = centerY - playerSprite.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
@@ -426,16 +469,13 @@ class DisasterSystem {
             // Apply damage if too close
             if (distance < damageRadius) {
                 const damageAmount = GameConstants.DISASTERS.BLACK_HOLE.DAMAGE * (delta / 1000) * (1 - distance / damageRadius);
-                const playerId = this.entityManager.getEntitiesByType('player')[0];
-                if (playerId) {
-                    this.eventBus.emit('DAMAGE_ENTITY', { 
-                        entityId: playerId, 
-                        damage: damageAmount, 
-                        sourceId: null 
-                    });
-                }
+                this.eventBus.emit('DAMAGE_ENTITY', { 
+                    entityId: playerId, 
+                    damage: damageAmount, 
+                    sourceId: null 
+                });
             }
-        }
+        });
         
         // Apply pull to enemies
         this.scene.enemyGroup.children.entries.forEach(enemy => {
@@ -518,18 +558,18 @@ class DisasterSystem {
             onComplete: () => wave.destroy()
         });
         
-        // Damage player
-        const playerHealth = this.scene.gameInitializer?.gameState?.get('player.health');
-        if (playerHealth) {
-            const playerId = this.entityManager.getEntitiesByType('player')[0];
-            if (playerId) {
-                this.eventBus.emit('DAMAGE_ENTITY', { 
-                    entityId: playerId, 
-                    damage: GameConstants.DISASTERS.SOLAR_FLARE.WAVE_DAMAGE, 
-                    sourceId: null 
-                });
-            }
-        }
+        // Damage players
+        const gameState = this.scene.gameInitializer?.gameState;
+        this.entityManager.getEntitiesByType('player').forEach(playerId => {
+            const index = gameState ? gameState.getPlayerIndex(playerId) : -1;
+            if (index === -1 || !gameState.get(`${gameState.playerKey(index)}.health`)) return;
+            
+            this.eventBus.emit('DAMAGE_ENTITY', { 
+                entityId: playerId, 
+                damage: GameConstants.DISASTERS.SOLAR_FLARE.WAVE_DAMAGE, 
+                sourceId: null 
+            });
+        });
         
         // Damage enemies
         this.scene.enemyGroup.children.entries.forEach(enemy => {
@@ -566,8 +606,8 @@ class DisasterSystem {
         if (this.currentDisaster.data.lastChange >= this.currentDisaster.data.changeInterval) {
             // Apply random velocity changes to simulate gravity shifts
             const entities = this.entityManager.query('position', 'velocity');
-            const angle = Math.random() * Math.PI * 2;
-            const strength = 20 + Math.random() * 30;
+            const angle = this.rng.angle();
+            const strength = this.rng.range(20, 50);
             
             entities.forEach(entityId => {
                 const vel = this.entityManager.getComponent(entityId, 'velocity');
@@ -590,7 +630,7 @@ class DisasterSystem {
     
     // Asteroid Field - multiple slow-moving obstacles
     startAsteroidField() {
-        const asteroidCount = 15 + Math.floor(Math.random() * 10);
+        const asteroidCount = this.rng.int(15, 24);
         
         for (let i = 0; i < asteroidCount; i++) {
             this.spawnAsteroid();
@@ -606,40 +646,40 @@ class DisasterSystem {
         this.disasterEntities.push(asteroidId);
         
         // Spawn from edges
-        const side = Math.floor(Math.random() * 4);
+        const side = this.rng.int(0, 3);
         let x, y, vx, vy;
         
         switch(side) {
             case 0: // Top
-                x = Math.random() * this.scene.sys.game.config.width;
+                x = this.rng.range(0, this.scene.sys.game.config.width);
                 y = -50;
-                vx = (Math.random() - 0.5) * 50;
-                vy = 20 + Math.random() * 30;
+                vx = this.rng.spread(50);
+                vy = this.rng.range(20, 50);
                 break;
             case 1: // Right
                 x = this.scene.sys.game.config.width + 50;
-                y = Math.random() * this.scene.sys.game.config.height;
-                vx = -(20 + Math.random() * 30);
-                vy = (Math.random() - 0.5) * 50;
+                y = this.rng.range(0, this.scene.sys.game.config.height);
+                vx = -this.rng.range(20, 50);
+                vy = this.rng.spread(50);
                 break;
             case 2: // Bottom
-                x = Math.random() * this.scene.sys.game.config.width;
+                x = this.rng.range(0, this.scene.sys.game.config.width);
                 y = this.scene.sys.game.config.height + 50;
-                vx = (Math.random() - 0.5) * 50;
-                vy = -(20 + Math.random() * 30);
+                vx = this.rng.spread(50);
+                vy = -this.rng.range(20, 50);
                 break;
             case 3: // Left
                 x = -50;
-                y = Math.random() * this.scene.sys.game.config.height;
-                vx = 20 + Math.random() * 30;
-                vy = (Math.random() - 0.5) * 50;
+                y = this.rng.range(0, this.scene.sys.game.config.height);
+                vx = this.rng.range(20, 50);
+                vy = this.rng.spread(50);
                 break;
         }
         
         this.entityManager.addComponent(asteroidId, 'position', { x, y });
         this.entityManager.addComponent(asteroidId, 'velocity', { x: vx, y: vy });
         
-        const size = 1 + Math.random() * 2;
+        const size = this.rng.range(1, 3);
         this.entityManager.addComponent(asteroidId, 'sprite', {
             texture: 'enemy',
             tint: 0x8b7355,
@@ -659,7 +699,7 @@ class DisasterSystem {
         
         this.entityManager.addComponent(asteroidId, 'rotation', {
             angle: 0,
-            speed: (Math.random() - 0.5) * 2
+            speed: this.rng.spread(2)
         });
     }
     
@@ -694,6 +734,7 @@ class DisasterSystem {
         
         if (this.currentDisaster.data.lightningTimer >= this.currentDisaster.data.lightningInterval) {
             // Create lightning effect
+            // Cosmetic only - keep off the seeded stream
             const x1 = Math.random() * this.scene.sys.game.config.width;
             const y1 = 0;
             const x2 = x1 + (Math.random() - 0.5) * 200;
@@ -730,13 +771,13 @@ class DisasterSystem {
         this.disasterEntities.push(tornadoId);
         
         this.entityManager.addComponent(tornadoId, 'position', {
-            x: Math.random() * this.scene.sys.game.config.width,
-            y: Math.random() * this.scene.sys.game.config.height
+            x: this.rng.range(0, this.scene.sys.game.config.width),
+            y: this.rng.range(0, this.scene.sys.game.config.height)
         });
         
         this.entityManager.addComponent(tornadoId, 'velocity', {
-            x: (Math.random() - 0.5) * 100,
-            y: (Math.random() - 0.5) * 100
+            x: this.rng.spread(100),
+            y: this.rng.spread(100)
         });
         
         this.entityManager.addComponent(tornadoId, 'tornado', {
@@ -853,10 +894,10 @@ class DisasterSystem {
         this.disasterEntities.push(riftId);
         this.currentDisaster.data.rifts.push(riftId);
         
-        const x1 = Math.random() * this.scene.sys.game.config.width;
-        const y1 = Math.random() * this.scene.sys.game.config.height;
-        const angle = Math.random() * Math.PI * 2;
-        const length = 100 + Math.random() * 200;
+        const x1 = this.rng.range(0, this.scene.sys.game.config.width);
+        const y1 = this.rng.range(0, this.scene.sys.game.config.height);
+        const angle = this.rng.angle();
+        const length = this.rng.range(100, 300);
         
         const x2 = x1 + Math.cos(angle) * length;
         const y2 = y1 + Math.sin(angle) * length;
@@ -914,6 +955,68 @@ class DisasterSystem {
         return Math.sqrt(dx * dx + dy * dy);
     }
     
+    // Timers and disaster data, meteors included; pure visuals aren't kept
+    getSnapshot() {
+        let currentDisaster = null;
+        
+        if (this.currentDisaster) {
+            // Drop game objects (black hole sprites, rings) and keep numbers, flags, id lists and flat records (meteors)
+            const isPlain = (value) => value === null || typeof value !== 'object';
+            const isRecord = (value) => !!value && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(isPlain);
+            const data = {};
+            Object.entries(this.currentDisaster.data).forEach(([key, value]) => {
+                if (isPlain(value) || (Array.isArray(value) && value.every(item => isPlain(item) || isRecord(item)))) {
+                    // Copies, since meteors keep moving after the capture
+                    data[key] = Array.isArray(value) ? value.map(item => isRecord(item) ? { ...item } : item) : value;
+                }
+            });
+            
+            currentDisaster = {
+                type: this.currentDisaster.type,
+                timer: this.currentDisaster.timer,
+                duration: this.currentDisaster.duration,
+                data: data
+            };
+        }
+        
+        return {
+            currentDisaster: currentDisaster,
+            disasterTimer: this.disasterTimer,
+            nextDisasterTime: this.nextDisasterTime,
+            warningActive: this.warningActive,
+            // Entity ids only - their components are saved with the other entities
+            disasterEntities: this.disasterEntities.filter(entity => typeof entity === 'number')
+        };
+    }
+    
+    restoreSnapshot(snapshot) {
+        this.currentDisaster = snapshot.currentDisaster;
+        this.disasterTimer = snapshot.disasterTimer;
+        this.nextDisasterTime = snapshot.nextDisasterTime;
+        this.warningActive = snapshot.warningActive;
+        this.disasterEntities = snapshot.disasterEntities;
+        
+        // Circles of meteors from before the restore; the restored ones get theirs on the next step
+        this.drawMeteors([]);
+        
+        if (!this.currentDisaster) return;
+        
+        const { type, data, duration, timer } = this.currentDisaster;
+        
+        this.eventBus.emit('disasterStart', {
+            type: type,
+            name: this.getDisasterName(type),
+            duration: duration - timer
+        });
+        
+        // Bring back lasting visuals and effects
+        if (type === 'blackHole') {
+            this.createBlackHoleVisuals(data.centerX, data.centerY);
+        } else if (type === 'ionStorm') {
+            this.eventBus.emit('disableAbilities', true);
+        }
+    }
+    
     showWarning() {
         //console.log('[DisasterSystem] Showing disaster warning');
         if (this.eventBus) {
@@ -0,0 +1,259 @@
+// EndlessSystem.js - Endless survival mode and its director
+// Enemies trickle in without waves or shop breaks, and the pace, enemy mix, bosses and disasters follow time survived
+
+// Best endless runs kept between sessions
+const EndlessRecords = {
+    KEY: 'gravityWars_endless',
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.KEY)) || { bestTime: 0, bestScore: 0 };
+        } catch (e) {
+            return { bestTime: 0, bestScore: 0 };
+        }
+    },
+
+    // Returns true when the run set a new best time
+    record(time, score) {
+        const records = this.load();
+        const newBest = time > records.bestTime;
+        records.bestTime = Math.max(records.bestTime, time);
+        records.bestScore = Math.max(records.bestScore, score);
+
+        try {
+            localStorage.setItem(this.KEY, JSON.stringify(records));
+        } catch (e) {
+            console.error('[EndlessRecords] Failed to save records:', e);
+        }
+        return newBest;
+    }
+};
+
+class EndlessSystem {
+    constructor(scene, eventBus, entityManager, gameState, entityFactory) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+        this.gameState = gameState;
+        this.entityFactory = entityFactory;
+        this.disasterSystem = null; // Set by GameInitializer
+        this.abilityShopSystem = null; // Set by GameInitializer
+        this.rng = null; // Seeded stream set by GameInitializer
+
+        this.active = false;
+        this.running = false;
+        this.elapsed = 0;
+        this.spawnTimer = 0;
+        this.bossTimer = 0;
+        this.disasterTimer = 0;
+        this.disasterWarned = false;
+        this.records = null;
+        this.newBest = false;
+    }
+
+    init(runConfig) {
+        if (!runConfig.endless) return;
+        this.active = true;
+        this.recordRuns = !runConfig.replay;
+        this.records = EndlessRecords.load();
+
+        // The director decides when disasters strike
+        this.disasterSystem.autoSchedule = false;
+
+        // No shop breaks here, so each boss pays out with a free ability instead
+        this.eventBus.on('BOSS_DEFEATED', () => {
+            if (this.running) this.grantRandomAbility();
+        });
+
+        this.eventBus.on('GAME_OVER', () => {
+            if (!this.running) return;
+            this.running = false;
+            if (this.recordRuns) {
+                this.newBest = EndlessRecords.record(this.elapsed, this.gameState.get('game.score'));
+            }
+        });
+    }
+
+    start() {
+        this.running = true;
+        this.spawnTimer = GameConstants.ENDLESS.SPAWN_INTERVAL - GameConstants.ENDLESS.FIRST_SPAWN_DELAY;
+
+        this.eventBus.emit('UI_NOTIFICATION', {
+            message: 'Survive as long as you can!',
+            type: 'info',
+            icon: 'fa-infinity'
+        });
+    }
+
+    update(deltaTime) {
+        // The clock stops the moment the last ship goes down, before GAME_OVER follows
+        if (!this.running || this.gameState.get('game.gameOver')) return;
+
+        const dt = deltaTime * 1000;
+        this.elapsed += dt;
+
+        this.updateSpawning(dt);
+        this.updateBoss(dt);
+        this.updateDisasters(dt);
+    }
+
+    // Whole minutes survived drive everything; the HUD shows it as the threat level
+    getMinutes() {
+        return this.elapsed / 60000;
+    }
+
+    getThreatLevel() {
+        return Math.floor(this.getMinutes()) + 1;
+    }
+
+    updateSpawning(dt) {
+        const config = GameConstants.ENDLESS;
+        const minutes = this.getMinutes();
+
+        this.spawnTimer += dt;
+        const interval = Math.max(config.MIN_SPAWN_INTERVAL, config.SPAWN_INTERVAL / (1 + minutes * config.RAMP_PER_MINUTE));
+        if (this.spawnTimer < interval) return;
+        this.spawnTimer = 0;
+
+        const maxEnemies = Math.min(config.MAX_ENEMIES_CAP, config.MAX_ENEMIES + Math.floor(minutes * config.MAX_ENEMIES_PER_MINUTE));
+        const alive = this.entityManager.getEntitiesByType('enemy').length;
+        if (alive >= maxEnemies) return;
+
+        const faction = this.pickFaction();
+        const count = faction === 'swarm' ? Math.min(config.SWARM_GROUP, maxEnemies - alive) : 1;
+        const position = this.getEdgePosition();
+        for (let i = 0; i < count; i++) {
+            this.spawnEnemy(faction, { x: position.x + i * 60, y: position.y + i * 60 });
+        }
+    }
+
+    // Weighted pick among the factions unlocked so far
+    pickFaction() {
+        const { FACTION_UNLOCKS, FACTION_WEIGHTS } = GameConstants.ENDLESS;
+        const unlocked = Object.keys(FACTION_UNLOCKS).filter(faction => this.elapsed >= FACTION_UNLOCKS[faction]);
+        const total = unlocked.reduce((sum, faction) => sum + FACTION_WEIGHTS[faction], 0);
+
+        let roll = this.rng.range(0, total);
+        for (const faction of unlocked) {
+            roll -= FACTION_WEIGHTS[faction];
+            if (roll < 0) return faction;
+        }
+        return unlocked[unlocked.length - 1];
+    }
+
+    spawnEnemy(faction, position) {
+        const { centerX, centerY } = GameConfig.world;
+        const angle = Math.atan2(centerY - position.y, centerX - position.x);
+        const velocity = { x: Math.cos(angle) * 5, y: Math.sin(angle) * 5 };
+        const strength = 1 + this.getMinutes() * GameConstants.ENDLESS.STRENGTH_PER_MINUTE;
+
+        const enemyId = this.entityFactory.createEnemy(faction, position.x, position.y, velocity, strength);
+
+        this.eventBus.emit('ENEMY_SPAWNED', {
+            id: enemyId,
+            type: faction,
+            faction: faction,
+            position: position,
+            wave: 0
+        });
+    }
+
+    updateBoss(dt) {
+        if (this.gameState.get('boss.active')) return;
+
+        this.bossTimer += dt;
+        if (this.bossTimer < GameConstants.ENDLESS.BOSS_INTERVAL) return;
+        this.bossTimer = 0;
+
+        // BossSystem scales each boss by how many came before it
+        this.eventBus.emit('START_BOSS_PHASE', { waveNumber: this.getThreatLevel() });
+    }
+
+    updateDisasters(dt) {
+        if (this.disasterSystem.currentDisaster) return;
+
+        const config = GameConstants.ENDLESS;
+        const interval = Math.max(
+            config.MIN_DISASTER_INTERVAL,
+            config.DISASTER_INTERVAL - Math.floor(this.getMinutes()) * config.DISASTER_INTERVAL_PER_MINUTE
+        );
+
+        this.disasterTimer += dt;
+        if (!this.disasterWarned && this.disasterTimer >= interval - this.disasterSystem.warningTime) {
+            this.disasterSystem.showWarning();
+            this.disasterWarned = true;
+        }
+        if (this.disasterTimer >= interval) {
+            this.disasterTimer = 0;
+            this.disasterWarned = false;
+            this.disasterSystem.startRandomDisaster();
+        }
+    }
+
+    grantRandomAbility() {
+        const owned = new Set(this.abilityShopSystem.getSlots(0)
+            .filter(Boolean)
+            .map(ability => ability.id));
+        const choices = this.abilityShopSystem.getOfferableAbilityIds()
+            .filter(id => !owned.has(id));
+        if (choices.length === 0) return;
+
+        const abilityId = this.rng.pick(choices);
+        for (let player = 0; player < this.gameState.getPlayerCount(); player++) {
+            this.eventBus.emit('GRANT_ABILITY', { abilityId, player });
+        }
+    }
+
+    getEdgePosition() {
+        const edge = this.rng.int(0, 3);
+        const margin = 200;
+        const width = GameConstants.WORLD.WIDTH;
+        const height = GameConstants.WORLD.HEIGHT;
+
+        switch (edge) {
+            case 0: // Top
+                return { x: this.rng.range(0, width), y: margin };
+            case 1: // Right
+                return { x: width - margin, y: this.rng.range(0, height) };
+            case 2: // Bottom
+                return { x: this.rng.range(0, width), y: height - margin };
+            case 3: // Left
+                return { x: margin, y: this.rng.range(0, height) };
+        }
+    }
+
+    // Survival clock and threat level for the HUD and the score screen
+    getUIState() {
+        if (!this.active) return null;
+
+        return {
+            timeSurvived: Math.floor(this.elapsed / 1000),
+            threat: this.getThreatLevel(),
+            bestTime: Math.floor(Math.max(this.records.bestTime, this.elapsed) / 1000),
+            newBest: this.newBest
+        };
+    }
+
+    getSnapshot() {
+        return {
+            running: this.running,
+            elapsed: this.elapsed,
+            spawnTimer: this.spawnTimer,
+            bossTimer: this.bossTimer,
+            disasterTimer: this.disasterTimer,
+            disasterWarned: this.disasterWarned
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.running = snapshot.running;
+        this.elapsed = snapshot.elapsed;
+        this.spawnTimer = snapshot.spawnTimer;
+        this.bossTimer = snapshot.bossTimer;
+        this.disasterTimer = snapshot.disasterTimer;
+        this.disasterWarned = snapshot.disasterWarned;
+    }
+}
+
+window.EndlessRecords = EndlessRecords;
+window.EndlessSystem = EndlessSystem;
@@ -6,35 +6,46 @@ class EntityFactory {
         this.entityManager = entityManager;
         this.eventBus = eventBus;
         this.scene = null;
+        this.rng = null; // Seeded stream set by GameInitializer
+        this.factionModifiers = {}; // Stat multipliers per faction (or 'all') from run mutators
     }
     
     setScene(scene) {
         this.scene = scene;
     }
     
-    createPlayer(x, y) {
+    createPlayer(x, y, index = 0, shipClass = 'striker') {
+        const color = GameConstants.COOP.PLAYER_COLORS[index];
+        
+        // Unknown classes (and saves from before ship classes) fly the Striker
+        if (!GameConstants.SHIPS[shipClass]) shipClass = 'striker';
+        const ship = GameConstants.SHIPS[shipClass];
+        
+        // The hull's stats and passive come from its class
+        const weapon = Components.weapon('basic', ship.weapon.damage, ship.weapon.fireRate);
+        weapon.maxChargeTime = ship.weapon.maxChargeTime;
+        weapon.projectileSpeed = ship.weapon.projectileSpeed;
+        weapon.barrels = ship.weapon.barrels;
+        
+        const health = Components.health(ship.health, ship.health);
+        health.armor = ship.armor || 0;
+        
         // Initialize player with full component set
         const playerId = this.entityManager.createEntity('player', {
             transform: { x: x, y: y, rotation: 0, scale: 1, prevX: x, prevY: y },
-            physics: { velocity: { x: 5, y: 0 }, acceleration: { x: 0, y: 0 }, mass: 15, radius: 40, damping: 0.999, maxSpeed: 15, elasticity: 0.8 },
-            health: Components.health(
-				GameConfig.player.initialHealth,
-				GameConfig.player.initialHealth
-			),
-            weapon: Components.weapon(
-                'basic',
-                GameConfig.player.baseDamage,
-                300
-            ),
+            physics: { velocity: { x: 5, y: 0 }, acceleration: { x: 0, y: 0 }, mass: ship.mass, radius: 40, damping: 0.999, maxSpeed: ship.maxSpeed, elasticity: 0.8, thrust: ship.thrust, gravityScale: ship.gravityScale || 1 },
+            health: health,
+            weapon: weapon,
             sprite: Components.sprite('player'),
-            trail: Components.trail(20, 0x00ffff, 3),
-            faction: Components.faction('player', 0x00ffff, [])
+            trail: Components.trail(20, color, 3),
+            faction: Components.faction('player', color, []),
+            pilot: Components.pilot(index, shipClass)
         });
         
         // Configure physics body
         const sprite = this.scene.matter.add.sprite(x, y, 'player');
-        sprite.setCircle(18); // Circular hitbox for 48px texture
-        sprite.setMass(15);
+        sprite.setCircle(ship.hitbox); // Circular hitbox for the hull's texture
+        sprite.setMass(ship.mass);
         sprite.setFriction(0);
         sprite.setFrictionAir(0);
         sprite.setBounce(0.8);
@@ -47,19 +58,21 @@ class EntityFactory {
         
         // Assign texture through RenderSystem
         if (this.scene.renderSystem) {
-            this.scene.renderSystem.assignEntityTexture(playerId, 'player');
+            // Co-op partners keep their own colour; player 1's class picks the hull
+            this.scene.renderSystem.assignEntityTexture(playerId, 'player', index > 0 ? 'partner' : shipClass);
         }
         
         // Initialize visual trail effect
         this.eventBus.emit('CREATE_TRAIL', {
             entityId: playerId,
-            trailConfig: { points: [], maxLength: 20, color: 0x00ffff, width: 3, alpha: 0.5, fadeRate: 0.05 }
+            trailConfig: { points: [], maxLength: 20, color: color, width: 3, alpha: 0.5, fadeRate: 0.05 }
         });
         
         // Emit entity created event
         this.eventBus.emit('ENTITY_CREATED', {
             id: playerId,
-            type: 'player'
+            type: 'player',
+            index: index
         });
         
         return playerId;
@@ -75,9 +88,10 @@ class EntityFactory {
         
         //console.log('[EntityFactory] Faction config:', factionConfig);
         
-        // Scale enemy stats by wave difficulty
-        const enhancedHealth = Math.floor(factionConfig.health * strengthMultiplier);
-        const enhancedDamage = Math.floor(factionConfig.damage * strengthMultiplier);
+        // Scale enemy stats by wave difficulty and any run mutators
+        const modifiers = { ...this.factionModifiers.all, ...this.factionModifiers[faction] };
+        const enhancedHealth = Math.floor(factionConfig.health * strengthMultiplier * (modifiers.health || 1));
+        const enhancedDamage = Math.floor(factionConfig.damage * strengthMultiplier * (modifiers.damage || 1));
         
         //console.log(`[EntityFactory] Creating ${faction} with health: ${enhancedHealth}, damage: ${enhancedDamage}`);
         
@@ -171,7 +185,7 @@ class EntityFactory {
             profile.type = profileTypeOrSize;
         } else {
             // Random planet profile
-            profile = getRandomPlanetProfile();
+            profile = getRandomPlanetProfile(this.rng);
             // Find the type key for this profile
             const type = Object.entries(PLANET_PROFILES).find(([key, p]) => p === profile)?.[0] || 'earth';
             profile.texture = `planet-${type}`;
@@ -218,7 +232,7 @@ class EntityFactory {
         if (!centralPlanetType) {
             // Pick a random large planet for the center
             const largeTypes = ['jupiter', 'saturn', 'neptune'];
-            centralPlanetType = largeTypes[Math.floor(Math.random() * largeTypes.length)];
+            centralPlanetType = this.rng.pick(largeTypes);
         }
         
         const centralId = this.createPlanet(centerX, centerY, centralPlanetType);
@@ -239,7 +253,7 @@ class EntityFactory {
             const y = centerY + Math.sin(angle) * orbitRadius;
             
             // Pick a random orbiting type
-            const orbitType = orbitingTypes[Math.floor(Math.random() * orbitingTypes.length)];
+            const orbitType = this.rng.pick(orbitingTypes);
             const planetId = this.createPlanet(x, y, orbitType);
             const physics = this.entityManager.getComponent(planetId, 'physics');
             
@@ -295,35 +309,121 @@ class EntityFactory {
         return powerupId;
     }
     
-    createProjectile(ownerId, x, y, angle, speed, damage, size, isCharged = false) {
+    createDrone(planetId, owner, x, y, angle = 0) {
+        const { DRONE_HEALTH } = GameConstants.CAPTURE;
+        const texture = owner === 'player' ? 'drone' : `enemy-${owner}`;
+        
+        const droneId = this.entityManager.createEntity('drone', {
+            transform: Components.transform(x, y),
+            physics: Components.physics(0, 0, 2, 10),
+            health: Components.health(DRONE_HEALTH, DRONE_HEALTH),
+            sprite: Components.sprite(texture),
+            faction: Components.faction(owner),
+            drone: Components.drone(planetId, owner, angle)
+        });
+        
+        // A sensor, so it flies through ships instead of shoving them around
+        const sprite = this.scene.matter.add.sprite(x, y, texture);
+        sprite.setCircle(10);
+        sprite.setSensor(true);
+        sprite.setFriction(0);
+        sprite.setFrictionAir(0);
+        sprite.setData('entityId', droneId);
+        sprite.setData('entityType', 'drone');
+        
+        // Enemy-owned drones are small copies of their faction's ships
+        if (owner !== 'player') {
+            sprite.setScale(0.5);
+        }
+        
+        sprite.setDepth(15);
+        this.scene.sprites.set(droneId, sprite);
+        
+        // Assign texture through RenderSystem
+        if (this.scene.renderSystem) {
+            this.scene.renderSystem.assignEntityTexture(droneId, 'drone', owner);
+        }
+        
+        return droneId;
+    }
+    
+    // Escorted campaign freighter on the friendly side: player shots pass it by, enemies hunt it
+    createFreighter(x, y, health) {
+        const freighterId = this.entityManager.createEntity('freighter', {
+            transform: Components.transform(x, y),
+            physics: Components.physics(0, 0, 40, 30),
+            health: Components.health(health, health),
+            sprite: Components.sprite('freighter'),
+            faction: Components.faction('friendly')
+        });
+        this.entityManager.getComponent(freighterId, 'faction').friendlyWith.add('player');
+        
+        const sprite = this.scene.matter.add.sprite(x, y, 'freighter');
+        sprite.setCircle(28);
+        sprite.setMass(40);
+        sprite.setFriction(0);
+        sprite.setFrictionAir(0);
+        sprite.setBounce(0.3);
+        sprite.setData('entityId', freighterId);
+        sprite.setData('entityType', 'freighter');
+        
+        sprite.setDepth(18);
+        this.scene.sprites.set(freighterId, sprite);
+        
+        // Assign texture through RenderSystem
+        if (this.scene.renderSystem) {
+            this.scene.renderSystem.assignEntityTexture(freighterId, 'freighter');
+        }
+        
+        return freighterId;
+    }
+    
+    // options carry the primary weapons' extras: variant (texture), penetrating, maxSpeed, lifetime, trailColor, homing, bomb
+    // and what WeaponModSystem.modifyShot adds for weapon mods: mods (stack counts), bounces, gravityScale
+    createProjectile(ownerId, x, y, angle, speed, damage, size, isCharged = false, options = {}) {
         const ownerEntity = this.entityManager.getEntity(ownerId);
         const ownerFaction = this.entityManager.getComponent(ownerId, 'faction');
         
         // Determine texture
         let texture = 'projectile-basic';
-        if (isCharged) {
+        if (options.variant) {
+            texture = `projectile-${options.variant}`;
+        } else if (isCharged) {
             texture = 'projectile-charged';
         } else if (ownerEntity && ownerEntity.type === 'enemy') {
             texture = 'projectile-enemy';
         }
         
+        const physics = Components.physics(
+            Math.cos(angle) * speed,
+            Math.sin(angle) * speed,
+            0.5,
+            size
+        );
+        if (options.maxSpeed) {
+            physics.maxSpeed = options.maxSpeed; // Railgun slugs outrun the usual cap
+        }
+        if (options.gravityScale) {
+            physics.gravityScale = options.gravityScale; // Graviton rounds curve around planets
+        }
+        
         // Create projectile entity
         const projectileId = this.entityManager.createEntity('projectile', {
             transform: Components.transform(x, y, angle),
-            physics: Components.physics(
-                Math.cos(angle) * speed,
-                Math.sin(angle) * speed,
-                0.5,
-                size
-            ),
+            physics: physics,
             sprite: Components.sprite(texture),
-            lifetime: Components.lifetime(5000),
+            lifetime: Components.lifetime(options.lifetime || 5000),
             projectile: {
                 damage: damage,
                 ownerId: ownerId,
                 ownerFaction: ownerFaction ? ownerFaction.name : 'neutral',
-                penetrating: isCharged,
-                hitEntities: new Set()
+                penetrating: isCharged || !!options.penetrating,
+                hitEntities: new Set(),
+                variant: options.variant || null,
+                homing: options.homing || null,   // Missiles: { targetId, turnRate, lockRange }
+                bomb: options.bomb || null,       // Gravity bombs: { damage, radius, triggerRadius, mass, armTime, armed }
+                mods: options.mods || null,       // Weapon mod stacks, e.g. { ricochet: 1, burn: 2 }
+                bounces: options.bounces || 0     // Ricochets left off planets
             }
         });
         
@@ -344,14 +444,15 @@ class EntityFactory {
         }
         
         // Request trail for player/charged projectiles
-        if (isCharged || ownerEntity.type === 'player') {
+        if (isCharged || (ownerEntity && ownerEntity.type === 'player')) {
+            const trailColor = options.trailColor || (isCharged ? 0x00ffff : 0xffff00);
             this.entityManager.addComponent(projectileId, 'trail', 
-                Components.trail(10, isCharged ? 0x00ffff : 0xffff00, 3)
+                Components.trail(10, trailColor, 3)
             );
             
             this.eventBus.emit('CREATE_TRAIL', {
                 entityId: projectileId,
-                trailConfig: Components.trail(10, isCharged ? 0x00ffff : 0xffff00, 3)
+                trailConfig: Components.trail(10, trailColor, 3)
             });
         }
         
@@ -361,7 +462,7 @@ class EntityFactory {
         
         // Assign texture through RenderSystem
         if (this.scene.renderSystem) {
-            const variant = isCharged ? 'charged' : (ownerEntity && ownerEntity.type === 'enemy' ? 'enemy' : 'basic');
+            const variant = options.variant || (isCharged ? 'charged' : (ownerEntity && ownerEntity.type === 'enemy' ? 'enemy' : 'basic'));
             this.scene.renderSystem.assignEntityTexture(projectileId, 'projectile', variant);
         }
         
@@ -436,6 +537,7 @@ class EntityFactory {
             boss: {
                 abilities: bossStats.abilities,
                 name: bossStats.name,
+                color: bossStats.color,
                 scale: bossStats.scale,
                 phase: 1,
                 behavior: bossStats.behavior,
@@ -481,6 +583,91 @@ class EntityFactory {
         
         return bossId;
     }
+    
+    // Rebuild a saved entity under its original id, sprite included
+    restoreEntity(saved) {
+        const { id, type, components, body } = saved;
+        const transform = components.transform || { x: 0, y: 0, rotation: 0 };
+        const physics = components.physics || { velocity: { x: 0, y: 0 }, radius: 6 };
+        const { x, y } = transform;
+        
+        this.entityManager.nextId = id;
+        
+        switch (type) {
+            case 'player':
+                this.createPlayer(x, y, components.pilot ? components.pilot.index : 0, components.pilot ? components.pilot.ship : 'striker');
+                break;
+            case 'enemy':
+                this.createEnemy(components.ai.faction, x, y, physics.velocity, 1, !!components.ai.isNecromancerMinion);
+                break;
+            case 'planet':
+                this.createPlanet(x, y, components.planetProfile.type);
+                break;
+            case 'powerup':
+                this.createPowerup(x, y, components.powerup.type);
+                break;
+            case 'drone': {
+                const drone = components.drone;
+                this.createDrone(drone.planetId, drone.owner, x, y, drone.angle);
+                break;
+            }
+            case 'freighter':
+                this.createFreighter(x, y, components.health.max);
+                break;
+            case 'projectile': {
+                const speed = Math.sqrt(physics.velocity.x ** 2 + physics.velocity.y ** 2);
+                const projectile = components.projectile;
+                this.createProjectile(projectile.ownerId, x, y, transform.rotation, speed, projectile.damage, physics.radius, projectile.penetrating, {
+                    variant: projectile.variant
+                });
+                break;
+            }
+            case 'catastrophe':
+                this.createCatastrophe(x, y);
+                break;
+            case 'boss': {
+                const boss = components.boss;
+                this.createBoss(x, y, {
+                    name: boss.name,
+                    health: components.health.current,
+                    maxHealth: components.health.max,
+                    damage: components.weapon.damage,
+                    speed: boss.speed,
+                    scale: boss.scale,
+                    mass: physics.mass,
+                    color: boss.color,
+                    abilities: boss.abilities,
+                    behavior: boss.behavior
+                });
+                break;
+            }
+            default:
+                // Pure data entities (disaster tornadoes, rifts, asteroids)
+                this.entityManager.createEntity(type);
+        }
+        
+        // Saved component data replaces the freshly built defaults
+        const entity = this.entityManager.getEntity(id);
+        Array.from(entity.components).forEach(componentType => {
+            if (!components[componentType]) {
+                this.entityManager.removeComponent(id, componentType);
+            }
+        });
+        Object.entries(components).forEach(([componentType, data]) => {
+            this.entityManager.addComponent(id, componentType, data);
+        });
+        
+        // Put the body back exactly where the simulation left it
+        const sprite = this.scene.sprites.get(id);
+        if (sprite && body) {
+            sprite.setPosition(body.x, body.y);
+            sprite.setVelocity(body.vx, body.vy);
+            sprite.setRotation(body.angle);
+            sprite.setAngularVelocity(body.angularVelocity);
+        }
+        
+        return id;
+    }
 }
 
 // EntityFactory will be instantiated by GameInitializer
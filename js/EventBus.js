@@ -233,6 +233,8 @@ const GameEvents = {
     MISSION_START: 'mission:start',
     MISSION_COMPLETE: 'mission:complete',
     MISSION_OBJECTIVE: 'mission:objective',
+    MISSION_FAILED: 'mission:failed',
+    MISSION_UPDATED: 'mission:updated',
     
     // Pickup events
     PICKUP_COLLECT: 'pickup:collect',
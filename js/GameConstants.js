@@ -19,7 +19,10 @@ const GameConstants = {
         MAX_GRAVITY_RANGE: 100000000,
         NORMAL_GRAVITY_RANGE: 4000000,
         GRAVITY_DAMPENING_DISTANCE: 200,
-        GRAVITY_DAMPENING_MIN: 0.5
+        GRAVITY_DAMPENING_MIN: 0.5,
+        FIXED_TIMESTEP: 1000 / 60,  // Simulation step in ms
+        MAX_FRAME_TIME: 250,        // Clamp long frames (tab switches, hitches)
+        MAX_STEPS_PER_FRAME: 5      // Avoid spiral of death on slow machines
     },
 
     SPATIAL: {
@@ -47,6 +50,487 @@ const GameConstants = {
         DEPTH: 20
     },
 
+    // Player ship classes, picked on the ship-select screen (EntityFactory.createPlayer builds the hull)
+    // The Striker is the original fighter; the other hulls trade its balance for a passive trait
+    SHIPS: {
+        striker: {
+            name: 'Striker',
+            description: 'The standard fighter: steady in every way',
+            passive: null,
+            health: 100, mass: 15, maxSpeed: 15, thrust: 1, hitbox: 18, boostCost: 0.5,
+            weapon: { damage: 10, fireRate: 300, maxChargeTime: 2000, projectileSpeed: 20, barrels: 1 },
+            texture: { baseColor: 0x00ffff, accentColor: 0x0099ff, glowColor: 0x00ffff, shape: 'fighter' }
+        },
+        interceptor: {
+            name: 'Interceptor',
+            description: 'A light, fast hull with a quick-firing needle gun',
+            passive: { name: 'Afterburner', description: 'Boosting burns half the energy' },
+            health: 75, mass: 10, maxSpeed: 20, thrust: 1.35, hitbox: 15, boostCost: 0.25,
+            weapon: { damage: 7, fireRate: 180, maxChargeTime: 1500, projectileSpeed: 26, barrels: 1 },
+            texture: { baseColor: 0xffee55, accentColor: 0xff9900, glowColor: 0xffff99, shape: 'dart', details: 'angular' }
+        },
+        gunship: {
+            name: 'Gunship',
+            description: 'Slow to turn, with cannons on both wings',
+            passive: { name: 'Twin Cannons', description: 'Every shot fires two bolts side by side' },
+            health: 115, mass: 20, maxSpeed: 13, thrust: 0.9, hitbox: 20, boostCost: 0.5,
+            weapon: { damage: 7, fireRate: 380, maxChargeTime: 2200, projectileSpeed: 18, barrels: 2 },
+            texture: { baseColor: 0xff6655, accentColor: 0xaa2211, glowColor: 0xff9988, shape: 'twin', details: 'aggressive' }
+        },
+        graviton: {
+            name: 'Graviton',
+            description: 'Built around a collapsed-matter core',
+            passive: { name: 'Gravity Well', description: 'Gravity pulls it half as hard, while its dense core drags nearby ships in' },
+            health: 90, mass: 60, maxSpeed: 14, thrust: 1, hitbox: 19, boostCost: 0.5, gravityScale: 0.5,
+            weapon: { damage: 9, fireRate: 320, maxChargeTime: 1800, projectileSpeed: 20, barrels: 1 },
+            texture: { baseColor: 0xbb66ff, accentColor: 0x6622cc, glowColor: 0xdd99ff, shape: 'ring' }
+        },
+        bulwark: {
+            name: 'Bulwark',
+            description: 'A flying fortress that turns like a brick',
+            passive: { name: 'Reactive Plating', description: 'Takes a quarter less damage from every hit' },
+            health: 160, mass: 40, maxSpeed: 11, thrust: 0.75, hitbox: 23, boostCost: 0.5, armor: 0.25,
+            weapon: { damage: 12, fireRate: 360, maxChargeTime: 2000, projectileSpeed: 18, barrels: 1 },
+            texture: { baseColor: 0x77aacc, accentColor: 0x335577, glowColor: 0x99ccff, shape: 'heavy', details: 'defensive' }
+        }
+    },
+
+    // Swappable primary weapons (weapon.type), in weapon wheel order; Q opens the wheel
+    // damage, fireRate and speed scale the hull's own gun, so ship classes and upgrades still count
+    PRIMARY_WEAPONS: {
+        basic: {
+            name: 'Blaster', icon: 'fa-dot-circle',
+            description: 'Tap to fire, hold to charge a piercing shot',
+            damage: 1, fireRate: 1, speed: 1,
+            heat: 9                 // Per shot, with the Overheat mutator (WEAPON_HEAT)
+        },
+        beam: {
+            name: 'Lance Beam', icon: 'fa-minus',
+            description: 'Burns the first target in line while held, hotter the longer it stays on',
+            damage: 3,              // Damage per second, as a multiple of the gun's damage per shot
+            tickRate: 100,          // ms between damage ticks
+            range: 900,
+            chargeBonus: 1,         // Extra damage multiplier once held for a full charge
+            heat: 35                // Per second while burning
+        },
+        railgun: {
+            name: 'Railgun', icon: 'fa-long-arrow-alt-right',
+            description: 'Slow-firing, high-velocity slugs that pierce every ship in their path; charging triples the damage',
+            damage: 2.5, fireRate: 3, speed: 1.8,
+            chargeBonus: 2,
+            size: 5,
+            heat: 24
+        },
+        scatter: {
+            name: 'Scatter Cannon', icon: 'fa-braille',
+            description: 'A short-ranged spray of pellets; charging adds pellets and tightens the spread',
+            damage: 0.45, fireRate: 2.2, speed: 0.9,
+            pellets: 6, chargePellets: 3,
+            spread: 0.6, chargedSpread: 0.2,   // Radians across the whole fan
+            lifetime: 900,
+            size: 4,
+            heat: 16
+        },
+        missiles: {
+            name: 'Missile Pod', icon: 'fa-rocket',
+            description: 'Missiles lock onto the nearest enemy near your aim; charging adds missiles',
+            damage: 1.4, fireRate: 3, speed: 0.55,
+            missiles: 2, chargeMissiles: 3,
+            fan: 0.5,               // Radians between the outermost missiles at launch
+            turnRate: 4,            // Radians per second of steering
+            lockRange: 900,
+            lockCone: 0.6,          // Radians either side of the aim
+            lifetime: 4000,
+            size: 7,
+            heat: 20
+        },
+        gravityBomb: {
+            name: 'Gravity Bomb', icon: 'fa-circle-notch',
+            description: 'A slow charge that pulls ships in like a small planet, then bursts; charging makes it heavier',
+            damage: 4, fireRate: 6, speed: 0.35,
+            mass: 400, chargeMass: 400, // Over 100, so its pull reaches as far as a planet's
+            armTime: 500,           // ms before the mass switches on, so it doesn't drag the launcher along
+            fuse: 2500,
+            blastRadius: 220,
+            triggerRadius: 40,      // Going off early when it touches an enemy ship
+            size: 12,
+            heat: 40
+        }
+    },
+
+    // Projectile mods (WeaponModSystem): fitted into weapon mod slots in the hangar, or lent for a while by shop abilities
+    // Copies of a mod stack, and every mod on a shot applies together (fragments and arcs carry burn and freeze along)
+    WEAPON_MODS: {
+        ricochet: {
+            name: 'Ricochet', icon: 'fa-undo',
+            description: 'Shots bounce off planets instead of breaking on them',
+            bounces: 2              // Per copy
+        },
+        split: {
+            name: 'Splitter', icon: 'fa-code-branch',
+            description: 'Shots burst into fragments when they hit a ship',
+            fragments: 3,           // Per copy
+            damage: 0.35,           // Of the shot's damage, per fragment
+            spread: 1.4,            // Radians across the whole burst
+            speed: 12,
+            lifetime: 700
+        },
+        chain: {
+            name: 'Chain Lightning', icon: 'fa-bolt',
+            description: 'Hits arc to the nearest enemies',
+            jumps: 2,               // Per copy
+            range: 320,             // From one target to the next
+            damage: 0.5             // Of the hit's damage, per jump
+        },
+        graviton: {
+            name: 'Graviton Rounds', icon: 'fa-globe',
+            description: 'Shots feel gravity far more, curving around planets',
+            gravity: 4              // Extra gravity scale per copy
+        },
+        burn: {
+            name: 'Incendiary', icon: 'fa-fire-alt',
+            description: 'Hits set ships burning for a few seconds',
+            damage: 0.4,            // Per second per copy, of the hit's damage
+            duration: 3000
+        },
+        freeze: {
+            name: 'Cryo', icon: 'fa-snowflake',
+            description: 'Hits slow ships down',
+            slow: 0.3,              // Top speed lost per copy (copies compound)
+            duration: 2500
+        },
+        // Only lent by shop abilities
+        pierce: {
+            name: 'Pierce', icon: 'fa-crosshairs',
+            description: 'Shots pass through every ship in their path'
+        },
+        homing: {
+            name: 'Homing', icon: 'fa-rocket',
+            description: 'Shots steer toward the nearest enemy',
+            turnRate: 3,            // Radians per second
+            lockRange: 900
+        }
+    },
+    WEAPON_MOD_SLOTS: 3,
+    WEAPON_MOD_TICK: 500,           // ms between burn damage ticks
+
+    // Weapon heat (Overheat mutator): each primary weapon heats up as it fires and cools on its own, in hand or not
+    // A full gauge locks that weapon until it has vented all its heat
+    WEAPON_HEAT: {
+        MAX: 100,
+        DISSIPATION: 18,            // Heat lost per second
+        VENT_RATE: 40,              // Heat lost per second while locked
+        CHARGE_HEAT: 0.5,           // Extra heat for a fully charged shot
+        SUN_DIRECTION: -2.4,        // Radians from any point toward the star
+        SHADOW_LENGTH: 1500,        // How far a planet's shadow reaches behind it
+        SHADOW_COOLING: 2,          // Cooling multiplier in a planet's shadow
+        FLARE_COOLING: 0.4          // Cooling multiplier during a solar flare
+    },
+
+    // Local co-op (second ship on the same keyboard or a gamepad)
+    COOP: {
+        PLAYER_COLORS: [0x00ffff, 0x66ff66, 0xffaa33, 0xff66cc],
+        SPAWN_OFFSET: 300,          // Player 2 starts this far below player 1
+        REVIVE_HEALTH: 0.5,         // Share of max health a downed player returns with next wave
+        REVIVE_DISTANCE: 250,       // Revived ships appear this far from their teammate
+        CAMERA_MARGIN: 800,         // World units kept around both ships when framing them
+        GAMEPAD_DEADZONE: 0.2
+    },
+
+    // Online co-op through the relay in tools/relay (host simulates, clients mirror)
+    NET: {
+        DEFAULT_SERVER: 'ws://localhost:8787',
+        MAX_PLAYERS: 4,
+        SNAPSHOT_INTERVAL: 3,       // Host steps between world snapshots (20 per second)
+        INTERPOLATION_DELAY: 6,     // Remote entities are drawn this many steps behind the newest snapshot
+        MAX_INPUT_BUFFER: 8,        // Host drops a client's oldest input frames past this many
+        CORRECTION_RATE: 0.15,      // Share of a prediction error blended out each step
+        SNAP_DISTANCE: 400,         // Prediction errors larger than this jump instead of blending
+        REMOTE_ACTIONS: ['dash', 'ability', 'weapon', 'cycleWeapon'],
+        RELAYED_EVENTS: [
+            'PLAYER_SHOOT', 'ENEMY_SPAWNED', 'ENTITY_DESTROYED', 'COLLISION_DETECTED',
+            'ENEMY_KILLED', 'PLAYER_DIED', 'POWERUP_COLLECTED', 'WAVE_ANNOUNCED',
+            'UI_NOTIFICATION', 'GAME_OVER'
+        ]
+    },
+
+    // Versus arena (local player-versus-player duels)
+    VERSUS: {
+        KILLS_PER_ROUND: 5,
+        ROUNDS_TO_WIN: 2,
+        ROUND_TIME_LIMIT: 120000,   // When time runs out the player with more kills takes the round
+        ROUND_INTERMISSION: 3000,
+        RESPAWN_DELAY: 3000,
+        SPAWN_INVULNERABILITY: 2000,
+        SPAWN_RADIUS: 1400,         // Spawn points sit this far from the arena centre
+        SPAWN_POINTS: 4,
+        ARENA_RADIUS: 3200,         // Ships past this ring are pulled back in
+        BOUNDARY_PULL: 0.1,         // Pull per unit of distance past the ring
+        ARENA: [
+            { offsetX: 0, offsetY: 0, planets: 4, type: 'jupiter' },
+            { offsetX: 0, offsetY: -2200, planets: 2, type: 'earth' },
+            { offsetX: 0, offsetY: 2200, planets: 2, type: 'toxic' }
+        ]
+    },
+
+    // Campaign missions, played in order on top of the regular waves
+    CAMPAIGN: {
+        NEXT_MISSION_DELAY: 4000,
+        RETRY_DELAY: 4000,
+        PROTECT_DRAIN: 4,           // Planet integrity lost per second for each enemy inside the zone
+        FREIGHTER_SPEED: 3,         // Cruising speed of an escorted freighter
+        FREIGHTER_STEER: 1.5,       // How quickly it corrects its course; gravity still bends it
+        FREIGHTER_PRIORITY: 1.2,    // Enemies go for the freighter before the players
+        WAYPOINT_RADIUS: 300,
+        MISSIONS: [
+            {
+                id: 'first-contact',
+                name: 'First Contact',
+                objectives: [{ type: 'kill', faction: 'swarm', target: 15 }],
+                rewards: { credits: 300 }
+            },
+            {
+                id: 'scavenger',
+                name: 'Scavenger',
+                objectives: [{ type: 'collect', target: 5 }],
+                rewards: { credits: 300, unlock: 'magnetField' }
+            },
+            {
+                id: 'hold-the-line',
+                name: 'Hold the Line',
+                objectives: [{ type: 'protect', duration: 60000, radius: 800, integrity: 100 }],
+                rewards: { credits: 500 }
+            },
+            {
+                id: 'storm-chaser',
+                name: 'Storm Chaser',
+                objectives: [{ type: 'survive', target: 1 }],
+                rewards: { credits: 500, unlock: 'heal' }
+            },
+            {
+                id: 'convoy',
+                name: 'Convoy',
+                objectives: [{
+                    type: 'escort',
+                    health: 1200,
+                    gateRadius: 400,
+                    // Fractions of the world size, threading past the orbital systems to the gate
+                    route: [[0.12, 0.5], [0.35, 0.38], [0.5, 0.3], [0.65, 0.38], [0.8, 0.5], [0.92, 0.5]]
+                }],
+                rewards: { credits: 700 }
+            },
+            {
+                id: 'headhunter',
+                name: 'Headhunter',
+                timeLimit: 240000,
+                objectives: [
+                    { type: 'kill', faction: 'sentinel', target: 10 },
+                    { type: 'boss', target: 1 }
+                ],
+                rewards: { credits: 1000, unlock: 'energyShield' }
+            }
+        ]
+    },
+
+    // Endless survival: a director trickles enemies in and ramps up with time survived
+    ENDLESS: {
+        FIRST_SPAWN_DELAY: 3000,
+        SPAWN_INTERVAL: 1500,       // Between spawns at the start
+        MIN_SPAWN_INTERVAL: 300,
+        MAX_ENEMIES: 12,            // Alive at once at the start
+        MAX_ENEMIES_PER_MINUTE: 4,
+        MAX_ENEMIES_CAP: 60,
+        RAMP_PER_MINUTE: 0.25,      // Spawn rate multiplier gained each minute
+        STRENGTH_PER_MINUTE: 0.1,   // Enemy health and damage gained each minute
+        SWARM_GROUP: 4,             // Swarm ships arrive in packs
+        FACTION_UNLOCKS: { swarm: 0, sentinel: 60000, phantom: 120000, titan: 240000 },
+        FACTION_WEIGHTS: { swarm: 5, sentinel: 2, phantom: 2, titan: 1 },
+        BOSS_INTERVAL: 180000,      // A boss joins this often, if the last one is gone
+        DISASTER_INTERVAL: 150000,
+        MIN_DISASTER_INTERVAL: 60000,
+        DISASTER_INTERVAL_PER_MINUTE: 10000 // Disasters come this much sooner each minute
+    },
+
+    // Boss rush: every boss type back to back, with a free ability draft between fights
+    BOSS_RUSH: {
+        FIRST_BOSS_DELAY: 3000,
+        NEXT_BOSS_DELAY: 3000,      // After the draft closes
+        DRAFT_DELAY: 2000,          // After a boss falls
+        DRAFT_OFFERS: 3,
+        MULTIPLIERS: [1, 1.2, 1.4, 1.7, 2]  // Boss health and damage, one per fight in BOSSES.TYPES order
+    },
+
+    // Run mutators, each bending the rules for a whole run (applied by MutatorSystem)
+    // Effects stack across mutators; the score multipliers multiply together
+    MUTATORS: {
+        heavyGravity: {
+            name: 'Heavy Gravity',
+            description: 'Gravity pulls twice as hard',
+            scoreMultiplier: 1.3,
+            effects: { gravity: 2 }
+        },
+        maelstrom: {
+            name: 'Maelstrom',
+            description: 'Five times the spiral pull at the centre',
+            scoreMultiplier: 1.2,
+            effects: { spiralForce: 5 }
+        },
+        phantomFleet: {
+            name: 'Phantom Fleet',
+            description: 'Every wave is phantoms only',
+            scoreMultiplier: 1.25,
+            effects: { onlyFaction: 'phantom' }
+        },
+        armoredFoes: {
+            name: 'Armored Foes',
+            description: 'Enemies have double health',
+            scoreMultiplier: 1.4,
+            effects: { factions: { all: { health: 2 } } }
+        },
+        disasterStorm: {
+            name: 'Disaster Storm',
+            description: 'A disaster strikes every 20 seconds',
+            scoreMultiplier: 1.5,
+            effects: { disasterInterval: 20000 }
+        },
+        glassCannon: {
+            name: 'Glass Cannon',
+            description: 'Everyone deals and takes double damage',
+            scoreMultiplier: 1.2,
+            effects: { damageToEnemies: 2, damageToPlayers: 2 }
+        },
+        inflation: {
+            name: 'Inflation',
+            description: 'Upgrades cost twice as much',
+            scoreMultiplier: 1.2,
+            effects: { upgradeCost: 2 }
+        },
+        noUpgrades: {
+            name: 'No Upgrades',
+            description: 'Credits can\'t buy upgrades',
+            scoreMultiplier: 1.5,
+            effects: { upgrades: false }
+        },
+        noRepairs: {
+            name: 'No Repairs',
+            description: 'No Heal or Energy Shield in the shop',
+            scoreMultiplier: 1.15,
+            effects: { bannedAbilities: ['heal', 'energyShield'] }
+        },
+        overheat: {
+            name: 'Overheat',
+            description: 'Weapons build heat and lock up to vent when it maxes out',
+            scoreMultiplier: 1.2,
+            effects: { weaponHeat: true }
+        },
+        rookie: {
+            name: 'Rookie',
+            description: 'Enemies deal half damage',
+            scoreMultiplier: 0.5,
+            effects: { damageToPlayers: 0.5 }
+        }
+    },
+
+    // Daily and weekly challenges: the date picks the seed and mutators, so everyone plays the same run
+    CHALLENGES: {
+        DAILY_MUTATORS: 2,
+        WEEKLY_MUTATORS: 3,
+        LEADERBOARD_SIZE: 10,
+        // Mutators a challenge can roll, in a fixed order: adding one reshuffles every date's rules, so new mutators stay out
+        MUTATOR_POOL: [
+            'heavyGravity', 'maelstrom', 'phantomFleet', 'armoredFoes', 'disasterStorm',
+            'glassCannon', 'inflation', 'noUpgrades', 'noRepairs'
+        ]
+    },
+
+    // Tutorial that opens a new player's first run (TutorialSystem); each step waits for its trigger before the next prompt
+    TUTORIAL: {
+        FIRST_STEP_DELAY: 1500,
+        STEP_DELAY: 2000,           // After a step is done, so its success message can land
+        FINISH_DELAY: 3000,         // Between the last step and the first wave
+        DRONE_DISTANCE: 600,        // Training drones spawn this far from the player
+        FAR_DRONE_DISTANCE: 2500,   // Far enough to be off-screen
+        DRONE_STRENGTH: 0.5,
+        GRAVITY_RANGE: 300,         // Distance from a planet's surface that counts as close
+        STEPS: [
+            { id: 'move', prompt: 'Fly with W A S D', trigger: 'move', target: 2000 },
+            { id: 'charge', prompt: 'Hold the mouse button to charge a shot until the ring is full', trigger: 'charge' },
+            { id: 'shoot', prompt: 'Release to fire - destroy the training drones', trigger: 'kill', target: 3, spawn: { faction: 'swarm' } },
+            { id: 'dash', prompt: 'Press SPACE to dash out of trouble', trigger: 'dash' },
+            { id: 'boost', prompt: 'Hold SHIFT while flying to boost - it burns energy', trigger: 'boost' },
+            { id: 'markers', prompt: 'A drone is hiding off-screen - hold C to show enemy markers', trigger: 'markers', spawn: { faction: 'swarm', far: true } },
+            { id: 'hunt', prompt: 'Follow the marker and destroy the drone', trigger: 'kill', target: 1, spawn: { faction: 'swarm', far: true } },
+            { id: 'gravity', prompt: 'Planets pull you in - fly close to one and feel the tug, but don\'t crash', trigger: 'gravity', target: 2000 },
+            { id: 'ability', prompt: 'Abilities sit in slots 1-4 - press 1 to fire your free Rapid Fire', trigger: 'ability', grant: 'rapidFire' }
+        ]
+    },
+
+    // Gravity Lab sandbox: spawn tools and live physics sliders (SandboxSystem)
+    SANDBOX: {
+        CENTRAL_PLANET: 'jupiter',
+        PLAYER_OFFSET: 1200,        // Player starts this far left of the central planet
+        PHYSICS: {
+            gravityConstant: { label: 'Gravity', min: 0, max: 200, step: 1 },
+            gravitationFalloff: { label: 'Falloff', min: 1, max: 3, step: 0.05 },
+            spiralForce: { label: 'Spiral Force', min: 0, max: 0.003, step: 0.0001 },
+            catastropheWanderSpeed: { label: 'Vortex Speed', min: 0, max: 600, step: 10 }
+        }
+    },
+
+    // Planet defense (regular waves that besiege a home world with health and shields)
+    DEFENSE: {
+        HOME_WORLD: 'earth',
+        HOME_WORLD_OFFSET: 700,     // Home world sits this far right of the player start
+        HEALTH: 5000,
+        SHIELD: 1500,
+        SHIELD_REGEN: 10,           // Shield points per second
+        SHIELD_REGEN_PER_LEVEL: 5,  // Added by each Shield Regen upgrade
+        SHIELD_RECHARGE_DELAY: 3000, // Recharging pauses this long after a hit
+        SIEGE_PRIORITY: 2,          // Above a player's, so siege attackers ignore the ships while the world stands
+        SIEGE_FACTIONS: ['titan'],
+        SIEGE_BOSSES: ['Swarm Queen', 'Titan Destroyer'],
+        TURRET_RANGE: 900,          // From the surface
+        TURRET_INTERVAL: 1200,      // ms between volleys; each turret fires once per volley
+        TURRET_DAMAGE: 12,
+        TURRET_SPEED: 18,
+        TURRET_SIZE: 5
+    },
+
+    // Territory control (the central planet of each orbital system can be captured and held)
+    CAPTURE: {
+        ATMOSPHERE_SCALE: 2.5,      // Capture zone radius as a multiple of the planet's radius
+        CAPTURE_TIME: 8000,         // ms for one ship to take a planet; more ships are faster
+        MAX_CAPTURERS: 3,           // Ships beyond this don't speed a capture up
+        DECAY_TIME: 16000,          // ms for unattended progress to drain back
+        CREDITS_PER_SECOND: 1,      // Per planet the players hold
+        DRONES_PER_PLANET: 2,
+        DRONE_INTERVAL: 6000,       // ms between drone launches while below the cap
+        DRONE_HEALTH: 60,
+        DRONE_RANGE: 700,
+        DRONE_FIRE_INTERVAL: 900,
+        DRONE_DAMAGE: 8,
+        DRONE_SPEED: 16,
+        DRONE_ORBIT_SPEED: 0.6,     // Radians per second around the planet
+        AI_SHARE: 0.35,             // Chance each enemy breaks off to take planets for its faction
+        AI_SPEED: 0.04              // Steering force toward the capture zone
+    },
+
+    // Hangar meta progression: every run pays stardust into a profile kept between runs (HangarSystem)
+    HANGAR: {
+        STARDUST_PER_SCORE: 0.01,   // 1 stardust per 100 points
+        STARDUST_PER_WAVE: 5,       // Per wave cleared
+        SHIP_COSTS: { interceptor: 300, gunship: 400, graviton: 450, bulwark: 500 }, // The Striker is always in the hangar
+        ABILITIES: {                // Shop abilities only offered once unlocked here
+            missileBarrage: { name: 'Missile Barrage', cost: 350 },
+            aegis: { name: 'Aegis Shield', cost: 400 },
+            singularity: { name: 'Singularity', cost: 600 }
+        },
+        SLOT_COSTS: [600, 1200],    // Extra ability slots for player 1, bought in order (keys 5 and 6)
+        MOD_COSTS: { ricochet: 250, split: 350, chain: 400, graviton: 200, burn: 300, freeze: 300 }, // Weapon mods for player 1's slots
+        UPGRADE_COST: 150,          // Per starting level, times the level being bought
+        MAX_STARTING_LEVEL: 3
+    },
+
     // Enemy Configurations
     ENEMIES: {
         FACTIONS: {
@@ -10,6 +10,15 @@ class GameInitializer {
         this.entityManager = new EntityManager(this.eventBus);
         this.gameState = new GameState(this.eventBus);
         
+        // Seeded RNG - same seed reproduces the same run
+        const runConfig = scene.runConfig || {};
+        this.rng = new RandomService(runConfig.seed);
+        this.gameState.update('game.seed', this.rng.seed);
+        
+        // Gameplay timers advance with simulation steps, not wall time
+        this.clock = new SimulationClock();
+        this.stepCount = 0;
+        
         // Entity creation factory
         this.entityFactory = new EntityFactory(this.entityManager, this.eventBus);
         
@@ -17,6 +26,9 @@ class GameInitializer {
         this.physicsSystem = new PhysicsSystem(scene, this.eventBus);
         this.aiSystem = new AiSystem(scene, this.eventBus);
         this.weaponSystem = new WeaponSystem(scene, this.eventBus, this.entityManager, this.entityFactory);
+        this.weaponModSystem = new WeaponModSystem(scene, this.eventBus, this.entityManager, this.entityFactory);
+        this.weaponSystem.weaponModSystem = this.weaponModSystem;
+        this.weaponModSystem.weaponSystem = this.weaponSystem;
         this.combatSystem = new CombatSystem(scene, this.eventBus, this.entityManager, this.gameState);
         this.waveSystem = new WaveSystem(scene, this.eventBus, this.gameState, this.entityFactory);
         this.bossSystem = new BossSystem(scene, this.eventBus, this.entityManager, this.entityFactory);
@@ -24,18 +36,84 @@ class GameInitializer {
         this.abilitySystem = new AbilitySystem(scene, this.eventBus, this.entityManager, this.gameState);
         this.upgradeSystem = new UpgradeSystem(this.eventBus, this.gameState, this.entityManager);
         this.disasterSystem = new DisasterSystem(scene);
+        this.weaponSystem.disasterSystem = this.disasterSystem;
         this.abilityShopSystem = new AbilityShopSystem(scene, this.eventBus, this.gameState);
+        this.versusSystem = new VersusSystem(scene, this.eventBus, this.entityManager, this.gameState, this.entityFactory);
+        this.missionSystem = new MissionSystem(scene, this.eventBus, this.entityManager, this.gameState, this.entityFactory);
+        this.endlessSystem = new EndlessSystem(scene, this.eventBus, this.entityManager, this.gameState, this.entityFactory);
+        this.endlessSystem.disasterSystem = this.disasterSystem;
+        this.endlessSystem.abilityShopSystem = this.abilityShopSystem;
+        this.bossRushSystem = new BossRushSystem(scene, this.eventBus, this.gameState);
+        this.bossRushSystem.disasterSystem = this.disasterSystem;
+        this.bossRushSystem.abilityShopSystem = this.abilityShopSystem;
+        this.mutatorSystem = new MutatorSystem(scene, this.gameState);
+        this.challengeSystem = new ChallengeSystem(scene, this.eventBus, this.gameState);
+        this.challengeSystem.mutatorSystem = this.mutatorSystem;
+        this.sandboxSystem = new SandboxSystem(scene, this.eventBus, this.entityManager, this.gameState, this.entityFactory);
+        this.sandboxSystem.physicsSystem = this.physicsSystem;
+        this.sandboxSystem.combatSystem = this.combatSystem;
+        this.sandboxSystem.disasterSystem = this.disasterSystem;
+        this.tutorialSystem = new TutorialSystem(scene, this.eventBus, this.entityManager, this.gameState, this.entityFactory);
+        this.tutorialSystem.disasterSystem = this.disasterSystem;
+        this.defenseSystem = new DefenseSystem(scene, this.eventBus, this.entityManager, this.gameState, this.entityFactory);
+        this.defenseSystem.upgradeSystem = this.upgradeSystem;
+        this.captureSystem = new CaptureSystem(scene, this.eventBus, this.entityManager, this.gameState, this.entityFactory);
+        this.hangarSystem = new HangarSystem(scene, this.eventBus, this.entityManager, this.gameState);
+        this.hangarSystem.abilityShopSystem = this.abilityShopSystem;
+        this.hangarSystem.upgradeSystem = this.upgradeSystem;
+        this.hangarSystem.weaponModSystem = this.weaponModSystem;
+        
+        // Initialize I/O systems and managers
+        this.createIOSystems(scene);
+        
+        // Initialize replay recording/playback
+        this.replaySystem = new ReplaySystem(scene, this.eventBus, this.gameState);
+        
+        // Online co-op (idle in offline runs)
+        this.networkSystem = new NetworkSystem(scene, this.eventBus, this.entityManager, this.gameState);
+        
+        // Inject named random streams and the simulation clock
+        this.injectSimulationServices();
+    }
+    
+    createIOSystems(scene) {
+        // Headless runs supply stand-ins that need no canvas, DOM or audio
+        if (scene.createIOSystems) {
+            Object.assign(this, scene.createIOSystems(this));
+            return;
+        }
         
-        // Initialize I/O systems
         this.renderSystem = new RenderSystem(scene, this.eventBus, this.entityManager);
         this.inputSystem = new InputSystem(scene, this.eventBus, this.entityManager, this.gameState);
-        
-        // Initialize managers
         this.audioManager = new AudioManager(this.eventBus);
         this.uiManager = new UIManager(this.eventBus, this.gameState);
     }
     
+    injectSimulationServices() {
+        // Each system rolls on its own stream so they stay independent
+
+        this.entityFactory.rng = this.rng.stream('world');
+        this.physicsSystem.rng = this.rng.stream('physics');
+        this.aiSystem.rng = this.rng.stream('ai');
+        this.combatSystem.rng = this.rng.stream('combat');
+        this.waveSystem.rng = this.rng.stream('waves');
+        this.bossSystem.rng = this.rng.stream('boss');
+        this.disasterSystem.rng = this.rng.stream('disasters');
+        this.abilityShopSystem.rng = this.rng.stream('shop');
+        this.endlessSystem.rng = this.rng.stream('endless');
+        
+        [
+            this.physicsSystem, this.aiSystem, this.combatSystem, this.waveSystem,
+            this.bossSystem, this.abilitySystem, this.abilityShopSystem, this.versusSystem,
+            this.missionSystem, this.bossRushSystem, this.tutorialSystem, this.defenseSystem
+        ].forEach(system => {
+            system.clock = this.clock;
+        });
+    }
+    
     initializeAllSystems() {
+        const runConfig = this.scene.runConfig || {};
+        
         // Initialize managers first
         this.audioManager.init();
         this.uiManager.init();
@@ -46,6 +124,27 @@ class GameInitializer {
         // Initialize render system
         this.renderSystem.init();
         
+        // Join the online session before anything depends on this machine's role
+        this.networkSystem.init(runConfig.net);
+        
+        // Online clients only draw the host's world, so the simulation stays idle
+        if (!this.networkSystem.isClient()) {
+            this.initializeSimulationSystems(runConfig);
+        }
+        
+        // Record this run, or drive input from a replay
+        this.replaySystem.inputSystem = this.inputSystem;
+        this.replaySystem.renderSystem = this.renderSystem;
+        this.replaySystem.init(runConfig, this.rng.seed);
+        
+        // Configure event handlers for system coordination
+        this.setupSystemCommunication();
+    }
+    
+    initializeSimulationSystems(runConfig) {
+        // Run mutators change the rules before any system starts from them
+        this.mutatorSystem.init(runConfig);
+        
         // Initialize physics
         this.physicsSystem.init(this.entityManager);
         
@@ -58,8 +157,9 @@ class GameInitializer {
         // Initialize abilities
         this.abilitySystem.init();
         
-        // Initialize weapons
+        // Initialize weapons and their mod pipeline
         this.weaponSystem.init();
+        this.weaponModSystem.init();
         
         // Initialize wave system
         this.waveSystem.init();
@@ -79,11 +179,64 @@ class GameInitializer {
         // Initialize ability shop system
         this.abilityShopSystem.init();
         
-        // Configure event handlers for system coordination
-        this.setupSystemCommunication();
+        // Versus rounds (idle outside versus runs)
+        this.versusSystem.init(runConfig);
+        
+        // Campaign missions (idle outside the campaign)
+        this.missionSystem.init(runConfig);
+        
+        // Endless director (idle outside endless runs)
+        this.endlessSystem.init(runConfig);
+        
+        // Boss rush fights and splits (idle outside boss rush runs)
+        this.bossRushSystem.init(runConfig);
+        
+        // Daily and weekly challenge leaderboards (idle outside challenges)
+        this.challengeSystem.init(runConfig);
+        
+        // Gravity Lab tools (idle outside the sandbox)
+        this.sandboxSystem.init(runConfig);
+        
+        // Tutorial steps before the first wave (idle unless asked for)
+        this.tutorialSystem.inputSystem = this.inputSystem;
+        this.tutorialSystem.init(runConfig);
+        
+        // Home world shield and turrets (idle outside planet defense)
+        this.defenseSystem.init(runConfig);
+        
+        // Planet capture, income and drones (idle outside territory control)
+        this.captureSystem.init(runConfig);
+        
+        // Hangar loadout and stardust payout (idle outside runs started from the menu)
+        this.hangarSystem.init(runConfig);
     }
     
     updateAllSystems(dt) {
+        // Single variable step - kept for callers that don't use the fixed-step loop
+        this.stepSimulation(dt);
+        this.updatePresentation(dt, 1);
+    }
+    
+    stepSimulation(dt) {
+        // Online clients draw the host's snapshots instead of simulating
+        if (this.networkSystem.isClient()) {
+            this.networkSystem.stepClient(dt);
+            this.stepCount++;
+            return;
+        }
+        
+        // Remember where bodies were so rendering can blend between steps
+        this.renderSystem.capturePreviousTransforms();
+        
+        // Advance Matter by exactly one fixed step
+        this.scene.matter.world.step(dt * 1000);
+        
+        // Pull the new body state into entity transforms
+        this.renderSystem.fixedUpdate();
+        
+        // Fire gameplay timers due this step
+        this.clock.update(dt * 1000);
+        
         // Process systems in dependency order
         this.inputSystem.update(dt);
         
@@ -96,6 +249,9 @@ class GameInitializer {
         // Update weapons
         this.weaponSystem.update(dt);
         
+        // Update lent weapon mods, burns and chills
+        this.weaponModSystem.update(dt);
+        
         // Update combat
         this.combatSystem.update(dt, this.entityManager);
         
@@ -114,6 +270,37 @@ class GameInitializer {
         // Update ability shop
         this.abilityShopSystem.update(dt);
         
+        // Update versus round timer
+        this.versusSystem.update(dt);
+        
+        // Update campaign mission progress
+        this.missionSystem.update(dt);
+        
+        // Update endless director
+        this.endlessSystem.update(dt);
+        
+        // Update boss rush split timer
+        this.bossRushSystem.update(dt);
+        
+        // Update tutorial step progress
+        this.tutorialSystem.update(dt);
+        
+        // Update home world shield and turrets
+        this.defenseSystem.update(dt);
+        
+        // Update planet captures and their drones
+        this.captureSystem.update(dt);
+        
+        this.stepCount++;
+        
+        // Hosts send the new state to everyone else
+        this.networkSystem.afterStep();
+    }
+    
+    updatePresentation(dt, alpha) {
+        // Blend factor between the last two simulation steps
+        this.renderSystem.setInterpolationAlpha(alpha);
+        
         // Update rendering
         this.renderSystem.update(dt);
         
@@ -126,11 +313,15 @@ class GameInitializer {
         
         // Entity lifecycle coordination
         this.eventBus.on('ENTITY_DESTROYED', (data) => {
-            this.renderSystem.destroySprite(data.entityId);
+            this.renderSystem.destroySprite(data.id);
         });
         
         // Game state changes
         this.eventBus.on('GAME_OVER', () => {
+            // A finished run can't be continued (replays and online games never touch the player's save)
+            if (!this.replaySystem.isPlayback && !this.networkSystem.isOnline()) {
+                SaveStorage.remove(SaveStorage.AUTOSAVE);
+            }
             this.gameState.update('game.gameOver', true);
             this.uiManager.showGameOver();
         });
@@ -155,11 +346,6 @@ class GameInitializer {
             }
         });
         
-        // Ability usage
-        this.eventBus.on('USE_ABILITY', (data) => {
-            this.abilitySystem.useAbility(data.abilityId, data.entityId);
-        });
-        
         // Audio events
         this.eventBus.on('PLAY_SOUND', (data) => {
             this.audioManager.playSound(data.sound);
@@ -170,8 +356,22 @@ class GameInitializer {
         });
     }
     
+    // Save progress plus the full world so CONTINUE resumes mid-wave
+    saveWorld(slot = SaveStorage.AUTOSAVE, name = 'Autosave') {
+        return this.gameState.save(slot, WorldSnapshot.capture(this), name);
+    }
+    
+    restoreWorld(saveData) {
+        this.gameState.restore(saveData.state);
+        this.gameState.update('game.paused', false);
+        this.gameState.update('game.gameOver', false);
+        
+        WorldSnapshot.restore(this, saveData.world);
+    }
+    
     destroy() {
         // Clean up all systems in reverse order
+        this.networkSystem.destroy();
         this.inputSystem.destroy();
         this.renderSystem.destroy();
         this.audioManager.destroy();
@@ -8,6 +8,9 @@ class GameScene extends Phaser.Scene {
         // Game initializer will manage all systems
         this.gameInitializer = null;
         
+        // Fixed-step simulation accumulator (ms)
+        this.accumulator = 0;
+        
         // Entity collections
         this.sprites = new Map();
         this.trails = new Map();
@@ -16,6 +19,11 @@ class GameScene extends Phaser.Scene {
         this.projectileGroup = null;
     }
     
+    init(data) {
+        // Run options passed from the menu (seed, mode, ...)
+        this.runConfig = data || {};
+    }
+    
     preload() {
         // Create textures for the game
         this.createTextures();
@@ -28,6 +36,7 @@ class GameScene extends Phaser.Scene {
         // Initialize collections
         this.sprites = new Map();
         this.trails = new Map();
+        this.accumulator = 0;
         this.enemyGroup = this.add.group();
         this.powerupGroup = this.add.group();
         this.projectileGroup = this.add.group();
@@ -52,23 +61,54 @@ class GameScene extends Phaser.Scene {
         // Set scene for entity factory
         entityFactory.setScene(this);
         
-        // Create initial entities through factory
-        this.createInitialEntities(entityFactory);
-        
-        // Setup event listeners
-        this.setupEventListeners();
-        
-        // Start game
-        eventBus.emit('GAME_START');
-        
-        // Start first wave after delay
-        this.time.delayedCall(2000, () => {
-            // Initialize first wave
+        this.gameInitializer.clock.registerTimer('scene.firstWave', () => {
             // Ensure wave state is clean before starting
             this.gameInitializer.gameState.update('waves.waveInProgress', false);
             waveSystem.startWave(1);
         });
         
+        // Setup event listeners
+        this.setupEventListeners();
+        
+        if (this.runConfig.save) {
+            // Resume a saved run exactly where it left off
+            this.gameInitializer.restoreWorld(this.runConfig.save);
+        } else if (this.runConfig.versus) {
+            // Versus is rounds in a small arena of gravity wells; GAME_START would begin the waves
+            this.gameInitializer.versusSystem.createArena(this.getPlayerCount());
+        } else if (this.runConfig.endless) {
+            // The endless director spawns on its own clock; GAME_START would begin the waves
+            this.createInitialEntities(entityFactory);
+            this.gameInitializer.endlessSystem.start();
+        } else if (this.runConfig.bossRush) {
+            // Boss rush schedules its own fights; GAME_START would begin the waves
+            this.createInitialEntities(entityFactory);
+            this.gameInitializer.bossRushSystem.start();
+        } else if (this.runConfig.defense) {
+            // Regular waves, besieging a home world that has to survive them
+            this.createInitialEntities(entityFactory);
+            this.gameInitializer.defenseSystem.start();
+            this.startWaves();
+        } else if (this.runConfig.capture) {
+            // Regular waves, with every faction fighting over the orbital systems' planets
+            this.createInitialEntities(entityFactory);
+            this.gameInitializer.captureSystem.start(this.orbitalSystems);
+            this.startWaves();
+        } else if (this.runConfig.sandbox) {
+            // The Gravity Lab starts nearly empty and only spawns what the player places
+            this.gameInitializer.sandboxSystem.start();
+        } else if (!this.gameInitializer.networkSystem.isClient()) {
+            // Create initial entities through factory (online clients get them from the host)
+            this.createInitialEntities(entityFactory);
+            
+            if (this.runConfig.tutorial) {
+                // The waves wait until the tutorial is done (TUTORIAL_COMPLETE)
+                this.gameInitializer.tutorialSystem.start();
+            } else {
+                this.startWaves();
+            }
+        }
+        
         // Start UI updates
         this.startUIUpdates();
         
@@ -76,16 +116,60 @@ class GameScene extends Phaser.Scene {
         eventBus.emit('AUDIO_PLAY_MUSIC');
     }
     
+    startWaves() {
+        // Start game
+        this.gameInitializer.eventBus.emit('GAME_START');
+        
+        // Start first wave after delay
+        this.gameInitializer.clock.schedule(2000, 'scene.firstWave');
+    }
+    
     update(time, delta) {
-        if (this.gameInitializer.gameState.get('game.paused')) return;
+        const { gameState, replaySystem } = this.gameInitializer;
         
-        const dt = delta / 1000;
+        // Replays drive their own stepping (speed, pause, seek)
+        if (replaySystem.isPlayback) {
+            replaySystem.update(delta);
+            return;
+        }
+        
+        if (gameState.get('game.paused')) return;
+        
+        this.advanceSimulation(delta, GameConstants.PHYSICS.MAX_STEPS_PER_FRAME);
+    }
+    
+    advanceSimulation(delta, maxSteps) {
+        const { FIXED_TIMESTEP, MAX_FRAME_TIME } = GameConstants.PHYSICS;
+        const { replaySystem } = this.gameInitializer;
+        
+        // Accumulate real time and consume it in fixed simulation steps
+        this.accumulator += Math.min(delta, MAX_FRAME_TIME);
+        
+        let steps = 0;
+        while (this.accumulator >= FIXED_TIMESTEP && steps < maxSteps && replaySystem.canStep()) {
+            this.fixedUpdate(FIXED_TIMESTEP);
+            this.accumulator -= FIXED_TIMESTEP;
+            steps++;
+        }
+        
+        // Drop time we couldn't catch up on rather than running ever more steps
+        if (steps >= maxSteps || !replaySystem.canStep()) {
+            this.accumulator = Math.min(this.accumulator, FIXED_TIMESTEP);
+        }
+        
+        // Render between the last two simulation states
+        this.gameInitializer.updatePresentation(delta / 1000, this.accumulator / FIXED_TIMESTEP);
+    }
+    
+    fixedUpdate(stepMs) {
+        // Feed recorded UI commands in before the step they were issued on
+        this.gameInitializer.replaySystem.beforeStep();
         
-        // Update all systems through initializer
-        this.gameInitializer.updateAllSystems(dt);
+        // Update all simulation systems through initializer
+        this.gameInitializer.stepSimulation(stepMs / 1000);
         
-        // Update game time
-        const playTime = this.gameInitializer.gameState.get('game.playTime') + delta;
+        // Update game time in simulation time so it matches the step count
+        const playTime = this.gameInitializer.gameState.get('game.playTime') + stepMs;
         this.gameInitializer.gameState.update('game.playTime', playTime);
     }
     
@@ -98,12 +182,22 @@ class GameScene extends Phaser.Scene {
         // Create player
         const startX = GameConfig.world.width * 0.2;
         const startY = GameConfig.world.height * 0.5;
-        const playerId = entityFactory.createPlayer(startX, startY);
+        const playerId = entityFactory.createPlayer(startX, startY, 0, this.getShipClass(0));
         
         // Store player ID in game state and scene
         this.gameInitializer.gameState.setPlayerId(playerId);
         this.player = playerId;
         
+        // Co-op partners (couch or online) start in a column below player 1 with their own health and energy
+        for (let index = 1; index < this.getPlayerCount(); index++) {
+            const partnerId = entityFactory.createPlayer(startX, startY + GameConstants.COOP.SPAWN_OFFSET * index, index);
+            this.gameInitializer.gameState.setPlayerId(partnerId, index);
+            this.gameInitializer.gameState.addPlayerState(index);
+        }
+        
+        // Player 1 flies the ship and starting upgrades picked in the hangar
+        this.gameInitializer.hangarSystem.applyLoadout();
+        
         // Create orbital systems
         const orbitalSystems = [
             { x: GameConfig.world.centerX, y: GameConfig.world.centerY, planets: 5, type: 'jupiter' },
@@ -113,21 +207,22 @@ class GameScene extends Phaser.Scene {
             { x: GameConfig.world.width * 0.75, y: GameConfig.world.height * 0.75, planets: 3, type: 'neptune' }
         ];
         
-        orbitalSystems.forEach(system => {
-            entityFactory.createOrbitalSystem(system.x, system.y, system.planets, system.type);
+        this.orbitalSystems = orbitalSystems.map(system => {
+            return entityFactory.createOrbitalSystem(system.x, system.y, system.planets, system.type);
         });
         
         // Create wandering planets with variety
+        const rng = entityFactory.rng;
         for (let i = 0; i < 25; i++) {
-            const x = Phaser.Math.Between(1000, GameConfig.world.width - 1000);
-            const y = Phaser.Math.Between(1000, GameConfig.world.height - 1000);
+            const x = rng.int(1000, GameConfig.world.width - 1000);
+            const y = rng.int(1000, GameConfig.world.height - 1000);
             
             // Use random planet profiles instead of just sizes
             const planet = entityFactory.createPlanet(x, y); // null = random profile
             
             // Random velocity
-            const angle = Math.random() * Math.PI * 2;
-            const speed = Phaser.Math.Between(1, 3);
+            const angle = rng.angle();
+            const speed = rng.int(1, 3);
             const physics = this.gameInitializer.entityManager.getComponent(planet, 'physics');
             if (physics) {
                 physics.velocity.x = Math.cos(angle) * speed;
@@ -136,11 +231,16 @@ class GameScene extends Phaser.Scene {
         }
         
         // Create single wandering catastrophe (combined vortex + spiral)
-        const catastropheX = Phaser.Math.Between(2000, GameConfig.world.width - 2000);
-        const catastropheY = Phaser.Math.Between(2000, GameConfig.world.height - 2000);
+        const catastropheX = rng.int(2000, GameConfig.world.width - 2000);
+        const catastropheY = rng.int(2000, GameConfig.world.height - 2000);
         this.catastropheId = entityFactory.createCatastrophe(catastropheX, catastropheY);
     }
     
+    getPlayerCount() {
+        if (this.runConfig.net) return this.runConfig.net.playerCount;
+        return this.runConfig.coop || this.runConfig.versus ? 2 : 1;
+    }
+    
     setupEventListeners() {
         const { eventBus, entityManager, entityFactory } = this.gameInitializer;
         
@@ -154,6 +254,16 @@ class GameScene extends Phaser.Scene {
             this.handleWaveComplete();
         });
         
+        // A run that opened with the tutorial starts its waves once it is done
+        eventBus.on('TUTORIAL_COMPLETE', () => {
+            this.startWaves();
+        });
+        
+        // Downed co-op players rejoin when the next wave starts
+        eventBus.on('WAVE_STARTED', () => {
+            this.reviveDownedPlayers();
+        });
+        
         // Entity lifecycle events
         eventBus.on('DESTROY_ENTITY', (data) => {
             entityManager.destroyEntity(data.entityId);
@@ -175,13 +285,20 @@ class GameScene extends Phaser.Scene {
             }
         });
         
-        // UI commands
-        window.addEventListener('gameCommand', (event) => {
+        // UI commands - removed on shutdown so restarts don't stack listeners
+        this.onGameCommand = (event) => {
             this.handleUICommand(event.detail);
+        };
+        window.addEventListener('gameCommand', this.onGameCommand);
+        this.events.once('shutdown', () => {
+            window.removeEventListener('gameCommand', this.onGameCommand);
         });
     }
     
     handlePause(paused) {
+        // A client can't stop the host's world
+        if (this.gameInitializer.networkSystem.isClient()) return;
+        
         this.gameInitializer.gameState.update('game.paused', paused);
         
         if (paused) {
@@ -192,23 +309,90 @@ class GameScene extends Phaser.Scene {
     }
     
     handleWaveComplete() {
-        const { gameState, combatSystem, waveSystem } = this.gameInitializer;
+        const { gameState, combatSystem } = this.gameInitializer;
         const currentWave = gameState.get('waves.current');
         
         // Let CombatSystem handle rewards
         combatSystem.processWaveRewards(currentWave);
         
         // Start next wave after delay
-        this.time.delayedCall(3000, () => {
-            waveSystem.startWave(currentWave + 1);
-        });
+        this.gameInitializer.clock.schedule(3000, 'wave.start', { waveNumber: currentWave + 1 });
+    }
+    
+    // Player 1 flies the ship picked before the run; partners, duels and online games fly the Striker
+    getShipClass(index) {
+        const hangar = this.runConfig.hangar;
+        return index === 0 && hangar && GameConstants.SHIPS[hangar.ship] ? hangar.ship : 'striker';
+    }
+    
+    reviveDownedPlayers() {
+        const { gameState, entityFactory, entityManager, eventBus, networkSystem } = this.gameInitializer;
+        const teammateId = gameState.getPlayerIds()[0];
+        const anchor = teammateId && entityManager.getComponent(teammateId, 'transform');
+        if (!anchor) return;
+        
+        const teammateKey = gameState.playerKey(gameState.getPlayerIndex(teammateId));
+        
+        for (let index = 0; index < gameState.getPlayerCount(); index++) {
+            if (gameState.getPlayerId(index) || networkSystem.hasLeft(index)) continue;
+            
+            const playerId = entityFactory.createPlayer(anchor.x, anchor.y + GameConstants.COOP.REVIVE_DISTANCE, index, this.getShipClass(index));
+            gameState.setPlayerId(playerId, index);
+            if (index === 0) {
+                this.player = playerId;
+            }
+            
+            // A fresh ship has its class's base stats; carry over the team's upgrades as the teammate's gains on its own class
+            const ship = GameConstants.SHIPS[this.getShipClass(index)];
+            const teammateShip = GameConstants.SHIPS[this.getShipClass(gameState.getPlayerIndex(teammateId))];
+            const teammateWeapon = entityManager.getComponent(teammateId, 'weapon');
+            const weapon = entityManager.getComponent(playerId, 'weapon');
+            weapon.damage = teammateWeapon.damage * (ship.weapon.damage / teammateShip.weapon.damage);
+            weapon.maxChargeTime = teammateWeapon.maxChargeTime * (ship.weapon.maxChargeTime / teammateShip.weapon.maxChargeTime);
+            entityManager.getComponent(playerId, 'physics').maxSpeed = entityManager.getComponent(teammateId, 'physics').maxSpeed * (ship.maxSpeed / teammateShip.maxSpeed);
+            
+            const maxHealth = gameState.get(`${teammateKey}.maxHealth`) + (ship.health - teammateShip.health);
+            const maxEnergy = gameState.get(`${teammateKey}.maxEnergy`);
+            const health = entityManager.getComponent(playerId, 'health');
+            health.max = maxHealth;
+            health.current = maxHealth * GameConstants.COOP.REVIVE_HEALTH;
+            
+            gameState.setPlayerVitals(index, {
+                alive: true,
+                health: health.current,
+                maxHealth: maxHealth,
+                energy: maxEnergy * GameConstants.COOP.REVIVE_HEALTH,
+                maxEnergy: maxEnergy
+            });
+            
+            eventBus.emit('UI_NOTIFICATION', {
+                message: `Player ${index + 1} is back in the fight!`,
+                type: 'success',
+                icon: 'fa-user-plus'
+            });
+        }
     }
     
     handleUICommand(data) {
-        const { eventBus, gameState } = this.gameInitializer;
+        const { eventBus, gameState, replaySystem, networkSystem } = this.gameInitializer;
+        
+        // Online, some commands go to the host and some aren't allowed at all
+        if (networkSystem.handleCommand(data)) return;
+        
+        // Commands that change the simulation are recorded; during playback they only come from the log
+        if (replaySystem.isRecordedCommand(data.command)) {
+            if (replaySystem.isPlayback && !data.fromReplay) return;
+            replaySystem.recordCommand(data);
+        }
         
         const commands = {
             pause: () => {
+                // Pausing a replay just stops playback
+                if (replaySystem.isPlayback) {
+                    replaySystem.togglePlaying();
+                    return;
+                }
+                
                 // Don't allow pausing/unpausing if game is over
                 if (gameState.get('game.gameOver')) return;
                 
@@ -216,6 +400,12 @@ class GameScene extends Phaser.Scene {
                 eventBus.emit('GAME_PAUSE', { paused });
             },
             restart: () => {
+                // Restarting a replay rewinds it
+                if (replaySystem.isPlayback) {
+                    replaySystem.seek(0);
+                    return;
+                }
+                
                 // Clear UI states before restarting
                 gameState.update('game.paused', false);
                 gameState.update('game.gameOver', false);
@@ -227,9 +417,19 @@ class GameScene extends Phaser.Scene {
                     alpineData.gameOver = false;
                 }
                 
-                this.scene.restart();
+                // A restart begins the run fresh rather than reloading the save it came from
+                const { save, ...runConfig } = this.runConfig;
+                this.scene.restart(runConfig);
             },
             menu: () => {
+                // Keep the recording before its stats are wiped
+                replaySystem.saveRecording();
+                
+                // Leaving mid-run keeps the world for CONTINUE (online games can't be resumed alone, lab sessions aren't runs)
+                if (!replaySystem.isPlayback && !networkSystem.isOnline() && !this.runConfig.sandbox && !gameState.get('game.gameOver')) {
+                    this.gameInitializer.saveWorld();
+                }
+                
                 // Reset the entire game state
                 gameState.reset();
                 
@@ -239,7 +439,28 @@ class GameScene extends Phaser.Scene {
                 this.scene.stop();
                 this.scene.start('Menu');
             },
+            save: () => {
+                if (replaySystem.isPlayback || this.runConfig.sandbox || gameState.get('game.gameOver')) return;
+                
+                if (SaveStorage.isFull()) {
+                    eventBus.emit('UI_NOTIFICATION', {
+                        message: `All ${SaveStorage.MAX_SLOTS} save slots are in use`,
+                        type: 'warning',
+                        icon: 'fa-exclamation-triangle'
+                    });
+                    return;
+                }
+                
+                const wave = gameState.get('waves.current');
+                const saved = this.gameInitializer.saveWorld(SaveStorage.createSlotId(), `Wave ${wave}`);
+                eventBus.emit('UI_NOTIFICATION', {
+                    message: saved ? 'Game saved' : 'Save failed',
+                    type: saved ? 'success' : 'error',
+                    icon: saved ? 'fa-save' : 'fa-exclamation-triangle'
+                });
+            },
             upgrade: () => {
+                if (!this.gameInitializer.upgradeSystem.enabled) return;
                 eventBus.emit('UPGRADE_REQUEST', {
                     upgradeType: data.upgradeType
                 });
@@ -251,11 +472,30 @@ class GameScene extends Phaser.Scene {
             purchaseAbility: () => {
                 eventBus.emit('PURCHASE_ABILITY', {
                     abilityId: data.abilityId,
-                    slot: data.slot
+                    slot: data.slot,
+                    player: data.player || 0
                 });
             },
             closeAbilityShop: () => {
                 eventBus.emit('CLOSE_ABILITY_SHOP');
+            },
+            replayToggle: () => {
+                replaySystem.togglePlaying();
+            },
+            replaySpeed: () => {
+                replaySystem.setSpeed(data.speed);
+            },
+            replaySeek: () => {
+                replaySystem.seek(data.step);
+            },
+            replayCamera: () => {
+                replaySystem.setFreeCamera(!replaySystem.freeCamera);
+            },
+            sandbox: () => {
+                this.gameInitializer.sandboxSystem.handleCommand(data);
+            },
+            skipTutorial: () => {
+                this.gameInitializer.tutorialSystem.skip();
             }
         };
         
@@ -265,7 +505,11 @@ class GameScene extends Phaser.Scene {
     }
     
     startUIUpdates() {
-        const { gameState, abilitySystem } = this.gameInitializer;
+        const { gameState, abilitySystem, weaponSystem, weaponModSystem, networkSystem, versusSystem, missionSystem, endlessSystem, bossRushSystem, challengeSystem, mutatorSystem, sandboxSystem, tutorialSystem, defenseSystem, captureSystem, hangarSystem } = this.gameInitializer;
+        
+        // The main panel shows this screen's player (not always player 1 online)
+        const localIndex = networkSystem.localIndex;
+        const localKey = gameState.playerKey(localIndex);
         
         // Update UI periodically
         this.time.addEvent({
@@ -277,18 +521,20 @@ class GameScene extends Phaser.Scene {
                 // Get dash cooldown from ability system
                 let dashCooldown = 0;
                 if (this.gameInitializer.abilitySystem) {
-                    dashCooldown = this.gameInitializer.abilitySystem.cooldowns.get('dash') || 0;
+                    dashCooldown = this.gameInitializer.abilitySystem.getAbilityCooldown('dash', localIndex);
                 }
                 
                 const state = {
                     player: {
-                        health: gameState.get('player.health'),
-                        maxHealth: gameState.get('player.maxHealth'),
-                        energy: gameState.get('player.energy'),
-                        maxEnergy: gameState.get('player.maxEnergy'),
-                        alive: gameState.get('player.alive'),
+                        health: gameState.get(`${localKey}.health`),
+                        maxHealth: gameState.get(`${localKey}.maxHealth`),
+                        energy: gameState.get(`${localKey}.energy`),
+                        maxEnergy: gameState.get(`${localKey}.maxEnergy`),
+                        alive: gameState.get(`${localKey}.alive`),
                         dashCooldown: dashCooldown
                     },
+                    weapon: weaponSystem.getUIState(gameState.getPlayerId(localIndex)),
+                    weaponMods: weaponModSystem.getUIState(localIndex),
                     game: {
                         credits: gameState.get('game.credits'),
                         score: gameState.get('game.score'),
@@ -303,10 +549,34 @@ class GameScene extends Phaser.Scene {
                         phase: gameState.get('waves.phase'),
                         enemiesDefeated: gameState.get('waves.enemiesKilled') || 0,
                         totalEnemies: gameState.get('waves.initialEnemyCount') || 0,
-                        enemiesRemaining: gameState.get('waves.enemiesRemaining') || 0
+                        enemiesRemaining: gameState.get('waves.enemiesRemaining') || 0,
+                        timeLeft: missionSystem.getTimeLeft()
                     },
-                    upgrades: abilitySystem.getAllUpgradeInfo()
+                    upgrades: abilitySystem.getAllUpgradeInfo(),
+                    partner: null,
+                    versus: versusSystem.getUIState(),
+                    endless: endlessSystem.getUIState(),
+                    bossRush: bossRushSystem.getUIState(),
+                    challenge: challengeSystem.getUIState(),
+                    mutators: mutatorSystem.getUIState(),
+                    sandbox: sandboxSystem.getUIState(),
+                    tutorial: tutorialSystem.getUIState(),
+                    defense: defenseSystem.getUIState(),
+                    capture: captureSystem.getUIState(),
+                    hangar: hangarSystem.getUIState()
                 };
+                
+                // Player 2's panel (couch co-op and versus; online players each have their own screen)
+                if (this.runConfig.coop || this.runConfig.versus) {
+                    const partnerKey = gameState.playerKey(1);
+                    state.partner = {
+                        health: gameState.get(`${partnerKey}.health`),
+                        maxHealth: gameState.get(`${partnerKey}.maxHealth`),
+                        energy: gameState.get(`${partnerKey}.energy`),
+                        maxEnergy: gameState.get(`${partnerKey}.maxEnergy`),
+                        alive: gameState.get(`${partnerKey}.alive`)
+                    };
+                }
                     
                     // Debug log wave state changes
                     if (this.lastWaveInProgress !== waveInProgress) {
@@ -321,8 +591,17 @@ class GameScene extends Phaser.Scene {
                         defense: this.gameInitializer.upgradeSystem.getUpgradeCost('defense'),
                         energy: this.gameInitializer.upgradeSystem.getUpgradeCost('energy')
                     };
+                    
+                    // Home world upgrades are only on sale in planet defense
+                    if (this.gameInitializer.upgradeSystem.planetUpgrades) {
+                        upgrades.turrets = this.gameInitializer.upgradeSystem.getUpgradeCost('turrets');
+                        upgrades.shieldRegen = this.gameInitializer.upgradeSystem.getUpgradeCost('shieldRegen');
+                    }
                 state.upgrades = upgrades;
                 
+                // Replay controls
+                state.replay = this.gameInitializer.replaySystem.getUIState();
+                
                 window.dispatchEvent(new CustomEvent('gameStateUpdate', { detail: state }));
             }
         });
@@ -338,7 +617,7 @@ class GameScene extends Phaser.Scene {
         }
         
         // Clean up event listeners
-        window.removeEventListener('gameCommand', this.handleUICommand);
+        window.removeEventListener('gameCommand', this.onGameCommand);
         
         // Stop music
         this.gameInitializer.eventBus.emit('AUDIO_STOP_MUSIC');
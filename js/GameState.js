@@ -9,7 +9,7 @@ class GameState {
         this.stateHistory = [];      // State snapshots for debugging
         this.maxHistory = 10;
         this.listeners = new Set();   // State change subscribers
-        this.playerId = null;
+        this.playerIds = [];          // Entity ID per local player; null while that player is down
     }
     
     getInitialState() {
@@ -52,7 +52,9 @@ class GameState {
                 playTime: 0,
                 paused: false,
                 gameOver: false,
-                victory: false
+                victory: false,
+                seed: null,
+                scoreMultiplier: 1 // Product of the run's mutators
             },
             
             // Wave progression tracking
@@ -261,39 +263,23 @@ class GameState {
         return cloned;
     }
     
-    // Save state to localStorage
-    save(slot = 'autosave') {
-        try {
-            const saveData = {
-                state: this.state,
-                timestamp: Date.now(),
-                version: '1.0.0'
-            };
-            localStorage.setItem(`gravityWars_${slot}`, JSON.stringify(saveData));
-            return true;
-        } catch (e) {
-            console.error('Failed to save game:', e);
-            return false;
-        }
+    // Save state to a slot, with an optional world snapshot to resume mid-wave
+    save(slot = SaveStorage.AUTOSAVE, world = null, name = null) {
+        return SaveStorage.write(slot, { name, state: this.state, world }) !== null;
     }
     
-    // Load state from localStorage
-    load(slot = 'autosave') {
-        try {
-            const saveData = localStorage.getItem(`gravityWars_${slot}`);
-            if (!saveData) return false;
-            
-            const parsed = JSON.parse(saveData);
-            if (parsed.version === '1.0.0') {
-                this.state = parsed.state;
-                this.notify({ type: 'load' });
-                return true;
-            }
-            return false;
-        } catch (e) {
-            console.error('Failed to load game:', e);
-            return false;
-        }
+    // Load state from a slot (older save versions are migrated on read)
+    load(slot = SaveStorage.AUTOSAVE) {
+        const saveData = SaveStorage.read(slot);
+        if (!saveData) return false;
+        
+        this.restore(saveData.state);
+        return true;
+    }
+    
+    restore(state) {
+        this.state = this.deepClone(state);
+        this.notify({ type: 'load' });
     }
     
     // Helper methods for common operations
@@ -304,7 +290,7 @@ class GameState {
     
     addScore(amount) {
         const current = this.get('game.score');
-        this.update('game.score', current + amount);
+        this.update('game.score', current + Math.round(amount * (this.get('game.scoreMultiplier') || 1)));
     }
     
     incrementCombo() {
@@ -324,17 +310,18 @@ class GameState {
         ]);
     }
     
-    damagePlayer(amount) {
-        const currentHealth = this.get('player.health');
+    damagePlayer(amount, index = 0) {
+        const key = this.playerKey(index);
+        const currentHealth = this.get(`${key}.health`);
         const defense = this.get('player.stats.defense');
         const actualDamage = Math.max(1, amount - defense * 0.5);
         const newHealth = Math.max(0, currentHealth - actualDamage);
         
-        this.update('player.health', newHealth);
+        this.update(`${key}.health`, newHealth);
         this.update('game.totalDamageTaken', this.get('game.totalDamageTaken') + actualDamage);
         
         if (newHealth <= 0) {
-            this.update('player.alive', false);
+            this.update(`${key}.alive`, false);
             this.update('game.gameOver', true);
             this.eventBus.emit('PLAYER_DEATH');
         }
@@ -342,42 +329,88 @@ class GameState {
         return actualDamage;
     }
     
-    healPlayer(amount) {
-        const currentHealth = this.get('player.health');
-        const maxHealth = this.get('player.maxHealth');
+    healPlayer(amount, index = 0) {
+        const key = this.playerKey(index);
+        const currentHealth = this.get(`${key}.health`);
+        const maxHealth = this.get(`${key}.maxHealth`);
         const newHealth = Math.min(maxHealth, currentHealth + amount);
         
-        this.update('player.health', newHealth);
+        this.update(`${key}.health`, newHealth);
         return newHealth - currentHealth;
     }
     
-    useEnergy(amount) {
-        const currentEnergy = this.get('player.energy');
+    useEnergy(amount, index = 0) {
+        const key = this.playerKey(index);
+        const currentEnergy = this.get(`${key}.energy`);
         if (currentEnergy >= amount) {
-            this.update('player.energy', currentEnergy - amount);
+            this.update(`${key}.energy`, currentEnergy - amount);
             return true;
         }
         return false;
     }
     
-    regenerateEnergy(deltaTime) {
-        const current = this.get('player.energy');
-        const max = this.get('player.maxEnergy');
+    regenerateEnergy(deltaTime, index = 0) {
+        const key = this.playerKey(index);
+        const current = this.get(`${key}.energy`);
+        const max = this.get(`${key}.maxEnergy`);
         const regenRate = this.get('player.stats.energyRegen');
         
         if (current < max) {
             const newEnergy = Math.min(max, current + regenRate * deltaTime);
-            this.update('player.energy', newEnergy);
+            this.update(`${key}.energy`, newEnergy);
         }
     }
     
-    // Helper methods for managing player ID
-    setPlayerId(id) {
-        this.playerId = id;
+    // Helper methods for managing player IDs (index 0 is player 1)
+    setPlayerId(id, index = 0) {
+        this.playerIds[index] = id;
+    }
+    
+    getPlayerId(index = 0) {
+        return this.playerIds[index] || null;
+    }
+    
+    // IDs of every player ship currently in play
+    getPlayerIds() {
+        return this.playerIds.filter(id => id !== null && id !== undefined);
+    }
+    
+    getPlayerIndex(id) {
+        return this.playerIds.indexOf(id);
+    }
+    
+    getPlayerCount() {
+        return this.playerIds.length;
+    }
+    
+    // Vitals live under 'player' for player 1 and 'player2' for player 2; stats and upgrades stay shared on 'player'
+    playerKey(index) {
+        return index > 0 ? `player${index + 1}` : 'player';
+    }
+    
+    // Co-op players get their own health and energy, sized to player 1's current maximums
+    addPlayerState(index) {
+        const key = this.playerKey(index);
+        const maxHealth = this.get('player.maxHealth');
+        const maxEnergy = this.get('player.maxEnergy');
+        
+        this.update(key, {
+            alive: true,
+            health: maxHealth,
+            maxHealth: maxHealth,
+            energy: maxEnergy,
+            maxEnergy: maxEnergy
+        });
+        return key;
     }
     
-    getPlayerId() {
-        return this.playerId;
+    // Field by field, so player 1's shared stats and upgrades are left alone
+    setPlayerVitals(index, vitals) {
+        const key = this.playerKey(index);
+        this.batchUpdate(Object.keys(vitals).map(field => ({
+            path: `${key}.${field}`,
+            value: vitals[field]
+        })));
     }
     
     // Simplified state setters/getters
@@ -397,8 +430,8 @@ class GameState {
         this.historyIndex = -1;
         this.previousState = null;
         
-        // Reset player ID
-        this.playerId = null;
+        // Reset player IDs
+        this.playerIds = [];
         
         // Notify listeners of reset
         this.notify({ reset: true });
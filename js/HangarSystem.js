@@ -0,0 +1,203 @@
+// HangarSystem.js - Pilot profile kept between runs and the hangar loadout it brings to a new run
+// Every run pays stardust into the profile; the hangar spends it on ships, shop abilities, ability slots, starting upgrades and weapon mods
+
+// Pilot profile kept between runs, apart from the run saves
+const HangarProfile = {
+    KEY: 'gravityWars_hangar',
+    UPGRADES: ['damage', 'speed', 'defense', 'energy'],
+
+    load() {
+        let profile = null;
+        try {
+            profile = JSON.parse(localStorage.getItem(this.KEY));
+        } catch (e) {
+            profile = null;
+        }
+        profile = profile || {};
+
+        return {
+            stardust: profile.stardust || 0,
+            ships: profile.ships || ['striker'],
+            ship: profile.ship || 'striker',
+            abilities: profile.abilities || [],
+            slots: profile.slots || 0,
+            upgrades: { damage: 0, speed: 0, defense: 0, energy: 0, ...profile.upgrades },
+            mods: profile.mods || [],
+            modSlots: profile.modSlots || new Array(GameConstants.WEAPON_MOD_SLOTS).fill(null)
+        };
+    },
+
+    save(profile) {
+        try {
+            localStorage.setItem(this.KEY, JSON.stringify(profile));
+        } catch (e) {
+            console.error('[HangarProfile] Failed to save profile:', e);
+        }
+    },
+
+    earn(amount) {
+        const profile = this.load();
+        profile.stardust += amount;
+        this.save(profile);
+        return profile.stardust;
+    },
+
+    // Price of the next purchase of a kind, or null once it's owned or maxed out
+    getCost(profile, kind, id) {
+        const hangar = GameConstants.HANGAR;
+        switch (kind) {
+            case 'ship':
+                return profile.ships.includes(id) ? null : hangar.SHIP_COSTS[id];
+            case 'ability':
+                return profile.abilities.includes(id) ? null : hangar.ABILITIES[id].cost;
+            case 'slot':
+                return profile.slots < hangar.SLOT_COSTS.length ? hangar.SLOT_COSTS[profile.slots] : null;
+            case 'upgrade':
+                return profile.upgrades[id] < hangar.MAX_STARTING_LEVEL ? hangar.UPGRADE_COST * (profile.upgrades[id] + 1) : null;
+            case 'mod':
+                return profile.mods.includes(id) ? null : hangar.MOD_COSTS[id];
+        }
+        return null;
+    },
+
+    // Returns the updated profile, or null when it can't be bought
+    purchase(kind, id) {
+        const profile = this.load();
+        const cost = this.getCost(profile, kind, id);
+        if (cost === null || profile.stardust < cost) return null;
+
+        profile.stardust -= cost;
+        switch (kind) {
+            case 'ship':
+                profile.ships.push(id);
+                profile.ship = id;
+                break;
+            case 'ability':
+                profile.abilities.push(id);
+                break;
+            case 'slot':
+                profile.slots++;
+                break;
+            case 'upgrade':
+                profile.upgrades[id]++;
+                break;
+            case 'mod':
+                profile.mods.push(id);
+                break;
+        }
+
+        this.save(profile);
+        return profile;
+    },
+
+    selectShip(id) {
+        const profile = this.load();
+        if (profile.ships.includes(id)) {
+            profile.ship = id;
+            this.save(profile);
+        }
+        return profile;
+    },
+
+    // An owned mod goes in the first empty slot; fitting one twice stacks it
+    fitMod(id) {
+        const profile = this.load();
+        const slot = profile.modSlots.indexOf(null);
+        if (profile.mods.includes(id) && slot !== -1) {
+            profile.modSlots[slot] = id;
+            this.save(profile);
+        }
+        return profile;
+    },
+
+    clearModSlot(slot) {
+        const profile = this.load();
+        profile.modSlots[slot] = null;
+        this.save(profile);
+        return profile;
+    },
+
+    // Run options for a new run: the loadout travels with the run so saves and replays fly the same ship
+    createRunConfig() {
+        const profile = this.load();
+        return {
+            ship: profile.ship,
+            abilities: profile.abilities.slice(),
+            slots: profile.slots,
+            upgrades: { ...profile.upgrades },
+            mods: profile.modSlots.slice()
+        };
+    }
+};
+
+class HangarSystem {
+    constructor(scene, eventBus, entityManager, gameState) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+        this.gameState = gameState;
+        this.abilityShopSystem = null; // Set by GameInitializer
+        this.upgradeSystem = null;     // Set by GameInitializer
+        this.weaponModSystem = null;   // Set by GameInitializer
+
+        this.loadout = null;        // Hangar loadout of a run started from the menu
+        this.recordRuns = true;
+        this.earned = null;         // Stardust paid out once the run is over
+        this.stardust = 0;
+    }
+
+    init(runConfig) {
+        if (!runConfig.hangar) return;
+        this.loadout = runConfig.hangar;
+
+        // Replays fly the same loadout without paying out twice
+        this.recordRuns = !runConfig.replay;
+
+        this.abilityShopSystem.hangarUnlocks = this.loadout.abilities;
+        this.abilityShopSystem.addSlots(this.loadout.slots);
+
+        // Loadouts from before weapon mods have none fitted
+        this.weaponModSystem.fitMods(this.loadout.mods || [], 0);
+
+        this.eventBus.on('GAME_OVER', () => {
+            if (!this.recordRuns || this.earned !== null) return;
+            this.payOut();
+        });
+    }
+
+    // Starting upgrades, once the fresh ships exist
+    applyLoadout() {
+        if (!this.loadout) return;
+
+        // Player 1's hull was built from its class; the shared vitals follow its health
+        const playerId = this.gameState.getPlayerId(0);
+        const health = playerId && this.entityManager.getComponent(playerId, 'health');
+        if (health) {
+            this.gameState.setPlayerVitals(0, { health: health.max, maxHealth: health.max });
+        }
+
+        this.upgradeSystem.grantLevels(this.loadout.upgrades);
+    }
+
+    payOut() {
+        const hangar = GameConstants.HANGAR;
+        const score = this.gameState.get('game.score');
+        const wavesCleared = Math.max(0, this.gameState.get('waves.current') - 1);
+
+        this.earned = Math.floor(score * hangar.STARDUST_PER_SCORE) + wavesCleared * hangar.STARDUST_PER_WAVE;
+        this.stardust = HangarProfile.earn(this.earned);
+    }
+
+    // Stardust line for the score screen
+    getUIState() {
+        if (this.earned === null) return null;
+
+        return {
+            earned: this.earned,
+            stardust: this.stardust
+        };
+    }
+}
+
+window.HangarProfile = HangarProfile;
+window.HangarSystem = HangarSystem;
@@ -6,36 +6,83 @@ class InputSystem {
         this.eventBus = eventBus;
         this.entityManager = entityManager;
         this.gameState = gameState;
-        this.playerId = null;
         
         // Input states
         this.keys = null;
+        this.partnerKeys = null;
         this.pointer = null;
         this.touchControls = null;
-        
-        // Movement vector
-        this.moveVector = { x: 0, y: 0 };
-        this.aimAngle = 0;
         this.isShooting = false;
+        this.weaponWheel = null; // Open while Q is held
+        
+        // One pilot per ship - player 1 on keyboard/mouse/touch, player 2 on arrows or a gamepad
+        this.pilots = [this.createPilot(0)];
         
-        // Dash cooldown
-        this.dashCooldown = 0;
+        // Dash tuning
         this.dashCooldownTime = 5000; // 5 seconds
         this.dashSpeed = 25; // Minimum dash speed
+        
+        // Per-step input frames (recorded live, read back in replays)
+        this.stepIndex = 0;
+        this.recorder = null; // InputRecorder set by ReplaySystem when recording
+        this.replayPlayer = null; // ReplayPlayer set by ReplaySystem during playback
+        this.network = null; // NetworkSystem set when hosting online co-op
     }
     
     init() {
-        // Get player ID
-        this.playerId = this.gameState.getPlayerId();
+        this.createPilots();
         
         this.setupKeyboard();
         this.setupMouse();
         
+        if (this.hasLocalPartner()) {
+            this.setupPartnerKeyboard();
+            this.setupGamepad();
+        }
+        
         if (this.scene.sys.game.device.input.touch) {
             this.setupTouch();
         }
     }
     
+    // device: 'local' (keyboard/mouse/touch), 'partner' (arrows or gamepad) or 'remote' (an online player)
+    createPilot(index, device = 'local') {
+        return {
+            index,
+            device,
+            playerId: null,
+            moveVector: { x: 0, y: 0 },
+            aimAngle: 0,
+            dashCooldown: 0,
+            boosting: false,
+            pendingActions: []
+        };
+    }
+    
+    createPilots() {
+        const net = this.scene.runConfig && this.scene.runConfig.net;
+        if (net && net.role === 'client') {
+            // A client only flies its own ship; the host simulates everyone
+            this.pilots = [this.createPilot(net.index)];
+            return;
+        }
+        
+        this.pilots = [this.createPilot(0)];
+        if (net) {
+            for (let index = 1; index < net.playerCount; index++) {
+                this.pilots.push(this.createPilot(index, 'remote'));
+            }
+        } else if (this.hasLocalPartner()) {
+            this.pilots.push(this.createPilot(1, 'partner'));
+        }
+    }
+    
+    // Couch co-op and versus put player 2 on the arrow keys or a gamepad
+    hasLocalPartner() {
+        const runConfig = this.scene.runConfig || {};
+        return !!(runConfig.coop || runConfig.versus);
+    }
+    
     setupKeyboard() {
         this.keys = this.scene.input.keyboard.addKeys({
             up: Phaser.Input.Keyboard.KeyCodes.W,
@@ -51,11 +98,16 @@ class InputSystem {
             ability1: Phaser.Input.Keyboard.KeyCodes.ONE,
             ability2: Phaser.Input.Keyboard.KeyCodes.TWO,
             ability3: Phaser.Input.Keyboard.KeyCodes.THREE,
+            weaponWheel: Phaser.Input.Keyboard.KeyCodes.Q,
+            nextWeapon: Phaser.Input.Keyboard.KeyCodes.E,
             debugCredits: Phaser.Input.Keyboard.KeyCodes.I
         });
         
         // ESC handler - pause game
         this.keys.pause.on('down', () => {
+            // Replays use their own playback controls, and online clients can't pause the host
+            if (this.replayPlayer || this.scene.gameInitializer.networkSystem.isClient()) return;
+            
             const paused = !this.gameState.get('game.paused');
             this.gameState.update('game.paused', paused);
             this.eventBus.emit('GAME_PAUSE', { paused });
@@ -63,41 +115,7 @@ class InputSystem {
         
         // P key for killing all enemies (testing)
         this.keys.pauseKey.on('down', () => {
-            // Debug key activated - eliminate all hostiles
-            
-            // Get all enemy entities
-            const enemies = this.entityManager.getEntitiesByType('enemy');
-            const bosses = this.entityManager.getEntitiesByType('boss');
-            const allHostiles = [...enemies, ...bosses];
-            
-            // Process entity elimination
-            
-            // Kill each hostile entity properly through the combat system
-            allHostiles.forEach(entityId => {
-                const health = this.entityManager.getComponent(entityId, 'health');
-                const transform = this.entityManager.getComponent(entityId, 'transform');
-                
-                if (health) {
-                    // Set health to 0 to trigger proper death
-                    health.current = 0;
-                    
-                    // Emit proper enemy death event
-                    if (bosses.includes(entityId)) {
-                        // Boss death
-                        this.eventBus.emit('ENTITY_DESTROYED', {
-                            id: entityId
-                        });
-                    } else {
-                        // Regular enemy death - this will handle wave completion
-                        this.eventBus.emit('COMBAT_ENEMY_DEATH', {
-                            entityId: entityId,
-                            transform: transform
-                        });
-                    }
-                }
-            });
-            
-            // All hostile entities eliminated
+            this.queueAction('killAll');
         });
         
         // Debug toggle
@@ -107,36 +125,203 @@ class InputSystem {
         
         // Dash on space bar
         this.keys.dash.on('down', () => {
-            this.eventBus.emit('PLAYER_ABILITY', { ability: 'dash' });
+            this.queueAction('dash');
+        });
+        
+        // Enemy markers are drawn while C is held; the press itself goes through the simulation for the tutorial
+        this.keys.markers.on('down', () => {
+            this.queueAction('markers');
         });
         
         // Ability shortcuts for shop abilities (1-4)
         this.keys.ability1.on('down', () => {
-            this.eventBus.emit('USE_ABILITY', { slot: 0 });
+            this.pressNumberKey(0);
         });
         
         this.keys.ability2.on('down', () => {
-            this.eventBus.emit('USE_ABILITY', { slot: 1 });
+            this.pressNumberKey(1);
         });
         
         this.keys.ability3.on('down', () => {
-            this.eventBus.emit('USE_ABILITY', { slot: 2 });
+            this.pressNumberKey(2);
         });
         
         // Add ability4 key for 4th slot
         this.keys.ability4 = this.scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.FOUR);
         this.keys.ability4.on('down', () => {
-            this.eventBus.emit('USE_ABILITY', { slot: 3 });
+            this.pressNumberKey(3);
+        });
+        
+        // 5 and 6 fire the extra slots bought in the hangar
+        this.keys.ability5 = this.scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.FIVE);
+        this.keys.ability5.on('down', () => {
+            this.pressNumberKey(4);
+        });
+        
+        this.keys.ability6 = this.scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SIX);
+        this.keys.ability6.on('down', () => {
+            this.pressNumberKey(5);
+        });
+        
+        // Hold Q for the weapon wheel, let go to pick; E steps to the next weapon
+        this.keys.weaponWheel.on('down', () => {
+            this.openWeaponWheel();
+        });
+        
+        this.keys.weaponWheel.on('up', () => {
+            this.closeWeaponWheel(true);
+        });
+        
+        this.keys.nextWeapon.on('down', () => {
+            this.queueAction('cycleWeapon', 1);
         });
         
         // Debug key I - add 10 credits
         this.keys.debugCredits.on('down', () => {
-            console.log('[Debug] Adding 10 credits');
-            this.gameState.addCredits(10);
-            // Also emit event for UI feedback
-            this.eventBus.emit('DEBUG_CREDITS_ADDED', { amount: 10 });
+            this.queueAction('debugCredits');
+        });
+        
+    }
+    
+    // Number keys fire the ability slots, or pick a weapon while the wheel is open
+    pressNumberKey(slot) {
+        if (this.weaponWheel && this.weaponWheel.open) {
+            if (slot < this.weaponWheel.types.length) {
+                this.weaponWheel.selected = slot;
+                this.closeWeaponWheel(true);
+            }
+            return;
+        }
+        this.queueAction('ability', slot);
+    }
+    
+    // Player 2 keyboard: arrows to fly, Enter to charge, . to boost, / to dash, , to swap weapons, 7-0 for abilities
+    setupPartnerKeyboard() {
+        const KeyCodes = Phaser.Input.Keyboard.KeyCodes;
+        this.partnerKeys = this.scene.input.keyboard.addKeys({
+            up: KeyCodes.UP,
+            down: KeyCodes.DOWN,
+            left: KeyCodes.LEFT,
+            right: KeyCodes.RIGHT,
+            fire: KeyCodes.ENTER,
+            boost: KeyCodes.PERIOD,
+            dash: KeyCodes.FORWARD_SLASH,
+            nextWeapon: KeyCodes.COMMA
+        });
+        
+        this.partnerKeys.dash.on('down', () => {
+            this.queueAction('dash', null, 1);
+        });
+        
+        this.partnerKeys.nextWeapon.on('down', () => {
+            this.queueAction('cycleWeapon', 1, 1);
+        });
+        
+        [KeyCodes.SEVEN, KeyCodes.EIGHT, KeyCodes.NINE, KeyCodes.ZERO].forEach((keyCode, slot) => {
+            this.scene.input.keyboard.addKey(keyCode).on('down', () => {
+                this.queueAction('ability', slot, 1);
+            });
+        });
+    }
+    
+    // The first connected gamepad drives player 2: A dashes, X/Y/B/RB fire the ability slots, D-pad right swaps weapons
+    setupGamepad() {
+        if (!this.scene.input.gamepad) return;
+        
+        const abilityButtons = { 2: 0, 3: 1, 1: 2, 5: 3 };
+        this.scene.input.gamepad.on('down', (pad, button) => {
+            if (pad !== this.getPartnerPad()) return;
+            
+            if (button.index === 0) {
+                this.queueAction('dash', null, 1);
+            } else if (button.index === 15) {
+                this.queueAction('cycleWeapon', 1, 1);
+            } else if (button.index in abilityButtons) {
+                this.queueAction('ability', abilityButtons[button.index], 1);
+            }
+        });
+    }
+    
+    getPartnerPad() {
+        const gamepad = this.scene.input.gamepad;
+        return gamepad && gamepad.total > 0 ? gamepad.pad1 : null;
+    }
+    
+    // Key presses land between steps; queue them so they apply (and record) on the next step
+    queueAction(type, value = null, pilotIndex = 0) {
+        if (this.replayPlayer) return;
+        const pilot = this.pilots[pilotIndex];
+        if (!pilot) return;
+        pilot.pendingActions.push(value === null ? [type] : [type, value]);
+    }
+    
+    applyActions(pilot, actions) {
+        actions.forEach(([type, value]) => {
+            switch (type) {
+                case 'dash':
+                    this.eventBus.emit('PLAYER_ABILITY', { ability: 'dash', playerId: pilot.playerId });
+                    break;
+                case 'ability':
+                    this.eventBus.emit('USE_ABILITY', { slot: value, player: pilot.index });
+                    break;
+                case 'killAll':
+                    this.killAllHostiles();
+                    break;
+                case 'markers':
+                    this.eventBus.emit('PLAYER_MARKERS_SHOWN', { playerId: pilot.playerId });
+                    break;
+                case 'weapon':
+                    this.eventBus.emit('PLAYER_WEAPON_SELECT', { playerId: pilot.playerId, weapon: value });
+                    break;
+                case 'cycleWeapon':
+                    this.eventBus.emit('PLAYER_WEAPON_SELECT', { playerId: pilot.playerId, step: value });
+                    break;
+                case 'debugCredits':
+                    console.log('[Debug] Adding 10 credits');
+                    this.gameState.addCredits(10);
+                    // Also emit event for UI feedback
+                    this.eventBus.emit('DEBUG_CREDITS_ADDED', { amount: 10 });
+                    break;
+            }
+        });
+    }
+    
+    killAllHostiles() {
+        // Debug key activated - eliminate all hostiles
+        
+        // Get all enemy entities
+        const enemies = this.entityManager.getEntitiesByType('enemy');
+        const bosses = this.entityManager.getEntitiesByType('boss');
+        const allHostiles = [...enemies, ...bosses];
+        
+        // Process entity elimination
+        
+        // Kill each hostile entity properly through the combat system
+        allHostiles.forEach(entityId => {
+            const health = this.entityManager.getComponent(entityId, 'health');
+            const transform = this.entityManager.getComponent(entityId, 'transform');
+            
+            if (health) {
+                // Set health to 0 to trigger proper death
+                health.current = 0;
+                
+                // Emit proper enemy death event
+                if (bosses.includes(entityId)) {
+                    // Boss death
+                    this.eventBus.emit('ENTITY_DESTROYED', {
+                        id: entityId
+                    });
+                } else {
+                    // Regular enemy death - this will handle wave completion
+                    this.eventBus.emit('COMBAT_ENEMY_DEATH', {
+                        entityId: entityId,
+                        transform: transform
+                    });
+                }
+            }
         });
         
+        // All hostile entities eliminated
     }
     
     isShiftHeld() {
@@ -146,11 +331,31 @@ class InputSystem {
     setupMouse() {
         this.pointer = this.scene.input.activePointer;
         
+        // The Gravity Lab places its selected tool on right-click instead of shooting
+        if (this.scene.runConfig.sandbox) {
+            this.scene.input.mouse.disableContextMenu();
+        }
+        
         // Track shooting state
-        this.scene.input.on('pointerdown', () => {
+        this.scene.input.on('pointerdown', (pointer) => {
+            if (this.scene.runConfig.sandbox && pointer.rightButtonDown()) {
+                this.eventBus.emit('SANDBOX_PLACE', { x: pointer.worldX, y: pointer.worldY });
+                return;
+            }
+            // Clicking a slice of the open weapon wheel picks it instead of shooting
+            if (this.weaponWheel && this.weaponWheel.open) {
+                this.closeWeaponWheel(true);
+                return;
+            }
             this.isShooting = true;
         });
         
+        this.scene.input.on('pointermove', (pointer) => {
+            if (this.weaponWheel && this.weaponWheel.open) {
+                this.highlightWeaponSlice(pointer);
+            }
+        });
+        
         this.scene.input.on('pointerup', () => {
             this.isShooting = false;
         });
@@ -163,6 +368,58 @@ class InputSystem {
         });
     }
     
+    // Radial weapon picker (drawn by the HUD) around the middle of the screen while Q is held
+    openWeaponWheel() {
+        // Holding the key repeats its press
+        if (this.replayPlayer || (this.weaponWheel && this.weaponWheel.open)) return;
+        const types = Object.keys(GameConstants.PRIMARY_WEAPONS);
+        
+        // Start on the weapon already in hand
+        const weapon = this.entityManager.getComponent(this.pilots[0].playerId, 'weapon');
+        this.weaponWheel = {
+            open: true,
+            types: types,
+            selected: Math.max(0, weapon ? types.indexOf(weapon.type) : 0)
+        };
+        this.emitWeaponWheel();
+    }
+    
+    highlightWeaponSlice(pointer) {
+        const wheel = this.weaponWheel;
+        const camera = this.scene.cameras.main;
+        const dx = pointer.x - camera.width / 2;
+        const dy = pointer.y - camera.height / 2;
+        if (dx * dx + dy * dy < 40 * 40) return;
+        
+        // Slices go clockwise from the top; take the one nearest the pointer's direction
+        const count = wheel.types.length;
+        const step = (Math.PI * 2) / count;
+        const angle = Math.atan2(dy, dx) + Math.PI / 2;
+        const selected = ((Math.round(angle / step) % count) + count) % count;
+        if (selected !== wheel.selected) {
+            wheel.selected = selected;
+            this.emitWeaponWheel();
+        }
+    }
+    
+    closeWeaponWheel(pick) {
+        const wheel = this.weaponWheel;
+        if (!wheel || !wheel.open) return;
+        
+        wheel.open = false;
+        this.emitWeaponWheel();
+        if (pick) {
+            this.queueAction('weapon', wheel.types[wheel.selected]);
+        }
+    }
+    
+    emitWeaponWheel() {
+        const wheel = this.weaponWheel;
+        this.eventBus.emit('WEAPON_WHEEL_UPDATE', {
+            open: wheel.open,
+            selected: wheel.selected
+        });
+    }
     
     setupTouch() {
         // Virtual joystick
@@ -238,118 +495,228 @@ class InputSystem {
     }
     
     update(deltaTime) {
-        if (this.gameState.get('game.paused')) return;
+        // Every simulation step gets an index, even if it's skipped below
+        const step = this.stepIndex++;
         
-        // Debug: Check if we have a valid player ID
-        if (!this.playerId) {
-            this.playerId = this.gameState.getPlayerId();
-            if (!this.playerId) {
-                // Player ID not yet initialized
-                return;
-            }
-            // Player ID acquired
-        }
+        if (this.gameState.get('game.paused')) return;
         
-        // Update dash cooldown
-        if (this.dashCooldown > 0) {
-            this.dashCooldown -= deltaTime * 1000;
+        // Ship IDs change when a downed co-op player is revived
+        this.pilots.forEach(pilot => {
+            pilot.playerId = this.gameState.getPlayerId(pilot.index);
+        });
+        if (!this.pilots.some(pilot => pilot.playerId)) {
+            // Player ID not yet initialized
+            return;
         }
         
-        // Update movement vector
-        this.updateMovement();
-        
-        // Update aim
-        this.updateAim();
-        
-        // Handle shooting
-        this.updateShooting(deltaTime);
+        // Update dash cooldowns
+        this.pilots.forEach(pilot => {
+            if (pilot.dashCooldown > 0) {
+                pilot.dashCooldown -= deltaTime * 1000;
+            }
+        });
         
-        // Apply movement to player
-        this.applyPlayerMovement();
+        // Read this step's input from the devices or the replay
+        const frames = this.replayPlayer
+            ? this.replayPlayer.getFrames(step, this.pilots.length)
+            : this.pilots.map(pilot => this.sampleFrame(pilot));
+        if (this.recorder) {
+            this.recorder.recordFrames(step, frames);
+        }
         
-        // Handle dash
-        this.handleDash();
+        this.pilots.forEach((pilot, index) => {
+            // Downed until the next wave
+            if (!pilot.playerId) return;
+            
+            const frame = frames[index];
+            
+            // Discrete key actions (dash, abilities, debug keys)
+            this.applyActions(pilot, frame.actions);
+            
+            // Update movement vector
+            this.updateMovement(pilot, frame);
+            
+            // Update aim
+            this.updateAim(pilot, frame);
+            
+            // Handle shooting
+            this.updateShooting(pilot, deltaTime, frame);
+            
+            // Apply movement to player
+            this.applyPlayerMovement(pilot, frame);
+            
+            // Handle dash
+            this.handleDash(pilot, frame);
+        });
     }
     
-    updateMovement() {
-        this.moveVector.x = 0;
-        this.moveVector.y = 0;
+    // Snapshot device state into a frame; values are quantized so the
+    // live run and its replay see exactly the same numbers
+    sampleFrame(pilot) {
+        if (pilot.device === 'remote') {
+            return this.network.takeInputFrame(pilot);
+        }
+        if (pilot.device === 'partner') {
+            return this.samplePartnerFrame(pilot);
+        }
         
-        // Keyboard input
-        if (this.keys.left.isDown) this.moveVector.x -= 1;
-        if (this.keys.right.isDown) this.moveVector.x += 1;
-        if (this.keys.up.isDown) this.moveVector.y -= 1;
-        if (this.keys.down.isDown) this.moveVector.y += 1;
+        let moveX = 0;
+        let moveY = 0;
         
+        // Keyboard input
+        if (this.keys.left.isDown) moveX -= 1;
+        if (this.keys.right.isDown) moveX += 1;
+        if (this.keys.up.isDown) moveY -= 1;
+        if (this.keys.down.isDown) moveY += 1;
         
         // Touch input
         if (this.touchControls) {
-            this.moveVector.x += this.touchControls.vector.x;
-            this.moveVector.y += this.touchControls.vector.y;
+            moveX += this.touchControls.vector.x;
+            moveY += this.touchControls.vector.y;
         }
         
-        // Normalize diagonal movement
-        const magnitude = Math.sqrt(this.moveVector.x ** 2 + this.moveVector.y ** 2);
-        if (magnitude > 1) {
-            this.moveVector.x /= magnitude;
-            this.moveVector.y /= magnitude;
+        return {
+            moveX: InputSystem.quantize(moveX),
+            moveY: InputSystem.quantize(moveY),
+            aim: InputSystem.quantize(this.readPointerAim(pilot)),
+            fire: this.isShooting,
+            boost: this.keys.boost.isDown,
+            dash: this.keys.dash.isDown,
+            actions: pilot.pendingActions.splice(0)
+        };
+    }
+    
+    samplePartnerFrame(pilot) {
+        const keys = this.partnerKeys;
+        let moveX = 0;
+        let moveY = 0;
+        let aim = null;
+        
+        if (keys.left.isDown) moveX -= 1;
+        if (keys.right.isDown) moveX += 1;
+        if (keys.up.isDown) moveY -= 1;
+        if (keys.down.isDown) moveY += 1;
+        
+        let fire = keys.fire.isDown;
+        let boost = keys.boost.isDown;
+        let dash = keys.dash.isDown;
+        
+        const pad = this.getPartnerPad();
+        if (pad) {
+            const deadzone = GameConstants.COOP.GAMEPAD_DEADZONE;
+            if (Math.hypot(pad.leftStick.x, pad.leftStick.y) > deadzone) {
+                moveX += pad.leftStick.x;
+                moveY += pad.leftStick.y;
+            }
+            if (Math.hypot(pad.rightStick.x, pad.rightStick.y) > deadzone) {
+                aim = Math.atan2(pad.rightStick.y, pad.rightStick.x);
+            }
+            fire = fire || pad.R2 > 0.5;
+            boost = boost || pad.L1 > 0;
+            dash = dash || pad.A;
         }
+        
+        // Without a right stick the ship aims where it is flying
+        if (aim === null) {
+            aim = moveX !== 0 || moveY !== 0 ? Math.atan2(moveY, moveX) : pilot.aimAngle;
+        }
+        
+        return {
+            moveX: InputSystem.quantize(moveX),
+            moveY: InputSystem.quantize(moveY),
+            aim: InputSystem.quantize(aim),
+            fire,
+            boost,
+            dash,
+            actions: pilot.pendingActions.splice(0)
+        };
     }
     
-    updateAim() {
-        const playerSprite = this.scene.sprites.get(this.playerId);
-        if (!playerSprite) return;
+    static quantize(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+    
+    readPointerAim(pilot) {
+        const playerSprite = this.scene.sprites.get(pilot.playerId);
+        if (!playerSprite) return pilot.aimAngle;
         
         // Get world position of pointer
         const worldPoint = this.scene.cameras.main.getWorldPoint(this.pointer.x, this.pointer.y);
         
         // Calculate angle from player to pointer
-        this.aimAngle = Phaser.Math.Angle.Between(
+        return Phaser.Math.Angle.Between(
             playerSprite.x,
             playerSprite.y,
             worldPoint.x,
             worldPoint.y
         );
+    }
+    
+    updateMovement(pilot, frame) {
+        const moveVector = pilot.moveVector;
+        moveVector.x = frame.moveX;
+        moveVector.y = frame.moveY;
+        
+        // Normalize diagonal movement
+        const magnitude = Math.sqrt(moveVector.x ** 2 + moveVector.y ** 2);
+        if (magnitude > 1) {
+            moveVector.x /= magnitude;
+            moveVector.y /= magnitude;
+        }
+    }
+    
+    updateAim(pilot, frame) {
+        const playerSprite = this.scene.sprites.get(pilot.playerId);
+        if (!playerSprite) return;
+        
+        pilot.aimAngle = frame.aim;
         
         // Update player rotation
-        playerSprite.setRotation(this.aimAngle);
+        playerSprite.setRotation(pilot.aimAngle);
     }
     
-    updateShooting(deltaTime) {
-        const weapon = this.entityManager.getComponent(this.playerId, 'weapon');
+    updateShooting(pilot, deltaTime, frame) {
+        const weapon = this.entityManager.getComponent(pilot.playerId, 'weapon');
         if (!weapon) return;
         
-        if (this.isShooting) {
+        if (frame.fire) {
             // Charge weapon
             weapon.charging = true;
             weapon.chargeTime += deltaTime * 1000;
             
-            // Update charge UI
+            // Update charge UI (the HUD charge bar belongs to this screen's player)
             const chargePercent = Math.min(100, (weapon.chargeTime / weapon.maxChargeTime) * 100);
-            this.eventBus.emit('UI_CHARGE_UPDATE', { percent: chargePercent });
+            if (pilot === this.pilots[0]) {
+                this.eventBus.emit('UI_CHARGE_UPDATE', { percent: chargePercent });
+            }
             
-            // Emit charging event
+            // Emit charging event (the beam fires along the aim while charging)
             this.eventBus.emit('PLAYER_SHOOT', {
+                playerId: pilot.playerId,
                 charging: true,
-                chargePercent: chargePercent
+                chargePercent: chargePercent,
+                angle: pilot.aimAngle
             });
         } else if (weapon.charging) {
             // Fire weapon
             this.eventBus.emit('PLAYER_SHOOT', {
+                playerId: pilot.playerId,
                 charging: false,
-                angle: this.aimAngle,
+                angle: pilot.aimAngle,
                 chargeTime: weapon.chargeTime
             });
             
             // Reset charge
             weapon.charging = false;
             weapon.chargeTime = 0;
-            this.eventBus.emit('UI_CHARGE_UPDATE', { percent: 0 });
+            if (pilot === this.pilots[0]) {
+                this.eventBus.emit('UI_CHARGE_UPDATE', { percent: 0 });
+            }
         }
     }
     
-    applyPlayerMovement() {
-        const playerSprite = this.scene.sprites.get(this.playerId);
+    applyPlayerMovement(pilot, frame) {
+        const playerSprite = this.scene.sprites.get(pilot.playerId);
         if (!playerSprite || !playerSprite.body) {
             if (!playerSprite) {
                 // Player sprite not found
@@ -357,12 +724,12 @@ class InputSystem {
             return;
         }
         
-        const physics = this.entityManager.getComponent(this.playerId, 'physics');
+        const physics = this.entityManager.getComponent(pilot.playerId, 'physics');
         if (!physics) return;
         
         // Normal movement force calculation
         const stats = this.gameState.get('player.stats');
-        const baseForce = (stats.speed || GameConfig.player.baseSpeed) * 0.5; // Much stronger force
+        const baseForce = (stats.speed || GameConfig.player.baseSpeed) * 0.5 * (physics.thrust || 1); // Much stronger force, scaled by the hull's engines
         
         // Better acceleration from stop
         const currentSpeed = Math.sqrt(physics.velocity.x ** 2 + physics.velocity.y ** 2);
@@ -370,18 +737,27 @@ class InputSystem {
         
         // Apply boost if shift is held
         let boostMultiplier = 1;
-        if (this.keys.boost.isDown) {
-            const energy = this.gameState.get('player.energy');
+        if (frame.boost) {
+            const energyPath = `${this.gameState.playerKey(pilot.index)}.energy`;
+            const energy = this.gameState.get(energyPath);
             if (energy > 0) {
                 boostMultiplier = 1.5;
-                this.gameState.update('player.energy', Math.max(0, energy - 0.5));
+                this.gameState.update(energyPath, Math.max(0, energy - this.getShipClass(pilot.playerId).boostCost));
             }
         }
         
+        // Announce boost starting and stopping (trail effects, tutorial)
+        const boosting = boostMultiplier > 1;
+        if (boosting !== pilot.boosting) {
+            pilot.boosting = boosting;
+            this.eventBus.emit(boosting ? 'PLAYER_BOOST_ACTIVATED' : 'PLAYER_BOOST_DEACTIVATED', { entityId: pilot.playerId });
+        }
+        
         // Apply movement force if there's input
-        if (this.moveVector.x !== 0 || this.moveVector.y !== 0) {
-            const forceX = this.moveVector.x * baseForce * boostMultiplier * accelerationBoost;
-            const forceY = this.moveVector.y * baseForce * boostMultiplier * accelerationBoost;
+        const moveVector = pilot.moveVector;
+        if (moveVector.x !== 0 || moveVector.y !== 0) {
+            const forceX = moveVector.x * baseForce * boostMultiplier * accelerationBoost;
+            const forceY = moveVector.y * baseForce * boostMultiplier * accelerationBoost;
             
             // DIRECTLY SET VELOCITY ON PHYSICS COMPONENT
             physics.velocity.x += forceX;
@@ -393,21 +769,27 @@ class InputSystem {
         
     }
     
-    handleDash() {
-        if (!this.keys.dash.isDown || this.dashCooldown > 0) return;
+    // Class of a pilot's hull (saves from before ship classes fly the Striker)
+    getShipClass(playerId) {
+        const pilot = this.entityManager.getComponent(playerId, 'pilot');
+        return GameConstants.SHIPS[pilot && pilot.ship] || GameConstants.SHIPS.striker;
+    }
+    
+    handleDash(pilot, frame) {
+        if (!frame.dash || pilot.dashCooldown > 0) return;
         
-        const playerSprite = this.scene.sprites.get(this.playerId);
+        const playerSprite = this.scene.sprites.get(pilot.playerId);
         if (!playerSprite || !playerSprite.body) return;
         
-        const physics = this.entityManager.getComponent(this.playerId, 'physics');
+        const physics = this.entityManager.getComponent(pilot.playerId, 'physics');
         if (!physics) return;
         
         // Set cooldown
-        this.dashCooldown = this.dashCooldownTime;
+        pilot.dashCooldown = this.dashCooldownTime;
         
         // Calculate dash direction from input or current velocity
-        let dashX = this.moveVector.x;
-        let dashY = this.moveVector.y;
+        let dashX = pilot.moveVector.x;
+        let dashY = pilot.moveVector.y;
         
         // If no input, dash in current movement direction
         if (dashX === 0 && dashY === 0) {
@@ -447,24 +829,48 @@ class InputSystem {
         
         // Emit dash event for visual effects
         this.eventBus.emit('PLAYER_DASH', {
+            playerId: pilot.playerId,
             x: playerSprite.x,
             y: playerSprite.y,
             angle: Math.atan2(dashY, dashX)
         });
     }
     
-    getMoveVector() {
-        return this.moveVector;
+    getMoveVector(index = 0) {
+        return this.pilots[index].moveVector;
     }
     
-    getAimAngle() {
-        return this.aimAngle;
+    getAimAngle(index = 0) {
+        return this.pilots[index].aimAngle;
     }
     
     isCharging() {
         return this.isShooting;
     }
     
+    getSnapshot() {
+        return {
+            stepIndex: this.stepIndex,
+            pilots: this.pilots.map(pilot => ({
+                dashCooldown: pilot.dashCooldown,
+                aimAngle: pilot.aimAngle
+            }))
+        };
+    }
+    
+    restoreSnapshot(snapshot) {
+        this.stepIndex = snapshot.stepIndex;
+        
+        // Saves from before co-op kept player 1's values at the top level
+        const pilots = snapshot.pilots || [{ dashCooldown: snapshot.dashCooldown, aimAngle: snapshot.aimAngle }];
+        pilots.forEach((saved, index) => {
+            const pilot = this.pilots[index];
+            if (!pilot) return;
+            pilot.dashCooldown = saved.dashCooldown;
+            pilot.aimAngle = saved.aimAngle;
+        });
+    }
+    
 }
 
 // InputSystem will be instantiated by GameInitializer
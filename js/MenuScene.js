@@ -243,12 +243,19 @@ class MenuScene extends Phaser.Scene {
     createMenuItems() {
         const width = this.cameras.main.width;
         const height = this.cameras.main.height;
-        const startY = height * 0.45; // Move up to prevent overlap
-        const spacing = 80; // Increase spacing between items
+        const startY = height * 0.38; // Move up to prevent overlap
+        const spacing = 44; // Ten items still fit on a 720p screen
         
         const menuOptions = [
-            { text: 'NEW GAME', action: () => this.startGame() },
-            { text: 'CONTINUE', action: () => this.continueGame(), disabled: !this.hasSaveGame() },
+            { text: 'NEW GAME', action: () => this.startGame(TutorialProgress.isComplete() ? {} : { tutorial: true }) },
+            { text: 'MODES', action: () => this.showGameModes() },
+            { text: 'HANGAR', action: () => this.showHangar() },
+            { text: 'CO-OP', action: () => this.startGame({ coop: true }) },
+            { text: 'VERSUS', action: () => this.startGame({ versus: true }) },
+            { text: 'ONLINE', action: () => this.showOnlineLobby() },
+            // With no saves yet the slot screen is still where a save from another machine gets imported
+            { text: this.hasSaveGame() ? 'CONTINUE' : 'IMPORT SAVE', action: () => this.showSaveSlots() },
+            { text: 'REPLAYS', action: () => this.showReplays(), disabled: ReplayStorage.list().length === 0 },
             { text: 'OPTIONS', action: () => this.showOptions() },
             { text: 'CREDITS', action: () => this.showCredits() }
         ];
@@ -505,7 +512,17 @@ class MenuScene extends Phaser.Scene {
         });
     }
     
-    startGame() {
+    startGame(runConfig = {}) {
+        // New runs fly the hangar loadout with a ship picked first; replays and saves carry their own, and duels, challenges, the lab and online games stay even
+        if (!runConfig.replay && !runConfig.save && !runConfig.versus && !runConfig.challenge && !runConfig.sandbox && !runConfig.net) {
+            this.showShipSelect(() => this.launchGame({ ...runConfig, hangar: HangarProfile.createRunConfig() }));
+            return;
+        }
+        
+        this.launchGame(runConfig);
+    }
+    
+    launchGame(runConfig) {
         // Fade out menu
         this.cameras.main.fade(1000, 0, 0, 0);
         
@@ -514,16 +531,30 @@ class MenuScene extends Phaser.Scene {
         
         // Transition to game
         this.cameras.main.once('camerafadeoutcomplete', () => {
-            this.scene.start('Game');
+            this.scene.start('Game', runConfig);
         });
     }
     
-    continueGame() {
-        // Load saved game state
-        if (window.GameState && window.GameState.load()) {
-            this.startGame();
+    playReplay(id) {
+        const replay = ReplayStorage.load(id);
+        if (!replay) {
+            this.showMessage('Replay could not be loaded!');
+            return;
+        }
+        
+        // Same seed and run options as the recorded game, with input coming from the log
+        this.startGame({ ...replay.runConfig, seed: replay.seed, replay });
+    }
+    
+    continueGame(slot) {
+        // Resume the saved world with the seed and run options it was started with
+        const save = SaveStorage.read(slot);
+        if (!save) {
+            this.showMessage('Save game could not be loaded!');
+        } else if (!save.world) {
+            this.showMessage('This save has no world to resume!');
         } else {
-            this.showMessage('No save game found!');
+            this.startGame({ ...save.world.runConfig, seed: save.world.seed, save });
         }
     }
     
@@ -688,7 +719,1291 @@ class MenuScene extends Phaser.Scene {
         });
     }
     
-    showMessage(text) {
+    // Single-player modes beyond the regular wave game
+    showGameModes() {
+        const centerX = this.cameras.main.width / 2;
+        const centerY = this.cameras.main.height / 2;
+        const elements = [];
+        
+        const overlay = this.add.rectangle(centerX, centerY, 700, 690, 0x000000, 0.9);
+        overlay.setStrokeStyle(2, 0x00ffff);
+        elements.push(overlay);
+        
+        const modesTitle = this.add.text(centerX, centerY - 300, 'GAME MODES', {
+            fontSize: '36px',
+            fontFamily: 'Orbitron',
+            color: '#00ffff'
+        });
+        modesTitle.setOrigin(0.5);
+        elements.push(modesTitle);
+        
+        const closeOverlay = () => {
+            elements.forEach(element => element.destroy());
+        };
+        
+        const bestTime = Math.floor(EndlessRecords.load().bestTime / 1000);
+        const bestRush = BossRushRecords.load().total;
+        const modes = [
+            {
+                name: 'CAMPAIGN',
+                description: 'Missions with objectives and ability unlocks',
+                runConfig: () => ({ campaign: CampaignProgress.createRunConfig() })
+            },
+            {
+                name: 'ENDLESS',
+                description: bestTime > 0
+                    ? `Survive the director - best ${Math.floor(bestTime / 60)}:${String(bestTime % 60).padStart(2, '0')}`
+                    : 'No waves, no shop breaks - just survive',
+                runConfig: () => ({ endless: true })
+            },
+            {
+                name: 'BOSS RUSH',
+                description: bestRush > 0
+                    ? `Every boss back to back - best ${(bestRush / 1000).toFixed(1)}s`
+                    : 'Every boss back to back, with a free draft between fights',
+                runConfig: () => ({ bossRush: true })
+            },
+            {
+                name: 'PLANET DEFENSE',
+                description: 'Keep your home world alive - buy it turrets and shields',
+                runConfig: () => ({ defense: true })
+            },
+            {
+                name: 'TERRITORY',
+                description: 'Capture planets for income and drones - the factions want them too',
+                runConfig: () => ({ capture: true })
+            },
+            {
+                name: 'CHALLENGES',
+                description: 'Daily and weekly seeded runs with mutators',
+                open: () => this.showChallenges()
+            },
+            {
+                name: 'CUSTOM RUN',
+                description: 'Pick your own mutators for a score bonus',
+                open: () => this.showMutators()
+            },
+            {
+                name: 'GRAVITY LAB',
+                description: 'Sandbox - place planets and enemies, tune gravity live',
+                runConfig: () => ({ sandbox: true })
+            },
+            {
+                name: 'TUTORIAL',
+                description: 'Learn charge shots, dash, boost and gravity, then play on',
+                runConfig: () => ({ tutorial: true })
+            }
+        ];
+        
+        modes.forEach((mode, index) => {
+            const y = centerY - 245 + (index * 52);
+            
+            const modeText = this.add.text(centerX, y, mode.name, {
+                fontSize: '28px',
+                fontFamily: 'Orbitron',
+                color: '#ffffff'
+            });
+            modeText.setOrigin(0.5);
+            modeText.setInteractive({ useHandCursor: true });
+            
+            const descriptionText = this.add.text(centerX, y + 30, mode.description, {
+                fontSize: '16px',
+                fontFamily: 'Orbitron',
+                color: '#888888'
+            });
+            descriptionText.setOrigin(0.5);
+            
+            modeText.on('pointerover', () => modeText.setColor('#00ffff'));
+            modeText.on('pointerout', () => modeText.setColor('#ffffff'));
+            modeText.on('pointerdown', () => {
+                this.audioHandler.playSound('shoot');
+                closeOverlay();
+                if (mode.open) {
+                    mode.open();
+                } else {
+                    this.startGame(mode.runConfig());
+                }
+            });
+            
+            elements.push(modeText, descriptionText);
+        });
+        
+        // Back button
+        const backButton = this.add.text(centerX, centerY + 295, 'BACK', {
+            fontSize: '28px',
+            fontFamily: 'Orbitron',
+            color: '#ffffff',
+            backgroundColor: '#000066',
+            padding: { x: 20, y: 10 }
+        });
+        backButton.setOrigin(0.5);
+        backButton.setInteractive({ useHandCursor: true });
+        elements.push(backButton);
+        
+        backButton.on('pointerdown', () => {
+            this.audioHandler.playSound('hit');
+            closeOverlay();
+        });
+    }
+    
+    // Pre-run screen: toggle any mix of mutators, then start a regular run with them
+    showMutators() {
+        const centerX = this.cameras.main.width / 2;
+        const centerY = this.cameras.main.height / 2;
+        const elements = [];
+        const selected = new Set();
+        
+        const overlay = this.add.rectangle(centerX, centerY, 760, 540, 0x000000, 0.9);
+        overlay.setStrokeStyle(2, 0x00ffff);
+        elements.push(overlay);
+        
+        const mutatorsTitle = this.add.text(centerX, centerY - 225, 'MUTATORS', {
+            fontSize: '36px',
+            fontFamily: 'Orbitron',
+            color: '#00ffff'
+        });
+        mutatorsTitle.setOrigin(0.5);
+        elements.push(mutatorsTitle);
+        
+        const closeOverlay = () => {
+            elements.forEach(element => element.destroy());
+        };
+        
+        const multiplierText = this.add.text(centerX, centerY + 160, '', {
+            fontSize: '20px',
+            fontFamily: 'Orbitron',
+            color: '#ffff00'
+        });
+        multiplierText.setOrigin(0.5);
+        elements.push(multiplierText);
+        
+        const showMultiplier = () => {
+            multiplierText.setText(`SCORE MULTIPLIER x${MutatorSystem.getScoreMultiplier([...selected])}`);
+        };
+        showMultiplier();
+        
+        // One row per mutator: click the name to toggle it
+        Object.entries(GameConstants.MUTATORS).forEach(([id, mutator], index) => {
+            const y = centerY - 165 + (index * 28);
+            
+            const nameText = this.add.text(centerX - 350, y, `[ ] ${mutator.name}`, {
+                fontSize: '18px',
+                fontFamily: 'Orbitron',
+                color: '#ffffff'
+            });
+            nameText.setOrigin(0, 0.5);
+            nameText.setInteractive({ useHandCursor: true });
+            
+            const descriptionText = this.add.text(centerX - 80, y, mutator.description, {
+                fontSize: '13px',
+                fontFamily: 'Orbitron',
+                color: '#888888'
+            });
+            descriptionText.setOrigin(0, 0.5);
+            
+            const scoreText = this.add.text(centerX + 350, y, `x${mutator.scoreMultiplier}`, {
+                fontSize: '18px',
+                fontFamily: 'Orbitron',
+                color: mutator.scoreMultiplier >= 1 ? '#00ff00' : '#ff6666'
+            });
+            scoreText.setOrigin(1, 0.5);
+            
+            nameText.on('pointerdown', () => {
+                this.audioHandler.playSound('hit');
+                if (selected.has(id)) {
+                    selected.delete(id);
+                } else {
+                    selected.add(id);
+                }
+                nameText.setText(`[${selected.has(id) ? 'X' : ' '}] ${mutator.name}`);
+                nameText.setColor(selected.has(id) ? '#00ffff' : '#ffffff');
+                showMultiplier();
+            });
+            
+            elements.push(nameText, descriptionText, scoreText);
+        });
+        
+        const startButton = this.add.text(centerX - 100, centerY + 215, 'START', {
+            fontSize: '28px',
+            fontFamily: 'Orbitron',
+            color: '#ffffff',
+            backgroundColor: '#006600',
+            padding: { x: 20, y: 10 }
+        });
+        startButton.setOrigin(0.5);
+        startButton.setInteractive({ useHandCursor: true });
+        elements.push(startButton);
+        
+        startButton.on('pointerdown', () => {
+            this.audioHandler.playSound('shoot');
+            closeOverlay();
+            // Kept in the table's order so the same picks always read the same way
+            this.startGame({ mutators: Object.keys(GameConstants.MUTATORS).filter(id => selected.has(id)) });
+        });
+        
+        // Back button
+        const backButton = this.add.text(centerX + 100, centerY + 215, 'BACK', {
+            fontSize: '28px',
+            fontFamily: 'Orbitron',
+            color: '#ffffff',
+            backgroundColor: '#000066',
+            padding: { x: 20, y: 10 }
+        });
+        backButton.setOrigin(0.5);
+        backButton.setInteractive({ useHandCursor: true });
+        elements.push(backButton);
+        
+        backButton.on('pointerdown', () => {
+            this.audioHandler.playSound('hit');
+            closeOverlay();
+        });
+    }
+    
+    // Today's and this week's challenge, each with its mutators and local leaderboard
+    showChallenges() {
+        const centerX = this.cameras.main.width / 2;
+        const centerY = this.cameras.main.height / 2;
+        const elements = [];
+        
+        const overlay = this.add.rectangle(centerX, centerY, 700, 500, 0x000000, 0.9);
+        overlay.setStrokeStyle(2, 0x00ffff);
+        elements.push(overlay);
+        
+        const challengesTitle = this.add.text(centerX, centerY - 200, 'CHALLENGES', {
+            fontSize: '36px',
+            fontFamily: 'Orbitron',
+            color: '#00ffff'
+        });
+        challengesTitle.setOrigin(0.5);
+        elements.push(challengesTitle);
+        
+        const closeOverlay = () => {
+            elements.forEach(element => element.destroy());
+        };
+        
+        ['daily', 'weekly'].forEach((kind, index) => {
+            const x = centerX + (index === 0 ? -170 : 170);
+            const challenge = Challenges.create(kind);
+            const board = ChallengeLeaderboard.load(challenge.id).slice(0, 5);
+            
+            const nameText = this.add.text(x, centerY - 135, kind.toUpperCase(), {
+                fontSize: '28px',
+                fontFamily: 'Orbitron',
+                color: '#ffffff'
+            });
+            nameText.setOrigin(0.5);
+            nameText.setInteractive({ useHandCursor: true });
+            
+            const dateText = this.add.text(x, centerY - 100, Challenges.getLabel(challenge), {
+                fontSize: '14px',
+                fontFamily: 'Orbitron',
+                color: '#888888'
+            });
+            dateText.setOrigin(0.5);
+            
+            const mutatorsText = this.add.text(
+                x,
+                centerY - 75,
+                challenge.mutators.map(id => GameConstants.MUTATORS[id].name)
+                    .concat(`x${MutatorSystem.getScoreMultiplier(challenge.mutators)} score`)
+                    .join('\n'),
+                {
+                    fontSize: '16px',
+                    fontFamily: 'Orbitron',
+                    color: '#ffaa33',
+                    align: 'center',
+                    lineSpacing: 6
+                }
+            );
+            mutatorsText.setOrigin(0.5, 0);
+            
+            const boardText = this.add.text(
+                x,
+                centerY + 40,
+                board.length > 0
+                    ? board.map((entry, rank) => `${rank + 1}. ${entry.score.toLocaleString()}  (wave ${entry.wave})`).join('\n')
+                    : 'No scores yet',
+                {
+                    fontSize: '16px',
+                    fontFamily: 'Orbitron',
+                    color: '#ffffff',
+                    align: 'center',
+                    lineSpacing: 6
+                }
+            );
+            boardText.setOrigin(0.5, 0);
+            
+            nameText.on('pointerover', () => nameText.setColor('#00ffff'));
+            nameText.on('pointerout', () => nameText.setColor('#ffffff'));
+            nameText.on('pointerdown', () => {
+                this.audioHandler.playSound('shoot');
+                closeOverlay();
+                this.startGame(Challenges.createRunConfig(kind));
+            });
+            
+            elements.push(nameText, dateText, mutatorsText, boardText);
+        });
+        
+        // Back button
+        const backButton = this.add.text(centerX, centerY + 200, 'BACK', {
+            fontSize: '28px',
+            fontFamily: 'Orbitron',
+            color: '#ffffff',
+            backgroundColor: '#000066',
+            padding: { x: 20, y: 10 }
+        });
+        backButton.setOrigin(0.5);
+        backButton.setInteractive({ useHandCursor: true });
+        elements.push(backButton);
+        
+        backButton.on('pointerdown', () => {
+            this.audioHandler.playSound('hit');
+            closeOverlay();
+        });
+    }
+    
+    // Ship classes side by side before a new run; locked ones show their hangar price
+    showShipSelect(onLaunch) {
+        const centerX = this.cameras.main.width / 2;
+        const centerY = this.cameras.main.height / 2;
+        const elements = [];
+        const profile = HangarProfile.load();
+        
+        const textures = new TextureGenerator(this);
+        textures.initShipTextures();
+        
+        const overlay = this.add.rectangle(centerX, centerY, 840, 560, 0x000000, 0.9);
+        overlay.setStrokeStyle(2, 0x00ffff);
+        elements.push(overlay);
+        
+        const shipsTitle = this.add.text(centerX, centerY - 235, 'CHOOSE YOUR SHIP', {
+            fontSize: '36px',
+            fontFamily: 'Orbitron',
+            color: '#00ffff'
+        });
+        shipsTitle.setOrigin(0.5);
+        elements.push(shipsTitle);
+        
+        const closeOverlay = () => {
+            elements.forEach(element => element.destroy());
+        };
+        
+        // Frame around the picked ship's column
+        const frame = this.add.rectangle(0, centerY - 10, 156, 400);
+        frame.setStrokeStyle(2, 0xffff00);
+        elements.push(frame);
+        
+        const shipIds = Object.keys(GameConstants.SHIPS);
+        const columnX = (index) => centerX - 320 + (index * 160);
+        frame.setX(columnX(shipIds.indexOf(profile.ship)));
+        
+        shipIds.forEach((id, index) => {
+            const ship = GameConstants.SHIPS[id];
+            const x = columnX(index);
+            const owned = profile.ships.includes(id);
+            
+            const preview = this.add.image(x, centerY - 160, textures.getShipTextureKey(id));
+            preview.setAlpha(owned ? 1 : 0.35);
+            
+            const nameText = this.add.text(x, centerY - 105, ship.name.toUpperCase(), {
+                fontSize: '18px',
+                fontFamily: 'Orbitron',
+                color: owned ? '#ffffff' : '#888888'
+            });
+            nameText.setOrigin(0.5);
+            
+            const statsText = this.add.text(
+                x,
+                centerY - 80,
+                [
+                    `HULL ${ship.health}`,
+                    `SPEED ${ship.maxSpeed}`,
+                    `MASS ${ship.mass}`,
+                    `DAMAGE ${ship.weapon.damage}${ship.weapon.barrels > 1 ? ` x${ship.weapon.barrels}` : ''}`,
+                    `RELOAD ${ship.weapon.fireRate}ms`
+                ].join('\n'),
+                {
+                    fontSize: '13px',
+                    fontFamily: 'Orbitron',
+                    color: '#ffffff',
+                    align: 'center',
+                    lineSpacing: 4
+                }
+            );
+            statsText.setOrigin(0.5, 0);
+            
+            const passiveText = this.add.text(
+                x,
+                centerY + 40,
+                ship.passive ? `${ship.passive.name.toUpperCase()}\n${ship.passive.description}` : ship.description,
+                {
+                    fontSize: '12px',
+                    fontFamily: 'Orbitron',
+                    color: ship.passive ? '#ffaa33' : '#888888',
+                    align: 'center',
+                    wordWrap: { width: 145 }
+                }
+            );
+            passiveText.setOrigin(0.5, 0);
+            
+            const cost = GameConstants.HANGAR.SHIP_COSTS[id];
+            const statusText = this.add.text(x, centerY + 160, owned ? 'OWNED' : `${cost} STARDUST\nIN THE HANGAR`, {
+                fontSize: '12px',
+                fontFamily: 'Orbitron',
+                color: owned ? '#00ff00' : '#888888',
+                align: 'center'
+            });
+            statusText.setOrigin(0.5);
+            
+            // Click a ship you own to fly it
+            if (owned) {
+                [preview, nameText].forEach(target => {
+                    target.setInteractive({ useHandCursor: true });
+                    target.on('pointerdown', () => {
+                        this.audioHandler.playSound('hit');
+                        HangarProfile.selectShip(id);
+                        frame.setX(x);
+                    });
+                });
+            }
+            
+            elements.push(preview, nameText, statsText, passiveText, statusText);
+        });
+        
+        const launchButton = this.add.text(centerX - 100, centerY + 230, 'LAUNCH', {
+            fontSize: '28px',
+            fontFamily: 'Orbitron',
+            color: '#ffffff',
+            backgroundColor: '#006600',
+            padding: { x: 20, y: 10 }
+        });
+        launchButton.setOrigin(0.5);
+        launchButton.setInteractive({ useHandCursor: true });
+        elements.push(launchButton);
+        
+        launchButton.on('pointerdown', () => {
+            this.audioHandler.playSound('shoot');
+            closeOverlay();
+            onLaunch();
+        });
+        
+        // Back button
+        const backButton = this.add.text(centerX + 100, centerY + 230, 'BACK', {
+            fontSize: '28px',
+            fontFamily: 'Orbitron',
+            color: '#ffffff',
+            backgroundColor: '#000066',
+            padding: { x: 20, y: 10 }
+        });
+        backButton.setOrigin(0.5);
+        backButton.setInteractive({ useHandCursor: true });
+        elements.push(backButton);
+        
+        backButton.on('pointerdown', () => {
+            this.audioHandler.playSound('hit');
+            closeOverlay();
+        });
+    }
+    
+    // Stardust shop for the pilot profile: ships, shop abilities, ability slots and starting upgrades (weapon mods have their own screen)
+    showHangar() {
+        const centerX = this.cameras.main.width / 2;
+        const centerY = this.cameras.main.height / 2;
+        const elements = [];
+        const profile = HangarProfile.load();
+        const hangar = GameConstants.HANGAR;
+        
+        const overlay = this.add.rectangle(centerX, centerY, 760, 600, 0x000000, 0.9);
+        overlay.setStrokeStyle(2, 0x00ffff);
+        elements.push(overlay);
+        
+        const hangarTitle = this.add.text(centerX, centerY - 260, 'HANGAR', {
+            fontSize: '36px',
+            fontFamily: 'Orbitron',
+            color: '#00ffff'
+        });
+        hangarTitle.setOrigin(0.5);
+        elements.push(hangarTitle);
+        
+        const closeOverlay = () => {
+            elements.forEach(element => element.destroy());
+        };
+        
+        // Reopened after every change so each entry shows its new state
+        const refresh = () => {
+            closeOverlay();
+            this.showHangar();
+        };
+        
+        const stardustText = this.add.text(centerX, centerY - 220, `STARDUST: ${profile.stardust.toLocaleString()}`, {
+            fontSize: '20px',
+            fontFamily: 'Orbitron',
+            color: '#ffff00'
+        });
+        stardustText.setOrigin(0.5);
+        elements.push(stardustText);
+        
+        const addHeader = (y, label) => {
+            const header = this.add.text(centerX, y, label, {
+                fontSize: '16px',
+                fontFamily: 'Orbitron',
+                color: '#888888'
+            });
+            header.setOrigin(0.5);
+            elements.push(header);
+        };
+        
+        // One entry: click the name to buy it (or fly it, for an owned ship)
+        const addItem = (x, y, kind, id, name, ownedStatus, onOwnedClick) => {
+            const cost = HangarProfile.getCost(profile, kind, id);
+            
+            const nameText = this.add.text(x, y, name, {
+                fontSize: '16px',
+                fontFamily: 'Orbitron',
+                color: '#ffffff'
+            });
+            nameText.setOrigin(0.5);
+            nameText.setInteractive({ useHandCursor: true });
+            
+            // Prices still out of reach are greyed out
+            const statusText = this.add.text(x, y + 22, cost === null ? ownedStatus : `${cost} STARDUST`, {
+                fontSize: '13px',
+                fontFamily: 'Orbitron',
+                color: cost === null ? '#00ff00' : (profile.stardust >= cost ? '#ffff00' : '#888888')
+            });
+            statusText.setOrigin(0.5);
+            
+            nameText.on('pointerover', () => nameText.setColor('#00ffff'));
+            nameText.on('pointerout', () => nameText.setColor('#ffffff'));
+            nameText.on('pointerdown', () => {
+                if (cost === null) {
+                    if (onOwnedClick) {
+                        this.audioHandler.playSound('hit');
+                        onOwnedClick();
+                    }
+                } else if (HangarProfile.purchase(kind, id)) {
+                    this.audioHandler.playSound('shoot');
+                    refresh();
+                } else {
+                    this.audioHandler.playSound('hit');
+                }
+            });
+            
+            elements.push(nameText, statusText);
+        };
+        
+        // Ships: the picked one is flown on every new run
+        addHeader(centerY - 180, 'SHIPS');
+        Object.entries(GameConstants.SHIPS).forEach(([id, ship], index) => {
+            const x = centerX - 300 + (index * 150);
+            addItem(x, centerY - 150, 'ship', id, ship.name.toUpperCase(), id === profile.ship ? 'FLYING' : 'OWNED', () => {
+                HangarProfile.selectShip(id);
+                refresh();
+            });
+            
+            const descriptionText = this.add.text(x, centerY - 110, ship.description, {
+                fontSize: '12px',
+                fontFamily: 'Orbitron',
+                color: '#888888',
+                align: 'center',
+                wordWrap: { width: 140 }
+            });
+            descriptionText.setOrigin(0.5, 0);
+            elements.push(descriptionText);
+        });
+        
+        // Abilities the shop only offers once unlocked
+        addHeader(centerY - 45, 'SHOP ABILITIES');
+        Object.entries(hangar.ABILITIES).forEach(([id, ability], index) => {
+            addItem(centerX - 230 + (index * 230), centerY - 15, 'ability', id, ability.name.toUpperCase(), 'UNLOCKED');
+        });
+        
+        // Levels every new run starts with
+        addHeader(centerY + 40, 'STARTING UPGRADES');
+        HangarProfile.UPGRADES.forEach((upgradeType, index) => {
+            const level = profile.upgrades[upgradeType];
+            addItem(
+                centerX - 270 + (index * 180),
+                centerY + 70,
+                'upgrade',
+                upgradeType,
+                `${upgradeType.toUpperCase()} ${level}/${hangar.MAX_STARTING_LEVEL}`,
+                'MAXED'
+            );
+        });
+        
+        addHeader(centerY + 125, 'ABILITY SLOTS');
+        addItem(
+            centerX,
+            centerY + 155,
+            'slot',
+            null,
+            profile.slots < hangar.SLOT_COSTS.length ? `SLOT ${5 + profile.slots}` : 'EXTRA SLOTS',
+            `${4 + profile.slots} SLOTS`
+        );
+        
+        const modsButton = this.add.text(centerX, centerY + 200, 'WEAPON MODS >', {
+            fontSize: '16px',
+            fontFamily: 'Orbitron',
+            color: '#ff9933'
+        });
+        modsButton.setOrigin(0.5);
+        modsButton.setInteractive({ useHandCursor: true });
+        modsButton.on('pointerover', () => modsButton.setColor('#00ffff'));
+        modsButton.on('pointerout', () => modsButton.setColor('#ff9933'));
+        modsButton.on('pointerdown', () => {
+            this.audioHandler.playSound('hit');
+            closeOverlay();
+            this.showModLoadout();
+        });
+        elements.push(modsButton);
+        
+        // Back button
+        const backButton = this.add.text(centerX, centerY + 245, 'BACK', {
+            fontSize: '28px',
+            fontFamily: 'Orbitron',
+            color: '#ffffff',
+            backgroundColor: '#000066',
+            padding: { x: 20, y: 10 }
+        });
+        backButton.setOrigin(0.5);
+        backButton.setInteractive({ useHandCursor: true });
+        elements.push(backButton);
+        
+        backButton.on('pointerdown', () => {
+            this.audioHandler.playSound('hit');
+            closeOverlay();
+        });
+    }
+    
+    // Weapon mod loadout: mods bought once with stardust can fill any of player 1's mod slots, and copies stack
+    showModLoadout() {
+        const centerX = this.cameras.main.width / 2;
+        const centerY = this.cameras.main.height / 2;
+        const elements = [];
+        const profile = HangarProfile.load();
+        
+        const overlay = this.add.rectangle(centerX, centerY, 760, 600, 0x000000, 0.9);
+        overlay.setStrokeStyle(2, 0xff9933);
+        elements.push(overlay);
+        
+        const title = this.add.text(centerX, centerY - 260, 'WEAPON MODS', {
+            fontSize: '36px',
+            fontFamily: 'Orbitron',
+            color: '#ff9933'
+        });
+        title.setOrigin(0.5);
+        elements.push(title);
+        
+        const stardustText = this.add.text(centerX, centerY - 220, `STARDUST: ${profile.stardust.toLocaleString()}`, {
+            fontSize: '20px',
+            fontFamily: 'Orbitron',
+            color: '#ffff00'
+        });
+        stardustText.setOrigin(0.5);
+        elements.push(stardustText);
+        
+        const closeOverlay = () => {
+            elements.forEach(element => element.destroy());
+        };
+        
+        const refresh = () => {
+            closeOverlay();
+            this.showModLoadout();
+        };
+        
+        const addHeader = (y, label) => {
+            const header = this.add.text(centerX, y, label, {
+                fontSize: '16px',
+                fontFamily: 'Orbitron',
+                color: '#888888'
+            });
+            header.setOrigin(0.5);
+            elements.push(header);
+        };
+        
+        // Fitted mods: click one to empty its slot
+        addHeader(centerY - 180, 'MOD SLOTS');
+        profile.modSlots.forEach((modId, slot) => {
+            const x = centerX - 220 + (slot * 220);
+            const mod = modId ? GameConstants.WEAPON_MODS[modId] : null;
+            
+            const slotBox = this.add.rectangle(x, centerY - 130, 190, 56, 0x221100, 0.8);
+            slotBox.setStrokeStyle(2, mod ? 0xff9933 : 0x444444);
+            slotBox.setInteractive({ useHandCursor: !!mod });
+            
+            const slotText = this.add.text(x, centerY - 130, mod ? mod.name.toUpperCase() : 'EMPTY', {
+                fontSize: '15px',
+                fontFamily: 'Orbitron',
+                color: mod ? '#ffffff' : '#666666'
+            });
+            slotText.setOrigin(0.5);
+            
+            slotBox.on('pointerdown', () => {
+                if (!mod) return;
+                this.audioHandler.playSound('hit');
+                HangarProfile.clearModSlot(slot);
+                refresh();
+            });
+            
+            elements.push(slotBox, slotText);
+        });
+        
+        // Every mod: click to buy it, then click again to fit it into the first empty slot
+        addHeader(centerY - 70, 'MODS');
+        const hasEmptySlot = profile.modSlots.includes(null);
+        Object.keys(GameConstants.HANGAR.MOD_COSTS).forEach((modId, index) => {
+            const mod = GameConstants.WEAPON_MODS[modId];
+            const cost = HangarProfile.getCost(profile, 'mod', modId);
+            const x = centerX - 240 + ((index % 3) * 240);
+            const y = centerY - 35 + (Math.floor(index / 3) * 130);
+            
+            const nameText = this.add.text(x, y, mod.name.toUpperCase(), {
+                fontSize: '16px',
+                fontFamily: 'Orbitron',
+                color: '#ffffff'
+            });
+            nameText.setOrigin(0.5);
+            nameText.setInteractive({ useHandCursor: true });
+            
+            let status = `${cost} STARDUST`;
+            let statusColor = profile.stardust >= cost ? '#ffff00' : '#888888';
+            if (cost === null) {
+                status = hasEmptySlot ? 'CLICK TO FIT' : 'SLOTS FULL';
+                statusColor = '#00ff00';
+            }
+            const statusText = this.add.text(x, y + 22, status, {
+                fontSize: '13px',
+                fontFamily: 'Orbitron',
+                color: statusColor
+            });
+            statusText.setOrigin(0.5);
+            
+            const descriptionText = this.add.text(x, y + 42, mod.description, {
+                fontSize: '12px',
+                fontFamily: 'Orbitron',
+                color: '#888888',
+                align: 'center',
+                wordWrap: { width: 210 }
+            });
+            descriptionText.setOrigin(0.5, 0);
+            
+            nameText.on('pointerover', () => nameText.setColor('#00ffff'));
+            nameText.on('pointerout', () => nameText.setColor('#ffffff'));
+            nameText.on('pointerdown', () => {
+                // Owned mods are fitted rather than bought again
+                const done = cost === null ? hasEmptySlot && HangarProfile.fitMod(modId) : HangarProfile.purchase('mod', modId);
+                if (done) {
+                    this.audioHandler.playSound('shoot');
+                    refresh();
+                } else {
+                    this.audioHandler.playSound('hit');
+                }
+            });
+            
+            elements.push(nameText, statusText, descriptionText);
+        });
+        
+        // Back to the hangar
+        const backButton = this.add.text(centerX, centerY + 245, 'BACK', {
+            fontSize: '28px',
+            fontFamily: 'Orbitron',
+            color: '#ffffff',
+            backgroundColor: '#000066',
+            padding: { x: 20, y: 10 }
+        });
+        backButton.setOrigin(0.5);
+        backButton.setInteractive({ useHandCursor: true });
+        elements.push(backButton);
+        
+        backButton.on('pointerdown', () => {
+            this.audioHandler.playSound('hit');
+            closeOverlay();
+            this.showHangar();
+        });
+    }
+    
+    showReplays() {
+        const centerX = this.cameras.main.width / 2;
+        const centerY = this.cameras.main.height / 2;
+        const elements = [];
+        
+        // Create replays overlay
+        const overlay = this.add.rectangle(centerX, centerY, 700, 500, 0x000000, 0.9);
+        overlay.setStrokeStyle(2, 0x00ffff);
+        elements.push(overlay);
+        
+        const replaysTitle = this.add.text(centerX, centerY - 200, 'REPLAYS', {
+            fontSize: '36px',
+            fontFamily: 'Orbitron',
+            color: '#00ffff'
+        });
+        replaysTitle.setOrigin(0.5);
+        elements.push(replaysTitle);
+        
+        const closeOverlay = () => {
+            elements.forEach(element => element.destroy());
+        };
+        
+        // One row per saved replay, newest first
+        ReplayStorage.list().forEach((entry, index) => {
+            const seconds = Math.floor((entry.duration || 0) / 1000);
+            const duration = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+            const date = new Date(entry.recordedAt).toLocaleDateString();
+            
+            const entryText = this.add.text(
+                centerX,
+                centerY - 110 + (index * 50),
+                `WAVE ${entry.wave || 0}  |  ${(entry.score || 0).toLocaleString()} PTS  |  ${duration}  |  ${date}`,
+                {
+                    fontSize: '20px',
+                    fontFamily: 'Orbitron',
+                    color: '#ffffff'
+                }
+            );
+            entryText.setOrigin(0.5);
+            entryText.setInteractive({ useHandCursor: true });
+            
+            entryText.on('pointerover', () => entryText.setColor('#00ffff'));
+            entryText.on('pointerout', () => entryText.setColor('#ffffff'));
+            entryText.on('pointerdown', () => {
+                this.audioHandler.playSound('shoot');
+                closeOverlay();
+                this.playReplay(entry.id);
+            });
+            
+            elements.push(entryText);
+        });
+        
+        // Back button
+        const backButton = this.add.text(centerX, centerY + 200, 'BACK', {
+            fontSize: '28px',
+            fontFamily: 'Orbitron',
+            color: '#ffffff',
+            backgroundColor: '#000066',
+            padding: { x: 20, y: 10 }
+        });
+        backButton.setOrigin(0.5);
+        backButton.setInteractive({ useHandCursor: true });
+        elements.push(backButton);
+        
+        backButton.on('pointerdown', () => {
+            this.audioHandler.playSound('hit');
+            closeOverlay();
+        });
+    }
+    
+    // Host or join an online co-op room on the relay (tools/relay); the host starts when everyone is in
+    showOnlineLobby() {
+        const centerX = this.cameras.main.width / 2;
+        const centerY = this.cameras.main.height / 2;
+        const elements = [];
+        let session = null;
+        let unsubscribers = [];
+        
+        const overlay = this.add.rectangle(centerX, centerY, 700, 500, 0x000000, 0.9);
+        overlay.setStrokeStyle(2, 0x00ffff);
+        elements.push(overlay);
+        
+        const lobbyTitle = this.add.text(centerX, centerY - 200, 'ONLINE CO-OP', {
+            fontSize: '36px',
+            fontFamily: 'Orbitron',
+            color: '#00ffff'
+        });
+        lobbyTitle.setOrigin(0.5);
+        elements.push(lobbyTitle);
+        
+        const serverText = this.add.text(centerX, centerY - 145, '', {
+            fontSize: '16px',
+            fontFamily: 'Orbitron',
+            color: '#aaaaaa'
+        });
+        serverText.setOrigin(0.5);
+        elements.push(serverText);
+        
+        const statusText = this.add.text(centerX, centerY - 100, 'Host a game or join one with its room code', {
+            fontSize: '20px',
+            fontFamily: 'Orbitron',
+            color: '#ffffff'
+        });
+        statusText.setOrigin(0.5);
+        elements.push(statusText);
+        
+        const membersText = this.add.text(centerX, centerY - 60, '', {
+            fontSize: '18px',
+            fontFamily: 'Orbitron',
+            color: '#00ff00',
+            align: 'center',
+            lineSpacing: 8
+        });
+        membersText.setOrigin(0.5, 0);
+        elements.push(membersText);
+        
+        const showServer = () => {
+            serverText.setText(`SERVER: ${this.getRelayUrl()}  (click to change)`);
+        };
+        showServer();
+        serverText.setInteractive({ useHandCursor: true });
+        serverText.on('pointerdown', () => {
+            if (session) return;
+            const url = window.prompt('Relay server address:', this.getRelayUrl());
+            if (url) {
+                localStorage.setItem('gravityWars_relay', url.trim());
+                showServer();
+            }
+        });
+        
+        const addButton = (label, x, y, color, action) => {
+            const button = this.add.text(x, y, label, {
+                fontSize: '24px',
+                fontFamily: 'Orbitron',
+                color: color,
+                backgroundColor: '#000066',
+                padding: { x: 20, y: 10 }
+            });
+            button.setOrigin(0.5);
+            button.setInteractive({ useHandCursor: true });
+            button.on('pointerover', () => button.setColor('#ffffff'));
+            button.on('pointerout', () => button.setColor(color));
+            button.on('pointerdown', () => {
+                this.audioHandler.playSound('shoot');
+                action();
+            });
+            elements.push(button);
+            return button;
+        };
+        
+        const leaveRoom = () => {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            unsubscribers = [];
+            if (session) {
+                session.close();
+                session = null;
+            }
+        };
+        
+        const closeOverlay = () => {
+            leaveRoom();
+            elements.forEach(element => element.destroy());
+        };
+        
+        const refreshMembers = () => {
+            const lines = session.getMemberIds().map((id, index) => {
+                const name = id === session.id ? 'You' : session.peers.get(id).name;
+                return `P${index + 1}  ${name}${id === session.hostId ? '  (host)' : ''}`;
+            });
+            membersText.setText([`PLAYERS ${lines.length}/${GameConstants.NET.MAX_PLAYERS}`, ...lines].join('\n'));
+            startButton.setVisible(session.isHost() && session.peers.size > 0);
+        };
+        
+        const resetLobby = (message) => {
+            leaveRoom();
+            statusText.setText(message);
+            membersText.setText('');
+            startButton.setVisible(false);
+            joinButtons.forEach(button => button.setVisible(true));
+        };
+        
+        // The game scene takes over the session; it closes it when the game ends
+        const launch = (players) => {
+            const net = {
+                session,
+                role: session.isHost() ? 'host' : 'client',
+                index: players.indexOf(session.id),
+                playerCount: players.length,
+                players
+            };
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            session = null;
+            this.startGame({ net });
+        };
+        
+        // Room codes skip I and O so they read back unambiguously
+        const rollRoomCode = () => {
+            const letters = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+            let room = '';
+            for (let i = 0; i < 4; i++) {
+                room += letters[Math.floor(Math.random() * letters.length)];
+            }
+            return room;
+        };
+        
+        const openRoom = (room, create) => {
+            session = new NetworkSession(this.getRelayUrl());
+            statusText.setText('Connecting...');
+            joinButtons.forEach(button => button.setVisible(false));
+            
+            unsubscribers = [
+                session.on('joined', (message) => {
+                    statusText.setText(session.isHost()
+                        ? `ROOM ${message.room} - share this code`
+                        : `ROOM ${message.room} - waiting for the host`);
+                    refreshMembers();
+                }),
+                session.on('peerJoined', refreshMembers),
+                session.on('peerLeft', refreshMembers),
+                session.on('hostLeft', () => resetLobby('The host closed the room')),
+                session.on('error', (message) => {
+                    // Someone else already has this code, so host under a fresh one
+                    if (create && message.reason === 'roomTaken') {
+                        leaveRoom();
+                        openRoom(rollRoomCode(), true);
+                        return;
+                    }
+                    resetLobby(message.message);
+                }),
+                session.on('closed', () => resetLobby('Disconnected from the relay')),
+                session.on('message', (message) => {
+                    if (message.from === session.hostId && message.data && message.data.type === 'start') {
+                        launch(message.data.players);
+                    }
+                })
+            ];
+            session.join(room, { create });
+        };
+        
+        const joinButtons = [
+            addButton('HOST GAME', centerX - 150, centerY + 120, '#00ff00', () => openRoom(rollRoomCode(), true)),
+            addButton('JOIN GAME', centerX + 150, centerY + 120, '#00ffff', () => {
+                const room = window.prompt('Room code:');
+                if (room && room.trim()) {
+                    openRoom(room.trim(), false);
+                }
+            })
+        ];
+        
+        const startButton = addButton('START', centerX, centerY + 120, '#00ff00', () => {
+            const players = session.getMemberIds();
+            session.lock();
+            session.send({ type: 'start', players });
+            launch(players);
+        });
+        startButton.setVisible(false);
+        
+        addButton('BACK', centerX, centerY + 200, '#ffffff', () => closeOverlay());
+    }
+    
+    getRelayUrl() {
+        return localStorage.getItem('gravityWars_relay') || GameConstants.NET.DEFAULT_SERVER;
+    }
+    
+    showSaveSlots() {
+        const centerX = this.cameras.main.width / 2;
+        const centerY = this.cameras.main.height / 2;
+        const elements = [];
+        
+        // Create save slots overlay
+        const overlay = this.add.rectangle(centerX, centerY, 900, 660, 0x000000, 0.9);
+        overlay.setStrokeStyle(2, 0x00ffff);
+        elements.push(overlay);
+        
+        const slotsTitle = this.add.text(centerX, centerY - 285, 'SAVED GAMES', {
+            fontSize: '36px',
+            fontFamily: 'Orbitron',
+            color: '#00ffff'
+        });
+        slotsTitle.setOrigin(0.5);
+        elements.push(slotsTitle);
+        
+        const closeOverlay = () => {
+            elements.forEach(element => element.destroy());
+        };
+        
+        // Rebuild after delete/duplicate so the list stays in sync with storage
+        const refresh = () => {
+            closeOverlay();
+            this.showSaveSlots();
+        };
+        
+        const slots = SaveStorage.list();
+        if (slots.length === 0) {
+            const emptyText = this.add.text(centerX, centerY, 'No saved games - import one below', {
+                fontSize: '22px',
+                fontFamily: 'Orbitron',
+                color: '#666666'
+            });
+            emptyText.setOrigin(0.5);
+            elements.push(emptyText);
+        }
+        
+        // One row per slot, newest first
+        slots.forEach((entry, index) => {
+            const rowY = centerY - 215 + (index * 62);
+            const seconds = Math.floor((entry.playTime || 0) / 1000);
+            const playTime = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+            const savedAt = new Date(entry.timestamp).toLocaleString();
+            
+            elements.push(this.drawSaveThumbnail(centerX - 400, rowY - 27, 96, 54, entry.thumbnail));
+            
+            const nameText = this.add.text(centerX - 290, rowY - 22, entry.name, {
+                fontSize: '18px',
+                fontFamily: 'Orbitron',
+                color: '#ffffff'
+            });
+            elements.push(nameText);
+            
+            const detailText = this.add.text(
+                centerX - 290,
+                rowY + 4,
+                `WAVE ${entry.wave || 0}  |  ${playTime}  |  ${savedAt}`,
+                {
+                    fontSize: '14px',
+                    fontFamily: 'Orbitron',
+                    color: '#aaaaaa'
+                }
+            );
+            elements.push(detailText);
+            
+            const actions = [
+                { label: 'LOAD', color: '#00ff00', disabled: !entry.canResume, action: () => {
+                    closeOverlay();
+                    this.continueGame(entry.slot);
+                } },
+                { label: 'COPY', color: '#00ffff', disabled: SaveStorage.isFull(), action: () => {
+                    SaveStorage.duplicate(entry.slot);
+                    refresh();
+                } },
+                { label: 'EXPORT', color: '#ffff00', action: () => this.exportSave(entry.slot) },
+                { label: 'DELETE', color: '#ff4444', action: () => {
+                    SaveStorage.remove(entry.slot);
+                    refresh();
+                } }
+            ];
+            
+            actions.forEach((button, buttonIndex) => {
+                const buttonText = this.add.text(centerX + 130 + (buttonIndex * 90), rowY, button.label, {
+                    fontSize: '16px',
+                    fontFamily: 'Orbitron',
+                    color: button.disabled ? '#444444' : button.color
+                });
+                buttonText.setOrigin(0.5);
+                elements.push(buttonText);
+                
+                if (button.disabled) return;
+                
+                buttonText.setInteractive({ useHandCursor: true });
+                buttonText.on('pointerover', () => buttonText.setColor('#ffffff'));
+                buttonText.on('pointerout', () => buttonText.setColor(button.color));
+                buttonText.on('pointerdown', () => {
+                    this.audioHandler.playSound('shoot');
+                    button.action();
+                });
+            });
+        });
+        
+        // Back button
+        const backButton = this.add.text(centerX, centerY + 280, 'BACK', {
+            fontSize: '28px',
+            fontFamily: 'Orbitron',
+            color: '#ffffff',
+            backgroundColor: '#000066',
+            padding: { x: 20, y: 10 }
+        });
+        backButton.setOrigin(0.5);
+        backButton.setInteractive({ useHandCursor: true });
+        elements.push(backButton);
+        
+        backButton.on('pointerdown', () => {
+            this.audioHandler.playSound('hit');
+            closeOverlay();
+        });
+        
+        // Imports land in a new slot, then the list is rebuilt to show it
+        const importButtons = [
+            { label: 'IMPORT FILE', x: centerX - 270, action: () => this.importSaveFile(refresh) },
+            { label: 'PASTE CODE', x: centerX + 270, action: () => this.importSaveCode(refresh) }
+        ];
+        
+        importButtons.forEach(button => {
+            const importText = this.add.text(button.x, centerY + 280, button.label, {
+                fontSize: '20px',
+                fontFamily: 'Orbitron',
+                color: '#00ffff',
+                backgroundColor: '#003333',
+                padding: { x: 15, y: 8 }
+            });
+            importText.setOrigin(0.5);
+            importText.setInteractive({ useHandCursor: true });
+            importText.on('pointerover', () => importText.setColor('#ffffff'));
+            importText.on('pointerout', () => importText.setColor('#00ffff'));
+            importText.on('pointerdown', () => {
+                this.audioHandler.playSound('shoot');
+                button.action();
+            });
+            elements.push(importText);
+        });
+    }
+    
+    // Downloads the save as a file and copies its code for pasting into bug reports
+    exportSave(slot) {
+        const code = SaveTransfer.toCode(slot);
+        if (!code || !SaveTransfer.download(slot)) {
+            this.showMessage('Save could not be exported!');
+            return;
+        }
+        
+        navigator.clipboard.writeText(code)
+            .then(() => this.showMessage('Save exported and code copied!', '#00ff00'))
+            .catch(() => {
+                // Clipboard access can be denied; let the player copy it by hand
+                window.prompt('Copy this save code:', code);
+            });
+    }
+    
+    importSaveFile(onImported) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,.txt,application/json,text/plain';
+        
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+            
+            file.text().then(text => this.finishImport(SaveTransfer.importText(text), onImported));
+        });
+        input.click();
+    }
+    
+    importSaveCode(onImported) {
+        const code = window.prompt('Paste a save code:');
+        if (!code) return;
+        
+        this.finishImport(SaveTransfer.importText(code), onImported);
+    }
+    
+    finishImport(result, onImported) {
+        // The menu may have been left while the file picker was open
+        if (!this.scene.isActive()) return;
+        
+        if (!result.ok) {
+            this.showMessage(result.error);
+            return;
+        }
+        
+        onImported();
+        this.showMessage('Save imported!', '#00ff00');
+    }
+    
+    // Mini-map of a saved world from its thumbnail points
+    drawSaveThumbnail(x, y, width, height, points) {
+        const colors = { o: 0x6688aa, c: 0xaa00ff, e: 0xff4444, b: 0xff00ff, p: 0x00ffff };
+        const sizes = { o: 2, c: 4, e: 1.5, b: 3, p: 2.5 };
+        
+        const graphics = this.add.graphics();
+        graphics.fillStyle(0x000022, 1);
+        graphics.fillRect(x, y, width, height);
+        graphics.lineStyle(1, 0x00ffff, 0.5);
+        graphics.strokeRect(x, y, width, height);
+        
+        (points || []).forEach(([kind, px, py]) => {
+            graphics.fillStyle(colors[kind] || 0xffffff, 1);
+            graphics.fillCircle(x + px * width, y + py * height, sizes[kind] || 1);
+        });
+        
+        return graphics;
+    }
+    
+    showMessage(text, color = '#ff0000') {
         const message = this.add.text(
             this.cameras.main.width / 2,
             this.cameras.main.height - 100,
@@ -696,7 +2011,7 @@ class MenuScene extends Phaser.Scene {
             {
                 fontSize: '24px',
                 fontFamily: 'Orbitron',
-                color: '#ff0000',
+                color: color,
                 stroke: '#000000',
                 strokeThickness: 2
             }
@@ -715,7 +2030,7 @@ class MenuScene extends Phaser.Scene {
     }
     
     hasSaveGame() {
-        return localStorage.getItem('gravityWars_autosave') !== null;
+        return SaveStorage.list().length > 0;
     }
     
     update() {
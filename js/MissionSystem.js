@@ -0,0 +1,481 @@
+// MissionSystem.js - Campaign missions with typed objectives, driving the mission HUD
+// Missions run one after another on top of the waves; completing one pays credits and can unlock an ability for good
+
+// Campaign progress kept between runs
+const CampaignProgress = {
+    KEY: 'gravityWars_campaign',
+
+    load() {
+        try {
+            const progress = JSON.parse(localStorage.getItem(this.KEY));
+            return {
+                completed: (progress && progress.completed) || [],
+                unlocks: (progress && progress.unlocks) || []
+            };
+        } catch (e) {
+            return { completed: [], unlocks: [] };
+        }
+    },
+
+    record(mission) {
+        const progress = this.load();
+        if (!progress.completed.includes(mission.id)) {
+            progress.completed.push(mission.id);
+        }
+        if (mission.rewards.unlock && !progress.unlocks.includes(mission.rewards.unlock)) {
+            progress.unlocks.push(mission.rewards.unlock);
+        }
+
+        try {
+            localStorage.setItem(this.KEY, JSON.stringify(progress));
+        } catch (e) {
+            console.error('[CampaignProgress] Failed to save progress:', e);
+        }
+    },
+
+    // Run options for a new campaign: pick up at the first unfinished mission with every unlock earned so far
+    createRunConfig() {
+        const progress = this.load();
+        const start = GameConstants.CAMPAIGN.MISSIONS.findIndex(mission => !progress.completed.includes(mission.id));
+        return { start: Math.max(0, start), unlocks: progress.unlocks };
+    }
+};
+
+class MissionSystem {
+    constructor(scene, eventBus, entityManager, gameState, entityFactory) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+        this.gameState = gameState;
+        this.entityFactory = entityFactory;
+        this.clock = null; // Simulation clock set by GameInitializer
+
+        this.active = false;
+        this.missionIndex = -1;
+        this.mission = null;        // Definition from GameConstants.CAMPAIGN
+        this.objectives = [];       // Live progress, one per objective
+        this.elapsedTime = 0;
+        this.inProgress = false;
+        this.recordProgress = true;
+        this.zoneMarker = null;     // Protected planet's zone or an escort's exit gate
+    }
+
+    init(runConfig) {
+        if (!runConfig.campaign) return;
+        this.active = true;
+        this.campaign = runConfig.campaign;
+
+        // Replays re-run a campaign without earning anything twice
+        this.recordProgress = !runConfig.replay;
+
+        this.clock.registerTimer('mission.start', (data) => {
+            this.startMission(data.index);
+        });
+
+        this.eventBus.on('GAME_START', () => {
+            (this.campaign.unlocks || []).forEach(abilityId => {
+                this.eventBus.emit('GRANT_ABILITY', { abilityId });
+            });
+            this.startMission(this.campaign.start || 0);
+        });
+
+        this.eventBus.on('ENEMY_KILLED', (data) => {
+            if (!data.killedByPlayer) return;
+            const ai = this.entityManager.getComponent(data.entityId, 'ai');
+            const faction = ai ? ai.faction : null;
+            this.advance(objective => objective.type === 'kill' && (!objective.faction || objective.faction === faction));
+        });
+
+        this.eventBus.on('POWERUP_COLLECTED', () => {
+            this.advance(objective => objective.type === 'collect');
+        });
+
+        this.eventBus.on('disasterEnd', () => {
+            this.advance(objective => objective.type === 'survive');
+        });
+
+        this.eventBus.on('BOSS_DEFEATED', () => {
+            this.advance(objective => objective.type === 'boss');
+        });
+
+        this.eventBus.on('FREIGHTER_HIT', (data) => {
+            this.damageFreighter(data.freighterId, data.damage);
+        });
+    }
+
+    startMission(index) {
+        const mission = GameConstants.CAMPAIGN.MISSIONS[index];
+        if (!mission) return;
+
+        this.missionIndex = index;
+        this.mission = mission;
+        this.elapsedTime = 0;
+        this.inProgress = true;
+        this.objectives = mission.objectives.map(objective => this.createObjective(objective));
+
+        this.eventBus.emit('MISSION_START', { id: mission.id, index });
+        this.eventBus.emit('UI_NOTIFICATION', {
+            message: `Mission ${index + 1}: ${mission.name}`,
+            type: 'info',
+            icon: 'fa-flag'
+        });
+        this.syncState();
+    }
+
+    createObjective(definition) {
+        const objective = { ...definition, current: 0, completed: false };
+
+        if (definition.type === 'protect') {
+            objective.target = definition.duration;
+            objective.planetId = this.findProtectedPlanet();
+            this.drawZone(definition.radius);
+        } else if (definition.type === 'escort') {
+            // One leg per waypoint; the last one ends at the exit gate
+            const start = this.getRoutePoint(objective, 0);
+            const gate = this.getRoutePoint(objective, definition.route.length - 1);
+            objective.target = definition.route.length - 1;
+            objective.freighterId = this.entityFactory.createFreighter(start.x, start.y, definition.health);
+            this.drawZone(definition.gateRadius);
+            this.zoneMarker.setPosition(gate.x, gate.y);
+        }
+        return objective;
+    }
+
+    getRoutePoint(objective, index) {
+        const [x, y] = objective.route[index];
+        return { x: x * GameConfig.world.width, y: y * GameConfig.world.height };
+    }
+
+    // The planet closest to player 1 when the mission starts
+    findProtectedPlanet() {
+        const playerTransform = this.entityManager.getComponent(this.gameState.getPlayerId(), 'transform');
+        const { centerX, centerY } = GameConfig.world;
+        const from = playerTransform || { x: centerX, y: centerY };
+
+        let closest = null;
+        let closestDistance = Infinity;
+        this.entityManager.getEntitiesByType('planet').forEach(planetId => {
+            const transform = this.entityManager.getComponent(planetId, 'transform');
+            const distance = Math.hypot(transform.x - from.x, transform.y - from.y);
+            if (distance < closestDistance) {
+                closest = planetId;
+                closestDistance = distance;
+            }
+        });
+        return closest;
+    }
+
+    drawZone(radius) {
+        this.clearZone();
+        this.zoneMarker = this.scene.add.circle(0, 0, radius);
+        this.zoneMarker.setStrokeStyle(4, 0x00ff88, 0.5);
+        this.zoneMarker.setDepth(1);
+    }
+
+    clearZone() {
+        if (this.zoneMarker) {
+            this.zoneMarker.destroy();
+            this.zoneMarker = null;
+        }
+    }
+
+    // Count one event towards every open objective it matches
+    advance(matches) {
+        if (!this.inProgress) return;
+
+        let changed = false;
+        this.objectives.forEach(objective => {
+            if (objective.completed || !matches(objective)) return;
+
+            objective.current++;
+            changed = true;
+            if (objective.current >= objective.target) {
+                this.completeObjective(objective);
+            }
+        });
+
+        if (changed && !this.checkMission()) {
+            this.syncState();
+        }
+    }
+
+    completeObjective(objective) {
+        objective.current = objective.target;
+        objective.completed = true;
+        this.eventBus.emit('MISSION_OBJECTIVE', {
+            id: this.mission.id,
+            objective: this.objectives.indexOf(objective),
+            description: this.describe(objective)
+        });
+    }
+
+    update(deltaTime) {
+        if (!this.inProgress) return;
+
+        this.elapsedTime += deltaTime * 1000;
+
+        this.objectives.forEach(objective => {
+            if (objective.type === 'protect' && !objective.completed) {
+                this.updateProtect(objective, deltaTime);
+            } else if (objective.type === 'escort' && !objective.completed) {
+                this.updateEscort(objective, deltaTime);
+            }
+        });
+        if (!this.inProgress) return;
+
+        if (this.mission.timeLimit && this.elapsedTime >= this.mission.timeLimit) {
+            this.failMission('Out of time');
+        } else {
+            this.checkMission();
+        }
+    }
+
+    // Hold out for the duration while every enemy inside the zone wears the planet down
+    updateProtect(objective, deltaTime) {
+        const planet = this.entityManager.getComponent(objective.planetId, 'transform');
+        if (!planet) {
+            this.failMission('The planet was lost');
+            return;
+        }
+        this.zoneMarker.setPosition(planet.x, planet.y);
+
+        const intruders = this.entityManager.getEntitiesByType('enemy').filter(enemyId => {
+            const transform = this.entityManager.getComponent(enemyId, 'transform');
+            return transform && Math.hypot(transform.x - planet.x, transform.y - planet.y) < objective.radius;
+        }).length;
+
+        const seconds = Math.floor(objective.current / 1000);
+        const integrity = Math.ceil(objective.integrity);
+        objective.current += deltaTime * 1000;
+        objective.integrity -= intruders * GameConstants.CAMPAIGN.PROTECT_DRAIN * deltaTime;
+
+        if (objective.integrity <= 0) {
+            this.failMission('The planet was overrun');
+            return;
+        }
+        if (objective.current >= objective.target) {
+            this.completeObjective(objective);
+            this.clearZone();
+        }
+
+        // The HUD only needs a refresh when a whole second or point changes
+        if (seconds !== Math.floor(objective.current / 1000) || integrity !== Math.ceil(objective.integrity)) {
+            this.syncState();
+        }
+    }
+
+    // Fly the freighter along its route; planets' gravity keeps pulling it off course
+    updateEscort(objective, deltaTime) {
+        const transform = this.entityManager.getComponent(objective.freighterId, 'transform');
+        const physics = this.entityManager.getComponent(objective.freighterId, 'physics');
+        const sprite = this.scene.sprites.get(objective.freighterId);
+        if (!transform || !physics || !sprite) {
+            this.failMission('The freighter was lost');
+            return;
+        }
+
+        const waypoint = this.getRoutePoint(objective, objective.current + 1);
+        const distance = Math.hypot(waypoint.x - transform.x, waypoint.y - transform.y);
+        const atGate = objective.current + 1 === objective.target;
+
+        if (distance < (atGate ? objective.gateRadius : GameConstants.CAMPAIGN.WAYPOINT_RADIUS)) {
+            objective.current++;
+            if (atGate) {
+                this.eventBus.emit('FREIGHTER_ARRIVED', { position: { x: waypoint.x, y: waypoint.y } });
+                this.completeObjective(objective);
+                this.removeFreighter(objective);
+                this.clearZone();
+            }
+            this.syncState();
+            return;
+        }
+
+        const { FREIGHTER_SPEED, FREIGHTER_STEER } = GameConstants.CAMPAIGN;
+        const steer = Math.min(1, FREIGHTER_STEER * deltaTime);
+        physics.velocity.x += ((waypoint.x - transform.x) / distance * FREIGHTER_SPEED - physics.velocity.x) * steer;
+        physics.velocity.y += ((waypoint.y - transform.y) / distance * FREIGHTER_SPEED - physics.velocity.y) * steer;
+        sprite.setVelocity(physics.velocity.x, physics.velocity.y);
+        sprite.setRotation(Math.atan2(physics.velocity.y, physics.velocity.x));
+    }
+
+    damageFreighter(freighterId, damage) {
+        if (!this.inProgress) return;
+
+        const objective = this.objectives.find(objective => objective.type === 'escort' && objective.freighterId === freighterId);
+        const health = this.entityManager.getComponent(freighterId, 'health');
+        if (!objective || objective.completed || !health) return;
+
+        const hull = this.getHull(objective);
+        health.current = Math.max(0, health.current - damage);
+
+        if (health.current <= 0) {
+            this.failMission('The freighter was destroyed');
+        } else if (hull !== this.getHull(objective)) {
+            this.syncState();
+        }
+    }
+
+    // Percent of the freighter's hull left
+    getHull(objective) {
+        const health = this.entityManager.getComponent(objective.freighterId, 'health');
+        return health ? Math.ceil(health.current / health.max * 100) : 0;
+    }
+
+    // Gone either way: blown up, or out through the exit gate
+    removeFreighter(objective) {
+        const transform = this.entityManager.getComponent(objective.freighterId, 'transform');
+        if (!transform) return;
+
+        const health = this.entityManager.getComponent(objective.freighterId, 'health');
+        if (health && health.current <= 0) {
+            this.eventBus.emit('FREIGHTER_DESTROYED', { position: { x: transform.x, y: transform.y } });
+        }
+        this.eventBus.emit('DESTROY_ENTITY', { entityId: objective.freighterId });
+    }
+
+    // Completes the mission once every objective is done
+    checkMission() {
+        if (!this.objectives.every(objective => objective.completed)) return false;
+        this.completeMission();
+        return true;
+    }
+
+    completeMission() {
+        const { mission } = this;
+        this.inProgress = false;
+        this.clearZone();
+
+        this.gameState.addCredits(mission.rewards.credits || 0);
+        if (mission.rewards.unlock) {
+            this.eventBus.emit('GRANT_ABILITY', { abilityId: mission.rewards.unlock });
+        }
+        if (this.recordProgress) {
+            CampaignProgress.record(mission);
+        }
+
+        this.eventBus.emit('MISSION_COMPLETE', { id: mission.id, index: this.missionIndex, rewards: mission.rewards });
+        this.eventBus.emit('UI_NOTIFICATION', {
+            message: `Mission complete: ${mission.name} (+${mission.rewards.credits} credits)`,
+            type: 'success',
+            icon: 'fa-trophy'
+        });
+        this.syncState();
+
+        const next = this.missionIndex + 1;
+        if (next < GameConstants.CAMPAIGN.MISSIONS.length) {
+            this.clock.schedule(GameConstants.CAMPAIGN.NEXT_MISSION_DELAY, 'mission.start', { index: next });
+        } else {
+            this.eventBus.emit('GAME_OVER', { victory: true, campaign: true });
+        }
+    }
+
+    // A failed mission starts over from scratch
+    failMission(reason) {
+        this.inProgress = false;
+        this.clearZone();
+        this.objectives
+            .filter(objective => objective.type === 'escort')
+            .forEach(objective => this.removeFreighter(objective));
+
+        this.eventBus.emit('MISSION_FAILED', { id: this.mission.id, index: this.missionIndex, reason });
+        this.eventBus.emit('UI_NOTIFICATION', {
+            message: `Mission failed: ${reason}. Retrying...`,
+            type: 'warning',
+            icon: 'fa-redo'
+        });
+        this.syncState();
+
+        this.clock.schedule(GameConstants.CAMPAIGN.RETRY_DELAY, 'mission.start', { index: this.missionIndex });
+    }
+
+    describe(objective) {
+        switch (objective.type) {
+            case 'kill':
+                return objective.faction ? `Destroy ${objective.faction} ships` : 'Destroy enemy ships';
+            case 'collect':
+                return 'Collect powerups';
+            case 'protect':
+                return `Protect the planet (${Math.max(0, Math.ceil(objective.integrity))}% intact)`;
+            case 'survive':
+                return 'Survive a disaster';
+            case 'boss':
+                return 'Defeat the boss';
+            case 'escort':
+                return `Escort the freighter to the gate (${this.getHull(objective)}% hull)`;
+            default:
+                return objective.type;
+        }
+    }
+
+    // Mission block in GameState plus the HUD panel; only called when something visible changed
+    syncState() {
+        const ui = this.getUIState();
+        this.gameState.batchUpdate([
+            { path: 'mission.active', value: this.mission.id },
+            { path: 'mission.objectives', value: ui.objectives },
+            { path: 'mission.rewards', value: ui.rewards },
+            { path: 'mission.timeLimit', value: this.mission.timeLimit || 0 },
+            { path: 'mission.elapsedTime', value: this.elapsedTime }
+        ]);
+        this.eventBus.emit('MISSION_UPDATED', ui);
+    }
+
+    getUIState() {
+        if (!this.mission) return null;
+
+        return {
+            name: `${this.missionIndex + 1}. ${this.mission.name}`,
+            objectives: this.objectives.map(objective => {
+                const timed = objective.type === 'protect';
+                return {
+                    description: this.describe(objective),
+                    current: timed ? Math.floor(objective.current / 1000) : objective.current,
+                    target: timed ? objective.target / 1000 : objective.target,
+                    completed: objective.completed
+                };
+            }),
+            rewards: this.mission.rewards
+        };
+    }
+
+    // Seconds left on a timed mission, null otherwise
+    getTimeLeft() {
+        if (!this.inProgress || !this.mission.timeLimit) return null;
+        return Math.max(0, Math.ceil((this.mission.timeLimit - this.elapsedTime) / 1000));
+    }
+
+    getSnapshot() {
+        return {
+            missionIndex: this.missionIndex,
+            elapsedTime: this.elapsedTime,
+            inProgress: this.inProgress,
+            objectives: this.objectives.map(objective => ({ ...objective }))
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.missionIndex = snapshot.missionIndex;
+        this.mission = GameConstants.CAMPAIGN.MISSIONS[snapshot.missionIndex] || null;
+        this.elapsedTime = snapshot.elapsedTime;
+        this.inProgress = snapshot.inProgress;
+        this.objectives = snapshot.objectives;
+
+        const protect = this.objectives.find(objective => objective.type === 'protect' && !objective.completed);
+        if (this.inProgress && protect) {
+            this.drawZone(protect.radius);
+        }
+
+        const escort = this.objectives.find(objective => objective.type === 'escort' && !objective.completed);
+        if (this.inProgress && escort) {
+            const gate = this.getRoutePoint(escort, escort.target);
+            this.drawZone(escort.gateRadius);
+            this.zoneMarker.setPosition(gate.x, gate.y);
+        }
+        if (this.mission) {
+            this.syncState();
+        }
+    }
+}
+
+window.CampaignProgress = CampaignProgress;
+window.MissionSystem = MissionSystem;
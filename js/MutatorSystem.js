@@ -0,0 +1,97 @@
+// MutatorSystem.js - Run mutators that bend the rules for a whole run
+// runConfig.mutators lists ids from GameConstants.MUTATORS; their effects tune the systems they touch before those start
+
+class MutatorSystem {
+    constructor(scene, gameState) {
+        this.scene = scene;
+        this.gameState = gameState;
+        this.active = []; // Ids of the mutators in play
+    }
+
+    init(runConfig) {
+        this.active = (runConfig.mutators || []).filter(id => {
+            if (GameConstants.MUTATORS[id]) return true;
+            console.warn(`[MutatorSystem] Unknown mutator: ${id}`);
+            return false;
+        });
+
+        this.active.forEach(id => this.applyEffects(GameConstants.MUTATORS[id].effects));
+        this.gameState.update('game.scoreMultiplier', MutatorSystem.getScoreMultiplier(this.active));
+    }
+
+    applyEffects(effects) {
+        const {
+            physicsSystem, entityFactory, waveSystem, disasterSystem,
+            combatSystem, upgradeSystem, abilityShopSystem, weaponSystem
+        } = this.scene.gameInitializer;
+
+        Object.entries(effects).forEach(([effect, value]) => {
+            switch (effect) {
+                case 'gravity':
+                    physicsSystem.gravityConstant *= value;
+                    break;
+                case 'spiralForce':
+                    physicsSystem.spiralForce *= value;
+                    break;
+                case 'factions':
+                    // { faction or 'all': { stat: multiplier } }
+                    Object.entries(value).forEach(([faction, stats]) => {
+                        const modifiers = entityFactory.factionModifiers[faction] || {};
+                        Object.entries(stats).forEach(([stat, multiplier]) => {
+                            modifiers[stat] = (modifiers[stat] || 1) * multiplier;
+                        });
+                        entityFactory.factionModifiers[faction] = modifiers;
+                    });
+                    break;
+                case 'onlyFaction':
+                    waveSystem.onlyFaction = value;
+                    break;
+                case 'disasterInterval':
+                    disasterSystem.fixedInterval = value;
+                    break;
+                case 'damageToEnemies':
+                    combatSystem.damageToEnemies *= value;
+                    break;
+                case 'damageToPlayers':
+                    combatSystem.damageToPlayers *= value;
+                    break;
+                case 'upgradeCost':
+                    upgradeSystem.costScale *= value;
+                    break;
+                case 'upgrades':
+                    upgradeSystem.enabled = value;
+                    break;
+                case 'bannedAbilities':
+                    abilityShopSystem.bannedAbilities.push(...value);
+                    break;
+                case 'weaponHeat':
+                    weaponSystem.heatEnabled = value;
+                    break;
+                default:
+                    console.warn(`[MutatorSystem] Unknown mutator effect: ${effect}`);
+            }
+        });
+    }
+
+    getNames() {
+        return this.active.map(id => GameConstants.MUTATORS[id].name);
+    }
+
+    // Mutator names and the combined score multiplier for the score screen
+    getUIState() {
+        if (this.active.length === 0) return null;
+
+        return {
+            names: this.getNames(),
+            scoreMultiplier: this.gameState.get('game.scoreMultiplier')
+        };
+    }
+
+    // Also used by the pre-run screen, before any run exists
+    static getScoreMultiplier(ids) {
+        const product = ids.reduce((total, id) => total * GameConstants.MUTATORS[id].scoreMultiplier, 1);
+        return Math.round(product * 100) / 100;
+    }
+}
+
+window.MutatorSystem = MutatorSystem;
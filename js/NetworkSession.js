@@ -0,0 +1,115 @@
+// NetworkSession.js - Browser connection to the online co-op relay (tools/relay)
+// Outlives scenes: the menu lobby opens it and hands it to the game through the run config
+
+class NetworkSession {
+    constructor(url) {
+        this.url = url;
+        this.socket = null;
+        this.events = new EventBus();
+
+        // Filled in once the relay accepts the join
+        this.id = null;
+        this.room = null;
+        this.hostId = null;
+        this.peers = new Map(); // relay client id -> { id, name }
+    }
+
+    // Relay messages are re-emitted by type: joined, peerJoined, peerLeft, hostLeft, message, error, closed
+    on(type, handler) {
+        return this.events.on(type, handler);
+    }
+
+    // `create` opens a new room as its host; without it the room must already exist
+    join(room, { name, create = false } = {}) {
+        try {
+            this.socket = new WebSocket(this.url);
+        } catch (e) {
+            console.error('[NetworkSession] Could not open', this.url, e);
+            this.events.emit('error', { message: `Could not connect to ${this.url}` });
+            return;
+        }
+
+        this.socket.onopen = () => {
+            this.sendRaw({ type: 'join', room, name, create });
+        };
+        this.socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (e) {
+                console.warn('[NetworkSession] Ignored malformed message');
+                return;
+            }
+            this.handleMessage(message);
+        };
+        this.socket.onerror = () => {
+            this.events.emit('error', { message: `Could not connect to ${this.url}` });
+        };
+        this.socket.onclose = () => {
+            this.socket = null;
+            this.events.emit('closed');
+        };
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'joined':
+                this.id = message.id;
+                this.room = message.room;
+                this.hostId = message.hostId;
+                message.peers.forEach(peer => this.peers.set(peer.id, peer));
+                break;
+            case 'peerJoined':
+                this.peers.set(message.peer.id, message.peer);
+                break;
+            case 'peerLeft':
+                this.peers.delete(message.id);
+                break;
+        }
+
+        this.events.emit(message.type, message);
+    }
+
+    isHost() {
+        return this.id !== null && this.id === this.hostId;
+    }
+
+    isConnected() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    // Everyone in the room in join order; relay ids only grow, so the host comes first
+    getMemberIds() {
+        return [this.id, ...this.peers.keys()].sort((a, b) => a - b);
+    }
+
+    // Omit `to` to reach everyone else in the room
+    send(data, to = null) {
+        this.sendRaw({ type: 'send', to, data });
+    }
+
+    sendToHost(data) {
+        this.send(data, this.hostId);
+    }
+
+    // Stops anyone else joining once the game starts
+    lock() {
+        this.sendRaw({ type: 'lock' });
+    }
+
+    sendRaw(message) {
+        if (!this.isConnected()) return;
+        this.socket.send(JSON.stringify(message));
+    }
+
+    close() {
+        this.events.clear();
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+}
+
+window.NetworkSession = NetworkSession;
@@ -0,0 +1,654 @@
+// NetworkSystem.js - Online co-op: the host simulates, clients mirror it
+// Hosts stream snapshots and relayed events; clients predict their own ship and interpolate everything else
+
+// GameState paths every client copies from the host
+const NET_SHARED_STATE = [
+    'game.credits', 'game.score', 'game.combo', 'game.comboTimer', 'game.totalKills',
+    'waves.current', 'waves.phase', 'waves.waveInProgress', 'waves.enemiesKilled',
+    'waves.initialEnemyCount', 'waves.enemiesRemaining', 'player.stats'
+];
+
+// Per-player GameState fields, under each player's key
+const NET_PLAYER_STATE = ['alive', 'health', 'maxHealth', 'energy', 'maxEnergy'];
+
+// UI commands a client may send to the host
+const NET_CLIENT_COMMANDS = ['upgrade', 'purchaseAbility'];
+
+class NetworkSystem {
+    constructor(scene, eventBus, entityManager, gameState) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+        this.gameState = gameState;
+
+        this.session = null;
+        this.role = null; // 'host', 'client' or null when offline
+        this.localIndex = 0;
+        this.playerCount = 1;
+        this.disconnected = false;
+        this.unsubscribers = [];
+
+        // Host: one entry per remote player index
+        this.peers = new Map();
+        this.peerIndex = new Map(); // relay id -> player index
+        this.pendingEvents = [];
+
+        // Client: snapshots waiting to be drawn, plus the locally predicted ship
+        this.snapshots = [];
+        this.previousSnapshot = null;
+        this.latestStep = null;
+        this.renderStep = null;
+        this.prediction = null;
+        this.correction = { x: 0, y: 0 };
+        this.pendingInputs = [];
+        this.inputSeq = 0;
+        this.maxSpeed = null;
+        this.upgradeLevels = null;
+        this.hostPaused = false;
+    }
+
+    init(net) {
+        if (!net) return;
+
+        this.session = net.session;
+        this.role = net.role;
+        this.localIndex = net.index;
+        this.playerCount = net.playerCount;
+
+        this.listen('message', (message) => this.handleMessage(message.from, message.data));
+        this.listen('hostLeft', () => this.handleDisconnect('The host left the game'));
+        this.listen('closed', () => this.handleDisconnect('Lost connection to the relay'));
+        this.scene.events.once('shutdown', () => this.destroy());
+
+        if (this.isHost()) {
+            this.initHost(net.players);
+        } else {
+            // Tell the host to start sending the world
+            this.session.sendToHost({ type: 'ready' });
+        }
+
+        console.log(`[NetworkSystem] Joined room ${this.session.room} as ${this.role} (player ${this.localIndex + 1} of ${this.playerCount})`);
+    }
+
+    listen(type, handler) {
+        this.unsubscribers.push(this.session.on(type, handler));
+    }
+
+    isOnline() {
+        return this.role !== null;
+    }
+
+    isHost() {
+        return this.role === 'host';
+    }
+
+    isClient() {
+        return this.role === 'client';
+    }
+
+    // UI commands: returns true when the command was handled here and the scene should ignore it
+    handleCommand(data) {
+        if (!this.isOnline()) return false;
+
+        if (this.isClient()) {
+            if (NET_CLIENT_COMMANDS.includes(data.command)) {
+                this.session.sendToHost({ type: 'command', command: data });
+                return true;
+            }
+            // Only the host can pause, save or restart the shared world
+            return !['menu', 'sound'].includes(data.command);
+        }
+
+        // The host's world belongs to everyone in the room
+        return ['restart', 'save'].includes(data.command);
+    }
+
+    handleMessage(from, data) {
+        if (!data || typeof data !== 'object') return;
+
+        if (this.isHost()) {
+            this.handlePeerMessage(from, data);
+        } else if (from === this.session.hostId) {
+            this.handleHostMessage(data);
+        }
+    }
+
+    handleDisconnect(message) {
+        if (!this.isOnline() || this.disconnected) return;
+        this.disconnected = true;
+
+        console.warn('[NetworkSystem]', message);
+        this.eventBus.emit('UI_NOTIFICATION', { message, type: 'error', icon: 'fa-plug' });
+
+        // A client has nothing left to mirror
+        if (this.isClient() && !this.gameState.get('game.gameOver')) {
+            this.eventBus.emit('GAME_OVER', { victory: false, disconnected: true });
+        }
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        if (this.session) {
+            this.session.close();
+            this.session = null;
+        }
+    }
+
+    // --- Host ---------------------------------------------------------------
+
+    initHost(players) {
+        const { inputSystem } = this.scene.gameInitializer;
+        inputSystem.network = this;
+
+        players.forEach((id, index) => {
+            if (index === 0) return;
+            this.peerIndex.set(id, index);
+            this.peers.set(index, {
+                id,
+                ready: false,
+                left: false,
+                known: new Set(), // Entity ids this peer has been sent
+                inputs: [],
+                lastFrame: null,
+                starved: 0,
+                ack: 0
+            });
+        });
+
+        this.listen('peerLeft', (message) => this.handlePeerLeft(message.id));
+
+        GameConstants.NET.RELAYED_EVENTS.forEach(name => {
+            this.eventBus.on(name, (data) => {
+                if (this.shouldRelay(name, data)) {
+                    this.pendingEvents.push([name, WorldSnapshot.encode(data || {})]);
+                }
+            });
+        });
+
+        this.eventBus.on('ENTITY_DESTROYED', (data) => {
+            this.peers.forEach(peer => peer.known.delete(data.id));
+        });
+
+        this.eventBus.on('GAME_PAUSE', (data) => {
+            this.session.send({ type: 'paused', paused: data.paused });
+        });
+
+        // Each player shops for their own slots
+        this.eventBus.on('ABILITY_SHOP_OPENED', (data) => {
+            const shop = this.scene.gameInitializer.abilityShopSystem;
+            this.forEachPeer((peer, index) => {
+                this.session.send({ type: 'shopOpened', abilities: data.abilities, slots: shop.getSlots(index) }, peer.id);
+            });
+        });
+        this.eventBus.on('ABILITY_SHOP_CLOSED', () => {
+            this.session.send({ type: 'shopClosed' });
+        });
+        this.eventBus.on('ABILITY_PURCHASED', (data) => {
+            const peer = this.peers.get(data.player);
+            if (peer && !peer.left) {
+                this.session.send({ type: 'abilityPurchased', ability: data.ability, slot: data.slot }, peer.id);
+            }
+        });
+    }
+
+    // Charging ticks and ship-on-planet bumps happen every step and clients don't draw them
+    shouldRelay(name, data) {
+        if (name === 'PLAYER_SHOOT') return !data.charging;
+        if (name === 'COLLISION_DETECTED') return data.type === 'projectile';
+        return true;
+    }
+
+    forEachPeer(callback) {
+        this.peers.forEach((peer, index) => {
+            if (peer.ready && !peer.left) {
+                callback(peer, index);
+            }
+        });
+    }
+
+    handlePeerMessage(from, data) {
+        const index = this.peerIndex.get(from);
+        const peer = this.peers.get(index);
+        if (!peer || peer.left) return;
+
+        switch (data.type) {
+            case 'ready':
+                // (Re)send every entity with the next snapshot
+                peer.ready = true;
+                peer.known.clear();
+                break;
+            case 'input':
+                this.queueInput(peer, data);
+                break;
+            case 'command':
+                if (data.command && NET_CLIENT_COMMANDS.includes(data.command.command)) {
+                    this.scene.handleUICommand({ ...data.command, player: index });
+                }
+                break;
+        }
+    }
+
+    queueInput(peer, { seq, frame }) {
+        if (typeof seq !== 'number' || !frame || seq <= peer.ack) return;
+
+        peer.inputs.push({ seq, frame: this.sanitizeFrame(frame) });
+
+        // A backlog only adds lag; drop the oldest frames but keep their key presses
+        while (peer.inputs.length > GameConstants.NET.MAX_INPUT_BUFFER) {
+            const dropped = peer.inputs.shift();
+            peer.inputs[0].frame.actions.unshift(...dropped.frame.actions);
+        }
+    }
+
+    // Frames from the network get the same quantizing as local ones, and only gameplay actions
+    sanitizeFrame(frame) {
+        const number = (value, limit) => InputSystem.quantize(Math.max(-limit, Math.min(limit, Number(value) || 0)));
+        const actions = Array.isArray(frame.actions) ? frame.actions : [];
+
+        return {
+            moveX: number(frame.moveX, 2),
+            moveY: number(frame.moveY, 2),
+            aim: number(frame.aim, Math.PI * 2),
+            fire: !!frame.fire,
+            boost: !!frame.boost,
+            dash: !!frame.dash,
+            actions: actions.filter(action => Array.isArray(action) && GameConstants.NET.REMOTE_ACTIONS.includes(action[0]))
+        };
+    }
+
+    // Called by InputSystem for each remote pilot once per step
+    takeInputFrame(pilot) {
+        const peer = this.peers.get(pilot.index);
+        if (!peer || peer.left) return this.idleFrame(pilot);
+
+        const input = peer.inputs.shift();
+        if (input) {
+            peer.ack = input.seq;
+            peer.lastFrame = input.frame;
+            peer.starved = 0;
+            return input.frame;
+        }
+
+        // Late input: keep flying as before for a few steps, then let go of the controls
+        if (peer.lastFrame && ++peer.starved <= GameConstants.NET.MAX_INPUT_BUFFER) {
+            return { ...peer.lastFrame, dash: false, actions: [] };
+        }
+        return this.idleFrame(pilot);
+    }
+
+    idleFrame(pilot) {
+        return { moveX: 0, moveY: 0, aim: pilot.aimAngle, fire: false, boost: false, dash: false, actions: [] };
+    }
+
+    handlePeerLeft(id) {
+        const index = this.peerIndex.get(id);
+        const peer = this.peers.get(index);
+        if (!peer || peer.left) return;
+
+        peer.left = true;
+        const shipId = this.gameState.getPlayerId(index);
+        this.gameState.setPlayerId(null, index);
+        this.gameState.update(`${this.gameState.playerKey(index)}.alive`, false);
+        if (shipId) {
+            this.eventBus.emit('DESTROY_ENTITY', { entityId: shipId });
+        }
+
+        this.eventBus.emit('UI_NOTIFICATION', {
+            message: `Player ${index + 1} left the game`,
+            type: 'warning',
+            icon: 'fa-user-slash'
+        });
+    }
+
+    // Departed players stay out of the revive at the next wave
+    hasLeft(index) {
+        const peer = this.peers.get(index);
+        return !!peer && peer.left;
+    }
+
+    // Called by GameInitializer after every host step
+    afterStep() {
+        if (!this.isHost()) return;
+
+        const { stepCount } = this.scene.gameInitializer;
+        if (stepCount % GameConstants.NET.SNAPSHOT_INTERVAL !== 0) return;
+
+        const snapshot = this.createSnapshot(stepCount);
+        this.pendingEvents = [];
+
+        this.forEachPeer(peer => {
+            const spawns = [];
+            snapshot.entities.forEach(([id]) => {
+                if (peer.known.has(id)) return;
+                peer.known.add(id);
+                spawns.push(WorldSnapshot.captureEntity(this.scene.gameInitializer, id));
+            });
+            this.session.send({ ...snapshot, spawns }, peer.id);
+        });
+    }
+
+    createSnapshot(step) {
+        const { abilitySystem, abilityShopSystem, upgradeSystem } = this.scene.gameInitializer;
+        const round = (value, places) => Math.round(value * places) / places;
+
+        const entities = [];
+        this.entityManager.entities.forEach((entity, id) => {
+            const transform = entity.active && this.entityManager.getComponent(id, 'transform');
+            if (transform) {
+                entities.push([id, round(transform.x, 10), round(transform.y, 10), round(transform.rotation || 0, 1000)]);
+            }
+        });
+
+        const players = [];
+        for (let index = 0; index < this.playerCount; index++) {
+            const key = this.gameState.playerKey(index);
+            const id = this.gameState.getPlayerId(index) || null;
+            const physics = id && this.entityManager.getComponent(id, 'physics');
+            const weapon = id && this.entityManager.getComponent(id, 'weapon');
+            const peer = this.peers.get(index);
+
+            players.push({
+                id,
+                state: NET_PLAYER_STATE.map(field => this.gameState.get(`${key}.${field}`)),
+                vx: physics ? physics.velocity.x : 0,
+                vy: physics ? physics.velocity.y : 0,
+                maxSpeed: physics ? physics.maxSpeed : null,
+                weapon: weapon ? weapon.type : null,
+                heat: weapon && weapon.heat ? weapon.heat : null,
+                ack: peer ? peer.ack : 0,
+                dashCooldown: abilitySystem.getAbilityCooldown('dash', index),
+                abilities: abilityShopSystem.getAbilityUI(index)
+            });
+        }
+
+        return {
+            type: 'snapshot',
+            step,
+            entities,
+            events: this.pendingEvents,
+            players,
+            state: NET_SHARED_STATE.map(path => this.gameState.get(path)),
+            upgrades: upgradeSystem.getCurrentLevels()
+        };
+    }
+
+    // --- Client -------------------------------------------------------------
+
+    handleHostMessage(data) {
+        switch (data.type) {
+            case 'snapshot':
+                this.receiveSnapshot(data);
+                break;
+            case 'paused':
+                this.hostPaused = data.paused;
+                break;
+            case 'shopOpened':
+                // The host's world waits while the shop is open
+                this.hostPaused = true;
+                this.dispatchUIEvent({
+                    type: 'abilityShopOpened',
+                    abilities: data.abilities,
+                    playerSlots: data.slots,
+                    partnerSlots: null,
+                    credits: this.gameState.get('game.credits')
+                });
+                break;
+            case 'shopClosed':
+                this.hostPaused = false;
+                this.dispatchUIEvent({ type: 'abilityShopClosed' });
+                break;
+            case 'abilityPurchased':
+                this.dispatchUIEvent({ type: 'abilityPurchased', ability: data.ability, slot: data.slot, player: 0 });
+                break;
+        }
+    }
+
+    dispatchUIEvent(detail) {
+        window.dispatchEvent(new CustomEvent('uiEvent', { detail }));
+    }
+
+    receiveSnapshot(snapshot) {
+        if (!Array.isArray(snapshot.entities) || !Array.isArray(snapshot.players)) return;
+
+        // Stats, scores and vitals show straight away; positions wait for interpolation
+        this.applySharedState(snapshot);
+        this.reconcile(snapshot);
+
+        snapshot.positions = new Map(snapshot.entities.map(([id, x, y, rotation]) => [id, { x, y, rotation }]));
+        this.snapshots.push(snapshot);
+        this.latestStep = snapshot.step;
+    }
+
+    applySharedState(snapshot) {
+        const { abilitySystem, upgradeSystem } = this.scene.gameInitializer;
+        const updates = [];
+
+        snapshot.players.forEach((player, index) => {
+            const key = this.gameState.playerKey(index);
+            if (index > 0 && !this.gameState.get(key)) {
+                this.gameState.addPlayerState(index);
+            }
+            this.gameState.setPlayerId(player.id, index);
+            this.applyWeaponState(player);
+            NET_PLAYER_STATE.forEach((field, i) => updates.push({ path: `${key}.${field}`, value: player.state[i] }));
+        });
+        NET_SHARED_STATE.forEach((path, i) => updates.push({ path, value: snapshot.state[i] }));
+        this.gameState.batchUpdate(updates);
+
+        const local = snapshot.players[this.localIndex];
+        if (local) {
+            abilitySystem.getCooldowns(this.localIndex).set('dash', local.dashCooldown);
+            this.maxSpeed = local.maxSpeed;
+            window.dispatchEvent(new CustomEvent('gameStateUpdate', {
+                detail: { abilities: local.abilities }
+            }));
+        }
+
+        // Levels only drive the upgrade prices shown in the HUD
+        const levels = JSON.stringify(snapshot.upgrades);
+        if (levels !== this.upgradeLevels) {
+            this.upgradeLevels = levels;
+            upgradeSystem.restoreLevels(snapshot.upgrades);
+        }
+    }
+
+    // The replica's weapon only changes through the host, so the HUD and the wheel read what it sent
+    applyWeaponState(player) {
+        const weapon = player.id && this.entityManager.getComponent(player.id, 'weapon');
+        if (!weapon || !player.weapon) return;
+
+        weapon.type = player.weapon;
+        weapon.heat = player.heat;
+    }
+
+    // Replay the inputs the host hasn't used yet on top of its position for our ship
+    reconcile(snapshot) {
+        const local = snapshot.players[this.localIndex];
+        if (!this.prediction || !local || local.id !== this.prediction.id) return;
+
+        const entry = snapshot.entities.find(([id]) => id === local.id);
+        if (!entry) return;
+
+        this.pendingInputs = this.pendingInputs.filter(input => input.seq > local.ack);
+
+        let state = { id: local.id, x: entry[1], y: entry[2], vx: local.vx, vy: local.vy };
+        this.pendingInputs.forEach(input => {
+            state = this.advanceShip(state, input.frame);
+        });
+
+        // Keep the ship where it's drawn and blend the error out over the next steps
+        this.correction.x += this.prediction.x - state.x;
+        this.correction.y += this.prediction.y - state.y;
+        if (Math.hypot(this.correction.x, this.correction.y) > GameConstants.NET.SNAP_DISTANCE) {
+            this.correction.x = 0;
+            this.correction.y = 0;
+        }
+        this.prediction = state;
+    }
+
+    // Called by GameInitializer instead of a simulation step
+    stepClient(dt) {
+        const { renderSystem } = this.scene.gameInitializer;
+
+        renderSystem.capturePreviousTransforms();
+        this.advanceRenderStep();
+        this.interpolateEntities();
+        this.updateLocalShip(dt);
+        renderSystem.fixedUpdate();
+    }
+
+    advanceRenderStep() {
+        if (this.latestStep === null) return;
+
+        // Stay a little behind the newest snapshot; speed up when lagging, jump when far behind
+        const delay = GameConstants.NET.INTERPOLATION_DELAY;
+        const target = this.latestStep - delay;
+        if (this.renderStep === null || target - this.renderStep > delay * 3) {
+            this.renderStep = target;
+        } else {
+            this.renderStep += target - this.renderStep > delay ? 2 : 1;
+        }
+        this.renderStep = Math.min(this.renderStep, this.latestStep);
+
+        while (this.snapshots.length > 0 && this.snapshots[0].step <= this.renderStep) {
+            const snapshot = this.snapshots.shift();
+            this.applySpawnsAndEvents(snapshot);
+            this.previousSnapshot = snapshot;
+        }
+    }
+
+    applySpawnsAndEvents(snapshot) {
+        const { entityFactory } = this.scene.gameInitializer;
+
+        (snapshot.spawns || []).forEach(saved => {
+            if (this.entityManager.getEntity(saved.id)) return;
+            entityFactory.restoreEntity({ ...saved, components: WorldSnapshot.decode(saved.components) });
+        });
+
+        (snapshot.events || []).forEach(([name, data]) => {
+            this.applyEvent(name, WorldSnapshot.decode(data));
+        });
+    }
+
+    applyEvent(name, data) {
+        switch (name) {
+            case 'ENTITY_DESTROYED':
+                // Destroying it here emits the local event that removes the sprite
+                this.entityManager.destroyEntity(data.id);
+                break;
+            case 'PLAYER_SHOOT':
+                this.eventBus.emit('AUDIO_PLAY', { sound: 'shoot' });
+                break;
+            case 'COLLISION_DETECTED': {
+                const target = this.entityManager.getComponent(data.entityB, 'transform');
+                if (target) {
+                    this.scene.gameInitializer.renderSystem.createImpact(target.x, target.y);
+                }
+                break;
+            }
+            default:
+                this.eventBus.emit(name, data);
+        }
+    }
+
+    interpolateEntities() {
+        const from = this.previousSnapshot;
+        if (!from) return;
+
+        const to = this.snapshots[0];
+        const t = to ? (this.renderStep - from.step) / (to.step - from.step) : 0;
+        const ownId = this.prediction && this.prediction.id;
+
+        from.positions.forEach((start, id) => {
+            if (id === ownId) return;
+
+            const sprite = this.scene.sprites.get(id);
+            if (!sprite || !sprite.active) return;
+
+            const end = (to && to.positions.get(id)) || start;
+            let angleDiff = end.rotation - start.rotation;
+            while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+            while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+
+            sprite.setPosition(start.x + (end.x - start.x) * t, start.y + (end.y - start.y) * t);
+            sprite.setRotation(start.rotation + angleDiff * t);
+        });
+    }
+
+    updateLocalShip(dt) {
+        const { inputSystem } = this.scene.gameInitializer;
+        const pilot = inputSystem.pilots[0];
+        pilot.playerId = this.gameState.getPlayerId(this.localIndex);
+
+        const sprite = this.scene.sprites.get(pilot.playerId);
+        if (!sprite || !sprite.active || !this.previousSnapshot) {
+            this.prediction = null;
+            return;
+        }
+
+        // New ship (first spawn or revived): start predicting from where the host has it
+        if (!this.prediction || this.prediction.id !== pilot.playerId) {
+            const physics = this.entityManager.getComponent(pilot.playerId, 'physics');
+            this.prediction = { id: pilot.playerId, x: sprite.x, y: sprite.y, vx: physics.velocity.x, vy: physics.velocity.y };
+            this.correction = { x: 0, y: 0 };
+            this.pendingInputs = [];
+        }
+
+        // The host's world is frozen while it's paused or shopping
+        if (this.hostPaused) return;
+
+        const frame = inputSystem.sampleFrame(pilot);
+        const seq = ++this.inputSeq;
+        this.session.sendToHost({ type: 'input', seq, frame });
+        this.pendingInputs.push({ seq, frame });
+
+        // Aim and the charge meter respond locally; firing itself happens on the host
+        inputSystem.updateMovement(pilot, frame);
+        inputSystem.updateAim(pilot, frame);
+        inputSystem.updateShooting(pilot, dt, frame);
+
+        this.prediction = this.advanceShip(this.prediction, frame);
+
+        const rate = 1 - GameConstants.NET.CORRECTION_RATE;
+        this.correction.x *= rate;
+        this.correction.y *= rate;
+        sprite.setPosition(this.prediction.x + this.correction.x, this.prediction.y + this.correction.y);
+        sprite.setVelocity(this.prediction.vx, this.prediction.vy);
+    }
+
+    // One step of the host's ship movement without gravity, collisions or dashes;
+    // reconciliation absorbs the difference
+    advanceShip(state, frame) {
+        const stats = this.gameState.get('player.stats');
+        const baseForce = (stats.speed || GameConfig.player.baseSpeed) * 0.5;
+        const maxSpeed = this.maxSpeed || GameConfig.physics.maxVelocity;
+
+        let moveX = frame.moveX;
+        let moveY = frame.moveY;
+        const magnitude = Math.sqrt(moveX ** 2 + moveY ** 2);
+        if (magnitude > 1) {
+            moveX /= magnitude;
+            moveY /= magnitude;
+        }
+
+        let vx = state.vx;
+        let vy = state.vy;
+        const accelerationBoost = Math.sqrt(vx ** 2 + vy ** 2) < 2 ? 2.0 : 1.0;
+        const boostMultiplier = frame.boost && this.gameState.get(`${this.gameState.playerKey(this.localIndex)}.energy`) > 0 ? 1.5 : 1;
+        vx += moveX * baseForce * boostMultiplier * accelerationBoost;
+        vy += moveY * baseForce * boostMultiplier * accelerationBoost;
+
+        vx *= GameConfig.physics.damping;
+        vy *= GameConfig.physics.damping;
+        const speed = Math.sqrt(vx ** 2 + vy ** 2);
+        if (speed > maxSpeed) {
+            vx *= maxSpeed / speed;
+            vy *= maxSpeed / speed;
+        }
+
+        return { id: state.id, x: state.x + state.vx, y: state.y + state.vy, vx, vy };
+    }
+}
+
+window.NetworkSystem = NetworkSystem;
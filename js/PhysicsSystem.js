@@ -5,7 +5,7 @@ class PhysicsSystem {
     constructor(scene, eventBus) {
         this.scene = scene;
         this.eventBus = eventBus;
-        this.playerId = null;
+        this.playerIds = new Set(); // Every player ship (two in co-op)
         this.gravityConstant = GameConfig.physics.gravity;
         this.spiralForce = GameConfig.physics.spiralForce;
         this.damping = GameConfig.physics.damping;
@@ -19,10 +19,12 @@ class PhysicsSystem {
         this.pendingForces = new Map();
         
         // Wandering vortex properties
-        this.catastropheWanderAngle = Math.random() * Math.PI * 2;
+        this.catastropheWanderAngle = 0;
         this.catastropheWanderSpeed = 150;
         this.catastropheWanderTurnRate = 5.0;
         this.catastropheId = null;
+        this.rng = null; // Seeded stream set by GameInitializer
+        this.clock = null; // Simulation clock set by GameInitializer
         
         // Immunity tracking
         this.vortexImmunity = new Map(); // entityId -> immunityEndTime
@@ -32,17 +34,24 @@ class PhysicsSystem {
     init(entityManager) {
         this.entityManager = entityManager;
         
+        // Seeded stream is injected after construction
+        this.catastropheWanderAngle = this.rng.angle();
+        
         // Listen for entity creation
         this.eventBus.on('ENTITY_CREATED', (data) => {
             if (data.type === 'player') {
-                this.playerId = data.id;
-                //console.log('[PhysicsSystem] Player ID set:', this.playerId);
+                this.playerIds.add(data.id);
             } else if (data.type === 'catastrophe') {
                 this.catastropheId = data.id;
                 //console.log('[PhysicsSystem] Catastrophe ID set:', this.catastropheId);
             }
         });
         
+        // A downed co-op player's ship is gone until revived
+        this.eventBus.on('ENTITY_DESTROYED', (data) => {
+            this.playerIds.delete(data.id);
+        });
+        
         // Listen for force application requests
         this.eventBus.on('FORCE_APPLIED', (data) => {
             if (!this.pendingForces.has(data.entityId)) {
@@ -103,41 +112,39 @@ class PhysicsSystem {
     }
     
     applyGravitationalForces(entities, entityManager) {
+        // Gravity reaches across nearly the whole world, so a grid query would return
+        // every body anyway - resolve components once and let the range checks cull
+        const bodies = [];
+        entities.forEach(entityId => {
+            const transform = entityManager.getComponent(entityId, 'transform');
+            const physics = entityManager.getComponent(entityId, 'physics');
+            if (transform && physics) {
+                bodies.push({ entityId, transform, physics });
+            }
+        });
+        
         // Calculate n-body gravitational forces
-        for (let i = 0; i < entities.length; i++) {
-            const entityA = entities[i];
-            const transformA = entityManager.getComponent(entityA, 'transform');
-            const physicsA = entityManager.getComponent(entityA, 'physics');
-            
-            if (!transformA || !physicsA) continue;
-            
-            // Use spatial grid to limit force calculations
-            const nearbyEntities = this.spatialGrid.getNearby(
-                transformA.x, 
-                transformA.y, 
-                10000 // Extended gravity range for planets
-            );
+        for (let i = 0; i < bodies.length; i++) {
+            const bodyA = bodies[i];
             
-            nearbyEntities.forEach(entityB => {
-                if (entityA === entityB) return;
-                
-                const transformB = entityManager.getComponent(entityB, 'transform');
-                const physicsB = entityManager.getComponent(entityB, 'physics');
+            for (let j = 0; j < bodies.length; j++) {
+                if (i === j) continue;
                 
-                if (!transformB || !physicsB) return;
+                const bodyB = bodies[j];
                 
                 // Calculate gravitational force
                 const force = this.calculateGravitationalForce(
-                    transformA, physicsA,
-                    transformB, physicsB
+                    bodyA.transform, bodyA.physics,
+                    bodyB.transform, bodyB.physics
                 );
                 
                 if (force) {
-                    // Apply force to acceleration
-                    physicsA.acceleration.x += force.x / physicsA.mass;
-                    physicsA.acceleration.y += force.y / physicsA.mass;
+                    // Apply force to acceleration (a Graviton's core shrugs off part of the pull)
+                    const gravityScale = bodyA.physics.gravityScale || 1;
+                    bodyA.physics.acceleration.x += force.x / bodyA.physics.mass * gravityScale;
+                    bodyA.physics.acceleration.y += force.y / bodyA.physics.mass * gravityScale;
                 }
-            });
+            }
         }
     }
     
@@ -297,25 +304,26 @@ class PhysicsSystem {
             });
         });
         
-        // Powerup collisions with player
+        // Powerup collisions with players
         const powerups = entityManager.getEntitiesByType('powerup');
-        const playerSprite = this.scene.sprites.get(this.playerId);
-        
-        if (playerSprite && playerSprite.active) {
+        this.playerIds.forEach(playerId => {
+            const playerSprite = this.scene.sprites.get(playerId);
+            if (!playerSprite || !playerSprite.active) return;
+            
             powerups.forEach(powerupId => {
                 const powerupSprite = this.scene.sprites.get(powerupId);
                 
                 if (powerupSprite && powerupSprite.active) {
                     if (this.checkCollision(playerSprite, powerupSprite)) {
                         this.eventBus.emit('COLLISION_DETECTED', {
-                            entityA: this.playerId,
+                            entityA: playerId,
                             entityB: powerupId,
                             type: 'powerup'
                         });
                     }
                 }
             });
-        }
+        });
         
         // General entity collisions for physics responses
         const allEntities = entityManager.query('transform', 'physics');
@@ -470,7 +478,7 @@ class PhysicsSystem {
         catastropheSprite.setScale(3.0);
         
         // Update wander angle with random turns
-        this.catastropheWanderAngle += (Math.random() - 0.5) * this.catastropheWanderTurnRate * deltaTime;
+        this.catastropheWanderAngle += this.rng.spread(this.catastropheWanderTurnRate * deltaTime);
         
         // Calculate velocity (no deltaTime scaling needed for setVelocity)
         const vx = Math.cos(this.catastropheWanderAngle) * this.catastropheWanderSpeed;
@@ -497,7 +505,7 @@ class PhysicsSystem {
         
         if (!catastropheTransform || !catastropheData) return;
         
-        const currentTime = Date.now();
+        const currentTime = this.clock.now;
         
         entities.forEach(entityId => {
             if (entityId === this.catastropheId) return;
@@ -557,8 +565,8 @@ class PhysicsSystem {
                 const tangentY = Math.cos(angle) * pullStrength * 0.8;
                 
                 // Add random chaos
-                const chaosX = (Math.random() - 0.5) * pullStrength * 0.3;
-                const chaosY = (Math.random() - 0.5) * pullStrength * 0.3;
+                const chaosX = this.rng.spread(pullStrength * 0.3);
+                const chaosY = this.rng.spread(pullStrength * 0.3);
                 
                 // Apply combined forces
                 physics.acceleration.x += (pullX + tangentX + chaosX) / physics.mass;
@@ -569,7 +577,7 @@ class PhysicsSystem {
     
     
     updateImmunityTimers(deltaTime) {
-        const currentTime = Date.now();
+        const currentTime = this.clock.now;
         
         // Clean up expired immunities
         for (const [entityId, endTime] of this.vortexImmunity.entries()) {
@@ -580,6 +588,20 @@ class PhysicsSystem {
         }
     }
     
+    getSnapshot() {
+        return {
+            catastropheWanderAngle: this.catastropheWanderAngle,
+            vortexImmunity: Array.from(this.vortexImmunity),
+            vortexProximity: Array.from(this.vortexProximity)
+        };
+    }
+    
+    restoreSnapshot(snapshot) {
+        this.catastropheWanderAngle = snapshot.catastropheWanderAngle;
+        this.vortexImmunity = new Map(snapshot.vortexImmunity);
+        this.vortexProximity = new Map(snapshot.vortexProximity);
+    }
+    
 }
 
 // Spatial partitioning grid for efficient proximity queries
@@ -149,10 +149,10 @@ const PLANET_PROFILES = {
     }
 };
 
-// Get random planet profile
-function getRandomPlanetProfile() {
+// Get random planet profile (pass a seeded stream for reproducible worlds)
+function getRandomPlanetProfile(rng = null) {
     const profiles = Object.values(PLANET_PROFILES);
-    return profiles[Math.floor(Math.random() * profiles.length)];
+    return rng ? rng.pick(profiles) : profiles[Math.floor(Math.random() * profiles.length)];
 }
 
 // Get planet profile by type
@@ -15,6 +15,7 @@ class RenderSystem {
         this.cameraZoom = 0.4;
         this.targetZoom = 0.4;
         this.shakeIntensity = 0;
+        this.freeCamera = false; // Replay camera detached from the player
         
         // Active game messages
         this.activeMessages = new Map();
@@ -31,6 +32,19 @@ class RenderSystem {
         
         // Gravity well graphics
         this.gravityGraphics = null;
+        
+        // Lance beams and chain lightning arcs, redrawn every frame until they fade
+        this.beams = [];
+        this.arcs = [];
+        this.beamGraphics = null;
+        
+        // Steam from overheated weapons, per player until every locked weapon has cooled
+        this.ventEffects = new Map();
+        
+        // Fixed-step interpolation state
+        this.previousTransforms = new Map(); // entityId -> { x, y, rotation } before last step
+        this.simulationTransforms = new Map(); // entityId -> body state restored after render
+        this.interpolationAlpha = 1;
     }
     
     init() {
@@ -51,6 +65,20 @@ class RenderSystem {
         // Create gravity well graphics layer
         this.gravityGraphics = this.scene.add.graphics();
         this.gravityGraphics.setDepth(10); // Low depth to render behind entities
+        
+        // Create beam graphics layer
+        this.beamGraphics = this.scene.add.graphics();
+        this.beamGraphics.setDepth(19); // Just above projectiles
+        
+        // Draw bodies at interpolated positions, then put the simulation state back
+        this.onPreRender = () => this.applyInterpolation();
+        this.onPostRender = () => this.restoreSimulationTransforms();
+        this.scene.events.on('prerender', this.onPreRender);
+        this.scene.events.on('render', this.onPostRender);
+        this.scene.events.once('shutdown', () => {
+            this.scene.events.off('prerender', this.onPreRender);
+            this.scene.events.off('render', this.onPostRender);
+        });
     }
     
     setupCamera() {
@@ -194,19 +222,55 @@ class RenderSystem {
         });
         
         this.eventBus.on('PLAYER_DIED', (data) => {
-            this.setSpriteVisible(this.playerId, false);
+            // Explode in the ship's own color so co-op players can tell who went down
+            const trail = this.entityManager.getComponent(data.playerId, 'trail');
+            this.setSpriteVisible(data.playerId, false);
             if (data.position) {
                 this.createExplosion(
                     data.position.x,
                     data.position.y,
                     2.0,
-                    0x00ffff
+                    trail ? trail.color : 0x00ffff
                 );
             }
             this.shake(1000, 0.03);
             this.flash(1000, 255, 0, 0);
         });
         
+        this.eventBus.on('HOME_WORLD_DESTROYED', (data) => {
+            if (data.position) {
+                this.createExplosion(data.position.x, data.position.y, 5.0, 0x4682b4);
+                this.createShockwave(data.position.x, data.position.y, 0x66ccff);
+            }
+            this.shake(1500, 0.04);
+            this.flash(1000, 255, 255, 255);
+        });
+        
+        this.eventBus.on('PLANET_CAPTURED', (data) => {
+            if (data.position) {
+                this.createShockwave(data.position.x, data.position.y, data.owner === 'player' ? 0x00ffff : 0xff6666);
+            }
+        });
+        
+        this.eventBus.on('DRONE_DESTROYED', (data) => {
+            if (data.position) {
+                this.createExplosion(data.position.x, data.position.y, 0.5);
+            }
+        });
+        
+        this.eventBus.on('FREIGHTER_DESTROYED', (data) => {
+            if (data.position) {
+                this.createExplosion(data.position.x, data.position.y, 2.0, 0xffcc66);
+            }
+            this.shake(500, 0.02);
+        });
+        
+        this.eventBus.on('FREIGHTER_ARRIVED', (data) => {
+            if (data.position) {
+                this.createShockwave(data.position.x, data.position.y, 0x00ff88);
+            }
+        });
+        
         this.eventBus.on('POWERUP_COLLECTED', (data) => {
             if (data.position) {
                 this.createPowerupCollect(
@@ -247,6 +311,55 @@ class RenderSystem {
             }
         });
         
+        // Each damage tick refreshes the beam; it fades if the trigger is let go
+        this.eventBus.on('BEAM_FIRED', (data) => {
+            this.beams = this.beams.filter(beam => beam.playerId !== data.playerId);
+            this.beams.push({ ...data, life: 0.15 });
+            if (data.hit) {
+                this.createImpact(data.x2, data.y2, 0xff66ff);
+            }
+        });
+        
+        // Weapon mods: arcs between chained ships, sparks off planets and tints on burning or chilled ships
+        this.eventBus.on('CHAIN_LIGHTNING', (data) => {
+            this.arcs.push({ points: this.jaggedPath(data.points), life: 0.2 });
+        });
+        
+        this.eventBus.on('PROJECTILE_BOUNCED', (data) => {
+            this.createImpact(data.position.x, data.position.y, 0x66ccff);
+        });
+        
+        this.eventBus.on('WEAPON_MOD_STATUS', (data) => {
+            if (data.frozen) {
+                this.setSpriteTint(data.entityId, 0x88ddff);
+            } else if (data.burning) {
+                this.setSpriteTint(data.entityId, 0xff8844);
+            } else {
+                this.clearSpriteTint(data.entityId);
+            }
+        });
+        
+        // Weapon heat: an overheated weapon vents steam until it unlocks
+        this.eventBus.on('WEAPON_OVERHEATED', (data) => {
+            this.createVentEffect(data.playerId, data.weapon);
+        });
+        
+        this.eventBus.on('WEAPON_VENTED', (data) => {
+            const effect = this.ventEffects.get(data.playerId);
+            if (!effect) return;
+            
+            effect.weapons.delete(data.weapon);
+            if (effect.weapons.size === 0) {
+                effect.lifetime = 0;
+            }
+        });
+        
+        this.eventBus.on('GRAVITY_BOMB_DETONATED', (data) => {
+            this.createExplosion(data.position.x, data.position.y, 2.0, 0xaa44ff);
+            this.createShockwave(data.position.x, data.position.y, 0xaa44ff);
+            this.shake(300, 0.01);
+        });
+        
         this.eventBus.on('TITAN_SHOCKWAVE', (data) => {
             this.createShockwave(data.x, data.y, 0xff9966);
         });
@@ -323,19 +436,84 @@ class RenderSystem {
         this.activeShields = new Map();
     }
     
-    update(deltaTime) {
-        // Update all sprite positions from entity transforms
+    // Called once per fixed simulation step, before the physics world is stepped
+    capturePreviousTransforms() {
+        this.previousTransforms.clear();
+        
+        this.scene.sprites.forEach((sprite, entityId) => {
+            if (!sprite || !sprite.active || !sprite.body) return;
+            
+            this.previousTransforms.set(entityId, {
+                x: sprite.body.position.x,
+                y: sprite.body.position.y,
+                rotation: sprite.body.angle
+            });
+        });
+    }
+    
+    // Called once per fixed simulation step, after the physics world is stepped
+    fixedUpdate() {
+        // Update entity transforms from physics bodies
         this.syncSpritesWithEntities();
         
+        // Update rotation for sprites based on velocity
+        this.updateSpriteRotations();
+    }
+    
+    setInterpolationAlpha(alpha) {
+        this.interpolationAlpha = Math.max(0, Math.min(1, alpha));
+    }
+    
+    applyInterpolation() {
+        const alpha = this.interpolationAlpha;
+        this.simulationTransforms.clear();
+        
+        if (alpha >= 1) return;
+        
+        this.previousTransforms.forEach((prev, entityId) => {
+            const sprite = this.scene.sprites.get(entityId);
+            if (!sprite || !sprite.active || !sprite.body) return;
+            
+            const body = sprite.body;
+            
+            // Store exact simulation values so rendering never leaks into physics
+            this.simulationTransforms.set(entityId, {
+                x: body.position.x,
+                y: body.position.y,
+                angle: body.angle
+            });
+            
+            // Shortest-path rotation blend
+            let angleDiff = body.angle - prev.rotation;
+            while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+            while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+            
+            body.position.x = prev.x + (body.position.x - prev.x) * alpha;
+            body.position.y = prev.y + (body.position.y - prev.y) * alpha;
+            body.angle = prev.rotation + angleDiff * alpha;
+        });
+    }
+    
+    restoreSimulationTransforms() {
+        this.simulationTransforms.forEach((state, entityId) => {
+            const sprite = this.scene.sprites.get(entityId);
+            if (!sprite || !sprite.body) return;
+            
+            sprite.body.position.x = state.x;
+            sprite.body.position.y = state.y;
+            sprite.body.angle = state.angle;
+        });
+        
+        this.simulationTransforms.clear();
+    }
+    
+    update(deltaTime) {
         // Update trails
         this.updateTrails();
         
         // Update camera
         this.updateCamera(deltaTime);
         
-        // Update rotation for sprites based on velocity
-        this.updateSpriteRotations();
-        
         // Update active effects
         this.updateEffects(deltaTime);
         
@@ -345,6 +523,10 @@ class RenderSystem {
         // Update gravity wells
         this.updateGravityWells();
         
+        // Update lance beams and lightning arcs
+        this.updateBeams(deltaTime);
+        this.updateArcs(deltaTime);
+        
         // Clean up destroyed sprites
         this.cleanupDestroyedSprites();
     }
@@ -411,6 +593,41 @@ class RenderSystem {
         }
     }
     
+    // Sprites of every player ship still in play; online, each screen follows only its own ship
+    getPlayerSprites() {
+        const { gameState, networkSystem } = this.scene.gameInitializer;
+        const playerIds = networkSystem.isOnline()
+            ? [gameState.getPlayerId(networkSystem.localIndex)]
+            : gameState.getPlayerIds();
+        return playerIds
+            .map(playerId => this.scene.sprites.get(playerId))
+            .filter(sprite => sprite && sprite.active);
+    }
+    
+    // Track the midpoint of all ships and zoom out until they fit with a margin
+    followPlayers(playerSprites) {
+        const camera = this.scene.cameras.main;
+        const xs = playerSprites.map(sprite => sprite.x);
+        const ys = playerSprites.map(sprite => sprite.y);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minY = Math.min(...ys);
+        const maxY = Math.max(...ys);
+        
+        this.cameraTarget = this.cameraTarget || { x: 0, y: 0 };
+        this.cameraTarget.x = (minX + maxX) / 2;
+        this.cameraTarget.y = (minY + maxY) / 2;
+        camera.startFollow(this.cameraTarget, true, 0.1, 0.1);
+        
+        const margin = GameConstants.COOP.CAMERA_MARGIN;
+        const fitZoom = Math.min(
+            camera.width / (maxX - minX + margin),
+            camera.height / (maxY - minY + margin)
+        );
+        const zoom = Math.max(0.1, Math.min(this.targetZoom, fitZoom));
+        this.cameraZoom += (zoom - this.cameraZoom) * 0.05;
+    }
+    
     updateTrails() {
         this.scene.trails.forEach((trail, entityId) => {
             const sprite = this.scene.sprites.get(entityId);
@@ -450,22 +667,37 @@ class RenderSystem {
     }
     
     updateCamera(deltaTime) {
-        const playerSprite = this.scene.sprites.get(this.scene.player);
-        if (!playerSprite) return;
-        
-        // Follow player
-        this.scene.cameras.main.startFollow(playerSprite, true, 0.1, 0.1);
-        
-        // Dynamic zoom based on velocity as a modifier
-        if (playerSprite.body) {
-            const vel = playerSprite.body.velocity;
-            const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
-            const dynamicModifier = 1 - (speed / 100) * 0.2; // Zoom out up to 20% when moving fast
-            const modifiedZoom = this.targetZoom * dynamicModifier;
-            this.cameraZoom += (modifiedZoom - this.cameraZoom) * 0.02;
-        } else {
-            // Smooth zoom transition without dynamic modifier
+        // Free camera is panned by the replay controls; only zoom is handled here
+        if (this.freeCamera) {
+            this.scene.cameras.main.stopFollow();
             this.cameraZoom += (this.targetZoom - this.cameraZoom) * 0.02;
+            this.scene.cameras.main.setZoom(this.cameraZoom);
+            return;
+        }
+        
+        const playerSprites = this.getPlayerSprites();
+        if (playerSprites.length === 0) return;
+        
+        if (playerSprites.length > 1) {
+            // Co-op: keep every ship on screen
+            this.followPlayers(playerSprites);
+        } else {
+            const playerSprite = playerSprites[0];
+            
+            // Follow player
+            this.scene.cameras.main.startFollow(playerSprite, true, 0.1, 0.1);
+            
+            // Dynamic zoom based on velocity as a modifier
+            if (playerSprite.body) {
+                const vel = playerSprite.body.velocity;
+                const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
+                const dynamicModifier = 1 - (speed / 100) * 0.2; // Zoom out up to 20% when moving fast
+                const modifiedZoom = this.targetZoom * dynamicModifier;
+                this.cameraZoom += (modifiedZoom - this.cameraZoom) * 0.02;
+            } else {
+                // Smooth zoom transition without dynamic modifier
+                this.cameraZoom += (this.targetZoom - this.cameraZoom) * 0.02;
+            }
         }
         
         this.scene.cameras.main.setZoom(this.cameraZoom);
@@ -771,6 +1003,62 @@ class RenderSystem {
         });
     }
     
+    // Puffs of steam out of both flanks, kept up until WEAPON_VENTED ends it
+    createVentEffect(entityId, weapon) {
+        const existing = this.ventEffects.get(entityId);
+        if (existing) {
+            existing.weapons.add(weapon);
+            return;
+        }
+        
+        const sprite = this.scene.sprites.get(entityId);
+        if (sprite) {
+            this.createImpact(sprite.x, sprite.y, 0xff6633);
+        }
+        
+        const effect = {
+            entity: entityId,
+            lifetime: Infinity,
+            weapons: new Set([weapon]),
+            particleTimer: 0,
+            update: (deltaTime) => {
+                const sprite = this.scene.sprites.get(entityId);
+                if (!sprite || !sprite.active) {
+                    effect.lifetime = 0;
+                    return;
+                }
+                
+                effect.particleTimer += deltaTime * 1000;
+                if (effect.particleTimer < 60) return;
+                effect.particleTimer = 0;
+                
+                [-1, 1].forEach(side => {
+                    const puff = this.scene.add.sprite(sprite.x, sprite.y, 'particle');
+                    puff.setTint(0xdddddd);
+                    puff.setAlpha(0.6);
+                    puff.setScale(1);
+                    
+                    const angle = sprite.rotation + side * Math.PI / 2 + (Math.random() - 0.5) * 0.6;
+                    const distance = Phaser.Math.FloatBetween(30, 60);
+                    
+                    this.scene.tweens.add({
+                        targets: puff,
+                        x: sprite.x + Math.cos(angle) * distance,
+                        y: sprite.y + Math.sin(angle) * distance,
+                        scale: 3,
+                        alpha: 0,
+                        duration: 500,
+                        onComplete: () => puff.destroy()
+                    });
+                });
+            },
+            cleanup: () => this.ventEffects.delete(entityId)
+        };
+        
+        this.ventEffects.set(entityId, effect);
+        this.activeEffects.push(effect);
+    }
+    
     createBoostEffect(entityId) {
         const effect = {
             entity: entityId,
@@ -1134,6 +1422,9 @@ class RenderSystem {
         
         // Remove from enemy markers if it was an enemy
         this.enemyMarkers.delete(entityId);
+        
+        // Drop interpolation state
+        this.previousTransforms.delete(entityId);
     }
     
     cleanupDestroyedSprites() {
@@ -1522,6 +1813,61 @@ class RenderSystem {
     
     // ===== GRAVITY WELL RENDERING =====
     
+    updateBeams(deltaTime) {
+        if (!this.beamGraphics) return;
+        this.beamGraphics.clear();
+        
+        this.beams = this.beams.filter(beam => {
+            beam.life -= deltaTime;
+            if (beam.life <= 0) return false;
+            
+            // Wider and brighter the longer it's been held
+            const alpha = Math.min(1, beam.life / 0.15);
+            const width = 6 + beam.chargeLevel * 6;
+            this.beamGraphics.lineStyle(width * 2.5, 0xff00ff, 0.25 * alpha);
+            this.beamGraphics.lineBetween(beam.x1, beam.y1, beam.x2, beam.y2);
+            this.beamGraphics.lineStyle(width, 0xff66ff, 0.8 * alpha);
+            this.beamGraphics.lineBetween(beam.x1, beam.y1, beam.x2, beam.y2);
+            this.beamGraphics.lineStyle(width / 3, 0xffffff, alpha);
+            this.beamGraphics.lineBetween(beam.x1, beam.y1, beam.x2, beam.y2);
+            return true;
+        });
+    }
+    
+    // Cosmetic only - keep off the seeded stream
+    jaggedPath(points) {
+        const path = [points[0]];
+        for (let i = 1; i < points.length; i++) {
+            const from = points[i - 1];
+            const to = points[i];
+            for (let step = 1; step < 4; step++) {
+                path.push({
+                    x: from.x + (to.x - from.x) * step / 4 + (Math.random() - 0.5) * 40,
+                    y: from.y + (to.y - from.y) * step / 4 + (Math.random() - 0.5) * 40
+                });
+            }
+            path.push(to);
+        }
+        return path;
+    }
+    
+    // Drawn over the beams, so updateBeams has already cleared the layer
+    updateArcs(deltaTime) {
+        if (!this.beamGraphics) return;
+        
+        this.arcs = this.arcs.filter(arc => {
+            arc.life -= deltaTime;
+            if (arc.life <= 0) return false;
+            
+            const alpha = Math.min(1, arc.life / 0.2);
+            this.beamGraphics.lineStyle(8, 0x66aaff, 0.3 * alpha);
+            this.beamGraphics.strokePoints(arc.points);
+            this.beamGraphics.lineStyle(3, 0xffffff, alpha);
+            this.beamGraphics.strokePoints(arc.points);
+            return true;
+        });
+    }
+    
     updateGravityWells() {
         if (!this.gravityGraphics) return;
         
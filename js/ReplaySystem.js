@@ -0,0 +1,472 @@
+// ReplaySystem.js - Match recording and replay playback
+// A replay is the run seed plus per-step input frames and UI commands; the deterministic simulation does the rest
+
+// Frame fields and their short keys in the stored log
+const REPLAY_FRAME_FIELDS = [
+    ['moveX', 'mx'],
+    ['moveY', 'my'],
+    ['aim', 'r'],
+    ['fire', 'f'],
+    ['boost', 'b'],
+    ['dash', 'd']
+];
+
+// Player 2+ frames use the same keys with the player number appended ('mx2', 'a2')
+function replayFrameKey(short, pilotIndex) {
+    return pilotIndex === 0 ? short : `${short}${pilotIndex + 1}`;
+}
+
+// UI commands that change the simulation and must be replayed
+const REPLAY_RECORDED_COMMANDS = ['upgrade', 'purchaseAbility', 'closeAbilityShop', 'skipTutorial'];
+
+class InputRecorder {
+    constructor(seed, runConfig) {
+        this.seed = seed;
+        this.runConfig = runConfig;
+        this.frames = []; // Sparse - only steps where input changed or actions fired
+        this.commands = [];
+        this.lastFrames = [];
+        this.totalSteps = 0;
+    }
+
+    // One frame per pilot, stored in a single entry
+    recordFrames(step, frames) {
+        const entry = { s: step };
+        let changed = false;
+
+        frames.forEach((frame, pilotIndex) => {
+            const lastFrame = this.lastFrames[pilotIndex];
+
+            REPLAY_FRAME_FIELDS.forEach(([key, short]) => {
+                const value = frame[key];
+                if (!lastFrame || lastFrame[key] !== value) {
+                    entry[replayFrameKey(short, pilotIndex)] = typeof value === 'boolean' ? (value ? 1 : 0) : value;
+                    changed = true;
+                }
+            });
+
+            if (frame.actions.length > 0) {
+                entry[replayFrameKey('a', pilotIndex)] = frame.actions;
+                changed = true;
+            }
+
+            this.lastFrames[pilotIndex] = frame;
+        });
+
+        if (changed) {
+            this.frames.push(entry);
+        }
+
+        this.totalSteps = Math.max(this.totalSteps, step + 1);
+    }
+
+    recordCommand(step, command) {
+        this.commands.push({ s: step, c: command });
+        this.totalSteps = Math.max(this.totalSteps, step);
+    }
+
+    finish(meta = {}) {
+        return {
+            version: ReplayStorage.VERSION,
+            seed: this.seed,
+            runConfig: this.runConfig,
+            totalSteps: this.totalSteps,
+            frames: this.frames,
+            commands: this.commands,
+            meta: {
+                ...meta,
+                recordedAt: Date.now()
+            }
+        };
+    }
+}
+
+class ReplayPlayer {
+    constructor(data) {
+        this.data = data;
+        this.frameIndex = 0;
+        this.commandIndex = 0;
+        this.current = [];
+    }
+
+    createFrame() {
+        return {
+            moveX: 0,
+            moveY: 0,
+            aim: 0,
+            fire: false,
+            boost: false,
+            dash: false
+        };
+    }
+
+    get totalSteps() {
+        return this.data.totalSteps;
+    }
+
+    // Steps are read in order; apply every change up to this step for each pilot
+    getFrames(step, count) {
+        const frames = this.data.frames;
+        const actions = [];
+
+        while (this.current.length < count) {
+            this.current.push(this.createFrame());
+        }
+
+        while (this.frameIndex < frames.length && frames[this.frameIndex].s <= step) {
+            const entry = frames[this.frameIndex++];
+
+            this.current.forEach((current, pilotIndex) => {
+                REPLAY_FRAME_FIELDS.forEach(([key, short]) => {
+                    const entryKey = replayFrameKey(short, pilotIndex);
+                    if (entryKey in entry) {
+                        current[key] = typeof current[key] === 'boolean' ? entry[entryKey] === 1 : entry[entryKey];
+                    }
+                });
+
+                const actionKey = replayFrameKey('a', pilotIndex);
+                if (entry.s === step && entry[actionKey]) {
+                    actions[pilotIndex] = entry[actionKey];
+                }
+            });
+        }
+
+        return this.current.slice(0, count).map((current, pilotIndex) => ({
+            ...current,
+            actions: actions[pilotIndex] || []
+        }));
+    }
+
+    // UI commands issued before the given step started
+    takeCommands(step) {
+        const commands = this.data.commands;
+        const due = [];
+
+        while (this.commandIndex < commands.length && commands[this.commandIndex].s <= step) {
+            due.push(commands[this.commandIndex++].c);
+        }
+
+        return due;
+    }
+
+    isFinished(step) {
+        return step >= this.data.totalSteps && this.commandIndex >= this.data.commands.length;
+    }
+}
+
+// localStorage persistence - a small index plus one key per replay
+const ReplayStorage = {
+    VERSION: 1,
+    INDEX_KEY: 'gravityWars_replays',
+    MAX_REPLAYS: 5,
+
+    list() {
+        try {
+            return JSON.parse(localStorage.getItem(this.INDEX_KEY)) || [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    load(id) {
+        try {
+            const replay = JSON.parse(localStorage.getItem(`gravityWars_replay_${id}`));
+            if (!replay || replay.version !== this.VERSION) return null;
+            return replay;
+        } catch (e) {
+            console.error('[ReplayStorage] Failed to load replay:', e);
+            return null;
+        }
+    },
+
+    save(replay) {
+        const id = `${replay.meta.recordedAt}`;
+        const index = this.list();
+        index.unshift({ id, ...replay.meta, seed: replay.seed, totalSteps: replay.totalSteps });
+
+        // Keep only the most recent replays
+        while (index.length > this.MAX_REPLAYS) {
+            const dropped = index.pop();
+            localStorage.removeItem(`gravityWars_replay_${dropped.id}`);
+        }
+
+        // Drop the oldest until the new replay fits
+        while (index.length > 0) {
+            try {
+                localStorage.setItem(`gravityWars_replay_${id}`, JSON.stringify(replay));
+                localStorage.setItem(this.INDEX_KEY, JSON.stringify(index));
+                return id;
+            } catch (e) {
+                if (index.length === 1) break;
+                const dropped = index.pop();
+                localStorage.removeItem(`gravityWars_replay_${dropped.id}`);
+            }
+        }
+
+        console.error('[ReplayStorage] Replay too large to store');
+        return null;
+    },
+
+    remove(id) {
+        localStorage.removeItem(`gravityWars_replay_${id}`);
+        localStorage.setItem(this.INDEX_KEY, JSON.stringify(this.list().filter(entry => entry.id !== id)));
+    }
+};
+
+class ReplaySystem {
+    constructor(scene, eventBus, gameState) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        this.gameState = gameState;
+
+        // Set by GameInitializer
+        this.inputSystem = null;
+        this.renderSystem = null;
+
+        this.recorder = null;
+        this.player = null;
+        this.isPlayback = false;
+        this.saved = false;
+
+        // Playback controls
+        this.playing = true;
+        this.speed = 1;
+        this.speeds = [0.25, 0.5, 1, 2, 4];
+        this.seekTarget = null;
+        this.freeCamera = false;
+        this.seekStepsPerFrame = 240;
+        this.seekJumpSteps = Math.round(5000 / GameConstants.PHYSICS.FIXED_TIMESTEP); // 5 seconds
+        this.minRecordSteps = Math.round(5000 / GameConstants.PHYSICS.FIXED_TIMESTEP);
+    }
+
+    init(runConfig, seed) {
+        if (runConfig.replay) {
+            this.startPlayback(runConfig);
+        } else if (runConfig.save || runConfig.net || runConfig.sandbox) {
+            // Replays start from a fresh local world, so resumed and online runs aren't recorded (nor Gravity Lab sessions, whose tools skip the input log)
+            return;
+        } else {
+            this.startRecording(runConfig, seed);
+        }
+    }
+
+    startRecording(runConfig, seed) {
+        this.recorder = new InputRecorder(seed, runConfig);
+        this.inputSystem.recorder = this.recorder;
+
+        // Save when the run ends or the scene is left
+        this.eventBus.on('GAME_OVER', () => this.saveRecording());
+        this.scene.events.once('shutdown', () => this.saveRecording());
+    }
+
+    startPlayback(runConfig) {
+        this.isPlayback = true;
+        this.runConfig = runConfig;
+        this.player = new ReplayPlayer(runConfig.replay);
+        this.inputSystem.replayPlayer = this.player;
+
+        // Restore controls when restarted by a backwards seek
+        this.speed = runConfig.replaySpeed || 1;
+        this.playing = runConfig.replayPlaying !== false;
+        this.seekTarget = typeof runConfig.seekTo === 'number' ? runConfig.seekTo : null;
+        this.setFreeCamera(!!runConfig.freeCamera);
+
+        this.setupPlaybackControls();
+
+        console.log(`[ReplaySystem] Playing replay (${this.player.totalSteps} steps, seed ${runConfig.replay.seed})`);
+    }
+
+    setupPlaybackControls() {
+        const keyboard = this.scene.input.keyboard;
+        const KeyCodes = Phaser.Input.Keyboard.KeyCodes;
+
+        keyboard.addKey(KeyCodes.SPACE).on('down', () => this.togglePlaying());
+        keyboard.addKey(KeyCodes.LEFT).on('down', () => this.seek(this.getStep() - this.seekJumpSteps));
+        keyboard.addKey(KeyCodes.RIGHT).on('down', () => this.seek(this.getStep() + this.seekJumpSteps));
+        keyboard.addKey(KeyCodes.UP).on('down', () => this.changeSpeed(1));
+        keyboard.addKey(KeyCodes.DOWN).on('down', () => this.changeSpeed(-1));
+        keyboard.addKey(KeyCodes.F).on('down', () => this.setFreeCamera(!this.freeCamera));
+
+        // WASD pans the free camera
+        this.panKeys = keyboard.addKeys({
+            up: KeyCodes.W,
+            down: KeyCodes.S,
+            left: KeyCodes.A,
+            right: KeyCodes.D
+        });
+    }
+
+    getStep() {
+        return this.inputSystem.stepIndex;
+    }
+
+    canStep() {
+        return !this.isPlayback || !this.player.isFinished(this.getStep());
+    }
+
+    isFinished() {
+        return this.isPlayback && this.player.isFinished(this.getStep());
+    }
+
+    // Called by GameScene before every simulation step
+    beforeStep() {
+        if (this.isPlayback) {
+            this.applyDueCommands();
+        }
+    }
+
+    applyDueCommands() {
+        this.player.takeCommands(this.getStep()).forEach(command => {
+            this.scene.handleUICommand({ ...command, fromReplay: true });
+        });
+    }
+
+    isRecordedCommand(command) {
+        return REPLAY_RECORDED_COMMANDS.includes(command);
+    }
+
+    recordCommand(data) {
+        if (!this.recorder) return;
+
+        const { fromReplay, ...command } = data;
+        this.recorder.recordCommand(this.getStep(), command);
+    }
+
+    saveRecording() {
+        if (!this.recorder || this.saved) return;
+        this.saved = true;
+
+        // Skip runs that ended before anything happened
+        if (this.recorder.totalSteps < this.minRecordSteps) return;
+
+        const replay = this.recorder.finish({
+            wave: this.gameState.get('waves.current'),
+            score: this.gameState.get('game.score'),
+            duration: this.recorder.totalSteps * GameConstants.PHYSICS.FIXED_TIMESTEP
+        });
+
+        const id = ReplayStorage.save(replay);
+        if (id) {
+            console.log(`[ReplaySystem] Saved replay ${id} (${replay.frames.length} input changes)`);
+        }
+    }
+
+    // Playback frame - replaces the normal fixed-step update in GameScene
+    update(delta) {
+        const initializer = this.scene.gameInitializer;
+
+        this.updateFreeCamera(delta);
+
+        // Shop picks and upgrades can arrive while the simulation is paused
+        this.applyDueCommands();
+
+        if (this.seekTarget !== null) {
+            this.runSeek();
+            initializer.updatePresentation(delta / 1000, 1);
+            return;
+        }
+
+        if (!this.playing || this.isFinished()) {
+            initializer.updatePresentation(delta / 1000, 1);
+            return;
+        }
+
+        this.scene.advanceSimulation(delta * this.speed, Math.ceil(GameConstants.PHYSICS.MAX_STEPS_PER_FRAME * this.speed));
+    }
+
+    runSeek() {
+        const stepMs = GameConstants.PHYSICS.FIXED_TIMESTEP;
+        let steps = 0;
+
+        while (this.getStep() < this.seekTarget && this.canStep() && steps < this.seekStepsPerFrame) {
+            this.scene.fixedUpdate(stepMs);
+            steps++;
+        }
+
+        if (this.getStep() >= this.seekTarget || !this.canStep()) {
+            this.seekTarget = null;
+        }
+    }
+
+    seek(targetStep) {
+        if (!this.isPlayback) return;
+
+        const target = Math.max(0, Math.min(Math.round(targetStep), this.player.totalSteps));
+
+        if (target >= this.getStep()) {
+            // Forward - fast-forward the running simulation
+            this.seekTarget = target;
+        } else {
+            // Backward - the simulation can't rewind, so re-run from the start
+            this.scene.scene.restart({
+                ...this.runConfig,
+                seekTo: target,
+                replaySpeed: this.speed,
+                replayPlaying: this.playing,
+                freeCamera: this.freeCamera
+            });
+        }
+    }
+
+    togglePlaying() {
+        if (!this.isPlayback) return;
+        this.playing = !this.playing;
+    }
+
+    setSpeed(speed) {
+        if (!this.speeds.includes(speed)) return;
+        this.speed = speed;
+    }
+
+    changeSpeed(direction) {
+        const index = this.speeds.indexOf(this.speed);
+        const next = Math.max(0, Math.min(this.speeds.length - 1, index + direction));
+        this.speed = this.speeds[next];
+    }
+
+    setFreeCamera(enabled) {
+        this.freeCamera = enabled;
+        this.renderSystem.freeCamera = enabled;
+    }
+
+    updateFreeCamera(delta) {
+        if (!this.freeCamera) return;
+
+        const camera = this.scene.cameras.main;
+        const panSpeed = 1.2 * delta / camera.zoom;
+
+        if (this.panKeys.left.isDown) camera.scrollX -= panSpeed;
+        if (this.panKeys.right.isDown) camera.scrollX += panSpeed;
+        if (this.panKeys.up.isDown) camera.scrollY -= panSpeed;
+        if (this.panKeys.down.isDown) camera.scrollY += panSpeed;
+
+        // Drag to pan
+        const pointer = this.scene.input.activePointer;
+        if (pointer.isDown) {
+            camera.scrollX -= (pointer.x - pointer.prevPosition.x) / camera.zoom;
+            camera.scrollY -= (pointer.y - pointer.prevPosition.y) / camera.zoom;
+        }
+    }
+
+    getUIState() {
+        if (!this.isPlayback) {
+            return { active: false };
+        }
+
+        return {
+            active: true,
+            playing: this.playing,
+            speed: this.speed,
+            step: this.getStep(),
+            totalSteps: this.player.totalSteps,
+            stepMs: GameConstants.PHYSICS.FIXED_TIMESTEP,
+            seeking: this.seekTarget !== null,
+            finished: this.isFinished(),
+            freeCamera: this.freeCamera
+        };
+    }
+}
+
+// ReplaySystem will be instantiated by GameInitializer
+window.ReplaySystem = ReplaySystem;
+window.ReplayStorage = ReplayStorage;
@@ -0,0 +1,196 @@
+// SandboxSystem.js - Gravity Lab: a free-play sandbox with live spawning tools
+// Right-click places the current tool (planet, enemy or the vortex); the lab panel triggers disasters and tunes physics on the fly
+
+class SandboxSystem {
+    constructor(scene, eventBus, entityManager, gameState, entityFactory) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+        this.gameState = gameState;
+        this.entityFactory = entityFactory;
+        this.physicsSystem = null; // Set by GameInitializer
+        this.combatSystem = null; // Set by GameInitializer
+        this.disasterSystem = null; // Set by GameInitializer
+
+        this.active = false;
+        this.tool = 'planet';       // 'planet', 'enemy' or 'catastrophe'
+        this.planetType = 'earth';  // Key of PLANET_PROFILES
+        this.faction = 'swarm';     // Key of GameConfig.factions
+        this.defaultPhysics = {};   // Slider values to go back to on reset
+    }
+
+    init(runConfig) {
+        if (!runConfig.sandbox) return;
+        this.active = true;
+
+        // Disasters only strike when the lab asks for one
+        this.disasterSystem.autoSchedule = false;
+        this.setInvincible(true);
+
+        Object.keys(GameConstants.SANDBOX.PHYSICS).forEach(key => {
+            this.defaultPhysics[key] = this.physicsSystem[key];
+        });
+
+        this.eventBus.on('SANDBOX_PLACE', (data) => this.placeAt(data.x, data.y));
+    }
+
+    // An empty lab: the player and one gas giant to orbit
+    start() {
+        const { centerX, centerY } = GameConfig.world;
+        const playerId = this.entityFactory.createPlayer(centerX - GameConstants.SANDBOX.PLAYER_OFFSET, centerY);
+        this.gameState.setPlayerId(playerId);
+        this.scene.player = playerId;
+
+        this.entityFactory.createPlanet(centerX, centerY, GameConstants.SANDBOX.CENTRAL_PLANET);
+
+        this.eventBus.emit('UI_NOTIFICATION', {
+            message: 'Gravity Lab - right-click to place the selected tool',
+            type: 'info',
+            icon: 'fa-flask'
+        });
+    }
+
+    handleCommand(data) {
+        if (!this.active) return;
+
+        switch (data.action) {
+            case 'tool':
+                this.tool = data.tool;
+                if (data.tool === 'planet' && PLANET_PROFILES[data.option]) this.planetType = data.option;
+                if (data.tool === 'enemy' && GameConfig.factions[data.option]) this.faction = data.option;
+                break;
+            case 'disaster':
+                this.triggerDisaster(data.type);
+                break;
+            case 'endDisaster':
+                if (this.disasterSystem.currentDisaster) this.disasterSystem.endDisaster();
+                break;
+            case 'physics':
+                this.setPhysics(data.key, data.value);
+                break;
+            case 'resetPhysics':
+                Object.entries(this.defaultPhysics).forEach(([key, value]) => this.setPhysics(key, value));
+                break;
+            case 'invincible':
+                this.setInvincible(data.value);
+                break;
+            case 'clear':
+                this.clear(data.target);
+                break;
+            default:
+                console.warn(`[SandboxSystem] Unknown action: ${data.action}`);
+        }
+    }
+
+    placeAt(x, y) {
+        if (!this.active || this.gameState.get('game.gameOver')) return;
+
+        switch (this.tool) {
+            case 'planet':
+                this.entityFactory.createPlanet(x, y, this.planetType);
+                break;
+            case 'enemy':
+                this.spawnEnemy(this.faction, x, y);
+                break;
+            case 'catastrophe':
+                this.dropCatastrophe(x, y);
+                break;
+        }
+    }
+
+    spawnEnemy(faction, x, y) {
+        const enemyId = this.entityFactory.createEnemy(faction, x, y);
+        if (!enemyId) return;
+
+        this.eventBus.emit('ENEMY_SPAWNED', {
+            id: enemyId,
+            type: faction,
+            faction: faction,
+            position: { x, y },
+            wave: 0
+        });
+    }
+
+    // There is only ever one vortex, so dropping it again moves it
+    dropCatastrophe(x, y) {
+        const catastropheId = this.physicsSystem.catastropheId;
+        const sprite = catastropheId && this.scene.sprites.get(catastropheId);
+        if (!sprite) {
+            this.scene.catastropheId = this.entityFactory.createCatastrophe(x, y);
+            return;
+        }
+
+        sprite.setPosition(x, y);
+        sprite.setVelocity(0, 0);
+        const transform = this.entityManager.getComponent(catastropheId, 'transform');
+        transform.x = x;
+        transform.y = y;
+    }
+
+    triggerDisaster(type) {
+        if (!this.disasterSystem.disasters.includes(type)) return;
+
+        // One disaster at a time; a new one replaces whatever is raging
+        if (this.disasterSystem.currentDisaster) this.disasterSystem.endDisaster();
+        this.disasterSystem.startDisaster(type);
+    }
+
+    setPhysics(key, value) {
+        const slider = GameConstants.SANDBOX.PHYSICS[key];
+        const number = parseFloat(value);
+        if (!slider || isNaN(number)) return;
+
+        this.physicsSystem[key] = Math.min(slider.max, Math.max(slider.min, number));
+    }
+
+    setInvincible(value) {
+        this.combatSystem.playersInvulnerable = !!value;
+    }
+
+    clear(target) {
+        const types = {
+            enemies: ['enemy'],
+            planets: ['planet'],
+            vortex: ['catastrophe']
+        }[target];
+        if (!types) return;
+
+        types.forEach(type => {
+            this.entityManager.getEntitiesByType(type).forEach(id => this.entityManager.destroyEntity(id));
+        });
+
+        if (target === 'vortex') {
+            this.physicsSystem.catastropheId = null;
+            this.scene.catastropheId = null;
+        }
+    }
+
+    // Tool, disaster and slider state plus the choices the lab panel offers
+    getUIState() {
+        if (!this.active) return null;
+
+        const disaster = this.disasterSystem.currentDisaster;
+
+        return {
+            tool: this.tool,
+            planetType: this.planetType,
+            faction: this.faction,
+            invincible: this.combatSystem.playersInvulnerable,
+            disaster: disaster ? this.disasterSystem.getDisasterName(disaster.type) : null,
+            physics: Object.entries(GameConstants.SANDBOX.PHYSICS).map(([key, slider]) => ({
+                key,
+                ...slider,
+                value: this.physicsSystem[key]
+            })),
+            planetTypes: Object.entries(PLANET_PROFILES).map(([id, profile]) => ({ id, name: profile.name })),
+            factions: Object.keys(GameConfig.factions),
+            disasters: this.disasterSystem.disasters.map(id => ({ id, name: this.disasterSystem.getDisasterName(id) })),
+            counts: {
+                planets: this.entityManager.getEntitiesByType('planet').length,
+                enemies: this.entityManager.getEntitiesByType('enemy').length
+            }
+        };
+    }
+}
+
+window.SandboxSystem = SandboxSystem;
@@ -0,0 +1,173 @@
+// SaveStorage.js - Named save slots in localStorage with versioned migrations
+// Older saves are upgraded step by step on read instead of being thrown away
+
+const SaveStorage = {
+    VERSION: '1.2.0',
+    INDEX_KEY: 'gravityWars_saves',
+    AUTOSAVE: 'autosave',
+    MAX_SLOTS: 8,
+
+    // Ordered upgrades - each takes a save written as `from` and returns it as `to`
+    MIGRATIONS: [
+        {
+            from: '1.0.0',
+            to: '1.1.0',
+            migrate: (save, slot) => ({
+                ...save,
+                slot,
+                name: slot === SaveStorage.AUTOSAVE ? 'Autosave' : slot,
+                meta: SaveStorage.describe(save.state, save.world || null),
+                world: save.world || null
+            })
+        },
+        {
+            // Runs saved before mutators scored at x1
+            from: '1.1.0',
+            to: '1.2.0',
+            migrate: (save) => (save.state && save.state.game ? {
+                ...save,
+                state: {
+                    ...save.state,
+                    game: { scoreMultiplier: 1, ...save.state.game }
+                }
+            } : save)
+        }
+    ],
+
+    key(slot) {
+        return `gravityWars_${slot}`;
+    },
+
+    // Slot summaries for the picker, newest first
+    list() {
+        let index;
+        try {
+            index = JSON.parse(localStorage.getItem(this.INDEX_KEY));
+        } catch (e) {
+            index = null;
+        }
+
+        // Saves written before slots existed only have the autosave key
+        if (!index) {
+            index = [];
+            const legacy = this.read(this.AUTOSAVE);
+            if (legacy) {
+                index.push(this.toIndexEntry(legacy));
+                localStorage.setItem(this.INDEX_KEY, JSON.stringify(index));
+            }
+        }
+
+        return index.sort((a, b) => b.timestamp - a.timestamp);
+    },
+
+    // Full save upgraded to the current version (null when missing, unreadable or too new)
+    read(slot) {
+        try {
+            const raw = localStorage.getItem(this.key(slot));
+            if (!raw) return null;
+
+            return this.migrate(JSON.parse(raw), slot);
+        } catch (e) {
+            console.error(`[SaveStorage] Failed to read slot "${slot}":`, e);
+            return null;
+        }
+    },
+
+    migrate(save, slot) {
+        let current = save;
+
+        while (current && current.version !== this.VERSION) {
+            const step = this.MIGRATIONS.find(migration => migration.from === current.version);
+            if (!step) {
+                console.warn(`[SaveStorage] No migration from save version ${current.version}`);
+                return null;
+            }
+
+            current = { ...step.migrate(current, slot), version: step.to };
+        }
+
+        return current;
+    },
+
+    write(slot, { name, state, world }) {
+        const save = {
+            version: this.VERSION,
+            slot,
+            name: name || slot,
+            timestamp: Date.now(),
+            meta: this.describe(state, world),
+            state,
+            world
+        };
+
+        try {
+            localStorage.setItem(this.key(slot), JSON.stringify(save));
+        } catch (e) {
+            console.error(`[SaveStorage] Failed to write slot "${slot}":`, e);
+            return null;
+        }
+
+        this.updateIndex(slot, this.toIndexEntry(save));
+        return save;
+    },
+
+    remove(slot) {
+        localStorage.removeItem(this.key(slot));
+        this.updateIndex(slot, null);
+    },
+
+    duplicate(slot) {
+        const save = this.read(slot);
+        if (!save) return null;
+
+        return this.write(this.createSlotId(), {
+            name: `${save.name} (copy)`,
+            state: save.state,
+            world: save.world
+        });
+    },
+
+    isFull() {
+        return this.list().length >= this.MAX_SLOTS;
+    },
+
+    createSlotId() {
+        // Saves made in the same millisecond (save then duplicate) get a suffix
+        const base = `slot_${Date.now().toString(36)}`;
+        let slot = base;
+        for (let n = 1; localStorage.getItem(this.key(slot)) !== null; n++) {
+            slot = `${base}_${n}`;
+        }
+        return slot;
+    },
+
+    // What the slot picker shows without loading the whole save
+    describe(state, world) {
+        return {
+            wave: state.waves ? state.waves.current : 0,
+            playTime: state.game ? state.game.playTime : 0,
+            score: state.game ? state.game.score : 0,
+            canResume: !!world,
+            thumbnail: world ? WorldSnapshot.createThumbnail(world) : null
+        };
+    },
+
+    toIndexEntry(save) {
+        return {
+            slot: save.slot,
+            name: save.name,
+            timestamp: save.timestamp,
+            ...save.meta
+        };
+    },
+
+    updateIndex(slot, entry) {
+        const index = this.list().filter(existing => existing.slot !== slot);
+        if (entry) {
+            index.push(entry);
+        }
+        localStorage.setItem(this.INDEX_KEY, JSON.stringify(index));
+    }
+};
+
+window.SaveStorage = SaveStorage;
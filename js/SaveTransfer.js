@@ -0,0 +1,163 @@
+// SaveTransfer.js - Export and import of save slots as files or copyable codes
+// Every export carries a checksum and imports are validated against the GameState schema before they get a slot
+
+const SaveTransfer = {
+    FORMAT: 'gravityWars-save',
+    CODE_PREFIX: 'GW1.',
+
+    // Envelope around a save: the checksum covers the save exactly as serialized
+    exportSlot(slot) {
+        const save = SaveStorage.read(slot);
+        if (!save) return null;
+
+        return {
+            format: this.FORMAT,
+            exportedAt: Date.now(),
+            checksum: this.checksum(save),
+            save
+        };
+    },
+
+    // Compressed single-line string, safe to paste into chat or a bug report
+    toCode(slot) {
+        const envelope = this.exportSlot(slot);
+        if (!envelope) return null;
+
+        return this.CODE_PREFIX + LZString.compressToEncodedURIComponent(JSON.stringify(envelope));
+    },
+
+    download(slot) {
+        const envelope = this.exportSlot(slot);
+        if (!envelope) return false;
+
+        const blob = new Blob([JSON.stringify(envelope, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.fileName(envelope.save.name)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        return true;
+    },
+
+    // Accepts either a downloaded file's contents or a pasted code; returns { ok, slot } or { ok: false, error }
+    importText(text) {
+        const envelope = this.parse(String(text || '').trim());
+        if (!envelope) {
+            return { ok: false, error: 'Not a Gravity Wars save' };
+        }
+        if (envelope.format !== this.FORMAT || !envelope.save) {
+            return { ok: false, error: 'Unknown save format' };
+        }
+        if (envelope.checksum !== this.checksum(envelope.save)) {
+            return { ok: false, error: 'Save is corrupted (checksum mismatch)' };
+        }
+
+        // Saves from before named slots were always the autosave
+        const save = SaveStorage.migrate(envelope.save, envelope.save.slot || SaveStorage.AUTOSAVE);
+        if (!save) {
+            return { ok: false, error: `Unsupported save version ${envelope.save.version}` };
+        }
+
+        const error = this.validate(save);
+        if (error) {
+            console.warn('[SaveTransfer] Rejected import:', error);
+            return { ok: false, error: `Invalid save: ${error}` };
+        }
+
+        if (SaveStorage.isFull()) {
+            return { ok: false, error: `All ${SaveStorage.MAX_SLOTS} save slots are in use` };
+        }
+
+        // Always a new slot so an import never overwrites local progress
+        const slot = SaveStorage.createSlotId();
+        const written = SaveStorage.write(slot, {
+            name: save.name,
+            state: save.state,
+            world: save.world
+        });
+        if (!written) {
+            return { ok: false, error: 'Could not store the imported save' };
+        }
+
+        console.log(`[SaveTransfer] Imported "${save.name}" into ${slot}`);
+        return { ok: true, slot };
+    },
+
+    parse(text) {
+        try {
+            if (text.startsWith(this.CODE_PREFIX)) {
+                const json = LZString.decompressFromEncodedURIComponent(text.slice(this.CODE_PREFIX.length));
+                return json ? JSON.parse(json) : null;
+            }
+            return JSON.parse(text);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    checksum(save) {
+        return RandomService.hashString(JSON.stringify(save)).toString(16).padStart(8, '0');
+    },
+
+    // First problem found in a migrated save, or null when it is safe to load
+    validate(save) {
+        if (typeof save.name !== 'string') return 'missing name';
+        if (!save.state || typeof save.state !== 'object') return 'missing game state';
+
+        // The initial GameState is the schema: every field it defines must exist with the same type
+        const stateError = this.validateShape(save.state, new GameState(null).getInitialState(), 'state');
+        if (stateError) return stateError;
+
+        // Saves from before world snapshots have no world at all
+        if (save.world != null) {
+            const world = save.world;
+            if (!world || typeof world !== 'object') return 'world is not an object';
+            if (world.version !== WorldSnapshot.VERSION) return `unsupported world version ${world.version}`;
+            if (!Array.isArray(world.entities)) return 'world has no entity list';
+            if (!world.systems || typeof world.systems !== 'object') return 'world has no system state';
+            if (!world.clock || !world.rng) return 'world has no clock or random state';
+
+            const badEntity = world.entities.find(saved =>
+                !Number.isInteger(saved.id) || typeof saved.type !== 'string' || !saved.components
+            );
+            if (badEntity) return `malformed entity ${badEntity.id}`;
+        }
+
+        return null;
+    },
+
+    validateShape(value, template, path) {
+        for (const key of Object.keys(template)) {
+            const expected = template[key];
+            const actual = value[key];
+            const fieldPath = `${path}.${key}`;
+
+            // Null defaults (e.g. game.seed) can hold anything
+            if (expected === null) continue;
+
+            if (actual === undefined || actual === null) return `${fieldPath} is missing`;
+            if (Array.isArray(expected)) {
+                if (!Array.isArray(actual)) return `${fieldPath} should be a list`;
+                continue;
+            }
+            if (typeof actual !== typeof expected) return `${fieldPath} should be a ${typeof expected}`;
+            if (typeof expected === 'number' && !isFinite(actual)) return `${fieldPath} is not a finite number`;
+
+            if (typeof expected === 'object') {
+                const error = this.validateShape(actual, expected, fieldPath);
+                if (error) return error;
+            }
+        }
+        return null;
+    },
+
+    fileName(name) {
+        const safe = String(name).replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+        return `gravity-wars-${safe || 'save'}`;
+    }
+};
+
+window.SaveTransfer = SaveTransfer;
@@ -0,0 +1,129 @@
+// SeededRandom.js - Deterministic random number generation for gameplay
+// A single run seed feeds named sub-streams so each system rolls independently
+
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Mulberry32 - fast 32-bit generator with good distribution
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [min, max] (inclusive, same as Phaser.Math.Between)
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    // Float in [-0.5, 0.5) scaled by amount - replaces (Math.random() - 0.5) * amount
+    spread(amount = 1) {
+        return (this.next() - 0.5) * amount;
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    angle() {
+        return this.next() * Math.PI * 2;
+    }
+
+    sign() {
+        return this.next() > 0.5 ? 1 : -1;
+    }
+
+    pick(array) {
+        if (!array || array.length === 0) return undefined;
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    // Fisher-Yates shuffle in place
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+class RandomService {
+    constructor(seed) {
+        this.seed = (seed === undefined || seed === null) ? RandomService.generateSeed() : RandomService.normalizeSeed(seed);
+        this.streams = new Map();
+
+        console.log(`[RandomService] Run seed: ${this.seed}`);
+    }
+
+    // Get (or lazily create) the named sub-stream for a system
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new SeededRandom(RandomService.hashString(name) ^ this.seed));
+        }
+        return this.streams.get(name);
+    }
+
+    // Capture every stream position so a run can be resumed deterministically
+    getState() {
+        const streams = {};
+        this.streams.forEach((stream, name) => {
+            streams[name] = stream.getState();
+        });
+        return { seed: this.seed, streams };
+    }
+
+    setState(data) {
+        if (!data) return;
+
+        this.seed = RandomService.normalizeSeed(data.seed);
+
+        // Systems hold their stream objects, so rewind those in place
+        Object.entries(data.streams || {}).forEach(([name, state]) => {
+            this.stream(name).setState(state);
+        });
+    }
+
+    static generateSeed() {
+        return (Math.random() * 4294967296) >>> 0;
+    }
+
+    // Accept numeric seeds as-is and hash anything else (e.g. "daily-2024-05-01")
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && isFinite(seed)) {
+            return seed >>> 0;
+        }
+        return RandomService.hashString(String(seed));
+    }
+
+    // FNV-1a string hash
+    static hashString(str) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+window.SeededRandom = SeededRandom;
+window.RandomService = RandomService;
@@ -0,0 +1,90 @@
+// SimulationClock.js - Timer queue driven by fixed simulation steps
+// Replaces scene.time for gameplay so delays land on the same step in every run and replay
+
+class SimulationClock {
+    constructor() {
+        this.now = 0;
+        this.timers = [];
+        this.nextTimerId = 0;
+        this.handlers = new Map(); // name -> handler for timers that survive snapshots
+    }
+
+    // Same shape as Phaser's scene.time.delayedCall
+    delayedCall(delay, callback) {
+        const timer = {
+            id: this.nextTimerId++,
+            fireAt: this.now + delay,
+            callback,
+            removed: false,
+            remove: () => {
+                timer.removed = true;
+            }
+        };
+
+        this.timers.push(timer);
+        return timer;
+    }
+
+    // Gameplay timers are scheduled by name with plain data so a saved world can re-arm them
+    registerTimer(name, handler) {
+        this.handlers.set(name, handler);
+    }
+
+    schedule(delay, name, data = {}) {
+        const timer = this.delayedCall(delay, () => this.handlers.get(name)(data));
+        timer.name = name;
+        timer.data = data;
+        return timer;
+    }
+
+    // Advance by one step (ms) and fire due timers in scheduling order
+    update(deltaMs) {
+        this.now += deltaMs;
+
+        const due = this.timers
+            .filter(timer => !timer.removed && timer.fireAt <= this.now)
+            .sort((a, b) => (a.fireAt - b.fireAt) || (a.id - b.id));
+
+        this.timers = this.timers.filter(timer => !timer.removed && timer.fireAt > this.now);
+
+        due.forEach(timer => {
+            if (!timer.removed) {
+                timer.callback();
+            }
+        });
+    }
+
+    clear() {
+        this.timers = [];
+    }
+
+    // Only named timers are kept - anonymous ones are cosmetic and simply don't fire after a load
+    getSnapshot() {
+        return {
+            now: this.now,
+            nextTimerId: this.nextTimerId,
+            timers: this.timers
+                .filter(timer => timer.name && !timer.removed)
+                .map(timer => ({ id: timer.id, fireAt: timer.fireAt, name: timer.name, data: timer.data }))
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.now = snapshot.now;
+        this.timers = [];
+
+        snapshot.timers.forEach(saved => {
+            if (!this.handlers.has(saved.name)) {
+                console.warn(`[SimulationClock] No handler for saved timer "${saved.name}"`);
+                return;
+            }
+
+            this.nextTimerId = saved.id;
+            this.schedule(saved.fireAt - this.now, saved.name, saved.data);
+        });
+
+        this.nextTimerId = snapshot.nextTimerId;
+    }
+}
+
+window.SimulationClock = SimulationClock;
@@ -51,14 +51,10 @@ class TextureGenerator {
     // ===== PLAYER TEXTURES =====
     
     generatePlayerTextures() {
+        // One hull per ship class ('player' is the Striker)
+        this.generateShipTextures();
+        
         const config = {
-            player: {
-                size: 48,
-                baseColor: 0x00ffff,
-                accentColor: 0x0099ff,
-                glowColor: 0x00ffff,
-                shape: 'fighter'
-            },
             playerBoost: {
                 size: 48,
                 baseColor: 0xffff00,
@@ -66,12 +62,34 @@ class TextureGenerator {
                 glowColor: 0xffff66,
                 shape: 'fighter'
             },
+            playerPartner: {
+                size: 48,
+                baseColor: 0x66ff66,
+                accentColor: 0x00cc44,
+                glowColor: 0x99ff99,
+                shape: 'fighter'
+            },
             playerShield: {
                 size: 64,
                 baseColor: 0x00ffff,
                 accentColor: 0x0066ff,
                 glowColor: 0x00ccff,
                 shape: 'shield'
+            },
+            drone: {
+                size: 24,
+                baseColor: 0x00ffff,
+                accentColor: 0x0099ff,
+                glowColor: 0x66ffff,
+                shape: 'fighter'
+            },
+            freighter: {
+                size: 64,
+                baseColor: 0xffcc66,
+                accentColor: 0xcc8800,
+                glowColor: 0xffdd99,
+                shape: 'heavy',
+                details: 'industrial'
             }
         };
 
@@ -80,6 +98,23 @@ class TextureGenerator {
         });
     }
 
+    // The menu's ship-select screen shows the hulls before any game has generated the rest
+    initShipTextures() {
+        this.graphics = this.scene.make.graphics({ add: false });
+        this.generateShipTextures();
+        this.graphics.destroy();
+    }
+
+    generateShipTextures() {
+        Object.entries(GameConstants.SHIPS).forEach(([shipClass, ship]) => {
+            this.createAdvancedSprite(this.getShipTextureKey(shipClass), { size: 48, ...ship.texture });
+        });
+    }
+
+    getShipTextureKey(shipClass) {
+        return shipClass === 'striker' ? 'player' : `player-${shipClass}`;
+    }
+
     // ===== ENEMY TEXTURES =====
     
     generateEnemyTextures() {
@@ -166,6 +201,30 @@ class TextureGenerator {
             glowColor: 0xff9900,
             shape: 'missile'
         });
+
+        // Primary weapon rounds
+        this.createEnergyProjectile('projectile-rail', {
+            size: 20,
+            coreColor: 0xccffff,
+            glowColor: 0x3399ff,
+            shape: 'slug'
+        });
+
+        this.createEnergyProjectile('projectile-pellet', {
+            size: 8,
+            coreColor: 0xffaa33,
+            glowColor: 0xff6600,
+            trailLength: 1
+        });
+
+        this.createEnergyProjectile('projectile-bomb', {
+            size: 26,
+            coreColor: 0x220044,
+            glowColor: 0xaa44ff,
+            trailLength: 4,
+            rings: true,
+            plasma: true
+        });
     }
 
     // ===== POWERUP TEXTURES =====
@@ -336,6 +395,15 @@ class TextureGenerator {
             case 'shield':
                 this.drawShieldShape(totalSize / 2, totalSize / 2, size);
                 break;
+            case 'dart':
+                this.drawDartShape(totalSize / 2, totalSize / 2, size);
+                break;
+            case 'twin':
+                this.drawTwinShape(totalSize / 2, totalSize / 2, size);
+                break;
+            case 'ring':
+                this.drawRingShape(totalSize / 2, totalSize / 2, size);
+                break;
             default:
                 this.graphics.fillCircle(totalSize / 2, totalSize / 2, size / 2);
         }
@@ -424,6 +492,60 @@ class TextureGenerator {
         this.graphics.fillRect(cx + width/2, cy - height/3, 8, height * 2/3);
     }
 
+    // Interceptor: a long, narrow arrowhead
+    drawDartShape(cx, cy, size) {
+        const length = size * 1.1;
+        const width = size * 0.5;
+        
+        this.graphics.beginPath();
+        this.graphics.moveTo(cx + length/2, cy);
+        this.graphics.lineTo(cx - length/2, cy - width/2);
+        this.graphics.lineTo(cx - length/4, cy);
+        this.graphics.lineTo(cx - length/2, cy + width/2);
+        this.graphics.closePath();
+        this.graphics.fillPath();
+        this.graphics.strokePath();
+        
+        // Cockpit
+        this.graphics.fillStyle(0x003366, 0.5);
+        this.graphics.fillEllipse(cx + length/6, cy, length/6, width/4);
+    }
+
+    // Gunship: a broad wing with a cannon pod on each tip
+    drawTwinShape(cx, cy, size) {
+        const width = size * 0.8;
+        const height = size;
+        
+        this.graphics.beginPath();
+        this.graphics.moveTo(cx + width/3, cy);
+        this.graphics.lineTo(cx - width/2, cy - height/2);
+        this.graphics.lineTo(cx - width/3, cy);
+        this.graphics.lineTo(cx - width/2, cy + height/2);
+        this.graphics.closePath();
+        this.graphics.fillPath();
+        this.graphics.strokePath();
+        
+        // Cannon pods
+        this.graphics.fillRect(cx - width/4, cy - height/2 + 2, width * 0.7, 6);
+        this.graphics.fillRect(cx - width/4, cy + height/2 - 8, width * 0.7, 6);
+    }
+
+    // Graviton: a dense core inside an open ring, with a short nose
+    drawRingShape(cx, cy, size) {
+        const radius = size / 2;
+        
+        this.graphics.fillCircle(cx, cy, radius * 0.45);
+        this.graphics.strokeCircle(cx, cy, radius * 0.45);
+        [0.7, 0.85].forEach(ring => {
+            this.graphics.beginPath();
+            this.graphics.arc(cx, cy, radius * ring, Math.PI * 0.2, Math.PI * 1.8);
+            this.graphics.strokePath();
+        });
+        
+        // Nose
+        this.graphics.fillTriangle(cx + radius * 0.4, cy - radius * 0.2, cx + radius, cy, cx + radius * 0.4, cy + radius * 0.2);
+    }
+
     drawShieldShape(cx, cy, size) {
         const numPoints = 8;
         const innerRadius = size * 0.35;
@@ -516,6 +638,14 @@ class TextureGenerator {
             // Exhaust
             this.graphics.fillStyle(glowColor, 0.7);
             this.graphics.fillCircle(totalSize / 2 - size / 2, totalSize / 2, size / 4);
+        } else if (shape === 'slug') {
+            // Long thin railgun slug along the direction of travel
+            this.createGlowEffect(totalSize / 2, totalSize / 2, size / 3, glowColor);
+            
+            this.graphics.fillStyle(glowColor, 0.5);
+            this.graphics.fillRect(totalSize / 2 - size / 2, totalSize / 2 - size / 6, size, size / 3);
+            this.graphics.fillStyle(coreColor, 1);
+            this.graphics.fillRect(totalSize / 2 - size / 2, totalSize / 2 - size / 12, size, size / 6);
         } else {
             // Energy ball
             // Outer glow layers
@@ -1167,13 +1297,21 @@ class TextureGenerator {
     getTextureConfig(entityType, variant = null) {
         // Returns the appropriate texture key based on entity type and variant
         const textureMap = {
-            player: variant === 'boost' ? 'playerBoost' : variant === 'shield' ? 'playerShield' : 'player',
+            player: variant === 'boost' ? 'playerBoost' : variant === 'shield' ? 'playerShield' : variant === 'partner' ? 'playerPartner' : this.getShipTextureKey(variant || 'striker'),
             enemy: {
                 swarm: 'enemy-swarm',
                 sentinel: 'enemy-sentinel',
                 phantom: 'enemy-phantom',
                 titan: 'enemy-titan'
             },
+            drone: {
+                player: 'drone',
+                swarm: 'enemy-swarm',
+                sentinel: 'enemy-sentinel',
+                phantom: 'enemy-phantom',
+                titan: 'enemy-titan'
+            },
+            freighter: 'freighter',
             boss: {
                 vortex: 'vortex',
                 titan: 'boss-titan',
@@ -1184,7 +1322,10 @@ class TextureGenerator {
                 charged: 'projectile-charged',
                 enemy: 'projectile-enemy',
                 plasma: 'projectile-plasma',
-                missile: 'projectile-missile'
+                missile: 'projectile-missile',
+                rail: 'projectile-rail',
+                pellet: 'projectile-pellet',
+                bomb: 'projectile-bomb'
             },
             powerup: {
                 health: 'powerup-health',
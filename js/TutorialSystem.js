@@ -0,0 +1,254 @@
+// TutorialSystem.js - Scripted tutorial that runs before the first wave
+// Each step shows a prompt and waits for its trigger (input, weapon and kill events), then the regular waves begin
+
+// Whether this machine has been through the tutorial
+const TutorialProgress = {
+    KEY: 'gravityWars_tutorial',
+
+    isComplete() {
+        try {
+            const progress = JSON.parse(localStorage.getItem(this.KEY));
+            return !!(progress && progress.completed);
+        } catch (e) {
+            return false;
+        }
+    },
+
+    record() {
+        try {
+            localStorage.setItem(this.KEY, JSON.stringify({ completed: true }));
+        } catch (e) {
+            console.error('[TutorialProgress] Failed to save progress:', e);
+        }
+    }
+};
+
+class TutorialSystem {
+    constructor(scene, eventBus, entityManager, gameState, entityFactory) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+        this.gameState = gameState;
+        this.entityFactory = entityFactory;
+        this.inputSystem = null; // Set by GameInitializer
+        this.disasterSystem = null; // Set by GameInitializer
+        this.clock = null; // Simulation clock set by GameInitializer
+
+        this.active = false;
+        this.running = false;       // Between start() and the last step
+        this.stepIndex = -1;
+        this.progress = 0;          // Toward the current step's target (count or ms)
+        this.waiting = false;       // Step done, next prompt pending
+        this.drones = [];           // Training drones still alive
+        this.recordProgress = true;
+    }
+
+    init(runConfig) {
+        if (!runConfig.tutorial) return;
+        this.active = true;
+        this.recordProgress = !runConfig.replay;
+
+        this.clock.registerTimer('tutorial.step', (data) => this.startStep(data.index));
+        this.clock.registerTimer('tutorial.finish', () => this.finish());
+
+        this.eventBus.on('PLAYER_CHARGE_UPDATE', (data) => {
+            if (data.percent >= 100) this.advance('charge');
+        });
+        this.eventBus.on('PLAYER_DASH', () => this.advance('dash'));
+        this.eventBus.on('PLAYER_BOOST_ACTIVATED', () => this.advance('boost'));
+        this.eventBus.on('PLAYER_MARKERS_SHOWN', () => this.advance('markers'));
+        this.eventBus.on('ABILITY_USED', () => this.advance('ability'));
+
+        this.eventBus.on('ENEMY_KILLED', (data) => {
+            if (!this.drones.includes(data.entityId)) return;
+            this.drones = this.drones.filter(id => id !== data.entityId);
+
+            if (data.killedByPlayer) {
+                this.advance('kill');
+            } else if (this.isOnStep('kill')) {
+                // A drone lost to a planet or the vortex is replaced
+                this.spawnDrones(this.getStep());
+            }
+        });
+    }
+
+    start() {
+        this.running = true;
+
+        // Nothing falls from the sky while the basics are learned
+        this.disasterSystem.autoSchedule = false;
+
+        this.eventBus.emit('UI_NOTIFICATION', {
+            message: 'Tutorial - the first wave starts once you have the basics',
+            type: 'info',
+            icon: 'fa-graduation-cap'
+        });
+        this.clock.schedule(GameConstants.TUTORIAL.FIRST_STEP_DELAY, 'tutorial.step', { index: 0 });
+    }
+
+    getStep() {
+        return GameConstants.TUTORIAL.STEPS[this.stepIndex] || null;
+    }
+
+    isOnStep(trigger) {
+        const step = this.getStep();
+        return this.running && !this.waiting && step !== null && step.trigger === trigger;
+    }
+
+    startStep(index) {
+        if (!this.running) return;
+
+        this.stepIndex = index;
+        this.progress = 0;
+        this.waiting = false;
+
+        const step = this.getStep();
+        if (step.spawn) this.spawnDrones(step);
+        if (step.grant) this.eventBus.emit('GRANT_ABILITY', { abilityId: step.grant });
+    }
+
+    // Tops the drones up to what the step still needs
+    spawnDrones(step) {
+        const player = this.entityManager.getComponent(this.gameState.getPlayerId(), 'transform');
+        if (!player) return;
+
+        const { DRONE_DISTANCE, FAR_DRONE_DISTANCE, DRONE_STRENGTH } = GameConstants.TUTORIAL;
+        const distance = step.spawn.far ? FAR_DRONE_DISTANCE : DRONE_DISTANCE;
+        const needed = (step.target || 1) - this.progress - this.drones.length;
+
+        for (let i = 0; i < needed; i++) {
+            // Spread out ahead of the player, away from the world edge they started near
+            const angle = (i - (needed - 1) / 2) * 0.5;
+            const x = player.x + Math.cos(angle) * distance;
+            const y = player.y + Math.sin(angle) * distance;
+
+            const droneId = this.entityFactory.createEnemy(step.spawn.faction, x, y, { x: 0, y: 0 }, DRONE_STRENGTH);
+            if (!droneId) continue;
+            this.drones.push(droneId);
+
+            this.eventBus.emit('ENEMY_SPAWNED', {
+                id: droneId,
+                type: step.spawn.faction,
+                faction: step.spawn.faction,
+                position: { x, y },
+                wave: 0
+            });
+        }
+    }
+
+    advance(trigger, amount = 1) {
+        if (!this.isOnStep(trigger)) return;
+
+        this.progress += amount;
+        if (this.progress >= (this.getStep().target || 1)) {
+            this.completeStep();
+        }
+    }
+
+    completeStep() {
+        this.waiting = true;
+        this.eventBus.emit('UI_NOTIFICATION', { message: 'Nice!', type: 'success', icon: 'fa-check' });
+
+        const next = this.stepIndex + 1;
+        if (next < GameConstants.TUTORIAL.STEPS.length) {
+            this.clock.schedule(GameConstants.TUTORIAL.STEP_DELAY, 'tutorial.step', { index: next });
+        } else {
+            this.clock.schedule(GameConstants.TUTORIAL.FINISH_DELAY, 'tutorial.finish');
+        }
+    }
+
+    update(deltaTime) {
+        if (this.isOnStep('move')) {
+            const move = this.inputSystem.getMoveVector(0);
+            if (move.x !== 0 || move.y !== 0) {
+                this.advance('move', deltaTime * 1000);
+            }
+        } else if (this.isOnStep('gravity') && this.isNearPlanet()) {
+            this.advance('gravity', deltaTime * 1000);
+        }
+    }
+
+    isNearPlanet() {
+        const playerId = this.gameState.getPlayerId();
+        const player = this.entityManager.getComponent(playerId, 'transform');
+        if (!player) return false;
+
+        return this.entityManager.getEntitiesByType('planet').some(planetId => {
+            const transform = this.entityManager.getComponent(planetId, 'transform');
+            const physics = this.entityManager.getComponent(planetId, 'physics');
+            const distance = Math.hypot(transform.x - player.x, transform.y - player.y) - physics.radius;
+            return distance < GameConstants.TUTORIAL.GRAVITY_RANGE;
+        });
+    }
+
+    // Leaves the rest of the tutorial out and goes straight to the waves
+    skip() {
+        if (!this.running) return;
+
+        this.drones.forEach(droneId => this.entityManager.destroyEntity(droneId));
+        this.drones = [];
+        this.finish();
+    }
+
+    finish() {
+        if (!this.running) return;
+        this.running = false;
+        this.waiting = false;
+
+        if (this.recordProgress) {
+            TutorialProgress.record();
+        }
+
+        // Disasters start counting from the first wave
+        this.disasterSystem.autoSchedule = true;
+        this.disasterSystem.disasterTimer = 0;
+
+        this.eventBus.emit('UI_NOTIFICATION', {
+            message: 'Tutorial complete - here comes the first wave!',
+            type: 'success',
+            icon: 'fa-graduation-cap'
+        });
+        this.eventBus.emit('TUTORIAL_COMPLETE');
+    }
+
+    // Current prompt for the HUD
+    getUIState() {
+        if (!this.running || this.stepIndex < 0) return null;
+
+        const step = this.getStep();
+        const counted = step.trigger === 'kill';
+
+        return {
+            step: this.stepIndex + 1,
+            steps: GameConstants.TUTORIAL.STEPS.length,
+            prompt: step.prompt,
+            done: this.waiting,
+            progress: counted ? `${Math.min(this.progress, step.target)}/${step.target}` : null
+        };
+    }
+
+    getSnapshot() {
+        return {
+            running: this.running,
+            stepIndex: this.stepIndex,
+            progress: this.progress,
+            waiting: this.waiting,
+            drones: [...this.drones]
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.running = snapshot.running;
+        this.stepIndex = snapshot.stepIndex;
+        this.progress = snapshot.progress;
+        this.waiting = snapshot.waiting;
+        this.drones = snapshot.drones;
+
+        if (this.running) {
+            this.disasterSystem.autoSchedule = false;
+        }
+    }
+}
+
+window.TutorialProgress = TutorialProgress;
+window.TutorialSystem = TutorialSystem;
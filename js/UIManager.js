@@ -39,21 +39,23 @@ class UIManager {
             const enemiesRemaining = this.gameState.get('waves.enemiesRemaining') || 0;
             const enemiesDefeated = totalEnemies - enemiesRemaining;
             
-            // Update mission objective
-            this.updateMission({
-                name: `Wave ${currentMission}`,
-                objectives: [
-                    {
-                        description: 'Defeat all enemies',
-                        current: enemiesDefeated,
-                        target: totalEnemies,
-                        completed: enemiesRemaining === 0
+            // Campaign missions own the panel while one is running, and endless runs have no waves
+            if (!this.gameState.get('mission.active') && currentMission > 0) {
+                this.updateMission({
+                    name: `Wave ${currentMission}`,
+                    objectives: [
+                        {
+                            description: 'Defeat all enemies',
+                            current: enemiesDefeated,
+                            target: totalEnemies,
+                            completed: enemiesRemaining === 0
+                        }
+                    ],
+                    rewards: {
+                        credits: 500 * currentMission
                     }
-                ],
-                rewards: {
-                    credits: 500 * currentMission
-                }
-            });
+                });
+            }
             
             // Update the wave tracking state
             window.dispatchEvent(new CustomEvent('gameStateUpdate', {
@@ -109,11 +111,17 @@ class UIManager {
             this.showPickupNotification(data);
         });
         
+        this.eventBus.on('MISSION_UPDATED', (mission) => {
+            this.updateMission(mission);
+        });
+        
         this.eventBus.on('UI_NOTIFICATION', (data) => {
             this.showNotification(data.message, data.type, data.icon);
         });
         
         this.eventBus.on('PLAYER_CHARGE_UPDATE', (data) => {
+            // The charge bar shows player 1's weapon
+            if (data.playerId !== this.gameState.getPlayerId()) return;
             this.updateChargeIndicator(data.percent);
         });
         
@@ -121,12 +129,19 @@ class UIManager {
             this.updateChargeIndicator(data.percent);
         });
         
+        // The HUD draws the weapon wheel; InputSystem tracks which slice is picked
+        this.eventBus.on('WEAPON_WHEEL_UPDATE', (data) => {
+            window.dispatchEvent(new CustomEvent('gameStateUpdate', {
+                detail: { weaponWheel: data.open ? data.selected : null }
+            }));
+        });
+        
         this.eventBus.on('UPGRADE_APPLIED', (data) => {
             this.updateUpgradeDisplay(data);
         });
 
         this.eventBus.on('GAME_OVER', (data) => {
-            this.showGameOverUI(data.victory);
+            this.showGameOverUI(data.victory, data.winner);
         });
         
         // Listen for UI update events from GameState
@@ -350,9 +365,10 @@ class UIManager {
         });
     }
     
-    showGameOverUI(victory) {
+    showGameOverUI(victory, winner) {
         this.queueEvent('gameOver', {
             victory: victory,
+            winner: winner,
             finalScore: this.gameState.get('game.score'),
             wavesCompleted: this.gameState.get('waves.current') - 1,
             totalKills: this.gameState.get('game.totalKills')
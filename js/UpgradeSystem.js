@@ -11,11 +11,20 @@ class UpgradeSystem {
             damage: 0,
             speed: 0,
             defense: 0,
-            energy: 0
+            energy: 0,
+            turrets: 0,
+            shieldRegen: 0
         };
         
         // Upgrade costs multiplier
         this.costMultiplier = 1.5;
+        
+        // Run mutators can ban upgrades or scale their prices
+        this.enabled = true;
+        this.costScale = 1;
+        
+        // Turrets and shield regen are only on sale in planet defense
+        this.planetUpgrades = false;
     }
     
     init() {
@@ -68,17 +77,20 @@ class UpgradeSystem {
     }
     
     applyUpgrade(upgradeType) {
-        const playerId = this.gameState.getPlayerId();
-        if (!playerId) return;
+        // Upgrades are bought for the whole team - every ship in play gets them
+        const playerIds = this.gameState.getPlayerIds();
+        if (playerIds.length === 0) return;
         
         switch (upgradeType) {
             case 'damage':
                 // Increase weapon damage - 5% per level (was 25%)
-                const weapon = this.entityManager.getComponent(playerId, 'weapon');
-                if (weapon) {
-                    weapon.damage = weapon.damage * 1.05;
-                    weapon.maxChargeTime = weapon.maxChargeTime * 0.99; // Tiny charge speed increase
-                }
+                playerIds.forEach(playerId => {
+                    const weapon = this.entityManager.getComponent(playerId, 'weapon');
+                    if (weapon) {
+                        weapon.damage = weapon.damage * 1.05;
+                        weapon.maxChargeTime = weapon.maxChargeTime * 0.99; // Tiny charge speed increase
+                    }
+                });
                 
                 // Update player stats
                 const currentDamage = this.gameState.get('player.stats.damage') || GameConfig.player.baseDamage;
@@ -87,10 +99,12 @@ class UpgradeSystem {
                 
             case 'speed':
                 // Increase movement speed - 4% per level (was 20%)
-                const physics = this.entityManager.getComponent(playerId, 'physics');
-                if (physics) {
-                    physics.maxSpeed = physics.maxSpeed * 1.04;
-                }
+                playerIds.forEach(playerId => {
+                    const physics = this.entityManager.getComponent(playerId, 'physics');
+                    if (physics) {
+                        physics.maxSpeed = physics.maxSpeed * 1.04;
+                    }
+                });
                 
                 // Update player stats
                 const currentSpeed = this.gameState.get('player.stats.speed') || GameConfig.player.baseSpeed;
@@ -99,16 +113,19 @@ class UpgradeSystem {
                 
             case 'defense':
                 // Increase health and defense - 10 HP per level (was 30)
-                const health = this.entityManager.getComponent(playerId, 'health');
-                if (health) {
-                    const increase = 10;
-                    health.max += increase;
-                    health.current += increase;
-                    
-                    // Update game state
-                    this.gameState.update('player.maxHealth', health.max);
-                    this.gameState.update('player.health', health.current);
-                }
+                playerIds.forEach(playerId => {
+                    const health = this.entityManager.getComponent(playerId, 'health');
+                    if (health) {
+                        const increase = 10;
+                        health.max += increase;
+                        health.current += increase;
+                        
+                        // Update game state
+                        const key = this.gameState.playerKey(this.gameState.getPlayerIndex(playerId));
+                        this.gameState.update(`${key}.maxHealth`, health.max);
+                        this.gameState.update(`${key}.health`, health.current);
+                    }
+                });
                 
                 // Update player stats - 3% damage reduction (was 15%)
                 const currentDefense = this.gameState.get('player.stats.defense') || GameConfig.player.baseDefense;
@@ -117,30 +134,55 @@ class UpgradeSystem {
                 
             case 'energy':
                 // Increase energy capacity and regen - 10 energy per level (was 30)
-                const currentMaxEnergy = this.gameState.get('player.maxEnergy');
-                const newMaxEnergy = currentMaxEnergy + 10;
-                this.gameState.update('player.maxEnergy', newMaxEnergy);
-                this.gameState.update('player.energy', this.gameState.get('player.energy') + 10);
+                playerIds.forEach(playerId => {
+                    const key = this.gameState.playerKey(this.gameState.getPlayerIndex(playerId));
+                    const currentMaxEnergy = this.gameState.get(`${key}.maxEnergy`);
+                    const newMaxEnergy = currentMaxEnergy + 10;
+                    this.gameState.update(`${key}.maxEnergy`, newMaxEnergy);
+                    this.gameState.update(`${key}.energy`, this.gameState.get(`${key}.energy`) + 10);
+                });
                 
                 // Increase energy regen - 5% per level (was 25%)
                 const currentRegen = this.gameState.get('player.stats.energyRegen') || GameConfig.player.energyRegen;
                 this.gameState.update('player.stats.energyRegen', currentRegen * 1.05);
                 break;
+                
+            case 'turrets':
+            case 'shieldRegen':
+                // DefenseSystem reads these levels straight off the home world's upgrades
+                break;
         }
     }
     
+    // Hangar starting levels: applied like bought upgrades, without the credits
+    grantLevels(levels) {
+        Object.entries(levels).forEach(([upgradeType, level]) => {
+            for (let i = 0; i < level; i++) {
+                this.applyUpgrade(upgradeType);
+                this.upgradeLevels[upgradeType]++;
+            }
+        });
+        this.updateUpgradeCosts();
+    }
+    
     getUpgradeCost(upgradeType) {
+        // Out of reach when upgrades are banned, which also hides the quick bar
+        if (!this.enabled) return Infinity;
+        if ((upgradeType === 'turrets' || upgradeType === 'shieldRegen') && !this.planetUpgrades) return Infinity;
+        
         const baseCosts = {
             damage: GameConfig.upgrades.damage.base,
             speed: GameConfig.upgrades.speed.base,
             defense: GameConfig.upgrades.defense.base,
-            energy: GameConfig.upgrades.energy.base
+            energy: GameConfig.upgrades.energy.base,
+            turrets: GameConfig.upgrades.turrets.base,
+            shieldRegen: GameConfig.upgrades.shieldRegen.base
         };
         
         const level = this.upgradeLevels[upgradeType];
         const multiplier = GameConfig.upgrades[upgradeType].multiplier;
         
-        return Math.floor(baseCosts[upgradeType] * Math.pow(multiplier, level));
+        return Math.floor(baseCosts[upgradeType] * Math.pow(multiplier, level) * this.costScale);
     }
     
     updateUpgradeCosts() {
@@ -150,6 +192,10 @@ class UpgradeSystem {
             defense: this.getUpgradeCost('defense'),
             energy: this.getUpgradeCost('energy')
         };
+        if (this.planetUpgrades) {
+            costs.turrets = this.getUpgradeCost('turrets');
+            costs.shieldRegen = this.getUpgradeCost('shieldRegen');
+        }
         
         // Send updated costs to UI
         window.dispatchEvent(new CustomEvent('gameStateUpdate', {
@@ -162,6 +208,12 @@ class UpgradeSystem {
     getCurrentLevels() {
         return { ...this.upgradeLevels };
     }
+    
+    // Stats from earlier upgrades are already in GameState; only the levels drive future costs
+    restoreLevels(levels) {
+        Object.assign(this.upgradeLevels, levels);
+        this.updateUpgradeCosts();
+    }
 }
 
 window.UpgradeSystem = UpgradeSystem;
\ No newline at end of file
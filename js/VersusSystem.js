@@ -0,0 +1,323 @@
+// VersusSystem.js - Player-versus-player arena rounds
+// Ships respawn after every kill; the first to take enough kills wins the round, and enough rounds win the match
+
+class VersusSystem {
+    constructor(scene, eventBus, entityManager, gameState, entityFactory) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+        this.gameState = gameState;
+        this.entityFactory = entityFactory;
+        this.clock = null; // Simulation clock set by GameInitializer
+
+        this.active = false;
+        this.round = 0;
+        this.roundActive = false;
+        this.roundTimeLeft = 0;
+        this.kills = [];
+        this.roundWins = [];
+        this.shipOwners = new Map(); // Ship id -> player index, kept after the ship dies so its shots still score
+        this.boundary = null;
+    }
+
+    init(runConfig) {
+        if (!runConfig.versus) return;
+        this.active = true;
+
+        this.clock.registerTimer('versus.respawn', (data) => {
+            this.respawnPlayer(data.index);
+        });
+        this.clock.registerTimer('versus.nextRound', () => {
+            this.startRound(this.round + 1);
+        });
+
+        this.eventBus.on('ENTITY_CREATED', (data) => {
+            if (data.type === 'player') {
+                this.shipOwners.set(data.id, data.index || 0);
+            }
+        });
+
+        this.eventBus.on('PLAYER_DIED', (data) => {
+            this.handlePlayerDied(data);
+        });
+    }
+
+    // Gravity wells to fight around, then every ship at its own spawn point
+    createArena(playerCount) {
+        const { centerX, centerY } = GameConfig.world;
+
+        GameConstants.VERSUS.ARENA.forEach(system => {
+            this.entityFactory.createOrbitalSystem(centerX + system.offsetX, centerY + system.offsetY, system.planets, system.type);
+        });
+        this.drawBoundary();
+
+        this.kills = new Array(playerCount).fill(0);
+        this.roundWins = new Array(playerCount).fill(0);
+
+        for (let index = 0; index < playerCount; index++) {
+            if (index > 0) {
+                this.gameState.addPlayerState(index);
+            }
+            this.spawnPlayer(index, this.getStartingSpawn(index, playerCount));
+        }
+
+        this.startRound(1);
+    }
+
+    drawBoundary() {
+        const { centerX, centerY } = GameConfig.world;
+        this.boundary = this.scene.add.circle(centerX, centerY, GameConstants.VERSUS.ARENA_RADIUS);
+        this.boundary.setStrokeStyle(6, 0xff3366, 0.4);
+        this.boundary.setDepth(1);
+    }
+
+    update(deltaTime) {
+        if (!this.active) return;
+
+        this.pullShipsIntoArena();
+
+        if (!this.roundActive) return;
+
+        this.roundTimeLeft = Math.max(0, this.roundTimeLeft - deltaTime * 1000);
+        if (this.roundTimeLeft === 0) {
+            this.endRound(this.getLeader());
+        }
+    }
+
+    // A soft wall: the further past the ring, the harder the pull back towards the centre
+    pullShipsIntoArena() {
+        const { centerX, centerY } = GameConfig.world;
+        const { ARENA_RADIUS, BOUNDARY_PULL } = GameConstants.VERSUS;
+
+        this.gameState.getPlayerIds().forEach(playerId => {
+            const transform = this.entityManager.getComponent(playerId, 'transform');
+            if (!transform) return;
+
+            const dx = centerX - transform.x;
+            const dy = centerY - transform.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance <= ARENA_RADIUS) return;
+
+            const pull = (distance - ARENA_RADIUS) * BOUNDARY_PULL;
+            this.eventBus.emit('FORCE_APPLIED', {
+                entityId: playerId,
+                force: { x: dx / distance * pull, y: dy / distance * pull }
+            });
+        });
+    }
+
+    startRound(round) {
+        this.round = round;
+        this.roundActive = true;
+        this.roundTimeLeft = GameConstants.VERSUS.ROUND_TIME_LIMIT;
+        this.kills.fill(0);
+
+        // Round one already has everyone in place; later rounds reset every ship
+        if (round > 1) {
+            for (let index = 0; index < this.kills.length; index++) {
+                const shipId = this.gameState.getPlayerId(index);
+                if (shipId) {
+                    this.gameState.setPlayerId(null, index);
+                    this.eventBus.emit('DESTROY_ENTITY', { entityId: shipId });
+                }
+                this.spawnPlayer(index, this.getStartingSpawn(index, this.kills.length));
+            }
+        }
+
+        this.eventBus.emit('UI_NOTIFICATION', {
+            message: `Round ${round} - first to ${GameConstants.VERSUS.KILLS_PER_ROUND} kills!`,
+            type: 'info',
+            icon: 'fa-crosshairs'
+        });
+    }
+
+    handlePlayerDied(data) {
+        if (!data.downed) return;
+
+        const killer = this.shipOwners.has(data.killerId) ? this.shipOwners.get(data.killerId) : null;
+
+        if (this.roundActive) {
+            if (killer !== null && killer !== data.index) {
+                this.kills[killer]++;
+                this.eventBus.emit('UI_NOTIFICATION', {
+                    message: `Player ${killer + 1} destroyed Player ${data.index + 1}`,
+                    type: 'success',
+                    icon: 'fa-skull'
+                });
+            } else {
+                // Planets, disasters and a ship's own recklessness don't score for anyone
+                this.eventBus.emit('UI_NOTIFICATION', {
+                    message: `Player ${data.index + 1} was lost to the void`,
+                    type: 'warning',
+                    icon: 'fa-meteor'
+                });
+            }
+
+            if (killer !== null && this.kills[killer] >= GameConstants.VERSUS.KILLS_PER_ROUND) {
+                this.endRound(killer);
+                return;
+            }
+        }
+
+        this.clock.schedule(GameConstants.VERSUS.RESPAWN_DELAY, 'versus.respawn', { index: data.index });
+    }
+
+    // winner is null for a drawn round
+    endRound(winner) {
+        this.roundActive = false;
+
+        if (winner !== null) {
+            this.roundWins[winner]++;
+
+            if (this.roundWins[winner] >= GameConstants.VERSUS.ROUNDS_TO_WIN) {
+                this.eventBus.emit('GAME_OVER', {
+                    victory: true,
+                    winner: winner,
+                    roundWins: this.roundWins.slice()
+                });
+                return;
+            }
+        }
+
+        this.eventBus.emit('UI_NOTIFICATION', {
+            message: winner !== null ? `Player ${winner + 1} takes round ${this.round}!` : `Round ${this.round} is a draw`,
+            type: 'success',
+            icon: 'fa-trophy'
+        });
+
+        this.clock.schedule(GameConstants.VERSUS.ROUND_INTERMISSION, 'versus.nextRound');
+    }
+
+    // Player with the most kills this round, or null when the top is shared
+    getLeader() {
+        const best = Math.max(...this.kills);
+        const leaders = this.kills.filter(kills => kills === best);
+        return leaders.length === 1 ? this.kills.indexOf(best) : null;
+    }
+
+    respawnPlayer(index) {
+        // The next round may have brought this ship back already
+        if (this.gameState.getPlayerId(index) || this.gameState.get('game.gameOver')) return;
+
+        this.spawnPlayer(index, this.getSafestSpawn(index));
+    }
+
+    spawnPlayer(index, spawn) {
+        const { centerX, centerY } = GameConfig.world;
+        const playerId = this.entityFactory.createPlayer(spawn.x, spawn.y, index);
+        this.gameState.setPlayerId(playerId, index);
+        if (index === 0) {
+            this.scene.player = playerId;
+        }
+
+        // Face the centre at rest, briefly shielded so nobody is shot the moment they appear
+        const transform = this.entityManager.getComponent(playerId, 'transform');
+        transform.rotation = Math.atan2(centerY - spawn.y, centerX - spawn.x);
+        const physics = this.entityManager.getComponent(playerId, 'physics');
+        physics.velocity.x = 0;
+        physics.velocity.y = 0;
+        const sprite = this.scene.sprites.get(playerId);
+        if (sprite) {
+            sprite.setVelocity(0, 0);
+        }
+
+        const health = this.entityManager.getComponent(playerId, 'health');
+        health.invulnerable = true;
+        health.invulnerabilityTime = GameConstants.VERSUS.SPAWN_INVULNERABILITY;
+
+        const key = this.gameState.playerKey(index);
+        this.gameState.setPlayerVitals(index, {
+            alive: true,
+            health: this.gameState.get(`${key}.maxHealth`),
+            energy: this.gameState.get(`${key}.maxEnergy`)
+        });
+
+        return playerId;
+    }
+
+    getSpawnPoints() {
+        const { centerX, centerY } = GameConfig.world;
+        const { SPAWN_RADIUS, SPAWN_POINTS } = GameConstants.VERSUS;
+        const points = [];
+
+        // Start on the left so two players face off across the central well
+        for (let i = 0; i < SPAWN_POINTS; i++) {
+            const angle = Math.PI + (Math.PI * 2 * i) / SPAWN_POINTS;
+            points.push({
+                x: centerX + Math.cos(angle) * SPAWN_RADIUS,
+                y: centerY + Math.sin(angle) * SPAWN_RADIUS
+            });
+        }
+        return points;
+    }
+
+    // Spread players evenly around the ring
+    getStartingSpawn(index, playerCount) {
+        const points = this.getSpawnPoints();
+        return points[Math.floor(index * points.length / playerCount) % points.length];
+    }
+
+    // The spawn point furthest from the nearest rival ship
+    getSafestSpawn(index) {
+        const rivals = this.gameState.getPlayerIds()
+            .filter(id => id !== this.gameState.getPlayerId(index))
+            .map(id => this.entityManager.getComponent(id, 'transform'))
+            .filter(Boolean);
+
+        let best = null;
+        let bestDistance = -1;
+        this.getSpawnPoints().forEach(point => {
+            const nearest = rivals.reduce(
+                (min, rival) => Math.min(min, Math.hypot(rival.x - point.x, rival.y - point.y)),
+                Infinity
+            );
+            if (nearest > bestDistance) {
+                best = point;
+                bestDistance = nearest;
+            }
+        });
+        return best;
+    }
+
+    // Scoreboard for the HUD
+    getUIState() {
+        if (!this.active) return null;
+
+        return {
+            round: this.round,
+            timeLeft: Math.ceil(this.roundTimeLeft / 1000),
+            killsToWin: GameConstants.VERSUS.KILLS_PER_ROUND,
+            roundsToWin: GameConstants.VERSUS.ROUNDS_TO_WIN,
+            players: this.kills.map((kills, index) => ({
+                index: index,
+                color: '#' + GameConstants.COOP.PLAYER_COLORS[index].toString(16).padStart(6, '0'),
+                kills: kills,
+                roundWins: this.roundWins[index],
+                alive: !!this.gameState.getPlayerId(index)
+            }))
+        };
+    }
+
+    getSnapshot() {
+        return {
+            round: this.round,
+            roundActive: this.roundActive,
+            roundTimeLeft: this.roundTimeLeft,
+            kills: this.kills.slice(),
+            roundWins: this.roundWins.slice(),
+            shipOwners: Array.from(this.shipOwners.entries())
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.round = snapshot.round;
+        this.roundActive = snapshot.roundActive;
+        this.roundTimeLeft = snapshot.roundTimeLeft;
+        this.kills = snapshot.kills;
+        this.roundWins = snapshot.roundWins;
+        this.shipOwners = new Map(snapshot.shipOwners);
+        this.drawBoundary();
+    }
+}
+
+window.VersusSystem = VersusSystem;
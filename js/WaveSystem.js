@@ -7,6 +7,9 @@ class WaveSystem {
         this.eventBus = eventBus;
         this.gameState = gameState;
         this.entityFactory = entityFactory;
+        this.rng = null; // Seeded stream set by GameInitializer
+        this.clock = null; // Simulation clock set by GameInitializer
+        this.onlyFaction = null; // Set by run mutators to fill every wave with one faction
         
         // Core wave state
         this.state = {
@@ -48,6 +51,11 @@ class WaveSystem {
         
         // Debug commands
         this.eventBus.on('KILL_ALL_ENEMIES', () => this.killAllEnemies());
+        
+        // Pending wave transitions are named so saved worlds can re-arm them
+        this.clock.registerTimer('wave.start', (data) => this.startWave(data.waveNumber));
+        this.clock.registerTimer('wave.bossTransition', () => this.startBossTransition());
+        this.clock.registerTimer('wave.bossActive', () => this.activateBossPhase());
     }
     
     startGame() {
@@ -64,9 +72,7 @@ class WaveSystem {
         this.gameState.update('waves.phase', 'IDLE');
         
         // Start first wave after delay
-        this.scene.time.delayedCall(this.config.waveStartDelay, () => {
-            this.startWave(1);
-        });
+        this.clock.schedule(this.config.waveStartDelay, 'wave.start', { waveNumber: 1 });
     }
     
     startWave(waveNumber) {
@@ -165,6 +171,10 @@ class WaveSystem {
     }
     
     getWaveDistribution(waveNumber) {
+        if (this.onlyFaction) {
+            return { swarm: 0, sentinel: 0, phantom: 0, titan: 0, [this.onlyFaction]: 1 };
+        }
+        
         // Adjust distribution based on wave progression
         const swarmBase = 0.5;
         const sentinelBase = 0.2;
@@ -295,9 +305,7 @@ class WaveSystem {
         });
         
         // Always transition to boss phase after every wave
-        this.scene.time.delayedCall(this.config.bossTransitionDelay, () => {
-            this.startBossTransition();
-        });
+        this.clock.schedule(this.config.bossTransitionDelay, 'wave.bossTransition');
     }
     
     startBossTransition() {
@@ -314,10 +322,12 @@ class WaveSystem {
         });
         
         // Update phase after boss spawns
-        this.scene.time.delayedCall(500, () => {
-            this.state.phase = 'BOSS_ACTIVE';
-            this.gameState.update('waves.phase', 'BOSS_ACTIVE');
-        });
+        this.clock.schedule(500, 'wave.bossActive');
+    }
+    
+    activateBossPhase() {
+        this.state.phase = 'BOSS_ACTIVE';
+        this.gameState.update('waves.phase', 'BOSS_ACTIVE');
     }
     
     onBossDefeated() {
@@ -329,12 +339,13 @@ class WaveSystem {
     }
     
     onAbilityShopClosed() {
+        // Boss rush drafts use the shop between fights, not between waves
+        if (this.scene.runConfig && this.scene.runConfig.bossRush) return;
+        
         console.log('[WaveSystem] Ability shop closed, starting next wave');
         
         // Start next wave
-        this.scene.time.delayedCall(this.config.waveStartDelay, () => {
-            this.startWave(this.state.currentWave + 1);
-        });
+        this.clock.schedule(this.config.waveStartDelay, 'wave.start', { waveNumber: this.state.currentWave + 1 });
     }
     
     clearAllEnemies() {
@@ -364,18 +375,18 @@ class WaveSystem {
     
     // Helper methods for spawn positions
     getRandomEdgePosition() {
-        const edge = Math.floor(Math.random() * 4);
+        const edge = this.rng.int(0, 3);
         const { width, height, margin } = this.worldBounds;
         
         switch (edge) {
             case 0: // Top
-                return { x: Math.random() * width, y: margin };
+                return { x: this.rng.range(0, width), y: margin };
             case 1: // Right
-                return { x: width - margin, y: Math.random() * height };
+                return { x: width - margin, y: this.rng.range(0, height) };
             case 2: // Bottom
-                return { x: Math.random() * width, y: height - margin };
+                return { x: this.rng.range(0, width), y: height - margin };
             case 3: // Left
-                return { x: margin, y: Math.random() * height };
+                return { x: margin, y: this.rng.range(0, height) };
         }
     }
     
@@ -390,7 +401,7 @@ class WaveSystem {
     
     getLineFormation(count) {
         const positions = [];
-        const edge = Math.floor(Math.random() * 4);
+        const edge = this.rng.int(0, 3);
         const spacing = 150;
         
         for (let i = 0; i < count; i++) {
@@ -433,8 +444,8 @@ class WaveSystem {
             const sy = Math.floor(i / sections);
             
             positions.push({
-                x: (sx + 0.5) * sectionWidth + (Math.random() - 0.5) * sectionWidth * 0.5,
-                y: (sy + 0.5) * sectionHeight + (Math.random() - 0.5) * sectionHeight * 0.5
+                x: (sx + 0.5) * sectionWidth + this.rng.spread(sectionWidth * 0.5),
+                y: (sy + 0.5) * sectionHeight + this.rng.spread(sectionHeight * 0.5)
             });
         }
         
@@ -442,12 +453,7 @@ class WaveSystem {
     }
     
     shuffleArray(array) {
-        const shuffled = [...array];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        return shuffled;
+        return this.rng.shuffle([...array]);
     }
     
     
@@ -465,6 +471,15 @@ class WaveSystem {
         });
     }
     
+    // Wave progress including the enemies still waiting to spawn
+    getSnapshot() {
+        return JSON.parse(JSON.stringify(this.state));
+    }
+    
+    restoreSnapshot(snapshot) {
+        this.state = { ...this.state, ...snapshot };
+    }
+    
     getDebugInfo() {
         return {
             currentWave: this.state.currentWave,
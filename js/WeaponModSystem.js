@@ -0,0 +1,373 @@
+// WeaponModSystem.js - Projectile modifier pipeline for player weapons
+// Mods in a ship's slots (or lent by shop abilities) shape every shot it fires, then act on what it hits: bounces, fragments, arcs, burns and chills
+
+class WeaponModSystem {
+    constructor(scene, eventBus, entityManager, entityFactory) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+        this.entityFactory = entityFactory;
+        this.weaponSystem = null; // Set by GameInitializer
+
+        this.slots = [];            // Fitted mod ids per player index (null for an empty slot)
+        this.lentMods = [];         // { player, mod, remaining } lent by shop abilities
+        this.statuses = new Map();  // entityId -> { burn, freeze } left by hits
+    }
+
+    init() {
+        this.eventBus.on('WEAPON_MOD_LENT', (data) => {
+            this.lendMod(data.player, data.mod, data.duration);
+        });
+
+        this.eventBus.on('PROJECTILE_MOD_HIT', (data) => {
+            this.handleProjectileHit(data.projectileId, data.targetId);
+        });
+
+        this.eventBus.on('PROJECTILE_RICOCHET', (data) => {
+            this.ricochet(data.projectileId, data.planetId);
+        });
+
+        this.eventBus.on('ENTITY_DESTROYED', (data) => {
+            this.statuses.delete(data.id);
+        });
+    }
+
+    fitMods(mods, player = 0) {
+        this.slots[player] = mods.slice();
+    }
+
+    // Same mod lent again just runs longer
+    lendMod(player, mod, duration) {
+        const lent = this.lentMods.find(entry => entry.player === player && entry.mod === mod);
+        if (lent) {
+            lent.remaining = Math.max(lent.remaining, duration);
+        } else {
+            this.lentMods.push({ player, mod, remaining: duration });
+        }
+    }
+
+    // Stack counts of every mod on a player's gun, e.g. { ricochet: 2, burn: 1 }, or null without any
+    getStacks(shooterId, extraMods = null) {
+        const pilot = this.entityManager.getComponent(shooterId, 'pilot');
+        const player = pilot ? pilot.index : 0;
+        const stacks = { ...extraMods };
+
+        (this.slots[player] || []).forEach(mod => {
+            if (mod) stacks[mod] = (stacks[mod] || 0) + 1;
+        });
+        this.lentMods.forEach(lent => {
+            if (lent.player === player) stacks[lent.mod] = (stacks[lent.mod] || 0) + 1;
+        });
+
+        return Object.keys(stacks).length > 0 ? stacks : null;
+    }
+
+    // Fire stage: the shot's mods become projectile options for EntityFactory.createProjectile
+    modifyShot(shooterId, x, y, angle, options, extraMods = null) {
+        return this.applyStacks(shooterId, x, y, angle, options, this.getStacks(shooterId, extraMods));
+    }
+
+    // Hit mods (split, chain, burn, freeze) only need the stacks, which travel with the projectile
+    applyStacks(shooterId, x, y, angle, options, stacks) {
+        if (!stacks) return options;
+
+        const mods = GameConstants.WEAPON_MODS;
+        const shot = { ...options, mods: stacks };
+
+        if (stacks.pierce) {
+            shot.penetrating = true;
+        }
+        if (stacks.ricochet) {
+            shot.bounces = mods.ricochet.bounces * stacks.ricochet;
+        }
+        if (stacks.graviton) {
+            shot.gravityScale = 1 + mods.graviton.gravity * stacks.graviton;
+        }
+        // Missiles already steer on their own
+        if (stacks.homing && !shot.homing) {
+            shot.homing = {
+                targetId: this.weaponSystem.findLockTarget(shooterId, x, y, angle, mods.homing.lockRange, Math.PI),
+                turnRate: mods.homing.turnRate * stacks.homing,
+                lockRange: mods.homing.lockRange
+            };
+        }
+        return shot;
+    }
+
+    handleProjectileHit(projectileId, targetId) {
+        const projectile = this.entityManager.getComponent(projectileId, 'projectile');
+        const transform = this.entityManager.getComponent(projectileId, 'transform');
+        const physics = this.entityManager.getComponent(projectileId, 'physics');
+        if (!projectile || !transform || !projectile.mods) return;
+
+        const heading = physics ? Math.atan2(physics.velocity.y, physics.velocity.x) : transform.rotation;
+        this.applyHitMods(projectile.ownerId, projectile.mods, targetId, projectile.damage, transform.x, transform.y, heading);
+    }
+
+    // The beam carries every hit mod but the splitter, which would burst ten times a second
+    applyBeamHit(playerId, targetId, damage, x, y) {
+        const stacks = this.getStacks(playerId);
+        if (!stacks) return;
+
+        this.applyHitMods(playerId, { ...stacks, split: 0 }, targetId, damage, x, y, 0);
+    }
+
+    // Hit stage: chilled and burning targets first, then arcs and fragments that carry the same mods onward
+    applyHitMods(ownerId, stacks, targetId, damage, x, y, heading) {
+        this.applyStatuses(ownerId, stacks, targetId, damage);
+
+        if (stacks.chain) {
+            this.chainLightning(ownerId, stacks, targetId, damage, x, y);
+        }
+        if (stacks.split) {
+            this.splitShot(ownerId, stacks, targetId, damage, x, y, heading);
+        }
+    }
+
+    applyStatuses(ownerId, stacks, targetId, damage) {
+        if (!stacks.burn && !stacks.freeze) return;
+        if (!this.entityManager.getComponent(targetId, 'health')) return;
+
+        const mods = GameConstants.WEAPON_MODS;
+        const status = this.statuses.get(targetId) || { burn: null, freeze: null };
+
+        // A weaker hit refreshes the timer without cooling the fire
+        if (stacks.burn) {
+            const burnDamage = damage * mods.burn.damage * stacks.burn;
+            status.burn = {
+                damage: Math.max(burnDamage, status.burn ? status.burn.damage : 0),
+                remaining: mods.burn.duration,
+                tick: status.burn ? status.burn.tick : 0,
+                sourceId: ownerId
+            };
+        }
+        if (stacks.freeze) {
+            const slow = 1 - Math.pow(1 - mods.freeze.slow, stacks.freeze);
+            status.freeze = {
+                slow: Math.max(slow, status.freeze ? status.freeze.slow : 0),
+                remaining: mods.freeze.duration
+            };
+        }
+
+        this.statuses.set(targetId, status);
+        this.emitStatus(targetId, status);
+    }
+
+    // Arcs jump to the nearest enemy not struck yet, each one weaker than the hit
+    chainLightning(ownerId, stacks, targetId, damage, x, y) {
+        const chain = GameConstants.WEAPON_MODS.chain;
+        const struck = new Set([targetId]);
+        const points = [{ x, y }];
+        let from = { x, y };
+
+        for (let jump = 0; jump < chain.jumps * stacks.chain; jump++) {
+            const nextId = this.findNearestHostile(ownerId, from.x, from.y, chain.range, struck);
+            if (nextId === null) break;
+
+            const transform = this.entityManager.getComponent(nextId, 'transform');
+            from = { x: transform.x, y: transform.y };
+            struck.add(nextId);
+            points.push(from);
+
+            this.eventBus.emit('DAMAGE_ENTITY', {
+                entityId: nextId,
+                damage: damage * chain.damage,
+                sourceId: ownerId
+            });
+            this.applyStatuses(ownerId, stacks, nextId, damage * chain.damage);
+        }
+
+        if (points.length > 1) {
+            this.eventBus.emit('CHAIN_LIGHTNING', { ownerId, points });
+        }
+    }
+
+    findNearestHostile(ownerId, x, y, range, excluded) {
+        let nearestId = null;
+        let nearest = range;
+
+        this.weaponSystem.getHostileIds(ownerId).forEach(entityId => {
+            if (excluded.has(entityId)) return;
+            const transform = this.entityManager.getComponent(entityId, 'transform');
+            if (!transform) return;
+
+            const dist = Math.sqrt((transform.x - x) ** 2 + (transform.y - y) ** 2);
+            if (dist < nearest) {
+                nearest = dist;
+                nearestId = entityId;
+            }
+        });
+        return nearestId;
+    }
+
+    // Fragments fly on past the target with every mod but the splitter, so they can't split again
+    splitShot(ownerId, stacks, targetId, damage, x, y, heading) {
+        const split = GameConstants.WEAPON_MODS.split;
+        const count = split.fragments * stacks.split;
+        const fragmentStacks = { ...stacks, split: 0 };
+
+        for (let i = 0; i < count; i++) {
+            const angle = heading - split.spread / 2 + split.spread * i / (count - 1);
+            const options = this.applyStacks(ownerId, x, y, angle, {
+                variant: 'pellet',
+                lifetime: split.lifetime,
+                trailColor: 0xff9933
+            }, fragmentStacks);
+
+            const fragmentId = this.entityFactory.createProjectile(ownerId, x, y, angle, split.speed, damage * split.damage, 4, false, options);
+            this.weaponSystem.projectiles.set(fragmentId, true);
+
+            // The ship that split it isn't hit again
+            const fragment = this.entityManager.getComponent(fragmentId, 'projectile');
+            fragment.hitEntities.add(targetId);
+        }
+    }
+
+    // Mirror the velocity off the planet's surface and lift the round clear of it
+    ricochet(projectileId, planetId) {
+        const projectile = this.entityManager.getComponent(projectileId, 'projectile');
+        const transform = this.entityManager.getComponent(projectileId, 'transform');
+        const physics = this.entityManager.getComponent(projectileId, 'physics');
+        const planetTransform = this.entityManager.getComponent(planetId, 'transform');
+        const planetPhysics = this.entityManager.getComponent(planetId, 'physics');
+        const sprite = this.scene.sprites.get(projectileId);
+        if (!projectile || !transform || !physics || !planetTransform || !planetPhysics || !sprite) return;
+
+        const dx = transform.x - planetTransform.x;
+        const dy = transform.y - planetTransform.y;
+        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+        const normalX = dx / dist;
+        const normalY = dy / dist;
+
+        const along = physics.velocity.x * normalX + physics.velocity.y * normalY;
+        if (along < 0) {
+            physics.velocity.x -= 2 * along * normalX;
+            physics.velocity.y -= 2 * along * normalY;
+        }
+
+        const surface = planetPhysics.radius + physics.radius + 2;
+        transform.x = planetTransform.x + normalX * surface;
+        transform.y = planetTransform.y + normalY * surface;
+        transform.rotation = Math.atan2(physics.velocity.y, physics.velocity.x);
+        sprite.setPosition(transform.x, transform.y);
+        sprite.setVelocity(physics.velocity.x, physics.velocity.y);
+        sprite.setRotation(transform.rotation);
+
+        // A bounced round can hit the same ship again
+        projectile.bounces--;
+        projectile.hitEntities.clear();
+
+        this.eventBus.emit('PROJECTILE_BOUNCED', {
+            projectileId: projectileId,
+            position: { x: transform.x, y: transform.y }
+        });
+    }
+
+    update(deltaTime) {
+        const elapsed = deltaTime * 1000;
+
+        this.lentMods = this.lentMods.filter(lent => {
+            lent.remaining -= elapsed;
+            return lent.remaining > 0;
+        });
+
+        this.statuses.forEach((status, entityId) => {
+            if (status.burn) {
+                this.updateBurn(entityId, status, elapsed);
+            }
+            // The burn may have finished the ship off
+            if (status.freeze && this.statuses.has(entityId)) {
+                this.updateFreeze(entityId, status, elapsed);
+            }
+
+            if (!status.burn && !status.freeze) {
+                this.statuses.delete(entityId);
+            }
+        });
+    }
+
+    updateBurn(entityId, status, elapsed) {
+        const burn = status.burn;
+        const tickRate = GameConstants.WEAPON_MOD_TICK;
+
+        burn.tick += elapsed;
+        burn.remaining -= elapsed;
+        if (burn.remaining <= 0) {
+            status.burn = null;
+            this.emitStatus(entityId, status);
+        }
+
+        while (burn.tick >= tickRate && this.statuses.has(entityId)) {
+            burn.tick -= tickRate;
+            this.eventBus.emit('DAMAGE_ENTITY', {
+                entityId: entityId,
+                damage: burn.damage * tickRate / 1000,
+                sourceId: burn.sourceId
+            });
+        }
+    }
+
+    // Chilled ships can't reach their usual top speed (the body carries it into the next step)
+    updateFreeze(entityId, status, elapsed) {
+        const freeze = status.freeze;
+        const physics = this.entityManager.getComponent(entityId, 'physics');
+        const sprite = this.scene.sprites.get(entityId);
+
+        if (physics && sprite) {
+            const limit = physics.maxSpeed * (1 - freeze.slow);
+            const speed = Math.sqrt(physics.velocity.x ** 2 + physics.velocity.y ** 2);
+            if (speed > limit) {
+                physics.velocity.x *= limit / speed;
+                physics.velocity.y *= limit / speed;
+                sprite.setVelocity(physics.velocity.x, physics.velocity.y);
+            }
+        }
+
+        freeze.remaining -= elapsed;
+        if (freeze.remaining <= 0) {
+            status.freeze = null;
+            this.emitStatus(entityId, status);
+        }
+    }
+
+    emitStatus(entityId, status) {
+        this.eventBus.emit('WEAPON_MOD_STATUS', {
+            entityId: entityId,
+            burning: !!status.burn,
+            frozen: !!status.freeze
+        });
+    }
+
+    // Fitted and lent mods for this screen's HUD, one entry per mod with its stack count
+    getUIState(player = 0) {
+        const lent = new Set(this.lentMods.filter(entry => entry.player === player).map(entry => entry.mod));
+        const stacks = {};
+        (this.slots[player] || []).concat(Array.from(lent)).forEach(mod => {
+            if (mod) stacks[mod] = (stacks[mod] || 0) + 1;
+        });
+
+        return Object.entries(stacks).map(([id, count]) => ({
+            id: id,
+            name: GameConstants.WEAPON_MODS[id].name,
+            icon: GameConstants.WEAPON_MODS[id].icon,
+            stacks: count,
+            lent: lent.has(id)
+        }));
+    }
+
+    // Fitted mods come back with the run options
+    getSnapshot() {
+        return {
+            lentMods: this.lentMods.map(lent => ({ ...lent })),
+            statuses: Array.from(this.statuses, ([entityId, status]) => [entityId, JSON.parse(JSON.stringify(status))])
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.lentMods = snapshot.lentMods;
+        this.statuses = new Map(snapshot.statuses);
+        this.statuses.forEach((status, entityId) => this.emitStatus(entityId, status));
+    }
+}
+
+window.WeaponModSystem = WeaponModSystem;
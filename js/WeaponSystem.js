@@ -8,29 +8,43 @@ class WeaponSystem {
         this.entityManager = entityManager;
         this.entityFactory = entityFactory;
         this.projectiles = new Map(); // Track active projectiles
-        this.playerId = null;
+        this.playerIds = new Set(); // Every player ship (two in co-op)
+        this.weaponModSystem = null; // Set by GameInitializer
+        this.disasterSystem = null; // Set by GameInitializer
+        this.heatEnabled = false; // Switched on by the Overheat mutator
     }
     
     init() {
         // Listen for player creation
         this.eventBus.on('ENTITY_CREATED', (data) => {
             if (data.type === 'player') {
-                this.playerId = data.id;
-                //console.log('[WeaponSystem] Player ID set:', this.playerId);
+                this.playerIds.add(data.id);
             }
         });
         
-        // Listen for shooting events
+        // Listen for shooting events (a held trigger keeps the beam burning)
         this.eventBus.on('PLAYER_SHOOT', (data) => {
             if (!data.charging) {
                 this.handlePlayerShoot(data);
+            } else {
+                this.handleBeam(data);
             }
         });
         
+        // Weapon wheel, number keys and cycling all land here
+        this.eventBus.on('PLAYER_WEAPON_SELECT', (data) => {
+            this.selectWeapon(data.playerId, data.weapon, data.step);
+        });
+        
         this.eventBus.on('ENEMY_SHOOT_REQUEST', (data) => {
             this.handleEnemyShoot(data);
         });
         
+        // Shop ability volleys (Spread Shot, Homing Missiles)
+        this.eventBus.on('FIRE_VOLLEY', (data) => {
+            this.fireVolley(data);
+        });
+        
         // Listen for projectile expiration
         this.eventBus.on('PROJECTILE_EXPIRED', (data) => {
             this.projectiles.delete(data.projectileId);
@@ -42,6 +56,7 @@ class WeaponSystem {
         // Listen for entity destruction to clean up projectiles
         this.eventBus.on('ENTITY_DESTROYED', (data) => {
             this.projectiles.delete(data.id);
+            this.playerIds.delete(data.id);
         });
     }
     
@@ -60,9 +75,10 @@ class WeaponSystem {
                 );
                 
                 // Emit charge update for UI
-                if (entityId === this.playerId) {
+                if (this.playerIds.has(entityId)) {
                     const chargePercent = (weapon.chargeTime / weapon.maxChargeTime) * 100;
                     this.eventBus.emit('PLAYER_CHARGE_UPDATE', {
+                        playerId: entityId,
                         percent: chargePercent
                     });
                 }
@@ -72,30 +88,345 @@ class WeaponSystem {
             if (weapon.lastFireTime > 0) {
                 weapon.lastFireTime = Math.max(0, weapon.lastFireTime - deltaTime * 1000);
             }
+            
+            if (this.heatEnabled && weapon.heat) {
+                this.coolWeapons(entityId, weapon, deltaTime);
+            }
         });
         
         // Manage projectile expiration
         const projectiles = this.entityManager.getEntitiesByType('projectile');
         projectiles.forEach(projectileId => {
+            const projectile = this.entityManager.getComponent(projectileId, 'projectile');
+            if (projectile && projectile.homing) {
+                this.steerMissile(projectileId, projectile, deltaTime);
+            }
+            
             const lifetime = this.entityManager.getComponent(projectileId, 'lifetime');
             if (lifetime) {
                 lifetime.elapsed += deltaTime * 1000;
                 
                 if (lifetime.elapsed >= lifetime.duration) {
+                    // A gravity bomb's lifetime is its fuse
+                    if (projectile && projectile.bomb) {
+                        this.detonateBomb(projectileId, projectile);
+                        return;
+                    }
                     this.eventBus.emit('PROJECTILE_EXPIRED', {
                         projectileId: projectileId
                     });
                 }
             }
+            
+            if (projectile && projectile.bomb) {
+                this.updateBomb(projectileId, projectile, lifetime);
+            }
+        });
+    }
+    
+    // Primary weapons are player-only; anything else keeps the blaster
+    selectWeapon(playerId, type, step) {
+        if (!this.playerIds.has(playerId)) return;
+        const weapon = this.entityManager.getComponent(playerId, 'weapon');
+        if (!weapon) return;
+        
+        const types = Object.keys(GameConstants.PRIMARY_WEAPONS);
+        if (step) {
+            const index = Math.max(0, types.indexOf(weapon.type));
+            type = types[(index + step + types.length) % types.length];
+        }
+        if (!types.includes(type) || type === weapon.type) return;
+        
+        // Swapping drops whatever was charging
+        weapon.type = type;
+        weapon.chargeTime = 0;
+        
+        this.eventBus.emit('PLAYER_WEAPON_CHANGED', { playerId, weapon: type });
+    }
+    
+    getWeaponType(playerId) {
+        const weapon = this.entityManager.getComponent(playerId, 'weapon');
+        return weapon && weapon.type in GameConstants.PRIMARY_WEAPONS ? weapon.type : 'basic';
+    }
+    
+    // Ships a player's beam, missiles and bombs go after
+    getHostileIds(ownerId) {
+        const hostiles = [
+            ...this.entityManager.getEntitiesByType('enemy'),
+            ...this.entityManager.getEntitiesByType('boss')
+        ];
+        
+        // In versus the other players are the enemy
+        if (this.scene.runConfig && this.scene.runConfig.versus) {
+            this.playerIds.forEach(playerId => {
+                if (playerId !== ownerId) hostiles.push(playerId);
+            });
+        }
+        return hostiles;
+    }
+    
+    // Angle difference folded into -PI..PI
+    wrapAngle(angle) {
+        return Math.atan2(Math.sin(angle), Math.cos(angle));
+    }
+    
+    // Distance along a ray to where it enters a circle, or null if it misses
+    rayHitDistance(x, y, angle, cx, cy, radius) {
+        const dx = cx - x;
+        const dy = cy - y;
+        const along = dx * Math.cos(angle) + dy * Math.sin(angle);
+        if (along < 0) return null;
+        
+        const offSq = dx * dx + dy * dy - along * along;
+        if (offSq > radius * radius) return null;
+        return Math.max(0, along - Math.sqrt(radius * radius - offSq));
+    }
+    
+    handleBeam(data) {
+        if (!this.playerIds.has(data.playerId) || data.angle === undefined) return;
+        const weapon = this.entityManager.getComponent(data.playerId, 'weapon');
+        const transform = this.entityManager.getComponent(data.playerId, 'transform');
+        if (!weapon || !transform || weapon.type !== 'beam' || weapon.lastFireTime > 0) return;
+        if (this.isVenting(weapon, 'beam')) return;
+        
+        const beam = GameConstants.PRIMARY_WEAPONS.beam;
+        const angle = data.angle;
+        const chargeLevel = Math.min(1, weapon.chargeTime / weapon.maxChargeTime);
+        const startX = transform.x + Math.cos(angle) * 40;
+        const startY = transform.y + Math.sin(angle) * 40;
+        
+        // Planets stop the beam
+        let length = beam.range;
+        this.entityManager.getEntitiesByType('planet').forEach(planetId => {
+            const planetTransform = this.entityManager.getComponent(planetId, 'transform');
+            const physics = this.entityManager.getComponent(planetId, 'physics');
+            if (!planetTransform || !physics) return;
+            
+            const hit = this.rayHitDistance(startX, startY, angle, planetTransform.x, planetTransform.y, physics.radius);
+            if (hit !== null && hit < length) length = hit;
+        });
+        
+        // It burns the first ship in its path
+        let targetId = null;
+        this.getHostileIds(data.playerId).forEach(entityId => {
+            const targetTransform = this.entityManager.getComponent(entityId, 'transform');
+            const physics = this.entityManager.getComponent(entityId, 'physics');
+            if (!targetTransform || !physics) return;
+            
+            const hit = this.rayHitDistance(startX, startY, angle, targetTransform.x, targetTransform.y, physics.radius);
+            if (hit !== null && hit < length) {
+                length = hit;
+                targetId = entityId;
+            }
+        });
+        
+        if (targetId !== null) {
+            const damagePerSecond = weapon.damage * beam.damage * (1 + chargeLevel * beam.chargeBonus);
+            const damage = damagePerSecond * beam.tickRate / 1000;
+            this.eventBus.emit('DAMAGE_ENTITY', {
+                entityId: targetId,
+                damage: damage,
+                sourceId: data.playerId
+            });
+            this.weaponModSystem.applyBeamHit(data.playerId, targetId, damage, startX + Math.cos(angle) * length, startY + Math.sin(angle) * length);
+        }
+        
+        weapon.lastFireTime = beam.tickRate;
+        this.addHeat(data.playerId, weapon, 'beam', beam.tickRate / 1000);
+        
+        this.eventBus.emit('BEAM_FIRED', {
+            playerId: data.playerId,
+            x1: startX,
+            y1: startY,
+            x2: startX + Math.cos(angle) * length,
+            y2: startY + Math.sin(angle) * length,
+            chargeLevel: chargeLevel,
+            hit: targetId !== null
+        });
+        this.eventBus.emit('AUDIO_PLAY', { sound: 'beam' });
+    }
+    
+    // Missiles turn toward their lock, picking a new one if it dies
+    steerMissile(projectileId, projectile, deltaTime) {
+        const homing = projectile.homing;
+        const transform = this.entityManager.getComponent(projectileId, 'transform');
+        const physics = this.entityManager.getComponent(projectileId, 'physics');
+        if (!transform || !physics) return;
+        
+        let target = homing.targetId !== null ? this.entityManager.getComponent(homing.targetId, 'transform') : null;
+        if (!target) {
+            homing.targetId = this.findLockTarget(projectile.ownerId, transform.x, transform.y, transform.rotation, homing.lockRange, Math.PI);
+            if (homing.targetId === null) return;
+            target = this.entityManager.getComponent(homing.targetId, 'transform');
+        }
+        
+        const speed = Math.sqrt(physics.velocity.x ** 2 + physics.velocity.y ** 2);
+        const heading = Math.atan2(physics.velocity.y, physics.velocity.x);
+        const wanted = Math.atan2(target.y - transform.y, target.x - transform.x);
+        const turn = this.wrapAngle(wanted - heading);
+        const maxTurn = homing.turnRate * deltaTime;
+        const newHeading = heading + Math.max(-maxTurn, Math.min(maxTurn, turn));
+        
+        physics.velocity.x = Math.cos(newHeading) * speed;
+        physics.velocity.y = Math.sin(newHeading) * speed;
+        transform.rotation = newHeading;
+        
+        // The body carries the turn; the next step reads velocity back from it
+        const sprite = this.scene.sprites.get(projectileId);
+        if (sprite) {
+            sprite.setVelocity(physics.velocity.x, physics.velocity.y);
+            sprite.setRotation(newHeading);
+        }
+    }
+    
+    // Nearest hostile within range and inside the cone around the aim
+    findLockTarget(ownerId, x, y, angle, range, cone) {
+        let targetId = null;
+        let closest = range;
+        
+        this.getHostileIds(ownerId).forEach(entityId => {
+            const transform = this.entityManager.getComponent(entityId, 'transform');
+            if (!transform) return;
+            
+            const dx = transform.x - x;
+            const dy = transform.y - y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist >= closest) return;
+            if (Math.abs(this.wrapAngle(Math.atan2(dy, dx) - angle)) > cone) return;
+            
+            closest = dist;
+            targetId = entityId;
+        });
+        return targetId;
+    }
+    
+    // Bombs only gain their mass once clear of the launcher, so they don't drag it along
+    updateBomb(projectileId, projectile, lifetime) {
+        const bomb = projectile.bomb;
+        if (!bomb.armed && lifetime && lifetime.elapsed >= bomb.armTime) {
+            const physics = this.entityManager.getComponent(projectileId, 'physics');
+            if (physics) {
+                physics.mass = bomb.mass;
+            }
+            bomb.armed = true;
+        }
+        
+        if (this.bombTouchesTarget(projectileId, projectile)) {
+            this.detonateBomb(projectileId, projectile);
+        }
+    }
+    
+    // Bombs go off early against an enemy ship or a planet's surface
+    bombTouchesTarget(projectileId, projectile) {
+        const transform = this.entityManager.getComponent(projectileId, 'transform');
+        if (!transform) return false;
+        
+        const targets = [...this.getHostileIds(projectile.ownerId), ...this.entityManager.getEntitiesByType('planet')];
+        return targets.some(entityId => {
+            const targetTransform = this.entityManager.getComponent(entityId, 'transform');
+            const physics = this.entityManager.getComponent(entityId, 'physics');
+            if (!targetTransform || !physics) return false;
+            
+            const reach = projectile.bomb.triggerRadius + physics.radius;
+            const dx = targetTransform.x - transform.x;
+            const dy = targetTransform.y - transform.y;
+            return dx * dx + dy * dy < reach * reach;
+        });
+    }
+    
+    detonateBomb(projectileId, projectile) {
+        const transform = this.entityManager.getComponent(projectileId, 'transform');
+        if (!transform) return;
+        const { x, y } = transform;
+        
+        this.eventBus.emit('AREA_DAMAGE', {
+            x: x,
+            y: y,
+            radius: projectile.bomb.radius,
+            damage: projectile.bomb.damage,
+            sourceId: projectile.ownerId,
+            options: {
+                falloff: true,
+                knockback: 300,
+                damageType: 'gravityBomb'
+            }
         });
+        
+        this.eventBus.emit('GRAVITY_BOMB_DETONATED', {
+            ownerId: projectile.ownerId,
+            position: { x, y },
+            radius: projectile.bomb.radius
+        });
+        this.eventBus.emit('AUDIO_PLAY', { sound: 'explosion' });
+        
+        this.projectiles.delete(projectileId);
+        this.eventBus.emit('DESTROY_ENTITY', {
+            entityId: projectileId
+        });
+    }
+    
+    fireExtraBarrels(shooterId, barrels, x, y, angle, speed, damage, size, isCharged) {
+        const spacing = 18;
+        for (let barrel = 1; barrel < barrels; barrel++) {
+            this.spawnProjectile(
+                shooterId,
+                x - Math.sin(angle) * spacing * barrel,
+                y + Math.cos(angle) * spacing * barrel,
+                angle, speed, damage, size, isCharged
+            );
+        }
+    }
+    
+    // Player shots pass through the weapon mod pipeline on their way to the factory; everyone else's fly as they are
+    spawnProjectile(shooterId, x, y, angle, speed, damage, size, isCharged = false, options = {}, extraMods = null) {
+        if (this.playerIds.has(shooterId)) {
+            options = this.weaponModSystem.modifyShot(shooterId, x, y, angle, options, extraMods);
+        }
+        
+        const projectileId = this.entityFactory.createProjectile(shooterId, x, y, angle, speed, damage, size, isCharged, options);
+        this.projectiles.set(projectileId, true);
+        return projectileId;
+    }
+    
+    // A fan of extra bolts alongside the gun; extraMods ride on this volley only
+    fireVolley(data) {
+        if (!this.playerIds.has(data.playerId)) return;
+        const weapon = this.entityManager.getComponent(data.playerId, 'weapon');
+        const transform = this.entityManager.getComponent(data.playerId, 'transform');
+        if (!weapon || !transform) return;
+        
+        const angle = transform.rotation;
+        const spread = data.spread || 0;
+        for (let i = 0; i < data.count; i++) {
+            const shotAngle = data.count > 1 ? angle - spread / 2 + spread * i / (data.count - 1) : angle;
+            this.spawnProjectile(
+                data.playerId,
+                transform.x + Math.cos(shotAngle) * 60,
+                transform.y + Math.sin(shotAngle) * 60,
+                shotAngle, weapon.projectileSpeed, weapon.damage, 6, false,
+                { variant: data.variant },
+                data.mods || null
+            );
+        }
+        
+        this.eventBus.emit('AUDIO_PLAY', { sound: 'shoot' });
     }
     
     handlePlayerShoot(data) {
-        if (!this.playerId) return;
-        const weapon = this.entityManager.getComponent(this.playerId, 'weapon');
+        if (!this.playerIds.has(data.playerId)) return;
+        const weapon = this.entityManager.getComponent(data.playerId, 'weapon');
         if (!weapon || weapon.lastFireTime > 0) return;
         
-        this.fireWeapon(this.playerId, data.angle);
+        // The beam burns while the trigger is held; letting go doesn't fire anything
+        if (weapon.type === 'beam') return;
+        
+        // A venting weapon won't fire, and the charge held through it is lost
+        if (this.isVenting(weapon, this.getWeaponType(data.playerId))) {
+            weapon.chargeTime = 0;
+            return;
+        }
+        
+        this.fireWeapon(data.playerId, data.angle);
     }
     
     handleEnemyShoot(data) {
@@ -113,6 +444,11 @@ class WeaponSystem {
         
         if (!weapon || !transform || !shooterEntity || weapon.lastFireTime > 0) return;
         
+        // Players can swap the blaster for another primary weapon
+        if (weapon.type !== 'basic' && weapon.type in GameConstants.PRIMARY_WEAPONS && this.playerIds.has(shooterId)) {
+            return this.firePrimaryWeapon(shooterId, weapon, transform, angle);
+        }
+        
         // Determine charge bonus
         const chargeLevel = weapon.chargeTime / weapon.maxChargeTime;
         const isCharged = chargeLevel > 0.5;
@@ -137,11 +473,14 @@ class WeaponSystem {
         const spawnY = transform.y + Math.sin(angle) * spawnDistance;
         
         // Create projectile
-        const projectileId = this.entityFactory.createProjectile(
+        const projectileId = this.spawnProjectile(
             shooterId, spawnX, spawnY, angle, speed, damage, size, isCharged
         );
         
-        this.projectiles.set(projectileId, true);
+        // Twin-barrelled hulls fire a second bolt alongside the first
+        if (weapon.barrels > 1) {
+            this.fireExtraBarrels(shooterId, weapon.barrels, spawnX, spawnY, angle, speed, damage, size, isCharged);
+        }
         
         // Simulate weapon recoil
         const recoilForce = 0.5 * (1 + chargeLevel);
@@ -156,6 +495,7 @@ class WeaponSystem {
         // Update weapon state
         weapon.lastFireTime = weapon.fireRate;
         weapon.chargeTime = 0;
+        this.addHeat(shooterId, weapon, 'basic', 1 + chargeLevel * GameConstants.WEAPON_HEAT.CHARGE_HEAT);
         
         // Emit projectile created event
         this.eventBus.emit('PROJECTILE_CREATED', {
@@ -169,7 +509,7 @@ class WeaponSystem {
         this.eventBus.emit('AUDIO_PLAY', { sound: isCharged ? 'explosion' : 'shoot' });
         
         // Add screen shake for powerful shots
-        if (isCharged && shooterId === this.playerId) {
+        if (isCharged && this.playerIds.has(shooterId)) {
             this.eventBus.emit('CAMERA_SHAKE', {
                 duration: 200,
                 intensity: 0.01
@@ -179,6 +519,238 @@ class WeaponSystem {
         return projectileId;
     }
     
+    firePrimaryWeapon(shooterId, weapon, transform, angle) {
+        const primary = GameConstants.PRIMARY_WEAPONS[weapon.type];
+        const chargeLevel = Math.min(1, weapon.chargeTime / weapon.maxChargeTime);
+        const isCharged = chargeLevel > 0.5;
+        
+        const spawnDistance = 60;
+        const spawnX = transform.x + Math.cos(angle) * spawnDistance;
+        const spawnY = transform.y + Math.sin(angle) * spawnDistance;
+        const damage = weapon.damage * primary.damage;
+        const speed = weapon.projectileSpeed * primary.speed;
+        
+        let projectileIds = [];
+        switch (weapon.type) {
+            case 'railgun':
+                projectileIds = this.fireRailgun(shooterId, weapon, primary, spawnX, spawnY, angle, speed, damage, chargeLevel);
+                break;
+            case 'scatter':
+                projectileIds = this.fireScatter(shooterId, primary, spawnX, spawnY, angle, speed, damage, chargeLevel);
+                break;
+            case 'missiles':
+                projectileIds = this.fireMissiles(shooterId, primary, spawnX, spawnY, angle, speed, damage, chargeLevel);
+                break;
+            case 'gravityBomb':
+                projectileIds = this.fireGravityBomb(shooterId, primary, spawnX, spawnY, angle, speed, damage, chargeLevel);
+                break;
+        }
+        // Heavier weapons kick harder
+        const recoilForce = 0.5 * primary.fireRate * (1 + chargeLevel);
+        this.eventBus.emit('FORCE_APPLIED', {
+            entityId: shooterId,
+            force: {
+                x: -Math.cos(angle) * recoilForce,
+                y: -Math.sin(angle) * recoilForce
+            }
+        });
+        
+        weapon.lastFireTime = weapon.fireRate * primary.fireRate;
+        weapon.chargeTime = 0;
+        this.addHeat(shooterId, weapon, weapon.type, 1 + chargeLevel * GameConstants.WEAPON_HEAT.CHARGE_HEAT);
+        
+        this.eventBus.emit('PROJECTILE_CREATED', {
+            projectileId: projectileIds[0],
+            shooterId: shooterId,
+            weapon: weapon.type,
+            isCharged: isCharged,
+            position: { x: spawnX, y: spawnY }
+        });
+        this.eventBus.emit('AUDIO_PLAY', { sound: isCharged ? 'explosion' : 'shoot' });
+        
+        if (isCharged) {
+            this.eventBus.emit('CAMERA_SHAKE', {
+                duration: 200,
+                intensity: 0.01
+            });
+        }
+        
+        return projectileIds[0];
+    }
+    
+    // One piercing slug (per barrel); charge multiplies its damage
+    fireRailgun(shooterId, weapon, primary, x, y, angle, speed, damage, chargeLevel) {
+        const slugDamage = damage * (1 + chargeLevel * primary.chargeBonus);
+        const options = { variant: 'rail', penetrating: true, maxSpeed: speed, trailColor: 0x66ccff };
+        const projectileIds = [];
+        
+        for (let barrel = 0; barrel < (weapon.barrels || 1); barrel++) {
+            projectileIds.push(this.spawnProjectile(
+                shooterId,
+                x - Math.sin(angle) * 18 * barrel,
+                y + Math.cos(angle) * 18 * barrel,
+                angle, speed, slugDamage, primary.size, false, options
+            ));
+        }
+        return projectileIds;
+    }
+    
+    // A fan of short-lived pellets; charge adds pellets and narrows the fan
+    fireScatter(shooterId, primary, x, y, angle, speed, damage, chargeLevel) {
+        const pellets = primary.pellets + Math.floor(chargeLevel * primary.chargePellets);
+        const spread = primary.spread + (primary.chargedSpread - primary.spread) * chargeLevel;
+        const projectileIds = [];
+        
+        for (let i = 0; i < pellets; i++) {
+            const pelletAngle = angle - spread / 2 + spread * i / (pellets - 1);
+            projectileIds.push(this.spawnProjectile(
+                shooterId, x, y, pelletAngle, speed, damage, primary.size, false,
+                { variant: 'pellet', lifetime: primary.lifetime, trailColor: 0xff9933 }
+            ));
+        }
+        return projectileIds;
+    }
+    
+    // Missiles leave in a fan, all locked onto the target nearest the aim
+    fireMissiles(shooterId, primary, x, y, angle, speed, damage, chargeLevel) {
+        const count = primary.missiles + Math.floor(chargeLevel * primary.chargeMissiles);
+        const targetId = this.findLockTarget(shooterId, x, y, angle, primary.lockRange, primary.lockCone);
+        const projectileIds = [];
+        
+        for (let i = 0; i < count; i++) {
+            const launchAngle = count > 1 ? angle - primary.fan / 2 + primary.fan * i / (count - 1) : angle;
+            projectileIds.push(this.spawnProjectile(
+                shooterId, x, y, launchAngle, speed, damage, primary.size, false, {
+                    variant: 'missile',
+                    lifetime: primary.lifetime,
+                    trailColor: 0xff9900,
+                    homing: { targetId, turnRate: primary.turnRate, lockRange: primary.lockRange }
+                }
+            ));
+        }
+        
+        if (targetId !== null) {
+            this.eventBus.emit('MISSILE_LOCK', { playerId: shooterId, targetId });
+        }
+        return projectileIds;
+    }
+    
+    // A slow, massive shell that gravity treats like a small planet until its fuse runs out
+    // Its blast does the damage, so weapon mods leave it alone
+    fireGravityBomb(shooterId, primary, x, y, angle, speed, damage, chargeLevel) {
+        const projectileId = this.entityFactory.createProjectile(
+            shooterId, x, y, angle, speed, 0, primary.size, false, {
+                variant: 'bomb',
+                penetrating: true,
+                lifetime: primary.fuse,
+                trailColor: 0xaa44ff,
+                bomb: {
+                    damage: damage * (1 + chargeLevel),
+                    radius: primary.blastRadius,
+                    triggerRadius: primary.triggerRadius,
+                    mass: primary.mass + primary.chargeMass * chargeLevel,
+                    armTime: primary.armTime,
+                    armed: false
+                }
+            }
+        );
+        this.projectiles.set(projectileId, true);
+        return [projectileId];
+    }
+    
+    isVenting(weapon, type) {
+        return this.heatEnabled && !!weapon.heat && !!weapon.heat[type] && weapon.heat[type].venting;
+    }
+    
+    // Heat lives on the weapon component per primary weapon, so saves carry it along
+    addHeat(playerId, weapon, type, scale) {
+        if (!this.heatEnabled || !this.playerIds.has(playerId)) return;
+        
+        weapon.heat = weapon.heat || {};
+        const state = weapon.heat[type] || (weapon.heat[type] = { level: 0, venting: false });
+        const max = GameConstants.WEAPON_HEAT.MAX;
+        state.level = Math.min(max, state.level + GameConstants.PRIMARY_WEAPONS[type].heat * scale);
+        
+        if (state.level >= max && !state.venting) {
+            state.venting = true;
+            this.eventBus.emit('WEAPON_OVERHEATED', { playerId, weapon: type });
+            this.eventBus.emit('AUDIO_PLAY', { sound: 'vent' });
+        }
+    }
+    
+    // Every weapon on the ship cools, not just the one in hand; a locked one unlocks once it's cold
+    coolWeapons(playerId, weapon, deltaTime) {
+        const heat = GameConstants.WEAPON_HEAT;
+        const cooling = this.getCooling(playerId);
+        
+        Object.entries(weapon.heat).forEach(([type, state]) => {
+            if (state.level === 0) return;
+            
+            const rate = state.venting ? heat.VENT_RATE : heat.DISSIPATION;
+            state.level = Math.max(0, state.level - rate * cooling * deltaTime);
+            
+            if (state.level === 0 && state.venting) {
+                state.venting = false;
+                this.eventBus.emit('WEAPON_VENTED', { playerId, weapon: type });
+            }
+        });
+    }
+    
+    // Shade speeds cooling up, a solar flare slows it down
+    getCooling(playerId) {
+        const heat = GameConstants.WEAPON_HEAT;
+        let cooling = 1;
+        if (this.isInShadow(playerId)) {
+            cooling *= heat.SHADOW_COOLING;
+        }
+        
+        const disaster = this.disasterSystem && this.disasterSystem.currentDisaster;
+        if (disaster && disaster.type === 'solarFlare') {
+            cooling *= heat.FLARE_COOLING;
+        }
+        return cooling;
+    }
+    
+    // Starlight comes from one direction; a planet between the ship and the star shades it
+    isInShadow(entityId) {
+        const transform = this.entityManager.getComponent(entityId, 'transform');
+        if (!transform) return false;
+        
+        const heat = GameConstants.WEAPON_HEAT;
+        return this.entityManager.getEntitiesByType('planet').some(planetId => {
+            const planetTransform = this.entityManager.getComponent(planetId, 'transform');
+            const physics = this.entityManager.getComponent(planetId, 'physics');
+            if (!planetTransform || !physics) return false;
+            
+            const hit = this.rayHitDistance(transform.x, transform.y, heat.SUN_DIRECTION, planetTransform.x, planetTransform.y, physics.radius);
+            return hit !== null && hit < heat.SHADOW_LENGTH;
+        });
+    }
+    
+    // Heat gauge of the weapon in hand, or null when heat is off
+    getHeatUIState(playerId, weapon, type) {
+        if (!this.heatEnabled) return null;
+        
+        const state = weapon && weapon.heat && weapon.heat[type];
+        return {
+            percent: state ? state.level / GameConstants.WEAPON_HEAT.MAX * 100 : 0,
+            venting: !!state && state.venting,
+            shaded: this.isInShadow(playerId)
+        };
+    }
+    
+    // Current weapon for this screen's HUD
+    getUIState(playerId) {
+        const type = this.getWeaponType(playerId);
+        const primary = GameConstants.PRIMARY_WEAPONS[type];
+        return {
+            type: type,
+            name: primary.name,
+            icon: primary.icon,
+            heat: this.getHeatUIState(playerId, this.entityManager.getComponent(playerId, 'weapon'), type)
+        };
+    }
+    
     getProjectileCount() {
         return this.projectiles.size;
     }
@@ -0,0 +1,207 @@
+// WorldSnapshot.js - Full world capture and restore for saved games
+// Every entity with its components, pending timers, RNG positions and per-system state, so a run resumes mid-wave
+
+const WorldSnapshot = {
+    VERSION: 1,
+
+    capture(initializer) {
+        const { entityManager, gameState, scene } = initializer;
+
+        // The save itself is never part of the run options it restarts with, and neither is a live connection
+        const { replay, save, net, ...runConfig } = scene.runConfig || {};
+
+        const entities = [];
+        entityManager.entities.forEach((entity, id) => {
+            if (entity.active) {
+                entities.push(this.captureEntity(initializer, id));
+            }
+        });
+
+        return {
+            version: this.VERSION,
+            seed: initializer.rng.seed,
+            runConfig,
+            stepCount: initializer.stepCount,
+            rng: initializer.rng.getState(),
+            clock: initializer.clock.getSnapshot(),
+            nextEntityId: entityManager.nextId,
+            playerId: gameState.getPlayerId(),
+            playerIds: gameState.playerIds.map(id => id || null),
+            entities,
+            systems: {
+                waves: initializer.waveSystem.getSnapshot(),
+                disaster: initializer.disasterSystem.getSnapshot(),
+                abilities: initializer.abilitySystem.getSnapshot(),
+                shop: initializer.abilityShopSystem.getSnapshot(),
+                upgrades: initializer.upgradeSystem.getCurrentLevels(),
+                physics: initializer.physicsSystem.getSnapshot(),
+                input: initializer.inputSystem.getSnapshot(),
+                versus: initializer.versusSystem.getSnapshot(),
+                missions: initializer.missionSystem.getSnapshot(),
+                endless: initializer.endlessSystem.getSnapshot(),
+                bossRush: initializer.bossRushSystem.getSnapshot(),
+                tutorial: initializer.tutorialSystem.getSnapshot(),
+                defense: initializer.defenseSystem.getSnapshot(),
+                capture: initializer.captureSystem.getSnapshot(),
+                weaponMods: initializer.weaponModSystem.getSnapshot()
+            }
+        };
+    },
+
+    // Expects GameState to be restored already; entities first so systems can look them up
+    restore(initializer, world) {
+        if (!world || world.version !== this.VERSION) {
+            console.error('[WorldSnapshot] Unsupported world snapshot version:', world && world.version);
+            return false;
+        }
+
+        const { entityManager, entityFactory, gameState, scene } = initializer;
+
+        world.entities.forEach(saved => {
+            entityFactory.restoreEntity({ ...saved, components: this.decode(saved.components) });
+
+            if (saved.type === 'projectile') {
+                initializer.weaponSystem.projectiles.set(saved.id, true);
+            }
+        });
+        entityManager.nextId = world.nextEntityId;
+
+        // Worlds saved before co-op only have player 1
+        (world.playerIds || [world.playerId]).forEach((playerId, index) => {
+            gameState.setPlayerId(playerId, index);
+        });
+        scene.player = world.playerId;
+
+        const { systems } = world;
+        initializer.waveSystem.restoreSnapshot(systems.waves);
+        initializer.disasterSystem.restoreSnapshot(systems.disaster);
+        initializer.abilitySystem.restoreSnapshot(systems.abilities);
+        initializer.abilityShopSystem.restoreSnapshot(systems.shop);
+        initializer.upgradeSystem.restoreLevels(systems.upgrades);
+        initializer.physicsSystem.restoreSnapshot(systems.physics);
+        initializer.inputSystem.restoreSnapshot(systems.input);
+        if (systems.versus) {
+            initializer.versusSystem.restoreSnapshot(systems.versus);
+        }
+        if (systems.missions) {
+            initializer.missionSystem.restoreSnapshot(systems.missions);
+        }
+        if (systems.endless) {
+            initializer.endlessSystem.restoreSnapshot(systems.endless);
+        }
+        if (systems.bossRush) {
+            initializer.bossRushSystem.restoreSnapshot(systems.bossRush);
+        }
+        if (systems.tutorial) {
+            initializer.tutorialSystem.restoreSnapshot(systems.tutorial);
+        }
+        if (systems.defense) {
+            initializer.defenseSystem.restoreSnapshot(systems.defense);
+        }
+        if (systems.capture) {
+            initializer.captureSystem.restoreSnapshot(systems.capture);
+        }
+        if (systems.weaponMods) {
+            initializer.weaponModSystem.restoreSnapshot(systems.weaponMods);
+        }
+        initializer.bossSystem.restoreBossPhase();
+
+        initializer.clock.restoreSnapshot(world.clock);
+        initializer.stepCount = world.stepCount;
+
+        // Last, so nothing above can advance a stream past its saved position
+        initializer.rng.setState(world.rng);
+
+        console.log(`[WorldSnapshot] Restored ${world.entities.length} entities at step ${world.stepCount}`);
+        return true;
+    },
+
+    // Tiny map of the saved world for the slot picker: [kind, x, y] with positions scaled to 0-1
+    createThumbnail(world) {
+        const kinds = { planet: 'o', catastrophe: 'c', enemy: 'e', boss: 'b', player: 'p' };
+        const scale = (value, size) => Math.round(value / size * 1000) / 1000;
+
+        return world.entities
+            .filter(saved => kinds[saved.type] && saved.components.transform)
+            .map(saved => [
+                kinds[saved.type],
+                scale(saved.components.transform.x, GameConstants.WORLD.WIDTH),
+                scale(saved.components.transform.y, GameConstants.WORLD.HEIGHT)
+            ]);
+    },
+
+    // Also used to send entities to online clients
+    captureEntity(initializer, id) {
+        const { entityManager, scene } = initializer;
+        const entity = entityManager.entities.get(id);
+
+        const components = {};
+        entity.components.forEach(componentType => {
+            components[componentType] = this.encode(entityManager.getComponent(id, componentType));
+        });
+
+        return {
+            id,
+            type: entity.type,
+            components,
+            body: this.captureBody(scene.sprites.get(id))
+        };
+    },
+
+    captureBody(sprite) {
+        if (!sprite || !sprite.body) return null;
+
+        const body = sprite.body;
+        return {
+            x: body.position.x,
+            y: body.position.y,
+            vx: body.velocity.x,
+            vy: body.velocity.y,
+            angle: body.angle,
+            angularVelocity: body.angularVelocity
+        };
+    },
+
+    // Component data to JSON: Sets and Maps are tagged, game objects and functions are dropped
+    encode(value) {
+        if (value === null || typeof value !== 'object') {
+            return typeof value === 'function' ? undefined : value;
+        }
+        if (value instanceof Set) {
+            return { $set: Array.from(value, item => this.encode(item)) };
+        }
+        if (value instanceof Map) {
+            return { $map: Array.from(value, ([key, item]) => [key, this.encode(item)]) };
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.encode(item));
+        }
+
+        const prototype = Object.getPrototypeOf(value);
+        if (prototype !== Object.prototype && prototype !== null) return undefined;
+
+        const encoded = {};
+        Object.entries(value).forEach(([key, item]) => {
+            const encodedItem = this.encode(item);
+            if (encodedItem !== undefined) {
+                encoded[key] = encodedItem;
+            }
+        });
+        return encoded;
+    },
+
+    decode(value) {
+        if (value === null || typeof value !== 'object') return value;
+        if (Array.isArray(value)) return value.map(item => this.decode(item));
+        if (value.$set) return new Set(value.$set.map(item => this.decode(item)));
+        if (value.$map) return new Map(value.$map.map(([key, item]) => [key, this.decode(item)]));
+
+        const decoded = {};
+        Object.entries(value).forEach(([key, item]) => {
+            decoded[key] = this.decode(item);
+        });
+        return decoded;
+    }
+};
+
+window.WorldSnapshot = WorldSnapshot;
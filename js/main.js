@@ -9,6 +9,47 @@ document.addEventListener('alpine:init', () => {
         energy: 100,
         maxEnergy: 100,
         
+        // Second pilot in co-op (null when playing alone)
+        partner: null,
+        partnerAbilities: [],
+        
+        // Versus scoreboard (null outside versus)
+        versus: null,
+        versusWinner: null,
+        
+        // Endless survival clock (null outside endless)
+        endless: null,
+        
+        // Boss rush fight and split times (null outside boss rush)
+        bossRush: null,
+        
+        // Daily or weekly challenge standing (null outside challenges)
+        challenge: null,
+        
+        // Active run mutators and their score multiplier (null when there are none)
+        mutators: null,
+        
+        // Gravity Lab tools, sliders and spawn choices (null outside the sandbox)
+        sandbox: null,
+        
+        // Current tutorial prompt (null outside the tutorial)
+        tutorial: null,
+        
+        // Home world hull, shield and turrets (null outside planet defense)
+        defense: null,
+        
+        // Planet owners and capture progress (null outside territory control)
+        capture: null,
+        
+        // Stardust paid into the hangar profile (null until a run from the menu is over)
+        hangar: null,
+        
+        // Primary weapon in hand, and the highlighted weapon wheel slice while Q is held (null when closed)
+        weapon: null,
+        weaponWheel: null,
+        weaponMods: [],     // Fitted and lent weapon mods, with their stack counts
+        primaryWeapons: Object.entries(GameConstants.PRIMARY_WEAPONS).map(([type, weapon]) => ({ type, ...weapon })),
+        
         // Game state
         credits: 0,
         score: 0,
@@ -18,6 +59,7 @@ document.addEventListener('alpine:init', () => {
         
         // Mission state
         activeMission: null,
+        missionTimeLeft: null,
         currentWave: 0,
         waveInProgress: false,
         wavePhase: 'IDLE',
@@ -57,6 +99,23 @@ document.addEventListener('alpine:init', () => {
         selectedSlot: null,
         availableAbilities: [],
         playerAbilities: [null, null, null, null],
+        partnerSlots: null,
+        shopPlayer: 0,
+        shopDraft: false,
+        
+        // Replay playback state
+        replay: {
+            active: false,
+            playing: false,
+            speed: 1,
+            step: 0,
+            totalSteps: 0,
+            stepMs: 1000 / 60,
+            seeking: false,
+            finished: false,
+            freeCamera: false
+        },
+        replaySpeeds: [0.25, 0.5, 1, 2, 4],
         
         // Methods
         quickUpgrade(type) {
@@ -90,6 +149,12 @@ document.addEventListener('alpine:init', () => {
             }));
         },
         
+        saveGame() {
+            window.dispatchEvent(new CustomEvent('gameCommand', {
+                detail: { command: 'save' }
+            }));
+        },
+        
         quitToMenu() {
             window.dispatchEvent(new CustomEvent('gameCommand', {
                 detail: { command: 'menu' }
@@ -100,6 +165,15 @@ document.addEventListener('alpine:init', () => {
             this.selectedSlot = index;
         },
         
+        selectShopPlayer(player) {
+            this.shopPlayer = player;
+            this.selectedSlot = null;
+        },
+        
+        shopSlots() {
+            return this.shopPlayer === 1 && this.partnerSlots ? this.partnerSlots : this.playerAbilities;
+        },
+        
         purchaseAbility(abilityId) {
             if (this.selectedSlot === null) return;
             
@@ -107,18 +181,72 @@ document.addEventListener('alpine:init', () => {
                 detail: { 
                     command: 'purchaseAbility',
                     abilityId: abilityId,
-                    slot: this.selectedSlot
+                    slot: this.selectedSlot,
+                    player: this.shopPlayer
                 }
             }));
         },
         
         closeAbilityShop() {
+            // Replays close the shop themselves
+            if (this.replay.active) return;
+            
             this.abilityShopOpen = false;
             window.dispatchEvent(new CustomEvent('gameCommand', {
                 detail: { command: 'closeAbilityShop' }
             }));
         },
         
+        toggleReplayPlaying() {
+            window.dispatchEvent(new CustomEvent('gameCommand', {
+                detail: { command: 'replayToggle' }
+            }));
+        },
+        
+        setReplaySpeed(speed) {
+            window.dispatchEvent(new CustomEvent('gameCommand', {
+                detail: { command: 'replaySpeed', speed }
+            }));
+        },
+        
+        seekReplay(step) {
+            window.dispatchEvent(new CustomEvent('gameCommand', {
+                detail: { command: 'replaySeek', step: parseInt(step, 10) }
+            }));
+        },
+        
+        toggleReplayCamera() {
+            window.dispatchEvent(new CustomEvent('gameCommand', {
+                detail: { command: 'replayCamera' }
+            }));
+        },
+        
+        skipTutorial() {
+            window.dispatchEvent(new CustomEvent('gameCommand', {
+                detail: { command: 'skipTutorial' }
+            }));
+        },
+        
+        sandboxCommand(action, options = {}) {
+            window.dispatchEvent(new CustomEvent('gameCommand', {
+                detail: { command: 'sandbox', action, ...options }
+            }));
+        },
+        
+        formatReplayTime(step) {
+            return this.formatTime(Math.floor(step * this.replay.stepMs / 1000));
+        },
+        
+        // Slices go clockwise from the top, like InputSystem reads them
+        weaponWheelStyle(index) {
+            const angle = -Math.PI / 2 + (Math.PI * 2 * index) / this.primaryWeapons.length;
+            return `left: ${Math.round(Math.cos(angle) * 150)}px; top: ${Math.round(Math.sin(angle) * 150)}px`;
+        },
+        
+        formatTime(seconds) {
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        },
+        
         init() {
             // Listen for game state updates
             window.addEventListener('gameStateUpdate', (event) => {
@@ -149,6 +277,9 @@ document.addEventListener('alpine:init', () => {
                     this.wavePhase = state.mission.phase || 'IDLE';
                     this.enemiesDefeated = state.mission.enemiesDefeated || 0;
                     this.totalEnemies = state.mission.totalEnemies || 0;
+                    if ('timeLeft' in state.mission) {
+                        this.missionTimeLeft = state.mission.timeLeft;
+                    }
                 }
                 
                 // Update upgrades
@@ -185,6 +316,57 @@ document.addEventListener('alpine:init', () => {
                 if (state.abilities) {
                     this.abilities = state.abilities;
                 }
+                if (state.partnerAbilities) {
+                    this.partnerAbilities = state.partnerAbilities;
+                }
+                
+                if ('partner' in state) {
+                    this.partner = state.partner;
+                }
+                if ('versus' in state) {
+                    this.versus = state.versus;
+                }
+                if ('endless' in state) {
+                    this.endless = state.endless;
+                }
+                if ('bossRush' in state) {
+                    this.bossRush = state.bossRush;
+                }
+                if ('challenge' in state) {
+                    this.challenge = state.challenge;
+                }
+                if ('mutators' in state) {
+                    this.mutators = state.mutators;
+                }
+                if ('sandbox' in state) {
+                    this.sandbox = state.sandbox;
+                }
+                if ('tutorial' in state) {
+                    this.tutorial = state.tutorial;
+                }
+                if ('defense' in state) {
+                    this.defense = state.defense;
+                }
+                if ('capture' in state) {
+                    this.capture = state.capture;
+                }
+                if ('hangar' in state) {
+                    this.hangar = state.hangar;
+                }
+                if ('weapon' in state) {
+                    this.weapon = state.weapon;
+                }
+                if ('weaponWheel' in state) {
+                    this.weaponWheel = state.weaponWheel;
+                }
+                if ('weaponMods' in state) {
+                    this.weaponMods = state.weaponMods;
+                }
+                
+                // Update replay controls
+                if (state.replay) {
+                    this.replay = { ...this.replay, ...state.replay };
+                }
             });
             
             // Listen for UI events
@@ -211,17 +393,30 @@ document.addEventListener('alpine:init', () => {
                         this.victory = data.victory;
                         this.wavesCompleted = data.wavesCompleted || 0;
                         this.totalKills = data.totalKills || 0;
+                        this.versusWinner = data.winner !== undefined ? data.winner : null;
                         break;
                         
                     case 'abilityShopOpened':
                         this.abilityShopOpen = true;
                         this.availableAbilities = data.abilities || [];
+                        this.shopDraft = !!data.draft;
                         this.playerAbilities = data.playerSlots || [null, null, null, null];
+                        this.partnerSlots = data.partnerSlots || null;
+                        this.shopPlayer = 0;
                         this.selectedSlot = null;
                         break;
                         
                     case 'abilityPurchased':
-                        this.playerAbilities[data.slot] = data.ability;
+                        // An online host also sees other players' purchases; those stay off its panels
+                        if (data.player === 1 && this.partnerSlots) {
+                            this.partnerSlots[data.slot] = data.ability;
+                        } else if (!data.player) {
+                            this.playerAbilities[data.slot] = data.ability;
+                        }
+                        break;
+                        
+                    case 'abilityShopClosed':
+                        this.abilityShopOpen = false;
                         break;
                 }
             });
@@ -335,7 +530,9 @@ const GameConfig = {
         damage: { base: 10, multiplier: 1.15 },    // Very cheap, slow scaling
         speed: { base: 8, multiplier: 1.12 },      // Cheapest base
         defense: { base: 12, multiplier: 1.18 },   // Slightly more expensive
-        energy: { base: 8, multiplier: 1.12 }      // Same as speed
+        energy: { base: 8, multiplier: 1.12 },     // Same as speed
+        turrets: { base: 30, multiplier: 1.35 },   // Planet defense only
+        shieldRegen: { base: 20, multiplier: 1.25 } // Planet defense only
     },
     
     // Effects settings
@@ -358,10 +555,14 @@ const phaserConfig = {
         default: 'matter',
         matter: {
             gravity: { x: 0, y: 0 },
-            debug: false
+            debug: false,
+            autoUpdate: false // GameScene steps the world on a fixed timestep
         }
     },
     scene: [BootScene, MenuScene, GameScene],
+    input: {
+        gamepad: true // Second co-op pilot can use a controller
+    },
     scale: {
         mode: Phaser.Scale.RESIZE,
         autoCenter: Phaser.Scale.NO_CENTER,
@@ -0,0 +1,171 @@
+// HeadlessEnvironment.js - Browser-like globals for running the game scripts in Node
+// Loads js/ in index.html order into this process once; each run gets fresh window events and storage
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+// Scripts share the main context: a separate vm context routes every global
+// lookup (Math, GameConfig, ...) through interceptors and runs several times slower
+let loaded = false;
+let windowEvents = null;
+let storage = null;
+
+// Script order comes from index.html so the harness never drifts from the browser build
+function readScriptList() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const scripts = [];
+    const pattern = /<script\s+src="(js\/[^"]+)"/g;
+    let match;
+
+    while ((match = pattern.exec(html)) !== null) {
+        scripts.push(match[1]);
+    }
+
+    return scripts;
+}
+
+// In-memory localStorage - each run starts empty
+function createStorage() {
+    const items = new Map();
+
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+        key: (index) => Array.from(items.keys())[index] || null,
+        get length() {
+            return items.size;
+        }
+    };
+}
+
+function createDocumentStub() {
+    const element = () => ({
+        style: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        appendChild() {},
+        removeChild() {},
+        remove() {},
+        setAttribute() {},
+        addEventListener() {},
+        removeEventListener() {},
+        querySelector: () => null,
+        querySelectorAll: () => []
+    });
+
+    return {
+        body: element(),
+        createElement: element,
+        getElementById: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {},
+        removeEventListener() {}
+    };
+}
+
+// Only the Phaser pieces the simulation touches; anything visual stays in the stand-ins
+function createPhaserStub() {
+    class Scene {
+        constructor(config) {
+            this.sys = { settings: config || {} };
+        }
+    }
+
+    return {
+        Scene,
+        WEBGL: 2,
+        Scale: { RESIZE: 3, NO_CENTER: 0 },
+        BlendModes: { NORMAL: 0, ADD: 1, MULTIPLY: 2, SCREEN: 3 },
+        Math: {
+            Distance: {
+                Between: (x1, y1, x2, y2) => Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2)
+            },
+            Angle: {
+                Between: (x1, y1, x2, y2) => Math.atan2(y2 - y1, x2 - x1)
+            },
+            Between: (min, max) => Math.floor(Math.random() * (max - min + 1) + min),
+            FloatBetween: (min, max) => Math.random() * (max - min) + min,
+            Clamp: (value, min, max) => Math.max(min, Math.min(max, value))
+        },
+        Input: {
+            Keyboard: { KeyCodes: {} }
+        }
+    };
+}
+
+function installGlobals() {
+    Object.assign(globalThis, {
+        window: globalThis,
+        document: createDocumentStub(),
+        Phaser: createPhaserStub(),
+        innerWidth: 1920,
+        innerHeight: 1080,
+        location: { search: '', hostname: 'headless' },
+        addEventListener: (...args) => windowEvents.addEventListener(...args),
+        removeEventListener: (...args) => windowEvents.removeEventListener(...args),
+        dispatchEvent: (event) => windowEvents.dispatchEvent(event)
+    });
+
+    Object.defineProperty(globalThis, 'localStorage', {
+        get: () => storage,
+        configurable: true
+    });
+}
+
+function loadScripts() {
+    readScriptList().forEach(script => {
+        const file = path.join(ROOT, script);
+        vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+    });
+}
+
+// Game scripts log freely; keep them quiet unless asked
+function muteConsole(verbose) {
+    const original = {
+        log: console.log,
+        info: console.info,
+        warn: console.warn,
+        debug: console.debug
+    };
+
+    if (!verbose) {
+        const quiet = () => {};
+        console.log = quiet;
+        console.info = quiet;
+        console.warn = quiet;
+        console.debug = quiet;
+    }
+
+    return () => Object.assign(console, original);
+}
+
+// Prepare globals for a new run (scripts are only evaluated the first time)
+function createEnvironment(options = {}) {
+    windowEvents = new EventTarget();
+    storage = createStorage();
+
+    const restoreConsole = muteConsole(options.verbose);
+
+    if (!loaded) {
+        installGlobals();
+        loadScripts();
+        loaded = true;
+    }
+
+    return {
+        context: globalThis,
+        // Top-level class declarations aren't properties of the global object
+        resolve: (name) => vm.runInThisContext(name),
+        dispose: restoreConsole
+    };
+}
+
+module.exports = {
+    createEnvironment,
+    readScriptList
+};
@@ -0,0 +1,97 @@
+// HeadlessIO.js - Stand-ins for the render, input, audio and UI systems
+// Rendering keeps only the body -> transform sync the simulation depends on; input comes from a bot
+
+function createIOClasses(env) {
+    const RenderSystem = env.resolve('RenderSystem');
+    const InputSystem = env.resolve('InputSystem');
+
+    class HeadlessRenderSystem extends RenderSystem {
+        init() {
+            this.playerId = this.scene.gameState ? this.scene.gameState.getPlayerId() : null;
+
+            // Sprites still have to go when their entity does
+            this.eventBus.on('DESTROY_ENTITY', (data) => {
+                this.destroySprite(data.entityId);
+            });
+        }
+
+        destroySprite(entityId) {
+            const sprite = this.scene.sprites.get(entityId);
+            if (sprite) {
+                sprite.destroy();
+                this.scene.sprites.delete(entityId);
+            }
+            this.scene.trails.delete(entityId);
+        }
+
+        // Nothing is drawn, so there is nothing to interpolate
+        capturePreviousTransforms() {}
+        setInterpolationAlpha() {}
+        update() {}
+        createEnvironment() {}
+        assignEntityTexture() {}
+        destroy() {}
+    }
+
+    // Real InputSystem step logic, with frames sampled from a bot instead of devices
+    class BotInputSystem extends InputSystem {
+        // One bot per pilot; co-op runs pass two
+        constructor(scene, eventBus, entityManager, gameState, bots) {
+            super(scene, eventBus, entityManager, gameState);
+            this.bots = bots;
+        }
+
+        init() {
+            this.createPilots();
+        }
+
+        sampleFrame(pilot) {
+            const frame = this.bots[pilot.index].sampleFrame(this, this.stepIndex - 1, pilot);
+
+            return {
+                moveX: InputSystem.quantize(frame.moveX || 0),
+                moveY: InputSystem.quantize(frame.moveY || 0),
+                aim: InputSystem.quantize(frame.aim !== undefined ? frame.aim : pilot.aimAngle),
+                fire: !!frame.fire,
+                boost: !!frame.boost,
+                dash: !!frame.dash,
+                actions: frame.actions || []
+            };
+        }
+
+        isCharging() {
+            return false;
+        }
+
+        destroy() {}
+    }
+
+    class HeadlessAudioManager {
+        init() {}
+        play() {}
+        playSound() {}
+        playMusic() {}
+        stopMusic() {}
+        setMute() {}
+        destroy() {}
+    }
+
+    class HeadlessUIManager {
+        init() {}
+        update() {}
+        showGameOver() {}
+        showMessage() {}
+        destroy() {}
+    }
+
+    return {
+        HeadlessRenderSystem,
+        BotInputSystem,
+        HeadlessAudioManager,
+        HeadlessUIManager
+    };
+}
+
+module.exports = {
+    createIOClasses
+};
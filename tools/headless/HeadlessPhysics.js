@@ -0,0 +1,395 @@
+// HeadlessPhysics.js - Minimal stand-in for Phaser's Matter plugin
+// Circle bodies integrated the way Matter does it (per-step velocity, air friction, forces) with simple contact solving
+
+const BASE_DELTA = 1000 / 60; // Matter's reference step
+
+class HeadlessBody {
+    constructor(x, y) {
+        this.position = { x, y };
+        this.velocity = { x: 0, y: 0 };
+        this.force = { x: 0, y: 0 };
+        this.angle = 0;
+        this.angularVelocity = 0;
+        this.circleRadius = 16;
+        this.mass = 1;
+        this.frictionAir = 0.01;
+        this.friction = 0.1;
+        this.restitution = 0;
+        this.isSensor = false;
+        this.isStatic = false;
+        this.gameObject = null;
+    }
+
+    update(deltaMs) {
+        if (this.isStatic) return;
+
+        const frictionAir = 1 - this.frictionAir * (deltaMs / BASE_DELTA);
+        const deltaSquared = deltaMs * deltaMs;
+
+        this.velocity.x = this.velocity.x * frictionAir + (this.force.x / this.mass) * deltaSquared;
+        this.velocity.y = this.velocity.y * frictionAir + (this.force.y / this.mass) * deltaSquared;
+        this.position.x += this.velocity.x;
+        this.position.y += this.velocity.y;
+
+        this.angularVelocity *= frictionAir;
+        this.angle += this.angularVelocity;
+
+        this.force.x = 0;
+        this.force.y = 0;
+    }
+}
+
+class HeadlessGroup {
+    constructor() {
+        this.members = new Set();
+    }
+
+    get children() {
+        const entries = Array.from(this.members);
+        return { entries, size: entries.length };
+    }
+
+    add(gameObject) {
+        this.members.add(gameObject);
+        gameObject.groups = gameObject.groups || [];
+        gameObject.groups.push(this);
+        return this;
+    }
+
+    remove(gameObject) {
+        this.members.delete(gameObject);
+        return this;
+    }
+
+    clear() {
+        this.members.clear();
+    }
+
+    destroy() {
+        this.members.clear();
+    }
+}
+
+// Matter sprite: position/rotation live on the body, everything visual is a no-op
+class HeadlessSprite {
+    constructor(world, x, y, texture) {
+        this.world = world;
+        this.texture = texture;
+        this.body = new HeadlessBody(x, y);
+        this.body.gameObject = this;
+        this.active = true;
+        this.visible = true;
+        this.alpha = 1;
+        this.scaleX = 1;
+        this.scaleY = 1;
+        this.depth = 0;
+        this.data = new Map();
+        this.groups = [];
+    }
+
+    get x() {
+        return this.body.position.x;
+    }
+
+    set x(value) {
+        this.body.position.x = value;
+    }
+
+    get y() {
+        return this.body.position.y;
+    }
+
+    set y(value) {
+        this.body.position.y = value;
+    }
+
+    get rotation() {
+        return this.body.angle;
+    }
+
+    set rotation(value) {
+        this.body.angle = value;
+    }
+
+    get scale() {
+        return this.scaleX;
+    }
+
+    setCircle(radius) {
+        this.body.circleRadius = radius;
+        this.body.mass = Math.PI * radius * radius * 0.001; // Matter's default density
+        return this;
+    }
+
+    // Matter rescales the body (and its area-based mass) along with the sprite
+    setScale(x, y = x) {
+        const factor = x / this.scaleX;
+        this.body.circleRadius *= factor;
+        this.body.mass *= factor * factor;
+        this.scaleX = x;
+        this.scaleY = y;
+        return this;
+    }
+
+    setMass(mass) {
+        this.body.mass = mass;
+        return this;
+    }
+
+    setFriction(friction, air) {
+        this.body.friction = friction;
+        if (air !== undefined) this.body.frictionAir = air;
+        return this;
+    }
+
+    setFrictionAir(value) {
+        this.body.frictionAir = value;
+        return this;
+    }
+
+    setBounce(value) {
+        this.body.restitution = value;
+        return this;
+    }
+
+    setSensor(value) {
+        this.body.isSensor = value;
+        return this;
+    }
+
+    setStatic(value) {
+        this.body.isStatic = value;
+        return this;
+    }
+
+    setVelocity(x, y = x) {
+        this.body.velocity.x = x;
+        this.body.velocity.y = y;
+        return this;
+    }
+
+    setVelocityX(x) {
+        this.body.velocity.x = x;
+        return this;
+    }
+
+    setVelocityY(y) {
+        this.body.velocity.y = y;
+        return this;
+    }
+
+    setAngularVelocity(value) {
+        this.body.angularVelocity = value;
+        return this;
+    }
+
+    applyForce(force) {
+        this.body.force.x += force.x;
+        this.body.force.y += force.y;
+        return this;
+    }
+
+    setPosition(x, y = x) {
+        this.body.position.x = x;
+        this.body.position.y = y;
+        return this;
+    }
+
+    setRotation(angle = 0) {
+        this.body.angle = angle;
+        return this;
+    }
+
+    setAngle(degrees = 0) {
+        this.body.angle = degrees * Math.PI / 180;
+        return this;
+    }
+
+    setData(key, value) {
+        this.data.set(key, value);
+        return this;
+    }
+
+    getData(key) {
+        return this.data.get(key);
+    }
+
+    setAlpha(alpha) {
+        this.alpha = alpha;
+        return this;
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        return this;
+    }
+
+    setDepth(depth) {
+        this.depth = depth;
+        return this;
+    }
+
+    setTexture(texture) {
+        this.texture = texture;
+        return this;
+    }
+
+    setTint() {
+        return this;
+    }
+
+    clearTint() {
+        return this;
+    }
+
+    setOrigin() {
+        return this;
+    }
+
+    setBlendMode() {
+        return this;
+    }
+
+    destroy() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.world.remove(this);
+        this.groups.forEach(group => group.remove(this));
+        this.groups = [];
+        this.body = null;
+    }
+}
+
+class HeadlessMatterWorld {
+    constructor() {
+        this.sprites = new Set();
+        this.paused = false;
+        this.bounds = null;
+    }
+
+    step(deltaMs = BASE_DELTA) {
+        this.sprites.forEach(sprite => {
+            if (sprite.body) {
+                sprite.body.update(deltaMs);
+            }
+        });
+
+        this.resolveContacts();
+    }
+
+    // Solid bodies (planets, ships) push apart and bounce instead of passing through each other
+    resolveContacts() {
+        const bodies = [];
+        this.sprites.forEach(sprite => {
+            if (sprite.body && !sprite.body.isSensor) {
+                bodies.push(sprite.body);
+            }
+        });
+
+        // Sweep along x so only bodies with overlapping extents get the full test
+        bodies.sort((a, b) => (a.position.x - a.circleRadius) - (b.position.x - b.circleRadius));
+
+        for (let i = 0; i < bodies.length; i++) {
+            const bodyA = bodies[i];
+            const maxX = bodyA.position.x + bodyA.circleRadius;
+
+            for (let j = i + 1; j < bodies.length; j++) {
+                const bodyB = bodies[j];
+                if (bodyB.position.x - bodyB.circleRadius > maxX) break;
+
+                this.resolvePair(bodyA, bodyB);
+            }
+        }
+    }
+
+    resolvePair(bodyA, bodyB) {
+        const inverseMassA = bodyA.isStatic ? 0 : 1 / bodyA.mass;
+        const inverseMassB = bodyB.isStatic ? 0 : 1 / bodyB.mass;
+        const inverseMassSum = inverseMassA + inverseMassB;
+        if (inverseMassSum === 0) return;
+
+        const dx = bodyB.position.x - bodyA.position.x;
+        const dy = bodyB.position.y - bodyA.position.y;
+        const radii = bodyA.circleRadius + bodyB.circleRadius;
+        const distSq = dx * dx + dy * dy;
+        if (distSq >= radii * radii || distSq === 0) return;
+
+        const dist = Math.sqrt(distSq);
+        const normalX = dx / dist;
+        const normalY = dy / dist;
+
+        // Push out along the normal, lighter body moves further
+        const correction = (radii - dist) / inverseMassSum;
+        bodyA.position.x -= normalX * correction * inverseMassA;
+        bodyA.position.y -= normalY * correction * inverseMassA;
+        bodyB.position.x += normalX * correction * inverseMassB;
+        bodyB.position.y += normalY * correction * inverseMassB;
+
+        // Bounce only if still approaching; Matter uses the bouncier of the two
+        const approach = (bodyB.velocity.x - bodyA.velocity.x) * normalX +
+                         (bodyB.velocity.y - bodyA.velocity.y) * normalY;
+        if (approach >= 0) return;
+
+        const restitution = Math.max(bodyA.restitution, bodyB.restitution);
+        const impulse = -(1 + restitution) * approach / inverseMassSum;
+        bodyA.velocity.x -= normalX * impulse * inverseMassA;
+        bodyA.velocity.y -= normalY * impulse * inverseMassA;
+        bodyB.velocity.x += normalX * impulse * inverseMassB;
+        bodyB.velocity.y += normalY * impulse * inverseMassB;
+    }
+
+    remove(sprite) {
+        this.sprites.delete(sprite);
+    }
+
+    setBounds(x, y, width, height) {
+        this.bounds = { x, y, width, height };
+    }
+
+    setGravity() {}
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+}
+
+// Drop-in for scene.matter
+class HeadlessMatter {
+    constructor() {
+        this.world = new HeadlessMatterWorld();
+
+        this.add = {
+            sprite: (x, y, texture) => {
+                const sprite = new HeadlessSprite(this.world, x, y, texture);
+                this.world.sprites.add(sprite);
+                return sprite;
+            }
+        };
+
+        this.collision = {
+            // Circle overlap - every factory body is a circle
+            collides: (bodyA, bodyB) => {
+                if (!bodyA || !bodyB) return null;
+
+                const dx = bodyB.position.x - bodyA.position.x;
+                const dy = bodyB.position.y - bodyA.position.y;
+                const radii = bodyA.circleRadius + bodyB.circleRadius;
+
+                if (dx * dx + dy * dy > radii * radii) return null;
+                return { collided: true, bodyA, bodyB };
+            }
+        };
+    }
+}
+
+module.exports = {
+    HeadlessBody,
+    HeadlessGroup,
+    HeadlessSprite,
+    HeadlessMatter
+};
@@ -0,0 +1,176 @@
+// HeadlessRunner.js - Runs one complete game without Phaser, canvas or a browser
+// Each run gets fresh window events and storage, steps the real simulation on the fixed timestep and returns a summary
+
+const { createEnvironment } = require('./HeadlessEnvironment');
+const { createHeadlessSceneClass } = require('./HeadlessScene');
+const { createIOClasses } = require('./HeadlessIO');
+const { createBot } = require('./bots');
+
+const DEFAULTS = {
+    seed: null,
+    bot: 'kite',
+    botOptions: {},
+    waves: 0,            // Stop after this many completed waves (0 = play until death)
+    maxMinutes: 30,      // Simulated time limit
+    upgradeInterval: 60, // Steps between upgrade decisions
+    runConfig: {},
+    verbose: false
+};
+
+function runGame(userOptions = {}) {
+    const options = { ...DEFAULTS, ...userOptions };
+    const env = createEnvironment({ verbose: options.verbose });
+    const { SeededRandom, RandomService, GameConstants } = env.context;
+
+    const seed = options.seed === null || options.seed === undefined
+        ? RandomService.generateSeed()
+        : RandomService.normalizeSeed(options.seed);
+
+    // The bot rolls on its own stream so it never shifts the game's random sequence
+    const bot = createBot(options.bot, new SeededRandom(seed ^ RandomService.hashString('bot')), options.botOptions);
+    const bots = [bot];
+    if (options.runConfig.coop || options.runConfig.versus) {
+        bots.push(createBot(options.bot, new SeededRandom(seed ^ RandomService.hashString('bot2')), options.botOptions));
+    }
+
+    const io = createIOClasses(env);
+    const HeadlessScene = createHeadlessSceneClass(env, (scene, initializer) => ({
+        renderSystem: new io.HeadlessRenderSystem(scene, initializer.eventBus, initializer.entityManager),
+        inputSystem: new io.BotInputSystem(scene, initializer.eventBus, initializer.entityManager, initializer.gameState, bots),
+        audioManager: new io.HeadlessAudioManager(),
+        uiManager: new io.HeadlessUIManager()
+    }));
+
+    // Shop prompts arrive as UI events, same as in the browser
+    let pendingShop = null;
+    env.context.addEventListener('uiEvent', (event) => {
+        if (event.detail && event.detail.type === 'abilityShopOpened') {
+            pendingShop = event.detail;
+        }
+    });
+
+    const scene = new HeadlessScene();
+    scene.init({ ...options.runConfig, seed });
+    scene.create();
+
+    const initializer = scene.gameInitializer;
+    const { eventBus, gameState } = initializer;
+
+    const stats = {
+        wavesCompleted: 0,
+        bossesDefeated: 0,
+        abilitiesBought: 0,
+        upgradesBought: 0
+    };
+    eventBus.on('WAVE_COMPLETED', () => stats.wavesCompleted++);
+    eventBus.on('BOSS_DEFEATED', () => stats.bossesDefeated++);
+    eventBus.on('ABILITY_PURCHASED', () => stats.abilitiesBought++);
+    eventBus.on('UPGRADE_SUCCESS', () => stats.upgradesBought++);
+
+    const stepMs = GameConstants.PHYSICS.FIXED_TIMESTEP;
+    const maxSteps = Math.round(options.maxMinutes * 60000 / stepMs);
+    const startedAt = Date.now();
+    let steps = 0;
+    let outcome = 'timeLimit';
+
+    while (steps < maxSteps) {
+        if (gameState.get('game.gameOver')) {
+            outcome = 'gameOver';
+            break;
+        }
+
+        if (options.waves > 0 && stats.wavesCompleted >= options.waves) {
+            outcome = 'waveTarget';
+            break;
+        }
+
+        // Answer the shop between steps, like players clicking through the overlay
+        if (pendingShop) {
+            bots.forEach((shopper, player) => {
+                shopper.chooseShopPurchases(pendingShop, player).forEach(command => scene.handleUICommand(command));
+            });
+            scene.handleUICommand({ command: 'closeAbilityShop' });
+            pendingShop = null;
+        }
+
+        // Nothing else should pause a headless run
+        if (gameState.get('game.paused')) {
+            outcome = 'stuck';
+            break;
+        }
+
+        if (steps % options.upgradeInterval === 0) {
+            bot.chooseUpgrades(initializer).forEach(command => scene.handleUICommand(command));
+        }
+
+        scene.fixedUpdate(stepMs);
+        steps++;
+    }
+
+    const wallMs = Date.now() - startedAt;
+    const summary = {
+        seed,
+        bot: options.bot,
+        outcome,
+        wave: gameState.get('waves.current'),
+        wavesCompleted: stats.wavesCompleted,
+        bossesDefeated: stats.bossesDefeated,
+        kills: gameState.get('game.totalKills'),
+        score: gameState.get('game.score'),
+        credits: gameState.get('game.credits'),
+        health: Math.max(0, Math.round(gameState.get('player.health'))),
+        abilitiesBought: stats.abilitiesBought,
+        upgradesBought: stats.upgradesBought,
+        roundWins: initializer.versusSystem.active ? initializer.versusSystem.roundWins.slice() : null,
+        mission: initializer.missionSystem.active ? initializer.missionSystem.missionIndex + 1 : null,
+        survived: initializer.endlessSystem.active ? Math.floor(initializer.endlessSystem.elapsed / 1000) : null,
+        splits: initializer.bossRushSystem.active ? initializer.bossRushSystem.splits.map(split => Math.round(split.time / 100) / 10) : null,
+        homeWorld: initializer.defenseSystem.active ? Math.round(initializer.defenseSystem.getUIState().health) : null,
+        territory: initializer.captureSystem.active ? initializer.captureSystem.getUIState().planets.map(planet => planet.owner || '-').join('/') : null,
+        simSeconds: Math.round(steps * stepMs / 10) / 100,
+        steps,
+        wallMs,
+        stepsPerSecond: Math.round(steps / Math.max(wallMs, 1) * 1000),
+        stateHash: hashWorldState(env, initializer)
+    };
+
+    scene.shutdown();
+    env.dispose();
+
+    return summary;
+}
+
+// Fingerprint of the final world - identical seeds and bots must produce identical hashes
+function hashWorldState(env, initializer) {
+    const { entityManager, gameState } = initializer;
+    const round = (value) => Math.round(value * 1000) / 1000;
+    const entities = [];
+
+    entityManager.entities.forEach((entity, entityId) => {
+        const transform = entityManager.getComponent(entityId, 'transform');
+        const health = entityManager.getComponent(entityId, 'health');
+        entities.push([
+            entityId,
+            entity.type,
+            transform ? round(transform.x) : null,
+            transform ? round(transform.y) : null,
+            health ? round(health.current) : null
+        ]);
+    });
+
+    const state = [
+        initializer.stepCount,
+        gameState.get('game.score'),
+        gameState.get('game.credits'),
+        gameState.get('game.totalKills'),
+        gameState.get('waves.current'),
+        entities
+    ];
+
+    return env.context.RandomService.hashString(JSON.stringify(state)).toString(16).padStart(8, '0');
+}
+
+module.exports = {
+    runGame,
+    DEFAULTS
+};
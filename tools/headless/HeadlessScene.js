@@ -0,0 +1,177 @@
+// HeadlessScene.js - GameScene running on stubbed Phaser services
+// Reuses the real GameScene flow (entities, waves, UI commands) and swaps the I/O systems for stand-ins
+
+const { HeadlessGroup, HeadlessMatter } = require('./HeadlessPhysics');
+
+// Visual-only game object: tracks position/active, swallows every other call
+function createDisplayObject(x = 0, y = 0) {
+    const target = {
+        x,
+        y,
+        active: true,
+        visible: true,
+        alpha: 1,
+        scale: 1,
+        destroy() {
+            target.active = false;
+        }
+    };
+
+    const proxy = new Proxy(target, {
+        get(obj, key) {
+            if (key in obj) return obj[key];
+            if (typeof key === 'symbol') return undefined;
+            return () => proxy;
+        }
+    });
+
+    return proxy;
+}
+
+function createEmitter() {
+    const handlers = new Map();
+
+    const emitter = {
+        on(event, handler, context) {
+            if (!handlers.has(event)) handlers.set(event, []);
+            handlers.get(event).push({ handler, context, once: false });
+            return emitter;
+        },
+        once(event, handler, context) {
+            if (!handlers.has(event)) handlers.set(event, []);
+            handlers.get(event).push({ handler, context, once: true });
+            return emitter;
+        },
+        off(event, handler) {
+            if (!handlers.has(event)) return emitter;
+            handlers.set(event, handlers.get(event).filter(entry => handler && entry.handler !== handler));
+            return emitter;
+        },
+        emit(event, ...args) {
+            const entries = handlers.get(event) || [];
+            handlers.set(event, entries.filter(entry => !entry.once));
+            entries.forEach(entry => entry.handler.apply(entry.context, args));
+            return emitter;
+        }
+    };
+
+    return emitter;
+}
+
+function createCameraStub(width, height) {
+    return {
+        width,
+        height,
+        zoom: 1,
+        scrollX: 0,
+        scrollY: 0,
+        startFollow() {},
+        stopFollow() {},
+        setZoom(zoom) {
+            this.zoom = zoom;
+        },
+        setBounds() {},
+        shake() {},
+        flash() {},
+        fade() {},
+        fadeIn() {},
+        fadeOut() {},
+        once() {},
+        getWorldPoint: (x, y) => ({ x, y })
+    };
+}
+
+// Build the scene class against a loaded environment (GameScene is a global lexical binding, not a window property)
+function createHeadlessSceneClass(env, createIOSystems) {
+    const GameScene = env.resolve('GameScene');
+    const width = 1920;
+    const height = 1080;
+
+    return class HeadlessScene extends GameScene {
+        constructor() {
+            super();
+
+            this.matter = new HeadlessMatter();
+            this.events = createEmitter();
+            this.cameras = { main: createCameraStub(width, height) };
+            this.sound = { mute: true, play() {}, add: () => createDisplayObject() };
+            this.sys = {
+                settings: {},
+                game: {
+                    config: { width, height },
+                    device: { input: { touch: false } }
+                }
+            };
+
+            this.add = {
+                group: () => new HeadlessGroup(),
+                circle: (x, y) => createDisplayObject(x, y),
+                rectangle: (x, y) => createDisplayObject(x, y),
+                graphics: () => createDisplayObject(),
+                text: (x, y) => createDisplayObject(x, y),
+                image: (x, y) => createDisplayObject(x, y),
+                sprite: (x, y) => createDisplayObject(x, y),
+                particles: () => createDisplayObject()
+            };
+
+            // Tweens are cosmetic - finish them immediately so completion callbacks still clean up
+            this.tweens = {
+                add: (config) => {
+                    if (config.onComplete && !config.repeat) {
+                        config.onComplete();
+                    }
+                    return createDisplayObject();
+                },
+                killTweensOf() {}
+            };
+
+            // Wall-clock timers run on simulation time here
+            this.time = {
+                now: 0,
+                delayedCall: (delay, callback) => this.gameInitializer.clock.delayedCall(delay, callback),
+                addEvent: () => ({ remove() {} })
+            };
+
+            this.input = {
+                keyboard: { addKey: () => createEmitter(), addKeys: () => ({}), on() {} },
+                mouse: { locked: false, releasePointerLock() {} },
+                activePointer: { x: 0, y: 0, isDown: false, prevPosition: { x: 0, y: 0 } },
+                on() {}
+            };
+
+            // ScenePlugin calls only record the request; the runner decides what to do with it
+            this.scene = {
+                restart: (data) => {
+                    this.exitRequest = { type: 'restart', data };
+                },
+                start: (key, data) => {
+                    this.exitRequest = { type: 'start', key, data };
+                },
+                stop: () => {}
+            };
+
+            this.exitRequest = null;
+        }
+
+        createIOSystems(initializer) {
+            return createIOSystems(this, initializer);
+        }
+
+        // No HUD to feed
+        startUIUpdates() {}
+
+        fixedUpdate(stepMs) {
+            super.fixedUpdate(stepMs);
+            this.time.now = this.gameInitializer.clock.now;
+        }
+
+        shutdown() {
+            this.events.emit('shutdown');
+        }
+    };
+}
+
+module.exports = {
+    createHeadlessSceneClass,
+    createDisplayObject
+};
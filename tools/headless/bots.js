@@ -0,0 +1,175 @@
+// bots.js - Scripted players for headless runs
+// A bot turns world state into input frames and answers the upgrade/shop prompts between steps
+
+const HOSTILE_TYPES = ['enemy', 'boss'];
+const UPGRADE_TYPES = ['damage', 'defense', 'speed', 'energy'];
+
+// Stands still and never shoots - baseline for "how long do the waves take to kill you"
+class IdleBot {
+    constructor(rng) {
+        this.rng = rng;
+    }
+
+    sampleFrame() {
+        return {};
+    }
+
+    chooseUpgrades() {
+        return [];
+    }
+
+    chooseShopPurchases() {
+        return [];
+    }
+}
+
+// Keeps enemies at range, charges shots at the nearest one and spends credits as they come
+class KiteBot {
+    constructor(rng, options = {}) {
+        this.rng = rng;
+        this.preferredRange = options.preferredRange || 700;
+        this.chargeSteps = options.chargeSteps || 12;
+        this.strafeDirection = 1;
+        this.nextStrafeFlip = 0;
+    }
+
+    findNearestHostile(input, x, y, pilot) {
+        let nearest = null;
+        let nearestDistSq = Infinity;
+
+        // In versus the other player ships are the enemy
+        const types = input.scene.runConfig.versus ? [...HOSTILE_TYPES, 'player'] : HOSTILE_TYPES;
+
+        types.forEach(type => {
+            input.entityManager.getEntitiesByType(type).forEach(entityId => {
+                if (entityId === pilot.playerId) return;
+
+                const transform = input.entityManager.getComponent(entityId, 'transform');
+                if (!transform) return;
+
+                const dx = transform.x - x;
+                const dy = transform.y - y;
+                const distSq = dx * dx + dy * dy;
+                if (distSq < nearestDistSq) {
+                    nearestDistSq = distSq;
+                    nearest = { entityId, x: transform.x, y: transform.y, dist: Math.sqrt(distSq) };
+                }
+            });
+        });
+
+        return nearest;
+    }
+
+    sampleFrame(input, step, pilot) {
+        const player = input.entityManager.getComponent(pilot.playerId, 'transform');
+        if (!player) return {};
+
+        const target = this.findNearestHostile(input, player.x, player.y, pilot);
+        if (!target) return { actions: this.chooseAbilities(input, step, false, pilot) };
+
+        const dx = (target.x - player.x) / (target.dist || 1);
+        const dy = (target.y - player.y) / (target.dist || 1);
+
+        // Lead the target the same way the AI gunners do
+        const weapon = input.entityManager.getComponent(pilot.playerId, 'weapon');
+        const targetPhysics = input.entityManager.getComponent(target.entityId, 'physics');
+        let aimX = target.x;
+        let aimY = target.y;
+        if (weapon && targetPhysics) {
+            const leadTime = target.dist / weapon.projectileSpeed;
+            aimX += targetPhysics.velocity.x * leadTime;
+            aimY += targetPhysics.velocity.y * leadTime;
+        }
+
+        // Flip strafe direction every few seconds so we don't orbit into a planet forever
+        if (step >= this.nextStrafeFlip) {
+            this.strafeDirection = this.rng.sign();
+            this.nextStrafeFlip = step + this.rng.int(120, 300);
+        }
+
+        let moveX;
+        let moveY;
+        if (target.dist < this.preferredRange - 200) {
+            moveX = -dx;
+            moveY = -dy;
+        } else if (target.dist > this.preferredRange + 300) {
+            moveX = dx;
+            moveY = dy;
+        } else {
+            moveX = -dy * this.strafeDirection;
+            moveY = dx * this.strafeDirection;
+        }
+
+        // Hold to charge, release for one step to fire
+        const inRange = target.dist < 1500;
+        const fire = inRange && (step % (this.chargeSteps + 1)) < this.chargeSteps;
+
+        return {
+            moveX,
+            moveY,
+            aim: Math.atan2(aimY - player.y, aimX - player.x),
+            fire,
+            dash: target.dist < 150 && pilot.dashCooldown <= 0,
+            actions: this.chooseAbilities(input, step, inRange, pilot)
+        };
+    }
+
+    chooseAbilities(input, step, inCombat, pilot) {
+        if (!inCombat || step % 30 !== 0) return [];
+
+        const shop = input.scene.gameInitializer.abilityShopSystem;
+        const energy = input.gameState.get(`${input.gameState.playerKey(pilot.index)}.energy`);
+        const actions = [];
+
+        shop.getSlots(pilot.index).forEach((ability, slot) => {
+            if (ability && ability.currentCooldown <= 0 && energy >= ability.energyCost) {
+                actions.push(['ability', slot]);
+            }
+        });
+
+        return actions.slice(0, 1);
+    }
+
+    // Cheapest upgrade first keeps the build balanced
+    chooseUpgrades(initializer) {
+        const credits = initializer.gameState.get('game.credits');
+        const upgrades = UPGRADE_TYPES
+            .map(type => ({ type, cost: initializer.upgradeSystem.getUpgradeCost(type) }))
+            .sort((a, b) => a.cost - b.cost);
+
+        if (upgrades[0].cost > credits) return [];
+        return [{ command: 'upgrade', upgradeType: upgrades[0].type }];
+    }
+
+    // Most expensive affordable ability into the first free slot
+    chooseShopPurchases(shop, player = 0) {
+        const slots = player > 0 ? shop.partnerSlots : shop.playerSlots;
+        const freeSlot = slots.findIndex(slot => !slot);
+        if (freeSlot === -1) return [];
+
+        const affordable = shop.abilities
+            .filter(ability => ability.cost <= shop.credits)
+            .sort((a, b) => b.cost - a.cost);
+
+        if (affordable.length === 0) return [];
+        return [{ command: 'purchaseAbility', abilityId: affordable[0].id, slot: freeSlot, player }];
+    }
+}
+
+const BOTS = {
+    idle: IdleBot,
+    kite: KiteBot
+};
+
+function createBot(name, rng, options) {
+    const Bot = BOTS[name];
+    if (!Bot) {
+        throw new Error(`Unknown bot "${name}" (available: ${Object.keys(BOTS).join(', ')})`);
+    }
+    return new Bot(rng, options);
+}
+
+module.exports = {
+    BOTS,
+    createBot
+};
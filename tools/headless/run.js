@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+// run.js - Command-line entry point for headless simulation runs
+// Usage: node tools/headless/run.js [--seed N] [--runs N] [--bot kite|idle] [--waves N] [--minutes N] [--coop] [--versus] [--campaign] [--endless] [--boss-rush] [--defense] [--capture] [--mutators a,b] [--json] [--verbose]
+
+const { runGame, DEFAULTS } = require('./HeadlessRunner');
+const { BOTS } = require('./bots');
+
+function parseArgs(argv) {
+    const args = {
+        seed: 1,
+        runs: 1,
+        bot: DEFAULTS.bot,
+        waves: DEFAULTS.waves,
+        maxMinutes: DEFAULTS.maxMinutes,
+        coop: false,
+        versus: false,
+        campaign: false,
+        endless: false,
+        bossRush: false,
+        defense: false,
+        capture: false,
+        mutators: [],
+        json: false,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+
+        switch (arg) {
+            case '--seed': args.seed = Number.isNaN(Number(argv[i + 1])) ? next() : Number(next()); break;
+            case '--runs': args.runs = parseInt(next(), 10); break;
+            case '--bot': args.bot = next(); break;
+            case '--waves': args.waves = parseInt(next(), 10); break;
+            case '--minutes': args.maxMinutes = parseFloat(next()); break;
+            case '--coop': args.coop = true; break;
+            case '--versus': args.versus = true; break;
+            case '--campaign': args.campaign = true; break;
+            case '--endless': args.endless = true; break;
+            case '--boss-rush': args.bossRush = true; break;
+            case '--defense': args.defense = true; break;
+            case '--capture': args.capture = true; break;
+            case '--mutators': args.mutators = next().split(',').filter(Boolean); break;
+            case '--json': args.json = true; break;
+            case '--verbose': args.verbose = true; break;
+            case '--help':
+                console.log('Usage: node tools/headless/run.js [options]');
+                console.log('  --seed N      First run seed (number or string, default 1)');
+                console.log('  --runs N      Number of runs; numeric seeds count up from --seed');
+                console.log(`  --bot NAME    Player bot: ${Object.keys(BOTS).join(', ')} (default ${DEFAULTS.bot})`);
+                console.log('  --waves N     Stop after N completed waves (default: until death)');
+                console.log(`  --minutes N   Simulated time limit per run (default ${DEFAULTS.maxMinutes})`);
+                console.log('  --coop        Two bots play local co-op');
+                console.log('  --versus      Two bots duel in the versus arena');
+                console.log('  --campaign    Play the campaign missions from the first one');
+                console.log('  --endless     Survive the endless director instead of waves');
+                console.log('  --boss-rush   Fight every boss back to back, drafting between fights');
+                console.log('  --defense     Play the waves as planet defense around a home world');
+                console.log('  --capture     Play the waves as territory control over capturable planets');
+                console.log('  --mutators L  Comma-separated run mutators from GameConstants.MUTATORS');
+                console.log('                (a challenge is --seed daily-YYYY-MM-DD plus its mutators)');
+                console.log('  --json        Print one JSON summary per line');
+                console.log('  --verbose     Show game console output');
+                process.exit(0);
+                break;
+            default:
+                console.error(`Unknown option: ${arg}`);
+                process.exit(2);
+        }
+    }
+
+    return args;
+}
+
+function seedForRun(seed, index) {
+    return typeof seed === 'number' ? seed + index : `${seed}-${index}`;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const results = [];
+
+    for (let i = 0; i < args.runs; i++) {
+        const summary = runGame({
+            seed: args.runs === 1 ? args.seed : seedForRun(args.seed, i),
+            bot: args.bot,
+            waves: args.waves,
+            maxMinutes: args.maxMinutes,
+            runConfig: {
+                coop: args.coop,
+                versus: args.versus,
+                campaign: args.campaign ? { start: 0, unlocks: [] } : null,
+                endless: args.endless,
+                bossRush: args.bossRush,
+                defense: args.defense,
+                capture: args.capture,
+                mutators: args.mutators
+            },
+            verbose: args.verbose
+        });
+        results.push(summary);
+
+        if (args.json) {
+            console.log(JSON.stringify(summary));
+        } else {
+            console.log(
+                `seed ${summary.seed}: ${summary.outcome} at wave ${summary.wave} ` +
+                `(${summary.wavesCompleted} cleared, ${summary.bossesDefeated} bosses) ` +
+                `score ${summary.score}, kills ${summary.kills}, ` +
+                (summary.roundWins ? `rounds ${summary.roundWins.join('-')}, ` : '') +
+                (summary.mission ? `mission ${summary.mission}, ` : '') +
+                (summary.survived !== null ? `survived ${summary.survived}s, ` : '') +
+                (summary.splits && summary.splits.length ? `splits ${summary.splits.join('/')}s, ` : '') +
+                (summary.homeWorld !== null ? `home world ${summary.homeWorld}, ` : '') +
+                (summary.territory ? `territory ${summary.territory}, ` : '') +
+                `${summary.simSeconds}s sim ` +
+                `in ${summary.wallMs}ms (${summary.stepsPerSecond} steps/s) hash ${summary.stateHash}`
+            );
+        }
+    }
+
+    if (!args.json && results.length > 1) {
+        const average = (key) => Math.round(results.reduce((sum, r) => sum + r[key], 0) / results.length * 10) / 10;
+        console.log(
+            `\n${results.length} runs: avg wave ${average('wave')}, avg cleared ${average('wavesCompleted')}, ` +
+            `avg score ${average('score')}, avg sim ${average('simSeconds')}s, avg ${average('stepsPerSecond')} steps/s`
+        );
+    }
+}
+
+main();
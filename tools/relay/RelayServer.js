@@ -0,0 +1,200 @@
+// RelayServer.js - Rooms of up to four players that forward each other's messages
+// The relay never runs the game: the player who opens a room hosts it and everyone else talks to the host
+//
+// Client -> relay:  { type: 'join', room, name, create? }   { type: 'send', to?, data }   { type: 'lock' }
+// Relay -> client:  { type: 'joined', id, room, hostId, peers }   { type: 'peerJoined', peer }
+//                   { type: 'peerLeft', id }   { type: 'hostLeft' }   { type: 'message', from, data }
+//                   { type: 'error', message, reason? }
+// A join with `create` opens a new room and fails with reason 'roomTaken' if the code is in use;
+// a plain join fails with reason 'noRoom' if nobody has opened that code
+
+const http = require('http');
+const { attachWebSocketServer } = require('./WebSocketServer');
+
+const MAX_PLAYERS = 4;
+const MAX_ROOM_LENGTH = 16;
+
+class RelayServer {
+    constructor(options = {}) {
+        this.maxPlayers = options.maxPlayers || MAX_PLAYERS;
+        this.log = options.log || (() => {});
+        this.rooms = new Map();
+        this.connections = new Set();
+        this.nextClientId = 1;
+
+        this.httpServer = http.createServer((request, response) => {
+            response.writeHead(200, { 'Content-Type': 'text/plain' });
+            response.end(`Gravity Wars relay: ${this.rooms.size} room(s)\n`);
+        });
+        attachWebSocketServer(this.httpServer, (connection) => this.accept(connection));
+    }
+
+    listen(port, host) {
+        return new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(port, host, () => {
+                this.httpServer.off('error', reject);
+                resolve(this.httpServer.address());
+            });
+        });
+    }
+
+    close() {
+        this.connections.forEach(connection => connection.close(1001));
+        this.rooms.clear();
+        return new Promise(resolve => this.httpServer.close(() => resolve()));
+    }
+
+    accept(connection) {
+        const client = { id: this.nextClientId++, name: '', room: null, connection };
+        this.connections.add(connection);
+
+        connection.on('message', (text) => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (e) {
+                this.sendTo(client, { type: 'error', message: 'Messages must be JSON' });
+                return;
+            }
+            this.handleMessage(client, message);
+        });
+        connection.on('close', () => {
+            this.connections.delete(connection);
+            this.leave(client);
+        });
+    }
+
+    handleMessage(client, message) {
+        // Valid JSON isn't always an object (null, numbers, strings)
+        if (!message || typeof message !== 'object') {
+            this.sendTo(client, { type: 'error', message: 'Messages must be JSON objects' });
+            return;
+        }
+
+        switch (message.type) {
+            case 'join':
+                this.join(client, message);
+                break;
+            case 'send':
+                this.forward(client, message);
+                break;
+            case 'lock':
+                // Once the host starts the game nobody else can wander in
+                if (client.room && client.room.hostId === client.id) {
+                    client.room.locked = true;
+                }
+                break;
+            default:
+                this.sendTo(client, { type: 'error', message: `Unknown message type "${message.type}"` });
+        }
+    }
+
+    join(client, { room: code, name, create }) {
+        if (client.room) {
+            this.sendTo(client, { type: 'error', message: 'Already in a room' });
+            return;
+        }
+
+        const roomCode = String(code || '').trim().toUpperCase().slice(0, MAX_ROOM_LENGTH);
+        if (!roomCode) {
+            this.sendTo(client, { type: 'error', message: 'Room code is required' });
+            return;
+        }
+
+        let room = this.rooms.get(roomCode);
+        if (create) {
+            // Never drop a host into someone else's room
+            if (room) {
+                this.sendTo(client, { type: 'error', message: 'Room code already taken', reason: 'roomTaken' });
+                return;
+            }
+            room = { code: roomCode, hostId: client.id, locked: false, clients: new Map() };
+            this.rooms.set(roomCode, room);
+        } else if (!room) {
+            // A mistyped code shouldn't quietly open an empty room
+            this.sendTo(client, { type: 'error', message: `No room with code ${roomCode}`, reason: 'noRoom' });
+            return;
+        } else if (room.locked) {
+            this.sendTo(client, { type: 'error', message: 'Game already started' });
+            return;
+        } else if (room.clients.size >= this.maxPlayers) {
+            this.sendTo(client, { type: 'error', message: 'Room is full' });
+            return;
+        }
+
+        client.name = String(name || `Player ${room.clients.size + 1}`).slice(0, 24);
+        client.room = room;
+
+        const peers = Array.from(room.clients.values()).map(peer => this.describe(peer));
+        room.clients.set(client.id, client);
+
+        this.sendTo(client, { type: 'joined', id: client.id, room: roomCode, hostId: room.hostId, peers });
+        this.broadcast(room, { type: 'peerJoined', peer: this.describe(client) }, client.id);
+        this.log(`[Relay] ${client.name} (#${client.id}) joined ${roomCode} (${room.clients.size}/${this.maxPlayers})`);
+    }
+
+    // No `to` means everyone else in the room
+    forward(client, { to, data }) {
+        const room = client.room;
+        if (!room) return;
+
+        const message = { type: 'message', from: client.id, data };
+        if (to === undefined || to === null) {
+            this.broadcast(room, message, client.id);
+            return;
+        }
+
+        const target = room.clients.get(to);
+        if (target) {
+            this.sendTo(target, message);
+        }
+    }
+
+    leave(client) {
+        const room = client.room;
+        if (!room) return;
+
+        room.clients.delete(client.id);
+        client.room = null;
+        this.log(`[Relay] ${client.name} (#${client.id}) left ${room.code}`);
+
+        // The host owns the simulation, so the room ends with it
+        if (room.hostId === client.id) {
+            this.broadcast(room, { type: 'hostLeft' });
+            room.clients.forEach(peer => {
+                peer.room = null;
+                peer.connection.close();
+            });
+            this.rooms.delete(room.code);
+            return;
+        }
+
+        if (room.clients.size === 0) {
+            this.rooms.delete(room.code);
+        } else {
+            this.broadcast(room, { type: 'peerLeft', id: client.id });
+        }
+    }
+
+    describe(client) {
+        return { id: client.id, name: client.name };
+    }
+
+    broadcast(room, message, exceptId = null) {
+        room.clients.forEach(client => {
+            if (client.id !== exceptId) {
+                this.sendTo(client, message);
+            }
+        });
+    }
+
+    sendTo(client, message) {
+        client.connection.send(JSON.stringify(message));
+    }
+}
+
+module.exports = {
+    RelayServer,
+    MAX_PLAYERS
+};
@@ -0,0 +1,181 @@
+// WebSocketServer.js - Just enough RFC 6455 to carry JSON text messages over Node's http module
+// No compression or extensions; the relay only ever sends short text frames
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xa
+};
+
+// One upgraded socket: emits 'message' (string) and 'close'
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+
+    send(text) {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(text, 'utf8')));
+    }
+
+    close(code = 1000) {
+        if (this.closed) return;
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.socket.write(encodeFrame(OPCODES.CLOSE, payload));
+        this.socket.end();
+        this.finish();
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let frame;
+        while ((frame = decodeFrame(this.buffer)) !== null) {
+            this.buffer = this.buffer.subarray(frame.length);
+
+            if (frame.error) {
+                this.close(frame.error);
+                return;
+            }
+            this.handleFrame(frame);
+        }
+    }
+
+    handleFrame(frame) {
+        switch (frame.opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.BINARY:
+            case OPCODES.CONTINUATION: {
+                this.fragments.push(frame.payload);
+                const size = this.fragments.reduce((total, part) => total + part.length, 0);
+                if (size > MAX_MESSAGE_BYTES) {
+                    this.close(1009);
+                    return;
+                }
+                if (frame.fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.emit('message', message);
+                }
+                break;
+            }
+            case OPCODES.PING:
+                this.socket.write(encodeFrame(OPCODES.PONG, frame.payload));
+                break;
+            case OPCODES.CLOSE:
+                this.close();
+                break;
+        }
+    }
+}
+
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode;
+
+    return Buffer.concat([header, payload]);
+}
+
+// Returns null until a whole frame is buffered; client frames are always masked
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        const longLength = buffer.readBigUInt64BE(2);
+        if (longLength > BigInt(MAX_MESSAGE_BYTES)) {
+            return { error: 1009, length: buffer.length };
+        }
+        length = Number(longLength);
+        offset = 10;
+    }
+
+    if (!masked) {
+        return { error: 1002, length: buffer.length };
+    }
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+
+    return { fin, opcode, payload, length: offset + 4 + length };
+}
+
+// Accepts upgrades on an http.Server and hands each connection to onConnection
+function attachWebSocketServer(httpServer, onConnection) {
+    httpServer.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        onConnection(new WebSocketConnection(socket), request);
+    });
+}
+
+module.exports = {
+    attachWebSocketServer,
+    WebSocketConnection
+};
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// run.js - Command-line entry point for the online co-op relay
+// Usage: node tools/relay/run.js [--port N] [--host ADDRESS] [--quiet]
+
+const { RelayServer, MAX_PLAYERS } = require('./RelayServer');
+
+function parseArgs(argv) {
+    const args = {
+        port: 8787,
+        host: '127.0.0.1',
+        quiet: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+
+        switch (arg) {
+            case '--port': args.port = parseInt(next(), 10); break;
+            case '--host': args.host = next(); break;
+            case '--quiet': args.quiet = true; break;
+            case '--help':
+                console.log('Usage: node tools/relay/run.js [options]');
+                console.log('  --port N        Port to listen on (default 8787)');
+                console.log('  --host ADDRESS  Interface to bind (default 127.0.0.1; use 0.0.0.0 for LAN play)');
+                console.log('  --quiet         Only log startup and errors');
+                process.exit(0);
+                break;
+            default:
+                console.error(`Unknown option: ${arg}`);
+                process.exit(2);
+        }
+    }
+
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const relay = new RelayServer({ log: args.quiet ? null : console.log });
+
+    relay.listen(args.port, args.host)
+        .then(address => {
+            console.log(`[Relay] Listening on ws://${address.address}:${address.port} (up to ${MAX_PLAYERS} players per room)`);
+        })
+        .catch(error => {
+            console.error(`[Relay] Could not listen on ${args.host}:${args.port}: ${error.message}`);
+            process.exit(1);
+        });
+
+    const shutdown = () => relay.close().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main();